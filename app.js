@@ -53,6 +53,22 @@ if (D.geojson && D.geojson.features) {
   D.geojson.features.forEach(function(f) { geoIdx[f.properties.id] = f; });
 }
 
+// ---- User-defined derived metrics (derived-metrics.js), saved in this browser ----
+// Their values live on the nodes under "dm_<name>"; the query engine, the Q maps
+// and the Network Explorer follow the registry as metrics are added or removed.
+function browserStorage() {
+  try { return window.localStorage; } catch (e) { return null; }
+}
+const derivedMetrics = window.DerivedMetrics ? new DerivedMetrics({ storage: browserStorage() }) : null;
+if (derivedMetrics) derivedMetrics.apply(nodes);
+
+// ---- Classification rules (category-rules.js) ----
+// The rule editor on the Overview tab reclassifies the nodes in place, and CAT_LABELS /
+// CAT_COLORS follow the scheme in use. Schemes are not saved: a reload restores the
+// pipeline's categories.
+const categoryRules = window.CategoryRules ? new CategoryRules().attach(nodes) : null;
+if (categoryRules) categoryRules.onChange(function() { categoryRules.syncInto(CAT_LABELS, CAT_COLORS); });
+
 // ---- Utility functions ----
 function fmt(n) {
   if (typeof n !== 'number') return n;
@@ -98,7 +114,7 @@ function interpolateColor(t) {
 // Category aggregates (reused across Q tabs)
 function computeCatAggregates() {
   var cats = {};
-  var catOrder = ['TransitOrientedDense', 'TransitOriented', 'LifestyleHub', 'HighDensity', 'StandardResidential', 'Peripheral'];
+  var catOrder = Object.keys(CAT_LABELS);
   catOrder.forEach(function(c) { cats[c] = { count: 0, sumGfa: 0, sumE: 0, sumTi: 0, sumDiv: 0, cntE: 0, sumFac: 0 }; });
   nodes.forEach(function(n) {
     var c = cats[n.category];
@@ -187,6 +203,119 @@ function showTab(id) {
   });
 })();
 
+// ---- Classification rule editor ----
+// Rows are edited as a draft; Preview shows the transition matrix for the draft,
+// "Use this scheme" applies it to every node.
+var ruleDraft = null;
+var RULE_PALETTE = ['#16a085', '#d35400', '#2c3e50', '#f39c12', '#c2185b', '#00838f'];
+
+function initRuleEditor() {
+  var panel = document.getElementById('ruleEditor');
+  if (!panel) return;
+  if (!categoryRules) { panel.style.display = 'none'; return; }
+  document.getElementById('ruleHelp').innerHTML = 'Fields: ' + CategoryRules.FIELDS.join(', ')
+    + '. Compare with &gt;= &gt; &lt;= &lt; =, join with <code>and</code> / <code>or</code>; numbers may be written 100,000 or 100k.'
+    + ' The first matching rule wins; the last catches everything else. Schemes are not saved: reloading restores the pipeline categories.';
+
+  var list = document.getElementById('ruleList');
+  list.addEventListener('input', function(e) {
+    var f = e.target.getAttribute('data-f');
+    if (f) ruleDraft[+e.target.getAttribute('data-i')][f] = e.target.value;
+  });
+  list.addEventListener('click', function(e) {
+    var btn = e.target.closest('button[data-act]');
+    if (!btn) return;
+    var i = +btn.getAttribute('data-i'), act = btn.getAttribute('data-act');
+    if (act === 'up') ruleDraft.splice(i - 1, 0, ruleDraft.splice(i, 1)[0]);
+    if (act === 'down') ruleDraft.splice(i + 1, 0, ruleDraft.splice(i, 1)[0]);
+    if (act === 'remove') ruleDraft.splice(i, 1);
+    renderRuleEditor();
+  });
+
+  document.getElementById('ruleAdd').addEventListener('click', function() {
+    var n = 1, label = 'New Category';
+    var taken = function(l) { return ruleDraft.some(function(r) { return r.label.toLowerCase() === l.toLowerCase(); }); };
+    while (taken(label)) label = 'New Category ' + (++n);
+    var color = RULE_PALETTE.filter(function(c) { return !ruleDraft.some(function(r) { return r.color === c; }); })[0] || '#95a5a6';
+    // New rules go just above the catch-all
+    ruleDraft.splice(ruleDraft.length - 1, 0, { label: label, color: color, when: '' });
+    renderRuleEditor();
+  });
+  document.getElementById('rulePreview').addEventListener('click', function() { checkRules(false); });
+  document.getElementById('ruleApply').addEventListener('click', function() { checkRules(true); });
+  document.getElementById('ruleReset').addEventListener('click', function() { categoryRules.reset(); });
+
+  categoryRules.onChange(function() {
+    ruleDraft = categoryRules.list();
+    renderRuleEditor();
+    renderTransitionMatrix(categoryRules.transitions(nodes), false);
+  });
+  ruleDraft = categoryRules.list();
+  renderRuleEditor();
+}
+
+function renderRuleEditor() {
+  var last = ruleDraft.length - 1;
+  document.getElementById('ruleList').innerHTML = ruleDraft.map(function(r, i) {
+    var attrs = ' data-i="' + i + '"';
+    return '<div class="rule-row">'
+      + '<span class="rule-priority">' + (i + 1) + '</span>'
+      + '<input type="color" data-f="color"' + attrs + ' value="' + r.color + '" title="Colour">'
+      + '<input type="text" data-f="label"' + attrs + ' value="' + escHtml(r.label) + '" placeholder="Category name">'
+      + (i === last
+        ? '<input type="text" disabled value="" placeholder="Everything else">'
+        : '<input type="text" data-f="when"' + attrs + ' value="' + escHtml(r.when) + '" placeholder="e.g. mrt < 300 and gfa > 150k">')
+      + '<span>'
+      + '<button data-act="up"' + attrs + ' title="Higher priority"' + (i === 0 || i === last ? ' disabled' : '') + '>&uarr;</button> '
+      + '<button data-act="down"' + attrs + ' title="Lower priority"' + (i >= last - 1 ? ' disabled' : '') + '>&darr;</button> '
+      + '<button data-act="remove"' + attrs + ' title="Remove"' + (i === last ? ' disabled' : '') + '>&times;</button>'
+      + '</span></div>';
+  }).join('');
+}
+
+// Preview the draft's transition matrix, or apply the draft
+function checkRules(apply) {
+  var errorEl = document.getElementById('ruleError');
+  var t;
+  try {
+    t = categoryRules.transitions(nodes, ruleDraft);
+    if (apply) categoryRules.setRules(ruleDraft);
+  } catch (err) {
+    errorEl.textContent = err.message;
+    return;
+  }
+  errorEl.textContent = '';
+  if (!apply) renderTransitionMatrix(t, true);
+}
+
+// Pipeline category (rows) against the new category (columns); off-diagonal cells are parcels that move
+function renderTransitionMatrix(t, preview) {
+  var el = document.getElementById('ruleMatrix');
+  if (!preview && !categoryRules.isCustom()) { el.innerHTML = ''; return; }
+  var name = function(c) {
+    return '<span class="filter-dot" style="background:' + (t.colors[c] || '#95a5a6') + '"></span> ' + escHtml(t.labels[c] || c);
+  };
+  var colTotals = t.to.map(function(c) { return t.from.reduce(function(s, f) { return s + (t.counts[f][c] || 0); }, 0); });
+  var html = '<div class="rule-summary">' + (preview ? 'Preview: <strong>' : '<strong>') + fmt(t.changed) + '</strong> of '
+    + fmt(t.total) + ' parcels ' + (preview ? 'would change' : 'changed') + ' category'
+    + (preview ? '' : ' from the pipeline classification') + '.</div>';
+  html += '<table class="data-table rule-matrix"><thead><tr><th>Pipeline &darr; / New &rarr;</th>'
+    + t.to.map(function(c) { return '<th>' + name(c) + '</th>'; }).join('') + '<th>Total</th></tr></thead><tbody>';
+  t.from.forEach(function(f) {
+    var total = 0;
+    html += '<tr><td>' + name(f) + '</td>' + t.to.map(function(c) {
+      var v = t.counts[f][c] || 0;
+      total += v;
+      return '<td class="num' + (c === f ? ' rule-same' : v ? ' rule-moved' : '') + '">' + (v ? fmt(v) : '') + '</td>';
+    }).join('') + '<td class="num">' + fmt(total) + '</td></tr>';
+  });
+  html += '<tr><td><strong>Total</strong></td>' + colTotals.map(function(v) { return '<td class="num"><strong>' + fmt(v) + '</strong></td>'; }).join('')
+    + '<td class="num"><strong>' + fmt(t.total) + '</strong></td></tr></tbody></table>';
+  el.innerHTML = html;
+}
+
+initRuleEditor();
+
 // ============================================================
 // QUERY INTERFACE
 // ============================================================
@@ -201,13 +330,98 @@ function initQuery() {
     }).join('');
   }
 
+  // Traces are cheap to collect; the Explain checkbox only shows or hides them
+  if (queryEngine) queryEngine.explain = true;
+  if (queryEngine && derivedMetrics) queryEngine.useDerivedMetrics(derivedMetrics);
+  if (queryEngine && categoryRules) queryEngine.useCategoryRules(categoryRules);
+  initDerivedMetricsPanel();
+  var explainEl = document.getElementById('queryExplain');
+  if (explainEl) explainEl.addEventListener('change', renderQueryTrace);
+
   var input = document.getElementById('queryInput');
   var btn = document.getElementById('querySubmit');
   btn.addEventListener('click', function() { runQuery(input.value); });
   input.addEventListener('keydown', function(e) { if (e.key === 'Enter') runQuery(input.value); });
+
+  // "Did you mean" chips in a result card run their corrected question
+  document.getElementById('queryResultContainer').addEventListener('click', function(e) {
+    var chip = e.target.closest('.q-suggestion');
+    if (chip) runQuery(chip.getAttribute('data-query'));
+  });
+
+  // LLM settings: prefill endpoint/model for the chosen protocol
+  var providerSel = document.getElementById('apiProviderSelect');
+  if (providerSel && window.IntentProvider) {
+    var applyProviderDefaults = function() {
+      var defs = IntentProvider.PROVIDERS;
+      var d = defs[providerSel.value];
+      var endpointEl = document.getElementById('apiEndpointInput');
+      var modelEl = document.getElementById('apiModelInput');
+      var isDefault = function(el, field) {
+        return !el.value || Object.keys(defs).some(function(k) { return defs[k][field] === el.value; });
+      };
+      if (isDefault(endpointEl, 'endpoint')) endpointEl.value = d.endpoint;
+      if (isDefault(modelEl, 'model')) modelEl.value = d.model;
+    };
+    providerSel.addEventListener('change', applyProviderDefaults);
+    applyProviderDefaults();
+  }
+}
+
+// Optional LLM intent provider, built from the API settings at query time
+function getIntentProvider() {
+  var keyEl = document.getElementById('apiKeyInput');
+  if (!window.IntentProvider || !keyEl || !keyEl.value.trim()) return null;
+  var provider = new IntentProvider({
+    provider: document.getElementById('apiProviderSelect').value,
+    endpoint: document.getElementById('apiEndpointInput').value.trim(),
+    model: document.getElementById('apiModelInput').value.trim(),
+    apiKey: keyEl.value.trim()
+  });
+  return provider.isConfigured() ? provider : null;
+}
+
+// ---- Custom metrics panel ----
+function initDerivedMetricsPanel() {
+  var panel = document.getElementById('derivedMetrics');
+  if (!panel) return;
+  if (!derivedMetrics) { panel.style.display = 'none'; return; }
+  document.getElementById('derivedHelp').innerHTML = 'Fields: ' + Object.keys(DerivedMetrics.FIELDS).join(', ')
+    + '. Operators + &minus; * / ^ and brackets; functions ' + DerivedMetrics.FUNCTIONS.join(', ')
+    + '. Saved in this browser. Use a metric by name or label in questions, in the Q maps and to size the network.';
+  document.getElementById('derivedAdd').addEventListener('click', addDerivedMetric);
+  document.getElementById('derivedExpr').addEventListener('keydown', function(e) { if (e.key === 'Enter') addDerivedMetric(); });
+  derivedMetrics.onChange(renderDerivedMetrics);
+  renderDerivedMetrics();
+}
+
+function renderDerivedMetrics() {
+  var list = derivedMetrics.list();
+  document.getElementById('derivedMetricList').innerHTML = list.length ? list.map(function(m) {
+    return '<div class="derived-item">'
+      + '<button class="derived-remove" title="Remove" onclick="derivedMetrics.remove(\'' + m.name + '\')">&times;</button>'
+      + '<span class="derived-label" title="Rank parcels by this metric" onclick="runQuery(\'Top 10 parcels by ' + m.name.replace(/_/g, ' ') + '\')">'
+      + escHtml(m.label) + (m.unit ? ' <span class="derived-unit">(' + escHtml(m.unit) + ')</span>' : '') + '</span>'
+      + '<code>' + m.name + ' = ' + escHtml(m.expr) + '</code></div>';
+  }).join('') : '<p class="hint">No custom metrics yet, e.g. intensity = energy / gfa</p>';
+}
+
+function addDerivedMetric() {
+  var field = function(id) { return document.getElementById(id).value.trim(); };
+  var errorEl = document.getElementById('derivedError');
+  try {
+    derivedMetrics.define({ name: field('derivedName'), expr: field('derivedExpr'), label: field('derivedLabel'), unit: field('derivedUnit') });
+  } catch (err) {
+    errorEl.textContent = err.message;
+    return;
+  }
+  errorEl.textContent = '';
+  ['derivedName', 'derivedExpr', 'derivedLabel', 'derivedUnit'].forEach(function(id) { document.getElementById(id).value = ''; });
 }
 
 var queryHistory = [];
+var querySeq = 0;
+var currentResult = null;   // result shown in the card, for exports
 function runQuery(text) {
   text = text.trim();
   if (!text) return;
@@ -218,25 +432,57 @@ function runQuery(text) {
     return;
   }
 
-  var result = queryEngine.query(text);
+  var seq = ++querySeq;
+  var provider = getIntentProvider();
+  // Follow-ups ("now only Peripheral ones") refine the previous answer locally
+  if (!provider || queryEngine.isFollowUp(text)) {
+    renderQueryResult(text, queryEngine.query(text));
+    return;
+  }
+
+  // Ask the LLM for a structured intent; the rule-based dispatcher is the fallback
+  document.getElementById('queryResultContainer').innerHTML = '<div class="card"><p class="hint">Interpreting question via ' + escHtml(provider.label()) + '&hellip;</p></div>';
+  var failed = false;
+  // Only a failed provider call counts as unavailable; the engine runs after the
+  // staleness check, so a superseded answer never becomes the follow-up context
+  provider.parse(text, queryEngine.getIntentSchema()).then(null, function() {
+    failed = true;
+    return null;
+  }).then(function(intent) {
+    if (seq !== querySeq) return; // superseded by a newer query
+    var result = intent ? queryEngine.queryIntent(intent, text) : null;
+    if (result) {
+      result.source = 'LLM';
+    } else {
+      result = queryEngine.query(text);
+      if (failed) result.source = 'rules (intent provider unavailable)';
+    }
+    renderQueryResult(text, result);
+  });
+}
 
+function renderQueryResult(text, result) {
   // Add to history
   queryHistory.unshift({ text: text, title: result.title });
   updateQueryHistory();
+  updateQueryContext();
 
   // Render result
+  currentResult = result;
   var container = document.getElementById('queryResultContainer');
   var html = '<div class="query-result-card">';
-  html += '<div class="query-result-header"><h3>' + result.title + '</h3><div class="result-type">' + (result.type || 'analysis') + '</div></div>';
+  html += '<div class="query-result-header">' + exportButtons(result) + '<h3>' + result.title + '</h3><div class="result-type">' + (result.type || 'analysis') + (result.source ? ' &middot; via ' + result.source : '') + '</div></div>';
   html += '<div class="query-result-body">' + result.html + '</div>';
   if (result.chartConfig) {
     html += '<div class="query-result-chart"><canvas id="queryChart"></canvas></div>';
   }
-  if (result.mapHighlights && result.mapHighlights.length > 0) {
+  var hasMap = (result.mapHighlights && result.mapHighlights.length > 0) || result.mapColors || result.mapCircle || result.mapBounds;
+  if (hasMap) {
     html += '<div class="query-result-map" id="queryMap"></div>';
   }
-  html += '</div>';
+  html += '</div><div id="queryTrace"></div>';
   container.innerHTML = html;
+  renderQueryTrace();
 
   // Render chart if provided
   if (result.chartConfig) {
@@ -247,22 +493,25 @@ function runQuery(text) {
   }
 
   // Render map if provided
-  if (result.mapHighlights && result.mapHighlights.length > 0) {
+  if (hasMap) {
     setTimeout(function() {
       var mapEl = document.getElementById('queryMap');
       if (!mapEl) return;
       var map = L.map(mapEl, { attributionControl: false }).setView([1.3521, 103.8198], 12);
       L.tileLayer(TILE_URL, { attribution: TILE_ATTR, maxZoom: 18 }).addTo(map);
-      var hlSet = new Set(result.mapHighlights);
+      var hlSet = new Set(result.mapHighlights || []);
+      var colors = result.mapColors || {};
       var bounds = [];
       if (D.geojson && D.geojson.features) {
         L.geoJSON(D.geojson, {
           style: function(f) {
             var isHL = hlSet.has(f.properties.id);
+            var own = colors[f.properties.id];
+            if (own && !isHL) return { fillColor: own, weight: 0.5, color: '#666', fillOpacity: 0.65 };
             return { fillColor: isHL ? '#e74c3c' : '#ccc', weight: isHL ? 2 : 0.3, color: isHL ? '#c0392b' : '#999', fillOpacity: isHL ? 0.6 : 0.15 };
           },
           onEachFeature: function(f, layer) {
-            if (hlSet.has(f.properties.id)) {
+            if (hlSet.has(f.properties.id) || colors[f.properties.id]) {
               var n = nodeMap[f.properties.id];
               if (n) {
                 layer.bindPopup('<strong>' + n.id + '</strong><br>' + (CAT_LABELS[n.category] || n.category) + (n.gfa ? '<br>GFA: ' + fmt(n.gfa) : ''));
@@ -272,11 +521,151 @@ function runQuery(text) {
           }
         }).addTo(map);
       }
+      // Path results: connect the hops in order and number each stop
+      if (result.mapPath && result.mapPath.length > 1) {
+        var pathLL = result.mapPath.map(function(id) { return nodeMap[id]; }).filter(Boolean)
+          .map(function(n) { return [n.lat, n.lng]; });
+        L.polyline(pathLL, { color: '#c0392b', weight: 3, opacity: 0.85, dashArray: '6 4' }).addTo(map);
+        pathLL.forEach(function(ll, i) {
+          var isEnd = i === 0 || i === pathLL.length - 1;
+          L.circleMarker(ll, { radius: isEnd ? 7 : 5, fillColor: isEnd ? '#e74c3c' : '#e67e22', color: '#fff', weight: 1.5, fillOpacity: 0.95 })
+            .bindTooltip(i + ': ' + result.mapPath[i], { direction: 'top' }).addTo(map);
+          bounds.push(ll);
+        });
+      }
+      // Spatial results: search radius around the centre, or the query box
+      if (result.mapCircle) {
+        var c = result.mapCircle;
+        var circle = L.circle([c.lat, c.lng], { radius: c.radius, color: '#2471a3', weight: 1.5, fillColor: '#2471a3', fillOpacity: 0.06, dashArray: '4 4' }).addTo(map);
+        L.circleMarker([c.lat, c.lng], { radius: 4, fillColor: '#2471a3', color: '#fff', weight: 1, fillOpacity: 1 })
+          .bindTooltip(fmt(c.radius) + ' m', { direction: 'top' }).addTo(map);
+        if (c.radius > 0) {
+          var cb = circle.getBounds();
+          bounds.push([cb.getSouth(), cb.getWest()], [cb.getNorth(), cb.getEast()]);
+        } else {
+          bounds.push([c.lat, c.lng]);
+        }
+      }
+      if (result.mapBounds) {
+        L.rectangle(result.mapBounds, { color: '#2471a3', weight: 1.5, fill: false, dashArray: '4 4' }).addTo(map);
+        bounds.push(result.mapBounds[0], result.mapBounds[1]);
+      }
       if (bounds.length > 0) map.fitBounds(bounds, { padding: [30, 30], maxZoom: 14 });
     }, 100);
   }
 }
 
+// Explain panel under the result card: the rule that matched, what it read
+// from the question, how many parcels it kept and the formulas it applied
+function renderQueryTrace() {
+  var el = document.getElementById('queryTrace');
+  var toggle = document.getElementById('queryExplain');
+  if (!el) return;
+  var t = currentResult && currentResult.trace;
+  if (!t || !toggle || !toggle.checked) {
+    el.innerHTML = '';
+    return;
+  }
+
+  var rule = t.step ? 'Rule ' + t.step + ': ' + t.rule : (t.rule || 'None');
+  var source = t.source === 'intent'
+    ? 'Structured intent' + (currentResult.source ? ' from ' + escHtml(currentResult.source) : '')
+    : 'Rule-based dispatcher';
+  var rows = [['Question', escHtml(t.question)]];
+  if (t.resolved) rows.push(['Read as', escHtml(t.resolved)]);
+  rows.push(['Answered by', source]);
+  rows.push(['Matched rule', escHtml(rule)]);
+
+  var params = Object.keys(t.params || {});
+  rows.push(['Parameters', params.length
+    ? params.map(function(k) { return '<code>' + escHtml(k) + '</code> = ' + escHtml(t.params[k]); }).join('<br>')
+    : '<span class="hint">none</span>']);
+  if (t.considered != null) {
+    var counts = fmt(t.considered) + ' considered';
+    if (t.filteredOut != null) counts += ', ' + fmt(t.filteredOut) + ' filtered out, ' + fmt(t.kept) + ' kept';
+    rows.push(['Parcels', counts]);
+  }
+  var list = function(items, code) {
+    return '<ul>' + items.map(function(x) {
+      return '<li>' + (code ? '<code>' + escHtml(x) + '</code>' : escHtml(x)) + '</li>';
+    }).join('') + '</ul>';
+  };
+  if (t.formulas.length) rows.push(['Formulas', list(t.formulas, true)]);
+  if (t.notes.length) rows.push(['Notes', list(t.notes, false)]);
+
+  el.innerHTML = '<details class="query-trace" open><summary>How this was answered<span>'
+    + escHtml(rule) + ' &middot; ' + t.ms + ' ms</span></summary><dl>'
+    + rows.map(function(r) { return '<dt>' + r[0] + '</dt><dd>' + r[1] + '</dd>'; }).join('')
+    + '</dl></details>';
+}
+
+function escHtml(str) {
+  if (str == null) return '';
+  return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+// Download links for a result card: one CSV per table, GeoJSON of the mapped parcels, raw JSON
+function exportButtons(result) {
+  if (result.type === 'error') return '';
+  var tables = result.tables || [];
+  var h = '<div class="result-exports">';
+  tables.forEach(function(t, i) {
+    h += '<button onclick="exportQueryResult(\'csv\', ' + i + ')" title="Download ' + escHtml(t.title) + ' as CSV">CSV'
+      + (tables.length > 1 ? ': ' + escHtml(t.title) : '') + '</button>';
+  });
+  if ((result.mapHighlights && result.mapHighlights.length) || result.mapColors) {
+    h += '<button onclick="exportQueryResult(\'geojson\')" title="Download the mapped parcels as GeoJSON">GeoJSON</button>';
+  }
+  h += '<button onclick="exportQueryResult(\'json\')" title="Download the structured result as JSON">JSON</button>';
+  return h + '</div>';
+}
+
+function exportQueryResult(format, index) {
+  var result = currentResult;
+  if (!result || !queryEngine) return;
+  var name = (result.title || 'result').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+  if (format === 'csv') {
+    var table = result.tables[index || 0];
+    var suffix = result.tables.length > 1 ? '-' + table.title.toLowerCase().replace(/[^a-z0-9]+/g, '-') : '';
+    downloadFile(name + suffix + '.csv', 'text/csv', queryEngine.exportCSV(result, index));
+  } else if (format === 'geojson') {
+    downloadFile(name + '.geojson', 'application/geo+json', queryEngine.exportGeoJSON(result, D.geojson));
+  } else {
+    downloadFile(name + '.json', 'application/json', queryEngine.exportJSON(result));
+  }
+}
+
+function downloadFile(filename, mime, text) {
+  var url = URL.createObjectURL(new Blob([text], { type: mime + ';charset=utf-8' }));
+  var a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  setTimeout(function() { URL.revokeObjectURL(url); }, 0);
+}
+
+// Show what follow-up questions will refer to, with a way to start over
+function updateQueryContext() {
+  var el = document.getElementById('queryContext');
+  if (!el) return;
+  var desc = queryEngine ? queryEngine.describeContext() : '';
+  if (!desc) {
+    el.style.display = 'none';
+    el.innerHTML = '';
+    return;
+  }
+  el.style.display = '';
+  el.innerHTML = 'Follow-ups refer to: <strong>' + desc + '</strong> '
+    + '<a href="#" onclick="clearQueryContext(); return false;">Clear</a>';
+}
+
+function clearQueryContext() {
+  if (queryEngine) queryEngine.resetContext();
+  updateQueryContext();
+}
+
 function updateQueryHistory() {
   var el = document.getElementById('queryHistory');
   if (queryHistory.length === 0) {
@@ -350,6 +739,228 @@ function initQ1() {
     top.map(function(r, i) { return [i + 1, r.parcelId, r.landUse, fmt(r.GFA_m2), r.bldgs, r.avgLvl, fmt(r.totalEnergy_kWh), fmt(r.estUnits), r.accessFacilities]; }),
     [true, false, false, true, true, true, true, true, true]
   );
+
+  initEnergyModel();
+}
+
+// ---- Energy prediction model (energy-model.js) ----
+// Only the selected learner is trained, in the background (trainAsync), the first
+// time it is shown; a classification change discards the trained models, since
+// category is one of the inputs. Imputed values are shown and exported, never
+// written onto the nodes: energy 0 stays "not recorded" elsewhere.
+var energyModels = {};
+var energyTraining = { seq: 0, method: null };
+
+function initEnergyModel() {
+  var panel = document.getElementById('energyModel');
+  if (!panel) return;
+  if (!window.EnergyModel) { panel.style.display = 'none'; return; }
+
+  var methodSel = document.getElementById('emMethod');
+  methodSel.innerHTML = Object.keys(EnergyModel.METHODS).map(function(k) {
+    return '<option value="' + k + '">' + EnergyModel.METHODS[k] + '</option>';
+  }).join('');
+  methodSel.addEventListener('change', function() {
+    if (currentEnergyModel()) renderEnergyModel();
+    else trainEnergyModel();
+  });
+
+  document.getElementById('emFields').innerHTML = EnergyModel.FEATURES.map(function(f) {
+    return '<label>' + f.label + (f.unit ? ' (' + f.unit + ')' : '')
+      + '<input type="number" step="any" min="0" data-key="' + f.key + '" placeholder="average"></label>';
+  }).join('') + '<label>Category<select id="emCategory"></select></label>';
+  fillEnergyCategories();
+
+  var missing = nodes.filter(function(n) { return !(n.e > 0); });
+  document.getElementById('emParcel').innerHTML = '<option value="">A hypothetical parcel</option>'
+    + '<optgroup label="Parcels with no recorded energy (' + fmt(missing.length) + ')">'
+    + missing.map(function(n) { return '<option value="' + n.id + '">' + n.id + (n.nb ? ' \u00B7 ' + escHtml(n.nb) : '') + '</option>'; }).join('')
+    + '</optgroup>';
+  document.getElementById('emParcel').addEventListener('change', function() { pickEnergyParcel(this.value); });
+  document.getElementById('emPredict').addEventListener('click', predictEnergy);
+  document.getElementById('emFields').addEventListener('keydown', function(e) { if (e.key === 'Enter') predictEnergy(); });
+  document.getElementById('emDownload').addEventListener('click', downloadImputedEnergy);
+
+  if (categoryRules) {
+    categoryRules.onChange(function() {
+      fillEnergyCategories();
+      energyModels = {};
+      trainEnergyModel();
+    });
+  }
+  trainEnergyModel();
+}
+
+function fillEnergyCategories() {
+  var sel = document.getElementById('emCategory');
+  var current = sel.value;
+  sel.innerHTML = '<option value="">Unknown</option>' + Object.keys(CAT_LABELS).map(function(c) {
+    return '<option value="' + c + '">' + escHtml(CAT_LABELS[c]) + '</option>';
+  }).join('');
+  sel.value = CAT_LABELS[current] ? current : '';
+}
+
+// Train the selected learner unless it is trained or already training; a newer
+// request (another method, an edited classification) makes an older one stale
+function trainEnergyModel() {
+  var method = document.getElementById('emMethod').value;
+  var errorEl = document.getElementById('emError');
+  if (energyTraining.method === method && energyTraining.models === energyModels) return;
+  var seq = ++energyTraining.seq, models = energyModels;
+  energyTraining.method = method;
+  energyTraining.models = models;
+  document.getElementById('emDescription').textContent = 'Training ' + EnergyModel.METHODS[method] + '\u2026';
+  new EnergyModel({ method: method }).trainAsync(nodes, function() { return seq !== energyTraining.seq; }).then(function(model) {
+    if (!model) return;
+    energyTraining.method = null;
+    models[method] = model;
+    errorEl.textContent = '';
+    if (models === energyModels && method === document.getElementById('emMethod').value) renderEnergyModel();
+  }, function(err) {
+    if (seq !== energyTraining.seq) return;
+    energyTraining.method = null;
+    document.getElementById('emDescription').textContent = '';
+    errorEl.textContent = err.message;
+  });
+}
+
+function currentEnergyModel() {
+  return energyModels[document.getElementById('emMethod').value] || null;
+}
+
+// Scores of both learners, the charts and imputations of the selected one
+function renderEnergyModel() {
+  var model = currentEnergyModel();
+  if (!model) return;
+  var method = document.getElementById('emMethod').value;
+  document.getElementById('emDescription').textContent = model.describe() + ', ' + model.cv.folds + '-fold cross-validation';
+
+  var h = '<table class="data-table"><thead><tr>' + ['Model', 'CV RMSE (kWh/yr)', 'CV MAE (kWh/yr)', 'CV R\u00B2', 'Median Error',
+    Math.round(model.opts.level * 100) + '% Interval'].map(function(x) { return '<th>' + x + '</th>'; }).join('') + '</tr></thead><tbody>';
+  Object.keys(EnergyModel.METHODS).forEach(function(k) {
+    var m = energyModels[k];
+    h += '<tr' + (k === method ? ' class="model-selected"' : '') + '><td>' + EnergyModel.METHODS[k] + '</td>'
+      + (m ? [fmt(Math.round(m.cv.rmse)), fmt(Math.round(m.cv.mae)), m.cv.r2.toFixed(3), (m.cv.medianApe * 100).toFixed(1) + '%',
+        signedPct(m.band[0]) + ' to ' + signedPct(m.band[1])].map(function(v) { return '<td class="num">' + v + '</td>'; }).join('')
+        : '<td colspan="5" class="hint">Select it to train and score it.</td>')
+      + '</tr>';
+  });
+  document.getElementById('emScores').innerHTML = h + '</tbody></table>'
+    + '<p class="hint" style="margin-top:6px;">Median error is the median of |predicted &minus; recorded| / recorded. The interval is the range of cross-validated errors, relative to the prediction, that covers '
+    + Math.round(model.opts.level * 100) + '% of training parcels.</p>';
+
+  // Fig. 1h: out-of-fold predictions against recorded energy, by category
+  var byCat = {};
+  model.outOfFold.forEach(function(r) {
+    (byCat[r.node.category] = byCat[r.node.category] || []).push({ x: r.actual, y: r.predicted, id: r.node.id });
+  });
+  var maxE = Math.max.apply(null, model.outOfFold.map(function(r) { return Math.max(r.actual, r.predicted); }));
+  var datasets = Object.keys(byCat).map(function(c) {
+    return { label: CAT_LABELS[c] || c, data: byCat[c], backgroundColor: CAT_COLORS[c] || '#95a5a6', pointRadius: 3 };
+  });
+  datasets.push({ type: 'line', label: 'Perfect prediction', data: [{ x: 0, y: 0 }, { x: maxE, y: maxE }],
+    borderColor: '#566573', borderDash: [5, 4], borderWidth: 1, pointRadius: 0, fill: false });
+  var fitOpts = chartOpts('Recorded energy (kWh/yr)', 'Cross-validated prediction (kWh/yr)');
+  fitOpts.plugins.tooltip = { callbacks: { label: function(ctx) {
+    var p = ctx.raw;
+    return (p.id ? p.id + ': ' : '') + fmt(Math.round(p.x)) + ' recorded, ' + fmt(Math.round(p.y)) + ' predicted';
+  } } };
+  replaceChart('q1_emFit', { type: 'scatter', data: { datasets: datasets }, options: fitOpts });
+
+  // Fig. 1i: standardised coefficients (ridge) or share of error reduction (stumps)
+  var drivers = model.importance().slice(0, 10);
+  var ridge = method === 'ridge';
+  var driverLabel = function(d) { return d.category ? (CAT_LABELS[d.category] || d.category) : d.label; };
+  var driverOpts = chartOpts(ridge ? 'kWh/yr per standard deviation' : 'Share of error reduction (%)', '');
+  driverOpts.indexAxis = 'y';
+  driverOpts.scales.y.title.display = false;
+  driverOpts.plugins.legend = { display: false };
+  replaceChart('q1_emDrivers', {
+    type: 'bar',
+    data: { labels: drivers.map(driverLabel),
+      datasets: [{ label: ridge ? 'Standardised coefficient' : 'Share of error reduction',
+        data: drivers.map(function(d) { return ridge ? Math.round(d.weight) : +(d.weight * 100).toFixed(1); }),
+        backgroundColor: drivers.map(function(d) { return d.weight < 0 ? '#2980b9' : '#e67e22'; }) }] },
+    options: driverOpts
+  });
+
+  renderImputedEnergy();
+  if (document.getElementById('emResult').innerHTML) predictEnergy();
+}
+
+function signedPct(v) {
+  return (v < 0 ? '\u2212' : '+') + Math.abs(v * 100).toFixed(0) + '%';
+}
+
+// Charts redrawn in place when their inputs change (energy model, equity measures)
+var liveCharts = {};
+function replaceChart(id, config) {
+  if (liveCharts[id]) liveCharts[id].destroy();
+  liveCharts[id] = new Chart(document.getElementById(id), config);
+}
+
+// Fill the form from a parcel (or clear it for a hypothetical one) and predict
+function pickEnergyParcel(id) {
+  var n = id ? nodeMap[id] : null;
+  document.getElementById('emParcel').value = n ? id : '';
+  document.querySelectorAll('#emFields input').forEach(function(input) {
+    var v = n ? n[input.getAttribute('data-key')] : null;
+    input.value = v == null ? '' : v;
+  });
+  document.getElementById('emCategory').value = n && CAT_LABELS[n.category] ? n.category : '';
+  if (n) predictEnergy();
+  else document.getElementById('emResult').innerHTML = '';
+}
+
+function predictEnergy() {
+  var model = currentEnergyModel();
+  var el = document.getElementById('emResult');
+  if (!model) return;
+  var attrs = { category: document.getElementById('emCategory').value };
+  var blank = [];
+  document.querySelectorAll('#emFields input').forEach(function(input) {
+    var v = input.value.trim();
+    if (v === '' || isNaN(v)) blank.push(input.parentNode.firstChild.textContent);
+    else attrs[input.getAttribute('data-key')] = parseFloat(v);
+  });
+  var p = model.predict(attrs);
+  var id = document.getElementById('emParcel').value;
+  el.innerHTML = (id ? 'Predicted energy for <strong>' + id + '</strong>: ' : 'Predicted energy: ')
+    + '<strong>' + fmt(Math.round(p.value)) + ' kWh/yr</strong> (' + Math.round(p.level * 100) + '% interval '
+    + fmt(Math.round(p.low)) + ' &ndash; ' + fmt(Math.round(p.high)) + ')'
+    + (attrs.gfa > 0 ? ', ' + (p.value / attrs.gfa).toFixed(1) + ' kWh/m\u00B2/yr.' : '.')
+    + (blank.length || !attrs.category ? '<div class="hint">Taken as the average of the training parcels: '
+      + blank.concat(attrs.category ? [] : ['category']).join(', ') + '.</div>' : '');
+}
+
+// Table 2: the parcels with the largest imputed energy; the CSV has all of them
+function renderImputedEnergy() {
+  var model = currentEnergyModel();
+  var rows = model.impute(nodes).sort(function(a, b) { return b.value - a.value; });
+  var pct = Math.round(model.opts.level * 100) + '%';
+  document.getElementById('emImputed').innerHTML = rows.length ? '<p style="font-size:12px;margin-bottom:6px;">' + fmt(rows.length)
+    + ' parcels have no recorded energy. The 20 with the largest predictions are listed; click a parcel to open it in the form above.</p>'
+    + makeTable(['Parcel', 'Category', 'GFA', 'Bldgs', 'Levels', 'Predicted (kWh/yr)', pct + ' Low', pct + ' High'],
+      rows.slice(0, 20).map(function(r) {
+        var n = r.node;
+        return ['<a href="#" onclick="pickEnergyParcel(\'' + n.id + '\'); return false;">' + n.id + '</a>', escHtml(CAT_LABELS[n.category] || n.category),
+          fmt(n.gfa), n.b, n.lvl, fmt(Math.round(r.value)), fmt(Math.round(r.low)), fmt(Math.round(r.high))];
+      }), [false, false, true, true, true, true, true, true])
+    : '<p class="hint">Every parcel has recorded energy.</p>';
+  document.getElementById('emDownload').disabled = !rows.length;
+}
+
+function downloadImputedEnergy() {
+  var model = currentEnergyModel();
+  if (!model) return;
+  var cols = ['parcel', 'category'].concat(EnergyModel.FEATURES.map(function(f) { return f.key; }), ['predicted_kwh', 'low_kwh', 'high_kwh']);
+  var lines = [cols.join(',')];
+  model.impute(nodes).forEach(function(r) {
+    var n = r.node;
+    lines.push([n.id, n.category].concat(EnergyModel.FEATURES.map(function(f) { return n[f.key]; }),
+      [Math.round(r.value), Math.round(r.low), Math.round(r.high)]).join(','));
+  });
+  downloadFile('imputed-energy-' + document.getElementById('emMethod').value + '.csv', 'text/csv', lines.join('\r\n') + '\r\n');
 }
 
 function initQ2() {
@@ -502,56 +1113,406 @@ function initQ4() {
   });
 
   createQMap('q4Map', 'div', 'Facility Diversity');
+  var shares = quartileFacilityShares(equity, ['ChildCare', 'SocialService']);
   document.getElementById('q4Table').innerHTML = makeTable(
     ['Quartile', 'Parcels', 'Avg GFA', 'ChildCare %', 'Social %', 'Avg Fac', 'Avg Div'],
-    equity.map(function(r) { return [r.quartile, r.parcels, fmt(r.avgGFA), '100.0%', '100.0%', r.avgAccess, r.avgDiversity]; }),
+    equity.map(function(r, q) {
+      return [r.quartile, r.parcels, fmt(r.avgGFA), shares[q].ChildCare, shares[q].SocialService, r.avgAccess, r.avgDiversity];
+    }),
     [false, true, true, true, true, true, true]
   );
+  initEquity();
+}
+
+// Share of each pipeline GFA quartile that lists the given facility types. Parcels
+// are taken smallest GFA first, in the quartiles' own parcel counts.
+function quartileFacilityShares(quartiles, types) {
+  var sorted = nodes.slice().sort(function(a, b) { return (a.gfa || 0) - (b.gfa || 0); });
+  var start = 0;
+  return quartiles.map(function(r) {
+    var part = sorted.slice(start, start + r.parcels);
+    start += r.parcels;
+    var out = {};
+    types.forEach(function(t) {
+      var has = part.filter(function(n) { return (n.ft || '').split(',').some(function(f) { return f.trim() === t; }); }).length;
+      out[t] = part.length ? (has / part.length * 100).toFixed(1) + '%' : '&mdash;';
+    });
+    return out;
+  });
+}
+
+// ---- Equity measures (equity-metrics.js) ----
+// Every outcome is measured with the chosen weight and ranking; the breakdown is of
+// the chosen outcome. Redrawn when the classification changes, since it can be by category.
+var EQUITY_MIN_GROUP = 5;
+var EQUITY_GROUPS = {
+  category: { label: 'Category', of: function(n) { return n.category; }, name: function(k) { return CAT_LABELS[k] || k; } },
+  mrt: { label: 'MRT station catchment', of: function(n) { return n.nm || null; }, name: function(k) { return k; } },
+  bus: { label: 'Bus stop catchment', of: function(n) { return n.nb || null; }, name: function(k) { return k; } }
+};
+
+function initEquity() {
+  var panel = document.getElementById('equityPanel');
+  if (!panel) return;
+  if (!window.EquityMetrics) { panel.style.display = 'none'; return; }
+  var options = function(defs) {
+    return Object.keys(defs).map(function(k) { return '<option value="' + k + '">' + defs[k].label + '</option>'; }).join('');
+  };
+  document.getElementById('eqWeight').innerHTML = options(EquityMetrics.WEIGHTS);
+  document.getElementById('eqRank').innerHTML = options(EquityMetrics.RANKINGS);
+  document.getElementById('eqOutcome').innerHTML = options(EquityMetrics.OUTCOMES);
+  document.getElementById('eqGroup').innerHTML = options(EQUITY_GROUPS);
+  ['eqWeight', 'eqRank', 'eqOutcome', 'eqGroup'].forEach(function(id) {
+    document.getElementById(id).addEventListener('change', renderEquity);
+  });
+  if (categoryRules) categoryRules.onChange(renderEquity);
+  renderEquity();
+}
+
+function renderEquity() {
+  var weightKey = document.getElementById('eqWeight').value || 'parcels';
+  var rankKey = document.getElementById('eqRank').value || 'gfa';
+  var outcomeKey = document.getElementById('eqOutcome').value || 'facilities';
+  var groupKey = document.getElementById('eqGroup').value || 'category';
+  var weight = EquityMetrics.WEIGHTS[weightKey], rank = EquityMetrics.RANKINGS[rankKey];
+  var outcomes = Object.keys(EquityMetrics.OUTCOMES);
+  var index = function(v) { return isNaN(v) ? '&mdash;' : (v < 0 ? '\u2212' : '') + Math.abs(v).toFixed(3); };
+  var share = function(v) { return isNaN(v) ? '&mdash;' : (v * 100).toFixed(1) + '%'; };
+  var bottom = Math.round(EquityMetrics.BOTTOM_SHARE * 100) + '%', top = Math.round(EquityMetrics.TOP_SHARE * 100) + '%';
+  var each = { parcels: 'parcels', units: 'units', gfa: 'floor area' }[weightKey];
+  var one = { parcels: 'parcel', units: 'residential unit', gfa: 'square metre of floor area' }[weightKey];
+
+  // Table 5: every outcome under the chosen weight
+  var measures = {};
+  outcomes.forEach(function(k) {
+    measures[k] = EquityMetrics.measure(nodes, { value: EquityMetrics.OUTCOMES[k].value, weight: weight.value, rank: rank.value });
+  });
+  document.getElementById('eqDescription').textContent = weight.desc + '; concentration index ranked by ' + rank.label;
+  document.getElementById('eqTable').innerHTML = makeTable(
+    ['Outcome', 'Parcels', 'Mean', 'Gini', 'Theil', 'Bottom ' + bottom + ' Hold', 'Top ' + top + ' Hold', 'Conc. Index (' + rank.label + ')'],
+    outcomes.map(function(k) {
+      var m = measures[k];
+      return [EquityMetrics.OUTCOMES[k].label, fmt(m.n), isNaN(m.mean) ? '&mdash;' : m.mean.toFixed(2), index(m.gini), index(m.theil),
+        share(m.bottom), share(m.top), m.concentration ? index(m.concentration.index) : '&mdash;'];
+    }),
+    [false, true, true, true, true, true, true, true]
+  ) + '<p class="hint" style="margin-top:6px;">Gini 0 means every ' + one + ' has the same; the Lorenz curve then follows the equality line. A positive concentration index means the outcome is concentrated among parcels with higher '
+    + rank.label + ', a negative one among those with lower.</p>';
+
+  // Fig. 4f / 4g: Lorenz and concentration curves against the equality line
+  var colors = ['#2471a3', '#27ae60', '#d35400'];
+  var curveChart = function(id, curveOf, xLabel) {
+    var datasets = outcomes.map(function(k, i) {
+      var curve = EquityMetrics.sample(curveOf(measures[k]), 50) || [];
+      return { label: EquityMetrics.OUTCOMES[k].label, data: curve.map(function(pt) { return { x: +(pt.p * 100).toFixed(1), y: +(pt.c * 100).toFixed(1) }; }),
+        borderColor: colors[i], backgroundColor: colors[i], showLine: true, pointRadius: 0, borderWidth: 2, fill: false };
+    });
+    datasets.push({ label: 'Equality', data: [{ x: 0, y: 0 }, { x: 100, y: 100 }], showLine: true,
+      borderColor: '#566573', borderDash: [5, 4], borderWidth: 1, pointRadius: 0, fill: false });
+    replaceChart(id, { type: 'scatter', data: { datasets: datasets }, options: chartOpts(xLabel, 'Cumulative share of outcome (%)') });
+  };
+  curveChart('q4_lorenz', function(m) { return m.lorenz; }, 'Cumulative share of ' + each + ', least served first (%)');
+  curveChart('q4_concentration', function(m) { return m.concentration && m.concentration.curve; },
+    'Cumulative share of ' + each + ', lowest ' + rank.label + ' first (%)');
+
+  // Table 6: the chosen outcome within each group, and the Theil index split
+  var group = EQUITY_GROUPS[groupKey], outcome = EquityMetrics.OUTCOMES[outcomeKey];
+  var b = EquityMetrics.breakdown(nodes, group.of, { value: outcome.value, weight: weight.value, rank: rank.value });
+  var groups = b.groups.filter(function(g) { return g.n >= EQUITY_MIN_GROUP; })
+    .sort(function(x, y) { return (isNaN(y.gini) ? -1 : y.gini) - (isNaN(x.gini) ? -1 : x.gini); });
+  var shown = groupKey === 'category' ? groups : groups.slice(0, 20);
+  var total = b.within + b.between;
+  document.getElementById('eqBreakdown').innerHTML = (total > 0 ? '<p style="font-size:12px;margin-bottom:6px;">Theil index of '
+    + outcome.label.toLowerCase() + ' ' + index(total) + ': <strong>' + (b.within / total * 100).toFixed(1) + '%</strong> is inequality within '
+    + (groupKey === 'category' ? 'categories' : 'catchments') + ', <strong>' + (b.between / total * 100).toFixed(1) + '%</strong> is between their means.'
+    + (shown.length < groups.length ? ' The ' + shown.length + ' most unequal of ' + groups.length + ' catchments are listed.' : '')
+    + (b.groups.length > groups.length ? ' Groups with fewer than ' + EQUITY_MIN_GROUP + ' parcels are left out of the table but not the split.' : '') + '</p>' : '')
+    + makeTable(
+      [group.label, 'Parcels', 'Mean', 'Share of Total', 'Gini', 'Theil', 'Bottom ' + bottom + ' Hold', 'Conc. Index (' + rank.label + ')'],
+      shown.map(function(g) {
+        return [(groupKey === 'category' ? '<span style="color:' + (CAT_COLORS[g.key] || '#95a5a6') + '">&#9679;</span> ' : '') + escHtml(group.name(g.key)),
+          fmt(g.n), isNaN(g.mean) ? '&mdash;' : g.mean.toFixed(2), share(g.share), index(g.gini), index(g.theil), share(g.bottom),
+          g.concentration ? index(g.concentration.index) : '&mdash;'];
+      }),
+      [false, true, true, true, true, true, true, true]
+    );
 }
 
 // ============================================================
 // Q MAP HELPER
 // ============================================================
 var qMaps = {};
+// Each Q map can be coloured by its metric, by one of the user's derived metrics,
+// by category, or by graph community. A metric can also be shown as Gi* hot and
+// cold spots or LISA clusters (spatial-stats.js) over a chosen neighbourhood.
 function createQMap(containerId, prop, label) {
   var map = L.map(containerId, { attributionControl: false }).setView([1.3521, 103.8198], 12);
   L.tileLayer(TILE_URL, { attribution: TILE_ATTR, maxZoom: 18 }).addTo(map);
-  var vals = nodes.filter(function(n) { return n[prop] > 0; }).map(function(n) { return n[prop]; });
-  var min = Math.min.apply(null, vals), max = Math.max.apply(null, vals);
-  if (min === max) max = min + 1;
+  var baseProp = prop, baseLabel = label, derived = null;
+  var min, max;
+  // Colour range; the dataset fields use 0 for "no value", derived metrics use null and may go below 0
+  function setRange() {
+    var vals = nodes.map(function(n) { return n[prop]; }).filter(function(v) {
+      return derived ? v != null && isFinite(v) : v > 0;
+    });
+    min = vals.length ? Math.min.apply(null, vals) : 0;
+    max = vals.length ? Math.max.apply(null, vals) : 1;
+    if (min === max) max = min + 1;
+  }
+  setRange();
+  var mode = 'metric', part = null, layer = null;
+  var pattern = 'values', neighbourhood = 'd800', stats = null, pending = false, analysisSeq = 0;
+  // Local and global statistics of the shown metric, computed in the background; stats
+  // stays null (plain values) while they are computed, and `done` runs once they arrive
+  function analyse(done) {
+    var seq = ++analysisSeq;
+    stats = null;
+    pending = pattern !== 'values' && mode === 'metric' && !!window.SpatialStats;
+    if (!pending) return;
+    spatialAnalysis(prop, !!derived, pattern, neighbourhood).then(function(result) {
+      if (seq !== analysisSeq) return;
+      pending = false;
+      stats = result;
+      done();
+    }, function() {
+      if (seq !== analysisSeq) return;
+      pending = false;
+      done();
+    });
+  }
+  function fillFor(n) {
+    if (mode === 'category') return n ? (CAT_COLORS[n.category] || '#95a5a6') : '#ccc';
+    if (mode === 'community') {
+      var c = n ? part.labels[nodeIndex(n)] : 0;
+      return c && part.sizes[c - 1] > 1 ? GraphMetrics.clusterColor(c) : '#d5d8dc';
+    }
+    if (stats) return stats.classes[n ? stats.local.classes[nodeIndex(n)] : 'none'].color;
+    if (derived && (!n || n[prop] == null)) return '#d5d8dc';
+    var v = n ? (n[prop] || 0) : 0;
+    return interpolateColor((v - min) / (max - min));
+  }
   if (D.geojson && D.geojson.features.length > 0) {
-    L.geoJSON(D.geojson, {
+    layer = L.geoJSON(D.geojson, {
       style: function(feature) {
-        var n = nodeMap[feature.properties.id];
-        var v = n ? (n[prop] || 0) : 0;
-        return { fillColor: interpolateColor((v - min) / (max - min)), weight: 0.5, color: '#666', fillOpacity: 0.65 };
+        return { fillColor: fillFor(nodeMap[feature.properties.id]), weight: 0.5, color: '#666', fillOpacity: 0.65 };
       },
       onEachFeature: function(feature, layer) {
         var n = nodeMap[feature.properties.id];
         if (n) {
-          layer.bindPopup('<strong>' + n.id + '</strong><br>' + label + ': ' + fmt(n[prop])
-            + '<br>' + (CAT_LABELS[n.category] || n.category)
-            + (n.gfa ? '<br>GFA: ' + fmt(n.gfa) + ' m\u00B2' : '')
-            + (n.e ? '<br>Energy: ' + fmt(n.e) + ' kWh' : '')
-            + '<br>Transit: ' + n.ti + ' | Diversity: ' + n.div);
+          layer.bindPopup(function() {
+            return '<strong>' + n.id + '</strong><br>' + label + ': ' + (n[prop] == null ? '&mdash;' : fmt(n[prop]))
+              + '<br>' + (CAT_LABELS[n.category] || n.category)
+              + (n.gfa ? '<br>GFA: ' + fmt(n.gfa) + ' m\u00B2' : '')
+              + (n.e ? '<br>Energy: ' + fmt(n.e) + ' kWh' : '')
+              + '<br>Transit: ' + n.ti + ' | Diversity: ' + n.div
+              + (part ? '<br>Community: ' + part.labels[nodeIndex(n)] : '')
+              + (stats ? '<br>' + spatialPopup(stats, nodeIndex(n)) : '');
+          });
         }
       }
     }).addTo(map);
   }
-  var legend = L.control({ position: 'bottomright' });
-  legend.onAdd = function() {
-    var div = L.DomUtil.create('div');
-    div.style.cssText = 'padding:8px 10px;font-family:Segoe UI,sans-serif;font-size:10px;background:rgba(255,255,255,0.92);border:1px solid #d5d8dc;border-radius:4px;';
-    div.innerHTML = '<div style="font-weight:600;margin-bottom:4px;">' + label + '</div>'
+  var legendDiv = null;
+  function legendHtml() {
+    if (mode === 'category') {
+      return '<div style="font-weight:600;margin-bottom:4px;">Category</div>' + Object.keys(CAT_LABELS).map(function(c) {
+        return '<div><span style="display:inline-block;width:9px;height:9px;border-radius:50%;margin-right:4px;background:' + CAT_COLORS[c] + '"></span>' + CAT_LABELS[c] + '</div>';
+      }).join('');
+    }
+    if (mode === 'community') {
+      var multi = part.sizes.filter(function(s) { return s > 1; }).length;
+      var h = '<div style="font-weight:600;margin-bottom:4px;">Community (' + multi + ', Q = ' + part.modularity.toFixed(3) + ')</div>';
+      for (var c = 1; c <= Math.min(multi, 8); c++) {
+        h += '<div><span style="display:inline-block;width:9px;height:9px;border-radius:2px;margin-right:4px;background:' + GraphMetrics.clusterColor(c) + '"></span>'
+          + c + ' &middot; ' + fmt(part.sizes[c - 1]) + ' parcels</div>';
+      }
+      return h;
+    }
+    if (stats) return spatialLegend(stats, label, pattern, neighbourhood);
+    if (pending) {
+      return '<div style="font-weight:600;margin-bottom:4px;">' + label + '</div><div>Computing '
+        + (pattern === 'hotspots' ? 'hot spots' : 'clusters') + ' over ' + spatialNeighbourLabel(neighbourhood) + '&hellip;</div>';
+    }
+    return '<div style="font-weight:600;margin-bottom:4px;">' + label + '</div>'
       + '<div style="display:flex;height:10px;border-radius:2px;overflow:hidden;">'
       + [0, 0.25, 0.5, 0.75, 1].map(function(t) { return '<div style="flex:1;background:' + interpolateColor(t) + '"></div>'; }).join('')
       + '</div><div style="display:flex;justify-content:space-between;margin-top:2px;"><span>' + fmt(min) + '</span><span>' + fmt(max) + '</span></div>';
-    return div;
+  }
+  var legend = L.control({ position: 'bottomright' });
+  legend.onAdd = function() {
+    legendDiv = L.DomUtil.create('div');
+    legendDiv.style.cssText = 'padding:8px 10px;font-family:Segoe UI,sans-serif;font-size:10px;background:rgba(255,255,255,0.92);border:1px solid #d5d8dc;border-radius:4px;';
+    legendDiv.innerHTML = legendHtml();
+    return legendDiv;
   };
   legend.addTo(map);
+
+  var picker = L.control({ position: 'topright' });
+  picker.onAdd = function() {
+    var div = L.DomUtil.create('div');
+    div.style.cssText = 'padding:4px 6px;font-family:Segoe UI,sans-serif;font-size:11px;background:rgba(255,255,255,0.92);border:1px solid #d5d8dc;border-radius:4px;';
+    div.innerHTML = 'Colour by <select style="font-size:11px"></select>'
+      + (window.SpatialStats ? '<div class="q-map-pattern" style="margin-top:4px;">Show <select style="font-size:11px">'
+        + '<option value="values">Values</option><option value="hotspots">Hot spots (Gi*)</option><option value="lisa">Clusters (LISA)</option>'
+        + '</select> <span style="display:none;">over <select style="font-size:11px">' + spatialNeighbourOptions() + '</select></span></div>' : '');
+    L.DomEvent.disableClickPropagation(div);
+    var select = div.querySelector('select');
+    var patternRow = window.SpatialStats ? div.querySelector('.q-map-pattern') : null;
+    function fillOptions() {
+      var custom = derivedMetrics ? derivedMetrics.list() : [];
+      select.innerHTML = '<option value="metric">' + baseLabel + '</option>'
+        + custom.map(function(m) { return '<option value="dm:' + m.name + '">' + escHtml(m.label) + '</option>'; }).join('')
+        + '<option value="category">Category</option>'
+        + (window.GraphMetrics ? '<option value="community">Community</option>' : '');
+      select.value = derived ? 'dm:' + derived : mode;
+    }
+    function apply(value) {
+      var def = value.indexOf('dm:') === 0 && derivedMetrics ? derivedMetrics.get(value.slice(3)) : null;
+      mode = def || value.indexOf('dm:') === 0 ? 'metric' : value;
+      derived = def ? def.name : null;
+      prop = def ? def.key : baseProp;
+      label = def ? escHtml(def.label + (def.unit ? ' (' + def.unit + ')' : '')) : baseLabel;
+      setRange();
+      if (mode === 'community' && !part) part = GraphMetrics.shared(nodes, adj).communities();
+      if (patternRow) patternRow.style.display = mode === 'metric' ? '' : 'none';
+      restyle();
+    }
+    function restyle() {
+      analyse(paint);
+      paint();
+    }
+    function paint() {
+      if (layer) layer.setStyle(function(feature) { return { fillColor: fillFor(nodeMap[feature.properties.id]) }; });
+      if (legendDiv) legendDiv.innerHTML = legendHtml();
+    }
+    select.addEventListener('change', function() { apply(this.value); });
+    if (patternRow) {
+      var selects = patternRow.querySelectorAll('select');
+      selects[0].addEventListener('change', function() {
+        pattern = this.value;
+        selects[1].parentNode.style.display = pattern === 'values' ? 'none' : '';
+        restyle();
+      });
+      selects[1].value = neighbourhood;
+      selects[1].addEventListener('change', function() { neighbourhood = this.value; restyle(); });
+    }
+    // An edited classification moves parcels between categories and may recolour them
+    if (categoryRules) {
+      categoryRules.onChange(function() { if (mode === 'category') apply('category'); });
+    }
+    // A redefined metric gets a new range; a removed one falls back to the map's own metric
+    if (derivedMetrics) {
+      derivedMetrics.onChange(function() {
+        var current = derived ? 'dm:' + derived : mode;
+        fillOptions();
+        if (derived) apply(derivedMetrics.get(derived) ? current : 'metric');
+        select.value = derived ? 'dm:' + derived : mode;
+      });
+    }
+    fillOptions();
+    return div;
+  };
+  picker.addTo(map);
   qMaps[containerId.replace('Map', '')] = map;
 }
 
+// ---- Spatial autocorrelation layer (spatial-stats.js) ----
+// Neighbour lists and results are computed in slices (SpatialStats.runAsync) and cached
+// as promises shared by the Q maps. Neighbourhoods are "d<metres>" for a distance band
+// over the parcel centroids, "e:<edge type>" for graph neighbours ("e:" for any relationship).
+var spatialNeighbourCache = {};
+var spatialResultCache = {};   // "<field>|<neighbourhood>|<statistic>" -> promise
+// A redefined custom metric has new values, so its results are dropped
+if (derivedMetrics) {
+  derivedMetrics.onChange(function() {
+    Object.keys(spatialResultCache).forEach(function(k) { if (k.indexOf('dm_') === 0) delete spatialResultCache[k]; });
+  });
+}
+
+function spatialNeighbours(key) {
+  if (!spatialNeighbourCache[key]) {
+    spatialNeighbourCache[key] = key.charAt(0) === 'd'
+      ? SpatialStats.runAsync('distanceBand', [nodes, +key.slice(1)])
+      : Promise.resolve(SpatialStats.graphNeighbours(adj, key.length > 2 ? [key.slice(2)] : null));
+  }
+  return spatialNeighbourCache[key];
+}
+
+// Local statistic (Gi* or LISA) and global Moran's I of a node field. Dataset fields
+// use 0 for "no value", custom metrics null.
+function spatialAnalysis(field, derived, pattern, neighbourhood) {
+  var statistic = pattern === 'hotspots' ? 'getisOrd' : 'lisa';
+  return spatialNeighbours(neighbourhood).then(function(nbrs) {
+    var values = null;
+    var cached = function(name) {
+      var key = field + '|' + neighbourhood + '|' + name;
+      if (!spatialResultCache[key]) {
+        values = values || nodes.map(function(n) {
+          var v = n[field];
+          return derived ? (v == null ? null : v) : (v > 0 ? v : null);
+        });
+        spatialResultCache[key] = SpatialStats.runAsync(name, [values, nbrs]);
+        spatialResultCache[key].catch(function() { delete spatialResultCache[key]; });
+      }
+      return spatialResultCache[key];
+    };
+    return Promise.all([cached(statistic), cached('moran')]);
+  }).then(function(r) {
+    return { local: r[0], global: r[1], classes: pattern === 'hotspots' ? SpatialStats.HOTSPOT_CLASSES : SpatialStats.LISA_CLASSES };
+  });
+}
+
+function spatialNeighbourLabel(key) {
+  if (key.charAt(0) === 'd') return 'parcels within ' + fmt(+key.slice(1)) + ' m';
+  return key.length > 2 ? escHtml(EDGE_LABELS[key.slice(2)] || key.slice(2)) + ' neighbours' : 'graph neighbours';
+}
+
+function spatialNeighbourOptions() {
+  return '<optgroup label="Distance band">' + SpatialStats.DISTANCE_BANDS.map(function(m) {
+    return '<option value="d' + m + '">' + fmt(m) + ' m</option>';
+  }).join('') + '</optgroup><optgroup label="Graph edges"><option value="e:">Any relationship</option>'
+    + Object.keys(EDGE_LABELS).map(function(t) { return '<option value="e:' + t + '">' + EDGE_LABELS[t] + '</option>'; }).join('')
+    + '</optgroup>';
+}
+
+function spatialP(p) {
+  return p < 0.001 ? 'p &lt; 0.001' : 'p = ' + p.toFixed(3);
+}
+
+// Legend of a hot-spot or LISA layer: each class with its parcel count, then global Moran's I
+function spatialLegend(stats, label, pattern, neighbourhood) {
+  var g = stats.global;
+  var h = '<div style="font-weight:600;margin-bottom:4px;">' + label + ' &mdash; ' + (pattern === 'hotspots' ? 'Getis-Ord Gi*' : 'Local Moran') + '</div>';
+  Object.keys(stats.classes).forEach(function(c) {
+    h += '<div><span style="display:inline-block;width:9px;height:9px;border-radius:2px;margin-right:4px;border:1px solid #d5d8dc;background:'
+      + stats.classes[c].color + '"></span>' + stats.classes[c].label + ' &middot; ' + fmt(stats.local.counts[c]) + '</div>';
+  });
+  h += '<div style="margin-top:4px;">Neighbours: ' + spatialNeighbourLabel(neighbourhood) + '</div>';
+  if (isNaN(g.I)) return h + '<div>Too few parcels with a value and a neighbour.</div>';
+  return h + '<div>Moran\u2019s I = ' + g.I.toFixed(3) + ' (z = ' + g.z.toFixed(2) + ', ' + spatialP(g.p) + ')</div>'
+    + '<div style="color:#7f8c8d;">' + (g.I > g.expected && g.p < 0.05 ? 'Similar values cluster.' : g.I < g.expected && g.p < 0.05 ? 'Neighbours tend to differ.' : 'No clear spatial pattern.')
+    + (pattern === 'lisa' ? ' Clusters and outliers at the ' + Math.round(SpatialStats.ALPHA * 100) + '% level from ' + SpatialStats.PERMUTATIONS + ' permutations,'
+      : ' Confidence from the Gi* z-score,') + ' not adjusted for multiple testing.</div>';
+}
+
+function spatialPopup(stats, idx) {
+  var cls = stats.local.classes[idx];
+  var detail = cls === 'none' ? '' : stats.local.z
+    ? ' (z = ' + stats.local.z[idx].toFixed(2) + ', ' + spatialP(stats.local.p[idx]) + ')'
+    : ' (I = ' + stats.local.I[idx].toFixed(2) + ', pseudo ' + spatialP(stats.local.p[idx]) + ')';
+  return stats.classes[cls].label + detail;
+}
+
+// Index of a node in nodes / adj, built on first use
+var nodeIndexMap = null;
+function nodeIndex(n) {
+  if (!nodeIndexMap) {
+    nodeIndexMap = new Map();
+    nodes.forEach(function(d, i) { nodeIndexMap.set(d, i); });
+  }
+  return nodeIndexMap.get(n);
+}
+
 // ============================================================
 // ONTOLOGY
 // ============================================================
@@ -0,0 +1,296 @@
+/* ============================================================
+   Singapore Urban Knowledge Graph Explorer — Category Rules
+   The parcel classification as editable rules, for "what if"
+   questions about the thresholds. Rules are tried in priority
+   order and the first one whose conditions hold gives the
+   category; the last rule has none and catches the rest.
+   Applying a scheme rewrites `category` on the parcel nodes, so
+   everything that reads categories follows it; the pipeline's
+   own categories are kept and can be restored.
+
+   Exports: window.CategoryRules in the browser; module.exports
+   under CommonJS (Node)
+   ============================================================ */
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.CategoryRules = factory();
+})(typeof self !== 'undefined' ? self : this, () => {
+  'use strict';
+
+  // Names a condition may use for node fields, with how they are described
+  const FIELDS = {
+    transit:   { key: 'ti',  label: 'Transit Index',   unit: '' },
+    diversity: { key: 'div', label: 'Diversity Index', unit: '' },
+    gfa:       { key: 'gfa', label: 'GFA',             unit: 'm²' },
+    energy:    { key: 'e',   label: 'Energy',          unit: 'kWh/yr' },
+    buildings: { key: 'b',   label: 'Buildings',       unit: '' },
+    units:     { key: 'u',   label: 'Est. Units',      unit: '' },
+    levels:    { key: 'lvl', label: 'Avg Levels',      unit: '' },
+    bus:       { key: 'bd',  label: 'Bus Distance',    unit: 'm' },
+    mrt:       { key: 'md',  label: 'MRT Distance',    unit: 'm' }
+  };
+  const BY_KEY = {};
+  Object.entries(FIELDS).forEach(([name, f]) => { BY_KEY[f.key] = name; });
+
+  const OPS = {
+    '>=': (a, b) => a >= b,
+    '>':  (a, b) => a > b,
+    '<=': (a, b) => a <= b,
+    '<':  (a, b) => a < b,
+    '=':  (a, b) => a === b
+  };
+
+  // The pipeline's classification, in priority order
+  const DEFAULT_RULES = [
+    { key: 'TransitOrientedDense', label: 'Transit-Oriented Dense', color: '#c0392b', when: 'transit >= 0.8 and gfa > 100000' },
+    { key: 'TransitOriented',      label: 'Transit-Oriented',       color: '#e67e22', when: 'transit >= 0.7' },
+    { key: 'LifestyleHub',         label: 'Lifestyle Hub',          color: '#27ae60', when: 'diversity >= 0.85' },
+    { key: 'HighDensity',          label: 'High Density',           color: '#8e44ad', when: 'gfa > 200000' },
+    { key: 'Peripheral',           label: 'Peripheral',             color: '#7f8c8d', when: 'transit < 0.3' },
+    { key: 'StandardResidential',  label: 'Standard Residential',   color: '#2980b9', when: '' }
+  ];
+
+  const MAX_RULES = 12;
+
+  // ----------------------------------------------------------
+  // Conditions
+  // ----------------------------------------------------------
+
+  /**
+   * Parse a condition such as "transit >= 0.75 and gfa > 100k" into
+   * alternatives of clauses: [[{ field, key, op, value }, ...], ...], one
+   * inner list per "or". Numbers may use commas and k / m suffixes.
+   * An empty condition gives [] (matches every parcel).
+   * Throws an Error describing the first problem.
+   */
+  function parseCondition(text) {
+    const src = String(text == null ? '' : text).trim();
+    if (!src) return [];
+    return src.split(/\s+or\s+|\s*\|\|\s*/i).map(alt => alt.split(/\s+and\s+|\s*&&?\s*/i).map(clause => {
+      const m = clause.trim().match(/^([a-z_]+)\s*(>=|<=|≥|≤|==|=|>|<)\s*(-?[\d,]*\.?\d+)\s*([km])?$/i);
+      if (!m) throw new Error(`Cannot read "${clause.trim()}"; write it as field, comparison and number, e.g. transit >= 0.75.`);
+      const name = m[1].toLowerCase();
+      const field = FIELDS[name] ? name : BY_KEY[name];
+      if (!field) throw new Error(`Unknown field "${m[1]}". Use: ${Object.keys(FIELDS).join(', ')}.`);
+      const op = { '≥': '>=', '≤': '<=', '==': '=' }[m[2]] || m[2];
+      const value = parseFloat(m[3].replace(/,/g, '')) * (m[4] ? (m[4].toLowerCase() === 'k' ? 1e3 : 1e6) : 1);
+      return { field, key: FIELDS[field].key, op, value };
+    }));
+  }
+
+  /** Whether a node meets a parsed condition; a missing field fails its clause */
+  function matches(alternatives, d) {
+    if (!alternatives.length) return true;
+    return alternatives.some(clauses => clauses.every(c => {
+      const v = d[c.key];
+      return v != null && !isNaN(v) && OPS[c.op](+v, c.value);
+    }));
+  }
+
+  function fmtValue(v) {
+    return v.toLocaleString('en-US', { maximumFractionDigits: 6 });
+  }
+
+  /** Readable description of a parsed condition, e.g. "Transit Index >= 0.8 AND GFA > 100,000 m²" */
+  function describeCondition(alternatives) {
+    if (!alternatives.length) return 'Default (none of the above)';
+    return alternatives.map(clauses => clauses.map(c => {
+      const f = FIELDS[c.field];
+      return `${f.label} ${c.op} ${fmtValue(c.value)}${f.unit ? ` ${f.unit}` : ''}`;
+    }).join(' AND ')).join(' OR ');
+  }
+
+  function copyRule({ key, label, color, when, desc, test }) {
+    return { key, label, color, when, desc, test: test.map(clauses => clauses.map(c => Object.assign({}, c))) };
+  }
+
+  /** Category key for a label: "Car-Lite Core" -> "CarLiteCore" */
+  function keyFor(label) {
+    const key = label.replace(/[^A-Za-z0-9 ]+/g, ' ').trim().split(/\s+/)
+      .map(w => w[0].toUpperCase() + w.slice(1)).join('');
+    return /^[A-Za-z]/.test(key) ? key : `Category${key}`;
+  }
+
+  // ----------------------------------------------------------
+  // CategoryRules class
+  // ----------------------------------------------------------
+  class CategoryRules {
+    constructor() {
+      this.rules = this._validate(DEFAULT_RULES);
+      this.custom = false;
+      this.original = new Map();  // node -> the category it came with
+      this.nodeSets = [];         // node arrays the categories are written onto
+      this.listeners = [];
+    }
+
+    /**
+     * Active rules in priority order: [{ key, label, color, when, desc, test }], where
+     * `test` is the parsed condition (see parseCondition()).
+     */
+    list() {
+      return this.rules.map(copyRule);
+    }
+
+    /** The pipeline's rules, in the same shape as list() */
+    defaults() {
+      return this._validate(DEFAULT_RULES).map(copyRule);
+    }
+
+    /** Whether a scheme other than the pipeline's is in force */
+    isCustom() {
+      return this.custom;
+    }
+
+    /**
+     * Reclassify every attached node with new rules. Throws an Error with a
+     * readable message when a rule is not valid; nothing changes then.
+     * @param {Array<{ key?:string, label:string, color?:string, when:string }>} rules - In priority order;
+     *   only the last may have an empty condition. New categories get a key made from their label.
+     */
+    setRules(rules) {
+      this.rules = this._validate(rules);
+      this.custom = true;
+      this.nodeSets.forEach(nodes => this._write(nodes));
+      this._emit();
+      return this.list();
+    }
+
+    /** Go back to the pipeline's rules and put every node's own category back */
+    reset() {
+      this.rules = this._validate(DEFAULT_RULES);
+      this.custom = false;
+      this.nodeSets.forEach(nodes => nodes.forEach(d => { d.category = this.pipelineCategory(d); }));
+      this._emit();
+    }
+
+    /**
+     * Keep the categories of these nodes in step with the rules. The
+     * category each node has now is remembered as its pipeline category.
+     */
+    attach(nodes) {
+      if (this.nodeSets.includes(nodes)) return this;
+      nodes.forEach(d => { if (!this.original.has(d)) this.original.set(d, d.category); });
+      this.nodeSets.push(nodes);
+      if (this.custom) this._write(nodes);
+      return this;
+    }
+
+    /** The category a node had before any scheme was applied */
+    pipelineCategory(d) {
+      return this.original.has(d) ? this.original.get(d) : d.category;
+    }
+
+    /** Category key for one node under the active rules, or under the given validated rules */
+    classify(d, rules) {
+      const rule = (rules || this.rules).find(r => matches(r.test, d));
+      return rule ? rule.key : null;
+    }
+
+    /**
+     * Old -> new category counts for a set of nodes. Without `rules` this
+     * compares the pipeline categories with the current ones; with them it
+     * previews that scheme without applying it (and throws like setRules()).
+     * @returns {{ from:string[], to:string[], counts:Object<string, Object<string, number>>,
+     *             changed:number, total:number, labels:Object<string, string>, colors:Object<string, string> }}
+     */
+    transitions(nodes, rules) {
+      const scheme = rules ? this._validate(rules) : this.rules;
+      const counts = {};
+      let changed = 0;
+      nodes.forEach(d => {
+        const from = this.pipelineCategory(d);
+        const to = rules ? this.classify(d, scheme) : d.category;
+        if (!counts[from]) counts[from] = {};
+        counts[from][to] = (counts[from][to] || 0) + 1;
+        if (from !== to) changed++;
+      });
+      const labels = {};
+      const colors = {};
+      this._validate(DEFAULT_RULES).concat(scheme).forEach(r => {
+        labels[r.key] = r.label;
+        colors[r.key] = r.color;
+      });
+      const pipelineOrder = DEFAULT_RULES.map(r => r.key);
+      const from = Object.keys(counts).sort((a, b) => {
+        const ia = pipelineOrder.indexOf(a), ib = pipelineOrder.indexOf(b);
+        return (ia < 0 ? Infinity : ia) - (ib < 0 ? Infinity : ib);
+      });
+      return { from, to: scheme.map(r => r.key), counts, changed, total: nodes.length, labels, colors };
+    }
+
+    /**
+     * Make label and colour lookups (keyed by category) match the active
+     * rules: categories no longer used are removed and new ones appended,
+     * so the existing ones keep their display order.
+     */
+    syncInto(labels, colors) {
+      const keys = new Set(this.rules.map(r => r.key));
+      [labels, colors].forEach(obj => Object.keys(obj).forEach(k => { if (!keys.has(k)) delete obj[k]; }));
+      this.rules.forEach(r => {
+        labels[r.key] = r.label;
+        colors[r.key] = r.color;
+      });
+    }
+
+    /** Call fn() after every change to the rules */
+    onChange(fn) {
+      this.listeners.push(fn);
+    }
+
+    _write(nodes) {
+      nodes.forEach(d => { d.category = this.classify(d); });
+    }
+
+    _validate(rules) {
+      if (!Array.isArray(rules) || !rules.length) throw new Error('Give at least one rule.');
+      if (rules.length > MAX_RULES) throw new Error(`Keep to ${MAX_RULES} categories or fewer.`);
+      const seen = new Set();
+      const names = new Set();
+      return rules.map((spec, i) => {
+        const label = String(spec.label || '').trim().slice(0, 40);
+        if (!label) throw new Error(`Rule ${i + 1} needs a category name.`);
+        if (!/^[A-Za-z0-9][A-Za-z0-9 '().,\/+-]*$/.test(label)) {
+          throw new Error(`"${label}": category names use letters, digits, spaces and - ' ( ) . , / +`);
+        }
+        if (names.has(label.toLowerCase())) throw new Error(`Two rules are called ${label}; each category has one rule.`);
+        names.add(label.toLowerCase());
+        let key = String(spec.key || '').trim() || keyFor(label);
+        if (!/^[A-Za-z][A-Za-z0-9]*$/.test(key)) throw new Error(`"${key}" is not a usable category key.`);
+        if (seen.has(key)) {
+          if (spec.key) throw new Error(`${label} appears twice; each category has one rule.`);
+          let n = 2;
+          while (seen.has(`${key}${n}`)) n++;
+          key = `${key}${n}`;
+        }
+        seen.add(key);
+        const color = /^#[0-9a-f]{6}$/i.test(spec.color || '') ? spec.color.toLowerCase() : '#95a5a6';
+        const when = String(spec.when == null ? '' : spec.when).trim();
+        let test;
+        try {
+          test = parseCondition(when);
+        } catch (err) {
+          throw new Error(`${label}: ${err.message}`);
+        }
+        const last = i === rules.length - 1;
+        if (!test.length && !last) throw new Error(`${label} has no condition; only the last rule catches everything else.`);
+        if (test.length && last) throw new Error(`The last rule (${label}) must have no condition, so every parcel gets a category.`);
+        return { key, label, color, when, test, desc: describeCondition(test) };
+      });
+    }
+
+    _emit() {
+      this.listeners.forEach(fn => fn(this));
+    }
+  }
+
+  CategoryRules.FIELDS = Object.keys(FIELDS);
+  CategoryRules.DEFAULT_RULES = DEFAULT_RULES.map(r => Object.assign({}, r));
+  CategoryRules.parseCondition = parseCondition;
+  CategoryRules.describeCondition = describeCondition;
+
+  // ----------------------------------------------------------
+  // Export
+  // ----------------------------------------------------------
+  return CategoryRules;
+
+});
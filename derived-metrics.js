@@ -0,0 +1,358 @@
+/* ============================================================
+   Singapore Urban Knowledge Graph Explorer — Derived Metrics
+   User-defined metrics computed from node fields with a small
+   arithmetic language ("energy / gfa", "sqrt(gfa) * levels").
+   Expressions are parsed, never evaluated as script. Values are
+   written onto the parcel nodes under a "dm_" key, so the query
+   engine, the Q maps and the Network Explorer read them like
+   any other field. Definitions persist in localStorage when a
+   storage is given.
+
+   Exports: window.DerivedMetrics in the browser; module.exports
+   under CommonJS (Node)
+   ============================================================ */
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.DerivedMetrics = factory();
+})(typeof self !== 'undefined' ? self : this, () => {
+  'use strict';
+
+  // Names an expression may use for node fields; the raw keys work too
+  const FIELDS = {
+    energy: 'e', gfa: 'gfa', transit: 'ti', diversity: 'div', buildings: 'b',
+    units: 'u', levels: 'lvl', bus: 'bd', mrt: 'md'
+  };
+  const RAW_KEYS = new Set(Object.values(FIELDS));
+  // Measures the query engine computes itself; a metric under one of these names would never be asked for
+  const RESERVED = new Set(['degree', 'wdegree', 'pagerank', 'betweenness', 'clustering', 'centrality', 'community']);
+
+  // Functions an expression may call: [min args, max args, implementation]
+  const FUNCTIONS = {
+    abs:   [1, 1, Math.abs],
+    sqrt:  [1, 1, Math.sqrt],
+    log:   [1, 1, Math.log],
+    log10: [1, 1, Math.log10],
+    exp:   [1, 1, Math.exp],
+    round: [1, 1, Math.round],
+    min:   [1, Infinity, Math.min],
+    max:   [1, Infinity, Math.max]
+  };
+
+  // Labels and units end up in result titles and tables, so they are plain text
+  const TEXT_RE = /^[A-Za-z0-9 '().,\/+%\u00b2\u00b3\u00b0-]*$/;
+
+  const STORAGE_KEY = 'kgExplorer.derivedMetrics';
+  const KEY_PREFIX = 'dm_';
+  const MAX_EXPRESSION = 200;
+
+  // ----------------------------------------------------------
+  // Expressions
+  // ----------------------------------------------------------
+
+  /** Split an expression into number, name and operator tokens */
+  function tokenize(text) {
+    const tokens = [];
+    const re = /\s*(?:(\d+(?:\.\d+)?(?:e[+-]?\d+)?|\.\d+)|([a-z_][a-z0-9_]*)|([-+*/^(),×÷]))/iy;
+    let pos = 0;
+    while (pos < text.length) {
+      if (/^\s*$/.test(text.slice(pos))) break;
+      re.lastIndex = pos;
+      const m = re.exec(text);
+      if (!m) throw new Error(`Unexpected "${text.slice(pos).trim()[0]}" at position ${pos + 1}.`);
+      const at = m.index + m[0].length - (m[1] || m[2] || m[3]).length;
+      if (m[1]) tokens.push({ t: 'num', v: parseFloat(m[1]), at });
+      else if (m[2]) tokens.push({ t: 'name', v: m[2].toLowerCase(), at });
+      else tokens.push({ t: 'op', v: m[3] === '×' ? '*' : m[3] === '÷' ? '/' : m[3], at });
+      pos = re.lastIndex;
+    }
+    return tokens;
+  }
+
+  /**
+   * Parse an expression into a tree:
+   * { t:'num', v } | { t:'field', key } | { t:'neg', a } | { t:'op', op, a, b } | { t:'call', fn, args }.
+   * Grammar: sum = product (("+" | "-") product)*; product = unary (("*" | "/") unary)*;
+   * unary = "-" unary | power; power = primary ("^" unary)?; primary = number | field | fn(args) | (sum).
+   * Throws an Error describing the first problem.
+   */
+  function parse(text) {
+    if (typeof text !== 'string' || !text.trim()) throw new Error('The expression is empty.');
+    if (text.length > MAX_EXPRESSION) throw new Error(`Keep the expression under ${MAX_EXPRESSION} characters.`);
+    const tokens = tokenize(text);
+    let pos = 0;
+    const peek = v => tokens[pos] && tokens[pos].t === 'op' && tokens[pos].v === v;
+    const where = () => (tokens[pos] ? `at position ${tokens[pos].at + 1}` : 'at the end');
+    const expect = v => {
+      if (!peek(v)) throw new Error(`Expected "${v}" ${where()}.`);
+      pos++;
+    };
+
+    const sum = () => {
+      let node = product();
+      while (peek('+') || peek('-')) {
+        const op = tokens[pos++].v;
+        node = { t: 'op', op, a: node, b: product() };
+      }
+      return node;
+    };
+    const product = () => {
+      let node = unary();
+      while (peek('*') || peek('/')) {
+        const op = tokens[pos++].v;
+        node = { t: 'op', op, a: node, b: unary() };
+      }
+      return node;
+    };
+    const unary = () => {
+      if (peek('-')) {
+        pos++;
+        return { t: 'neg', a: unary() };
+      }
+      if (peek('+')) {
+        pos++;
+        return unary();
+      }
+      return power();
+    };
+    const power = () => {
+      const node = primary();
+      if (peek('^')) {
+        pos++;
+        return { t: 'op', op: '^', a: node, b: unary() };
+      }
+      return node;
+    };
+    const primary = () => {
+      const tok = tokens[pos];
+      if (!tok) throw new Error('The expression ends too early.');
+      if (tok.t === 'num') {
+        pos++;
+        return { t: 'num', v: tok.v };
+      }
+      if (tok.t === 'name') {
+        pos++;
+        if (peek('(')) {
+          const fn = FUNCTIONS[tok.v];
+          if (!fn) throw new Error(`Unknown function "${tok.v}". Use: ${Object.keys(FUNCTIONS).join(', ')}.`);
+          pos++;
+          const args = [sum()];
+          while (peek(',')) {
+            pos++;
+            args.push(sum());
+          }
+          expect(')');
+          if (args.length < fn[0] || args.length > fn[1]) {
+            throw new Error(`${tok.v}() takes ${fn[0] === fn[1] ? fn[0] : `at least ${fn[0]}`} argument${fn[0] === 1 && fn[1] === 1 ? '' : 's'}.`);
+          }
+          return { t: 'call', fn: tok.v, args };
+        }
+        const key = FIELDS[tok.v] || (RAW_KEYS.has(tok.v) ? tok.v : null);
+        if (!key) throw new Error(`Unknown field "${tok.v}". Use: ${Object.keys(FIELDS).join(', ')}.`);
+        return { t: 'field', key };
+      }
+      if (peek('(')) {
+        pos++;
+        const node = sum();
+        expect(')');
+        return node;
+      }
+      throw new Error(`Unexpected "${tok.v}" ${where()}.`);
+    };
+
+    const tree = sum();
+    if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].v}" ${where()}.`);
+    return tree;
+  }
+
+  /**
+   * Value of a parsed expression for one node. Missing fields, division
+   * by zero and other non-finite results give null.
+   */
+  function evaluate(node, d) {
+    switch (node.t) {
+      case 'num': return node.v;
+      case 'field': {
+        const v = d[node.key];
+        return v == null || isNaN(v) ? null : +v;
+      }
+      case 'neg': {
+        const a = evaluate(node.a, d);
+        return a == null ? null : -a;
+      }
+      case 'call': {
+        const args = node.args.map(x => evaluate(x, d));
+        if (args.some(a => a == null)) return null;
+        const v = FUNCTIONS[node.fn][2](...args);
+        return isFinite(v) ? v : null;
+      }
+      default: {
+        const a = evaluate(node.a, d);
+        const b = evaluate(node.b, d);
+        if (a == null || b == null) return null;
+        let v;
+        if (node.op === '+') v = a + b;
+        else if (node.op === '-') v = a - b;
+        else if (node.op === '*') v = a * b;
+        else if (node.op === '/') v = b === 0 ? null : a / b;
+        else v = Math.pow(a, b);
+        return v != null && isFinite(v) ? v : null;
+      }
+    }
+  }
+
+  /** Field keys an expression reads */
+  function fieldsOf(node, out) {
+    out = out || new Set();
+    if (node.t === 'field') out.add(node.key);
+    else if (node.t === 'call') node.args.forEach(x => fieldsOf(x, out));
+    else if (node.a) {
+      fieldsOf(node.a, out);
+      if (node.b) fieldsOf(node.b, out);
+    }
+    return out;
+  }
+
+  // ----------------------------------------------------------
+  // DerivedMetrics class
+  // ----------------------------------------------------------
+  class DerivedMetrics {
+    /**
+     * @param {Object} [opts]
+     * @param {Storage} [opts.storage] - Where definitions persist (e.g. window.localStorage); omit to keep them in memory
+     * @param {string} [opts.storageKey] - Storage key (default 'kgExplorer.derivedMetrics')
+     */
+    constructor(opts) {
+      opts = opts || {};
+      this.storage = opts.storage || null;
+      this.storageKey = opts.storageKey || STORAGE_KEY;
+      this.metrics = [];          // [{ name, label, unit, expr, key, tree }]
+      this.nodeSets = [];         // node arrays the values are written onto
+      this.listeners = [];
+      this._load();
+    }
+
+    /** Definitions in the order they were added: [{ name, label, unit, expr, key }] */
+    list() {
+      return this.metrics.map(({ name, label, unit, expr, key }) => ({ name, label, unit, expr, key }));
+    }
+
+    /** One definition by name, or null */
+    get(name) {
+      return this.list().find(m => m.name === String(name).toLowerCase()) || null;
+    }
+
+    /**
+     * Add a metric, or replace the one with the same name. Throws an Error
+     * with a readable message when the name or expression is not valid.
+     * @param {{ name:string, expr:string, label?:string, unit?:string }} spec
+     * @returns {{ name, label, unit, expr, key }}
+     */
+    define(spec) {
+      const def = this._validate(spec || {});
+      const i = this.metrics.findIndex(m => m.name === def.name);
+      if (i >= 0) this.metrics[i] = def;
+      else this.metrics.push(def);
+      this.nodeSets.forEach(nodes => this._write(nodes, def));
+      this._save();
+      this._emit();
+      return this.get(def.name);
+    }
+
+    /** Remove a metric (and its values on the nodes); false if there was none */
+    remove(name) {
+      const i = this.metrics.findIndex(m => m.name === String(name).toLowerCase());
+      if (i < 0) return false;
+      const [def] = this.metrics.splice(i, 1);
+      this.nodeSets.forEach(nodes => nodes.forEach(d => { delete d[def.key]; }));
+      this._save();
+      this._emit();
+      return true;
+    }
+
+    /**
+     * Write every metric's value onto the nodes (null where it is undefined)
+     * and keep them up to date as metrics are added or removed.
+     */
+    apply(nodes) {
+      if (!this.nodeSets.includes(nodes)) this.nodeSets.push(nodes);
+      this.metrics.forEach(def => this._write(nodes, def));
+      return this;
+    }
+
+    /** Call fn() after every change to the definitions */
+    onChange(fn) {
+      this.listeners.push(fn);
+    }
+
+    _write(nodes, def) {
+      nodes.forEach(d => { d[def.key] = evaluate(def.tree, d); });
+    }
+
+    _validate(spec) {
+      const name = String(spec.name || '').trim().toLowerCase();
+      if (!/^[a-z][a-z0-9_]{0,31}$/.test(name)) {
+        throw new Error('Names start with a letter and use only letters, digits and underscores (up to 32).');
+      }
+      if (FIELDS[name] || RAW_KEYS.has(name) || FUNCTIONS[name]) {
+        throw new Error(`"${name}" is already a field or function name.`);
+      }
+      if (RESERVED.has(name)) {
+        throw new Error(`"${name}" is reserved for a built-in graph measure. Choose another name.`);
+      }
+      const expr = String(spec.expr || '').trim();
+      const tree = parse(expr);
+      if (!fieldsOf(tree).size) throw new Error('The expression must use at least one field.');
+      const label = String(spec.label || '').trim() ||
+        name.replace(/_/g, ' ').replace(/\b[a-z]/g, ch => ch.toUpperCase());
+      const unit = String(spec.unit || '').trim();
+      [label, unit].forEach(text => {
+        if (!TEXT_RE.test(text)) {
+          throw new Error(`"${text}": labels and units use letters, digits, spaces and - ' ( ) . , / + % \u00b2 \u00b3 \u00b0`);
+        }
+      });
+      return { name, label: label.slice(0, 60), unit: unit.slice(0, 20), expr, key: KEY_PREFIX + name, tree };
+    }
+
+    _load() {
+      if (!this.storage) return;
+      let saved;
+      try {
+        saved = JSON.parse(this.storage.getItem(this.storageKey) || '[]');
+      } catch (err) {
+        return;
+      }
+      if (!Array.isArray(saved)) return;
+      saved.forEach(spec => {
+        try {
+          this.metrics.push(this._validate(spec));
+        } catch (err) {
+          // Skip definitions this version can no longer read
+        }
+      });
+    }
+
+    _save() {
+      if (!this.storage) return;
+      try {
+        this.storage.setItem(this.storageKey, JSON.stringify(this.list().map(({ name, label, unit, expr }) => ({ name, label, unit, expr }))));
+      } catch (err) {
+        // Storage full or disabled: the metrics still work for this session
+      }
+    }
+
+    _emit() {
+      this.listeners.forEach(fn => fn(this));
+    }
+  }
+
+  DerivedMetrics.FIELDS = FIELDS;
+  DerivedMetrics.FUNCTIONS = Object.keys(FUNCTIONS);
+  DerivedMetrics.parse = parse;
+  DerivedMetrics.evaluate = evaluate;
+
+  // ----------------------------------------------------------
+  // Export
+  // ----------------------------------------------------------
+  return DerivedMetrics;
+
+});
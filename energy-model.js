@@ -0,0 +1,404 @@
+/* ============================================================
+   Singapore Urban Knowledge Graph Explorer — Energy Model
+   Predicts a parcel's annual energy from its built form, access
+   and category, trained in the browser on the parcels that have
+   a recorded value (energy 0 means "not recorded"). Two learners:
+   ridge regression on standardised features, and gradient-boosted
+   stumps. Both are scored by k-fold cross-validation, and the
+   out-of-fold errors give the prediction intervals, so the
+   interval for a new parcel reflects how wrong the model was on
+   parcels it had not seen. trainAsync() trains in short slices so
+   a large dataset does not freeze the page.
+
+   Exports: window.EnergyModel in the browser; module.exports
+   under CommonJS (Node), where numerics.js is required alongside
+   ============================================================ */
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./numerics.js'));
+  else root.EnergyModel = factory(root.Numerics);
+})(typeof self !== 'undefined' ? self : this, (Numerics) => {
+  'use strict';
+
+  const { mulberry32, quantile, solveLinear } = Numerics;
+
+  // Node fields the model reads, besides category
+  const FEATURES = [
+    { key: 'gfa', label: 'GFA',             unit: 'm²' },
+    { key: 'b',   label: 'Buildings',       unit: '' },
+    { key: 'lvl', label: 'Avg Levels',      unit: '' },
+    { key: 'u',   label: 'Est. Units',      unit: '' },
+    { key: 'ti',  label: 'Transit Index',   unit: '' },
+    { key: 'div', label: 'Diversity Index', unit: '' }
+  ];
+
+  const METHODS = {
+    ridge:  'Ridge regression',
+    stumps: 'Gradient-boosted stumps'
+  };
+
+  // Ridge penalties tried; the one with the lowest cross-validated RMSE is kept
+  const LAMBDAS = [0.01, 0.1, 1, 10, 100, 1000];
+
+  const DEFAULTS = {
+    method: 'ridge',
+    folds: 5,
+    level: 0.9,      // prediction interval coverage
+    rounds: 200,     // boosting rounds
+    rate: 0.1,       // boosting learning rate
+    minLeaf: 5,      // fewest training parcels on either side of a stump
+    seed: 1
+  };
+
+  // trainAsync() runs for about this long before handing the page back
+  const SLICE_MS = 30;
+
+  // Boosting rounds between the points where training can pause
+  const STEP_ROUNDS = 10;
+
+  // ----------------------------------------------------------
+  // Numerics
+  // ----------------------------------------------------------
+
+  /** Whether a node field holds a number; null and '' are missing, not 0 */
+  function hasValue(v) {
+    return v != null && v !== '' && isFinite(v);
+  }
+
+  /** RMSE, MAE, R² and median absolute percentage error of predictions */
+  function scores(actual, predicted) {
+    const n = actual.length;
+    const mean = actual.reduce((s, v) => s + v, 0) / n;
+    let sse = 0, sae = 0, sst = 0;
+    const ape = [];
+    actual.forEach((y, i) => {
+      const r = y - predicted[i];
+      sse += r * r;
+      sae += Math.abs(r);
+      sst += (y - mean) * (y - mean);
+      ape.push(Math.abs(r) / y);
+    });
+    ape.sort((a, b) => a - b);
+    return {
+      n,
+      rmse: Math.sqrt(sse / n),
+      mae: sae / n,
+      r2: sst > 0 ? 1 - sse / sst : NaN,
+      medianApe: quantile(ape, 0.5)
+    };
+  }
+
+  // ----------------------------------------------------------
+  // Learners
+  // Each takes a design matrix (rows of numbers) and targets and
+  // returns { predict(row) } plus what importance() reports. The
+  // generators pause (yield) between chunks of work and return
+  // the fitted learner.
+  // ----------------------------------------------------------
+
+  /** Ridge regression on standardised columns, unpenalised intercept */
+  function fitRidge(X, y, lambda) {
+    const n = X.length;
+    const p = X[0].length;
+    const means = new Array(p).fill(0);
+    const sds = new Array(p).fill(0);
+    X.forEach(row => row.forEach((v, j) => { means[j] += v / n; }));
+    X.forEach(row => row.forEach((v, j) => { sds[j] += (v - means[j]) * (v - means[j]) / n; }));
+    for (let j = 0; j < p; j++) sds[j] = Math.sqrt(sds[j]) || 1;
+    const yMean = y.reduce((s, v) => s + v, 0) / n;
+
+    const A = Array.from({ length: p }, () => new Array(p).fill(0));
+    const b = new Array(p).fill(0);
+    X.forEach((row, i) => {
+      const z = row.map((v, j) => (v - means[j]) / sds[j]);
+      const t = y[i] - yMean;
+      for (let j = 0; j < p; j++) {
+        b[j] += z[j] * t;
+        for (let k = j; k < p; k++) A[j][k] += z[j] * z[k];
+      }
+    });
+    for (let j = 0; j < p; j++) {
+      A[j][j] += lambda;
+      for (let k = 0; k < j; k++) A[j][k] = A[k][j];
+    }
+    const beta = solveLinear(A, b) || new Array(p).fill(0);
+    // Back to the units of each column: y = intercept + Σ coef_j x_j
+    const coef = beta.map((v, j) => v / sds[j]);
+    const intercept = yMean - coef.reduce((s, c, j) => s + c * means[j], 0);
+    return {
+      predict: row => intercept + row.reduce((s, v, j) => s + coef[j] * v, 0),
+      intercept,
+      coef,
+      standardised: beta
+    };
+  }
+
+  /**
+   * Gradient boosting with squared loss and one-split trees. Each round
+   * fits the stump that most reduces the squared residuals, shrunk by
+   * `rate`. Columns are sorted once, so a round is one pass per column.
+   */
+  function* fitStumps(X, y, opts) {
+    const n = X.length;
+    const p = X[0].length;
+    const base = y.reduce((s, v) => s + v, 0) / n;
+    const resid = y.map(v => v - base);
+    const order = [];
+    for (let j = 0; j < p; j++) {
+      order.push(Array.from({ length: n }, (_, i) => i).sort((a, b) => X[a][j] - X[b][j]));
+    }
+    const stumps = [];
+    const gain = new Array(p).fill(0);
+
+    for (let round = 0; round < opts.rounds; round++) {
+      if (round && round % STEP_ROUNDS === 0) yield;
+      const total = resid.reduce((s, v) => s + v, 0);
+      let best = null;
+      for (let j = 0; j < p; j++) {
+        const idx = order[j];
+        let left = 0;
+        for (let k = 0; k < n - 1; k++) {
+          left += resid[idx[k]];
+          const nL = k + 1;
+          const nR = n - nL;
+          if (nL < opts.minLeaf || nR < opts.minLeaf) continue;
+          const a = X[idx[k]][j];
+          const b = X[idx[k + 1]][j];
+          if (a === b) continue;
+          const right = total - left;
+          const g = left * left / nL + right * right / nR - total * total / n;
+          if (!best || g > best.gain) {
+            best = { col: j, thr: (a + b) / 2, gain: g, left: left / nL, right: right / nR };
+          }
+        }
+      }
+      if (!best || best.gain <= 0) break;
+      const stump = { col: best.col, thr: best.thr, left: best.left * opts.rate, right: best.right * opts.rate };
+      stumps.push(stump);
+      gain[best.col] += best.gain;
+      for (let i = 0; i < n; i++) resid[i] -= X[i][stump.col] <= stump.thr ? stump.left : stump.right;
+    }
+
+    return {
+      predict: row => stumps.reduce((s, st) => s + (row[st.col] <= st.thr ? st.left : st.right), base),
+      base,
+      stumps,
+      gain
+    };
+  }
+
+  // ----------------------------------------------------------
+  // EnergyModel class
+  // ----------------------------------------------------------
+  class EnergyModel {
+    /**
+     * @param {Object} [opts]
+     * @param {string} [opts.method] - 'ridge' (default) or 'stumps'
+     * @param {number} [opts.folds]  - Cross-validation folds (default 5)
+     * @param {number} [opts.level]  - Prediction interval coverage (default 0.9)
+     * @param {number} [opts.rounds] - Boosting rounds (default 200)
+     * @param {number} [opts.rate]   - Boosting learning rate (default 0.1)
+     */
+    constructor(opts) {
+      this.opts = Object.assign({}, DEFAULTS, opts);
+      if (!METHODS[this.opts.method]) throw new Error(`Unknown method "${this.opts.method}". Use: ${Object.keys(METHODS).join(', ')}.`);
+      if (!(this.opts.level > 0 && this.opts.level < 1)) throw new Error('The interval level must be between 0 and 1.');
+      this.trained = false;
+    }
+
+    /**
+     * Fit on the nodes with recorded energy (e > 0), score by k-fold
+     * cross-validation and keep the out-of-fold errors for intervals.
+     * @param {Object[]} nodes - Parcel nodes (category, e and the FEATURES fields)
+     * @returns {EnergyModel} this
+     */
+    train(nodes) {
+      const steps = this._steps(nodes);
+      while (!steps.next().done);
+      return this;
+    }
+
+    /**
+     * train() in slices of about SLICE_MS, handing the page back between them.
+     * @param {Object[]} nodes - Parcel nodes
+     * @param {Function} [isStale] - Checked between slices; once it returns true
+     *   training stops and the promise resolves with null
+     * @returns {Promise<EnergyModel|null>} rejects with the error train() would throw
+     */
+    trainAsync(nodes, isStale) {
+      const steps = this._steps(nodes);
+      return new Promise((resolve, reject) => {
+        const slice = () => {
+          if (isStale && isStale()) return resolve(null);
+          const end = Date.now() + SLICE_MS;
+          try {
+            do {
+              if (steps.next().done) return resolve(this);
+            } while (Date.now() < end);
+          } catch (err) {
+            return reject(err);
+          }
+          setTimeout(slice, 0);
+        };
+        setTimeout(slice, 0);
+      });
+    }
+
+    // The body of train(), pausing after every fit and every few boosting rounds
+    *_steps(nodes) {
+      const rows = nodes.filter(d => d.e > 0 && FEATURES.every(f => hasValue(d[f.key])));
+      const folds = Math.max(2, Math.round(this.opts.folds));
+      if (rows.length < folds * 5) throw new Error(`Only ${rows.length} parcels have recorded energy; too few to train on.`);
+
+      const cats = {};
+      rows.forEach(d => { cats[d.category] = (cats[d.category] || 0) + 1; });
+      this.categories = Object.keys(cats).sort((a, b) => cats[b] - cats[a]);
+      this.means = FEATURES.map(f => rows.reduce((s, d) => s + d[f.key], 0) / rows.length)
+        .concat(this.categories.map(c => cats[c] / rows.length));
+
+      const X = rows.map(d => this._row(d));
+      const y = rows.map(d => d.e);
+
+      // Shuffled fold labels, the same on every run
+      const rand = mulberry32(this.opts.seed);
+      const perm = rows.map((_, i) => i);
+      for (let i = perm.length - 1; i > 0; i--) {
+        const j = Math.floor(rand() * (i + 1));
+        [perm[i], perm[j]] = [perm[j], perm[i]];
+      }
+      const fold = new Array(rows.length);
+      perm.forEach((i, k) => { fold[i] = k % folds; });
+
+      const crossValidate = function* (fit) {
+        const out = new Array(rows.length);
+        for (let f = 0; f < folds; f++) {
+          const train = [], test = [];
+          fold.forEach((g, i) => (g === f ? test : train).push(i));
+          const m = yield* fit(train.map(i => X[i]), train.map(i => y[i]));
+          test.forEach(i => { out[i] = m.predict(X[i]); });
+        }
+        return out;
+      };
+
+      let fit, oof;
+      if (this.opts.method === 'ridge') {
+        const ridge = lambda => function* (Xs, ys) {
+          const m = fitRidge(Xs, ys, lambda);
+          yield;
+          return m;
+        };
+        // Choose the penalty by cross-validated RMSE
+        let best = null;
+        for (const lambda of LAMBDAS) {
+          const pred = yield* crossValidate(ridge(lambda));
+          const s = scores(y, pred);
+          if (!best || s.rmse < best.rmse) best = { lambda, pred, rmse: s.rmse };
+        }
+        this.lambda = best.lambda;
+        oof = best.pred;
+        fit = fitRidge(X, y, this.lambda);
+      } else {
+        const fitOne = (Xs, ys) => fitStumps(Xs, ys, this.opts);
+        oof = yield* crossValidate(fitOne);
+        fit = yield* fitOne(X, y);
+      }
+      this.fit = fit;
+
+      // Errors are scaled by the size of the prediction, since a parcel
+      // ten times larger is off by roughly ten times as many kWh
+      this.scale0 = quantile(y.slice().sort((a, b) => a - b), 0.5) * 0.1;
+      const ratios = y.map((v, i) => (v - oof[i]) / this._scale(oof[i])).sort((a, b) => a - b);
+      const tail = (1 - this.opts.level) / 2;
+      this.band = [quantile(ratios, tail), quantile(ratios, 1 - tail)];
+
+      this.cv = Object.assign(scores(y, oof), { folds });
+      this.outOfFold = rows.map((d, i) => ({ node: d, actual: y[i], predicted: oof[i] }));
+      this.trained = true;
+    }
+
+    /**
+     * Predict one parcel's energy. Fields left out (or not numbers) take
+     * the training average; an unknown or missing category counts as the
+     * category mix of the training parcels.
+     * @param {Object} attrs - { gfa, b, lvl, u, ti, div, category }
+     * @returns {{ value: number, low: number, high: number, level: number }} kWh/yr
+     */
+    predict(attrs) {
+      if (!this.trained) throw new Error('Train the model first.');
+      const raw = this.fit.predict(this._row(attrs || {}));
+      const s = this._scale(raw);
+      return {
+        value: Math.max(0, raw),
+        low: Math.max(0, raw + this.band[0] * s),
+        high: Math.max(0, raw + this.band[1] * s),
+        level: this.opts.level
+      };
+    }
+
+    /**
+     * Predictions for the parcels with no recorded energy (e of 0 or
+     * missing). The nodes are not changed.
+     * @returns {Array<{ node, value, low, high }>}
+     */
+    impute(nodes) {
+      return nodes.filter(d => !(d.e > 0)).map(d => Object.assign({ node: d }, this.predict(d)));
+    }
+
+    /**
+     * What drives the predictions, largest first: for ridge the
+     * standardised coefficient (the change in kWh/yr for one standard
+     * deviation) with the per-unit coefficient; for boosted stumps each
+     * column's share of the squared-error reduction.
+     * @returns {Array<{ key, label, weight, coef? }>}
+     */
+    importance() {
+      if (!this.trained) throw new Error('Train the model first.');
+      const labels = this._columns();
+      const list = this.opts.method === 'ridge'
+        ? labels.map((c, j) => Object.assign({}, c, { weight: this.fit.standardised[j], coef: this.fit.coef[j] }))
+        : (() => {
+          const total = this.fit.gain.reduce((s, g) => s + g, 0) || 1;
+          return labels.map((c, j) => Object.assign({}, c, { weight: this.fit.gain[j] / total }));
+        })();
+      return list.sort((a, b) => Math.abs(b.weight) - Math.abs(a.weight));
+    }
+
+    /** One-line description of the fitted model */
+    describe() {
+      if (!this.trained) return METHODS[this.opts.method];
+      return this.opts.method === 'ridge'
+        ? `${METHODS.ridge} (λ = ${this.lambda}) on ${this.cv.n} parcels`
+        : `${METHODS.stumps} (${this.fit.stumps.length} rounds, rate ${this.opts.rate}) on ${this.cv.n} parcels`;
+    }
+
+    // Columns: the FEATURES, then one indicator per training category
+    _columns() {
+      return FEATURES.map(f => ({ key: f.key, label: f.label }))
+        .concat(this.categories.map(c => ({ key: `category:${c}`, label: c, category: c })));
+    }
+
+    _row(d) {
+      const row = FEATURES.map((f, j) => {
+        const v = d[f.key];
+        return hasValue(v) ? +v : this.means[j];
+      });
+      const known = this.categories.includes(d.category);
+      this.categories.forEach((c, k) => {
+        row.push(known ? (d.category === c ? 1 : 0) : this.means[FEATURES.length + k]);
+      });
+      return row;
+    }
+
+    _scale(pred) {
+      return Math.max(Math.abs(pred), this.scale0);
+    }
+  }
+
+  EnergyModel.FEATURES = FEATURES.map(f => Object.assign({}, f));
+  EnergyModel.METHODS = Object.assign({}, METHODS);
+
+  // ----------------------------------------------------------
+  // Export
+  // ----------------------------------------------------------
+  return EnergyModel;
+
+});
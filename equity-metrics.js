@@ -0,0 +1,216 @@
+/* ============================================================
+   Singapore Urban Knowledge Graph Explorer — Equity Metrics
+   How evenly an amenity is spread over parcels, or over the
+   residents or floor area they hold: Lorenz curves, the Gini
+   coefficient, the Theil index with its split into within- and
+   between-group parts, and the concentration index of an
+   amenity ranked by another variable (is it concentrated among
+   the larger parcels?). Shared by the Q4 tab and the query
+   engine.
+
+   Exports: window.EquityMetrics in the browser; module.exports
+   under CommonJS (Node)
+   ============================================================ */
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.EquityMetrics = factory();
+})(typeof self !== 'undefined' ? self : this, () => {
+  'use strict';
+
+  /** Facility types listed for a parcel */
+  function facilityCount(n) {
+    return n.ft ? n.ft.split(',').filter(f => f.trim()).length : 0;
+  }
+
+  // Amenities whose distribution is measured
+  const OUTCOMES = {
+    facilities: { label: 'Facility Count',  desc: 'facility types listed for the parcel', value: facilityCount },
+    diversity:  { label: 'Diversity Index', desc: 'facility diversity index',             value: n => n.div },
+    transit:    { label: 'Transit Index',   desc: 'transit access index',                 value: n => n.ti }
+  };
+
+  // What each parcel counts for: itself, its residents or its floor area
+  const WEIGHTS = {
+    parcels: { label: 'Parcels',                desc: 'every parcel counts once',         value: () => 1 },
+    units:   { label: 'Est. Residential Units', desc: 'parcels weighted by their units',  value: n => n.u },
+    gfa:     { label: 'GFA',                    desc: 'parcels weighted by their GFA',    value: n => n.gfa }
+  };
+
+  // Variables a concentration index can rank parcels by
+  const RANKINGS = {
+    gfa:   { label: 'GFA',                    value: n => n.gfa },
+    units: { label: 'Est. Residential Units', value: n => n.u },
+    levels:{ label: 'Avg Building Levels',    value: n => n.lvl }
+  };
+
+  // Population shares read off the Lorenz curve
+  const BOTTOM_SHARE = 0.4;
+  const TOP_SHARE = 0.2;
+
+  const usable = v => v != null && isFinite(v);
+
+  /**
+   * Cumulative curve of `values` over parcels sorted by `order` (ties in
+   * `order` form one step): [{ p, c }] from (0, 0) to (1, 1), p the share
+   * of weight and c the share of weight × value. Null when the weights or
+   * the weighted total are zero.
+   */
+  function cumulative(values, weights, order) {
+    const idx = [];
+    for (let i = 0; i < values.length; i++) {
+      if (usable(values[i]) && values[i] >= 0 && usable(order[i]) && weights[i] > 0) idx.push(i);
+    }
+    idx.sort((a, b) => order[a] - order[b]);
+    let totalW = 0, totalV = 0;
+    idx.forEach(i => { totalW += weights[i]; totalV += weights[i] * values[i]; });
+    if (!(totalW > 0) || !(totalV > 0)) return null;
+    const curve = [{ p: 0, c: 0 }];
+    let w = 0, v = 0;
+    idx.forEach((i, k) => {
+      w += weights[i];
+      v += weights[i] * values[i];
+      if (k === idx.length - 1 || order[idx[k + 1]] !== order[i]) curve.push({ p: w / totalW, c: v / totalV });
+    });
+    return curve;
+  }
+
+  /** One minus twice the area under a cumulative curve (trapezoids) */
+  function areaIndex(curve) {
+    let area = 0;
+    for (let k = 1; k < curve.length; k++) area += (curve[k].p - curve[k - 1].p) * (curve[k].c + curve[k - 1].c);
+    return 1 - area;
+  }
+
+  /** The curve's height at population share p, by linear interpolation */
+  function curveAt(curve, p) {
+    for (let k = 1; k < curve.length; k++) {
+      if (curve[k].p >= p) {
+        const a = curve[k - 1], b = curve[k];
+        return b.p > a.p ? a.c + (b.c - a.c) * (p - a.p) / (b.p - a.p) : b.c;
+      }
+    }
+    return 1;
+  }
+
+  /** Lorenz curve: the cumulative share of the amenity held by the poorest p of the weight */
+  function lorenz(values, weights) {
+    return cumulative(values, weights || values.map(() => 1), values);
+  }
+
+  /** Gini coefficient: 0 when everyone has the same, towards 1 when one parcel has it all */
+  function gini(values, weights) {
+    const curve = lorenz(values, weights);
+    return curve ? areaIndex(curve) : NaN;
+  }
+
+  /**
+   * Theil T index: Σ (wᵢ / W) (xᵢ / μ) ln(xᵢ / μ). 0 for perfect equality,
+   * ln(N) at most; zero values contribute nothing.
+   */
+  function theil(values, weights) {
+    let W = 0, V = 0;
+    const ok = [];
+    values.forEach((x, i) => {
+      const w = weights ? weights[i] : 1;
+      if (usable(x) && x >= 0 && w > 0) { ok.push([x, w]); W += w; V += w * x; }
+    });
+    if (!(W > 0) || !(V > 0)) return NaN;
+    const mu = V / W;
+    let t = 0;
+    ok.forEach(([x, w]) => { if (x > 0) t += w / W * (x / mu) * Math.log(x / mu); });
+    return Math.max(0, t);
+  }
+
+  /**
+   * Concentration index of `values` over parcels ranked by `rankBy`: the
+   * Gini formula applied to the concentration curve. Positive when the
+   * amenity is concentrated among higher-ranked parcels, negative when
+   * among lower-ranked ones. Returns { index, curve }, or null.
+   */
+  function concentration(values, rankBy, weights) {
+    const curve = cumulative(values, weights || values.map(() => 1), rankBy);
+    return curve ? { index: areaIndex(curve), curve } : null;
+  }
+
+  /**
+   * Every measure for one amenity over a set of parcels.
+   * @param {Array} nodes - Parcel nodes
+   * @param {Object} opts - { value: node => number, weight: node => number (default 1), rank: node => number (optional) }
+   * @returns {{ n, weight, mean, gini, theil, bottom, top, lorenz, concentration }} the weighted mean,
+   *   the shares held by the bottom 40% and top 20% of the weight, and the concentration index when `rank` is given
+   */
+  function measure(nodes, opts) {
+    const values = [], weights = [], ranks = [];
+    nodes.forEach(n => {
+      const x = opts.value(n);
+      const w = opts.weight ? opts.weight(n) : 1;
+      if (!usable(x) || x < 0 || !(w > 0)) return;
+      values.push(x);
+      weights.push(w);
+      ranks.push(opts.rank ? opts.rank(n) : 0);
+    });
+    let W = 0, V = 0;
+    values.forEach((x, i) => { W += weights[i]; V += weights[i] * x; });
+    const curve = lorenz(values, weights);
+    return {
+      n: values.length,
+      weight: W,
+      mean: W > 0 ? V / W : NaN,
+      gini: curve ? areaIndex(curve) : NaN,
+      theil: theil(values, weights),
+      bottom: curve ? curveAt(curve, BOTTOM_SHARE) : NaN,
+      top: curve ? 1 - curveAt(curve, 1 - TOP_SHARE) : NaN,
+      lorenz: curve,
+      concentration: opts.rank ? concentration(values, ranks, weights) : null
+    };
+  }
+
+  /**
+   * The measures within each group of parcels, and the Theil index split
+   * into inequality within the groups and between their means:
+   * T = Σ s_g T_g + Σ s_g ln(μ_g / μ), s_g the group's share of the amenity.
+   * @param {Array} nodes - Parcel nodes
+   * @param {Function} groupOf - node => group key (null leaves the parcel out)
+   * @param {Object} opts - as for measure()
+   * @returns {{ overall, groups: Array<{ key, share, ...measure }>, within, between }}
+   */
+  function breakdown(nodes, groupOf, opts) {
+    const members = new Map();
+    nodes.forEach(n => {
+      const key = groupOf(n);
+      if (key == null) return;
+      if (!members.has(key)) members.set(key, []);
+      members.get(key).push(n);
+    });
+    const overall = measure([].concat(...members.values()), opts);
+    const total = overall.weight * overall.mean;
+    let within = 0, between = 0;
+    const groups = [...members].map(([key, list]) => {
+      const m = measure(list, opts);
+      const share = total > 0 && m.weight > 0 ? m.weight * m.mean / total : 0;
+      if (share > 0) {
+        within += share * (isNaN(m.theil) ? 0 : m.theil);
+        between += share * Math.log(m.mean / overall.mean);
+      }
+      return Object.assign({ key, share }, m);
+    });
+    return { overall, groups, within, between: Math.max(0, between) };
+  }
+
+  /** Thin a curve to at most `count` + 1 evenly spaced points for charting */
+  function sample(curve, count) {
+    if (!curve || curve.length <= count + 1) return curve;
+    const out = [];
+    for (let k = 0; k <= count; k++) out.push({ p: k / count, c: curveAt(curve, k / count) });
+    return out;
+  }
+
+  // ----------------------------------------------------------
+  // Export
+  // ----------------------------------------------------------
+  return {
+    OUTCOMES, WEIGHTS, RANKINGS, BOTTOM_SHARE, TOP_SHARE,
+    facilityCount, lorenz, gini, theil, concentration, measure, breakdown, curveAt, sample
+  };
+
+});
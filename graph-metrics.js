@@ -0,0 +1,419 @@
+/* ============================================================
+   Singapore Urban Knowledge Graph Explorer — Graph Metrics
+   Structural measures over the parcel adjacency list: degree,
+   weighted degree, PageRank, betweenness (sampled), local
+   clustering coefficient and Louvain communities, per edge type
+   or across all types.
+   Results are cached per edge-type selection and shared by the
+   Network Explorer and the query engine.
+
+   Exports: window.GraphMetrics in the browser; module.exports
+   under CommonJS (Node), where numerics.js is required alongside
+   ============================================================ */
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./numerics.js'));
+  else root.GraphMetrics = factory(root.Numerics);
+})(typeof self !== 'undefined' ? self : this, (Numerics) => {
+  'use strict';
+
+  // Seeded so sampled betweenness is stable between runs
+  const { mulberry32 } = Numerics;
+
+  // Measures, in display order
+  const MEASURES = {
+    degree:      { label: 'Degree',                 desc: 'distinct neighbouring parcels' },
+    wdegree:     { label: 'Weighted Degree',        desc: 'relationships to other parcels, counting every edge type shared with a neighbour' },
+    pagerank:    { label: 'PageRank',               desc: 'PageRank scaled so the average parcel scores 1' },
+    betweenness: { label: 'Betweenness',            desc: 'share of shortest paths passing through the parcel (sampled sources)' },
+    clustering:  { label: 'Clustering Coefficient', desc: 'fraction of neighbour pairs that are themselves connected' }
+  };
+
+  const PAGERANK_DAMPING = 0.85;
+  const PAGERANK_ITERATIONS = 100;
+  const PAGERANK_TOLERANCE = 1e-9;
+  const BETWEENNESS_SAMPLES = 256;
+
+  // Community colours; clusters past the palette get golden-angle hues
+  const CLUSTER_PALETTE = [
+    '#1f77b4', '#ff7f0e', '#2ca02c', '#d62728', '#9467bd', '#8c564b',
+    '#e377c2', '#17becf', '#bcbd22', '#7f7f7f', '#aec7e8', '#ffbb78'
+  ];
+
+  // One GraphMetrics per adjacency list, so every view shares the cache
+  const instances = new WeakMap();
+
+  // ----------------------------------------------------------
+  // GraphMetrics class
+  // ----------------------------------------------------------
+  class GraphMetrics {
+    /**
+     * @param {Array} nodes - Parcel node objects
+     * @param {Array} adj   - Adjacency list: adj[i] = [[neighborIdx, edgeType], ...]
+     */
+    constructor(nodes, adj) {
+      this.nodes = nodes;
+      this.adj = adj;
+      this.cache = new Map();    // "types|measure" -> Float64Array
+      this.graphs = new Map();   // "types" -> { nbrs, weights }
+      this.partitions = new Map(); // "types" -> communities() result
+    }
+
+    /** The shared instance for an adjacency list */
+    static shared(nodes, adj) {
+      let gm = instances.get(adj);
+      if (!gm) {
+        gm = new GraphMetrics(nodes, adj);
+        instances.set(adj, gm);
+      }
+      return gm;
+    }
+
+    /**
+     * Per-node values of one measure.
+     * @param {string} measure - Key of GraphMetrics.MEASURES
+     * @param {string[]} [types] - Edge types to include; null or empty for all
+     * @returns {Float64Array}
+     */
+    values(measure, types) {
+      if (!MEASURES[measure]) throw new Error(`Unknown graph measure: ${measure}`);
+      const tkey = this._typesKey(types);
+      const key = tkey + '|' + measure;
+      if (!this.cache.has(key)) {
+        const g = this._graph(tkey, types);
+        let v;
+        switch (measure) {
+          case 'degree':      v = this._degree(g); break;
+          case 'wdegree':     v = this._weightedDegree(g); break;
+          case 'pagerank':    v = this._pagerank(g); break;
+          case 'betweenness': v = this._betweenness(g); break;
+          default:            v = this._clustering(g); break;
+        }
+        this.cache.set(key, v);
+      }
+      return this.cache.get(key);
+    }
+
+    /**
+     * Louvain communities (Blondel et al., 2008) on the graph weighted by
+     * parallel-edge counts. Clusters are numbered from 1 by size, largest first.
+     * @param {string[]} [types] - Edge types to include; null or empty for all
+     * @returns {{ labels:Int32Array, count:number, sizes:number[], modularity:number }}
+     *          `sizes[c - 1]` is the size of cluster c
+     */
+    communities(types) {
+      const tkey = this._typesKey(types);
+      if (!this.partitions.has(tkey)) {
+        const g = this._graph(tkey, types);
+        this.partitions.set(tkey, this._louvain(g));
+      }
+      return this.partitions.get(tkey);
+    }
+
+    /** Colour for a cluster number */
+    static clusterColor(c) {
+      if (c >= 1 && c <= CLUSTER_PALETTE.length) return CLUSTER_PALETTE[c - 1];
+      return `hsl(${Math.round((c * 137.508) % 360)}, 55%, 55%)`;
+    }
+
+    /** All measures for one node index, as { measure: value } */
+    nodeValues(idx, types) {
+      const out = {};
+      for (const m of Object.keys(MEASURES)) out[m] = this.values(m, types)[idx];
+      return out;
+    }
+
+    /** Largest value of a measure, for scaling sizes and colours */
+    max(measure, types) {
+      const v = this.values(measure, types);
+      let mx = 0;
+      for (let i = 0; i < v.length; i++) if (v[i] > mx) mx = v[i];
+      return mx;
+    }
+
+    /** Rank (1 = highest) of a node on a measure */
+    rank(measure, idx, types) {
+      const v = this.values(measure, types);
+      let r = 1;
+      for (let i = 0; i < v.length; i++) if (v[i] > v[idx]) r++;
+      return r;
+    }
+
+    // --------------------------------------------------------
+    // Graph preparation
+    // --------------------------------------------------------
+
+    _typesKey(types) {
+      return types && types.length ? [...types].sort().join(',') : '*';
+    }
+
+    /**
+     * Collapse the multigraph to distinct neighbours, with the number of
+     * parallel edges (shared facility providers) as the edge weight.
+     */
+    _graph(tkey, types) {
+      if (this.graphs.has(tkey)) return this.graphs.get(tkey);
+      const allow = tkey === '*' ? null : new Set(types);
+      const n = this.nodes.length;
+      const nbrs = new Array(n);
+      const weights = new Array(n);
+      for (let i = 0; i < n; i++) {
+        const counts = new Map();
+        (this.adj[i] || []).forEach(([j, t]) => {
+          if (j === i || (allow && !allow.has(t))) return;
+          counts.set(j, (counts.get(j) || 0) + 1);
+        });
+        nbrs[i] = Int32Array.from(counts.keys());
+        weights[i] = Float64Array.from(counts.values());
+      }
+      const g = { n, nbrs, weights };
+      this.graphs.set(tkey, g);
+      return g;
+    }
+
+    // --------------------------------------------------------
+    // Measures
+    // --------------------------------------------------------
+
+    _degree(g) {
+      return Float64Array.from(g.nbrs, list => list.length);
+    }
+
+    _weightedDegree(g) {
+      return Float64Array.from(g.weights, w => w.reduce((s, x) => s + x, 0));
+    }
+
+    /** Weighted PageRank by power iteration; isolated parcels spread rank uniformly */
+    _pagerank(g) {
+      const { n, nbrs, weights } = g;
+      const strength = this._weightedDegree(g);
+      let pr = new Float64Array(n).fill(1 / n);
+      let next = new Float64Array(n);
+
+      for (let iter = 0; iter < PAGERANK_ITERATIONS; iter++) {
+        let dangling = 0;
+        for (let i = 0; i < n; i++) if (!strength[i]) dangling += pr[i];
+        next.fill((1 - PAGERANK_DAMPING) / n + PAGERANK_DAMPING * dangling / n);
+        for (let i = 0; i < n; i++) {
+          if (!strength[i]) continue;
+          const share = PAGERANK_DAMPING * pr[i] / strength[i];
+          const list = nbrs[i], w = weights[i];
+          for (let k = 0; k < list.length; k++) next[list[k]] += share * w[k];
+        }
+        let delta = 0;
+        for (let i = 0; i < n; i++) delta += Math.abs(next[i] - pr[i]);
+        [pr, next] = [next, pr];
+        if (delta < PAGERANK_TOLERANCE) break;
+      }
+      // Scale so the mean is 1
+      for (let i = 0; i < n; i++) pr[i] *= n;
+      return pr;
+    }
+
+    /**
+     * Brandes betweenness on the unweighted graph, normalised to [0, 1].
+     * Above BETWEENNESS_SAMPLES parcels, accumulates from a fixed random
+     * sample of sources and scales up (Brandes & Pich, 2007).
+     */
+    _betweenness(g) {
+      const { n, nbrs } = g;
+      const bc = new Float64Array(n);
+      if (n < 3) return bc;
+
+      let sources = [...Array(n).keys()];
+      if (n > BETWEENNESS_SAMPLES) {
+        const rand = mulberry32(20240501);
+        for (let i = n - 1; i > 0; i--) {
+          const j = Math.floor(rand() * (i + 1));
+          [sources[i], sources[j]] = [sources[j], sources[i]];
+        }
+        sources = sources.slice(0, BETWEENNESS_SAMPLES);
+      }
+
+      const sigma = new Float64Array(n);
+      const dist = new Int32Array(n);
+      const delta = new Float64Array(n);
+      const order = new Int32Array(n);
+      for (const s of sources) {
+        sigma.fill(0); dist.fill(-1); delta.fill(0);
+        sigma[s] = 1; dist[s] = 0;
+        let head = 0, tail = 0;
+        order[tail++] = s;
+        while (head < tail) {
+          const v = order[head++];
+          const list = nbrs[v];
+          for (let k = 0; k < list.length; k++) {
+            const w = list[k];
+            if (dist[w] < 0) { dist[w] = dist[v] + 1; order[tail++] = w; }
+            if (dist[w] === dist[v] + 1) sigma[w] += sigma[v];
+          }
+        }
+        // Dependencies in reverse BFS order; predecessors are neighbours one level up
+        for (let h = tail - 1; h > 0; h--) {
+          const w = order[h];
+          const list = nbrs[w];
+          for (let k = 0; k < list.length; k++) {
+            const v = list[k];
+            if (dist[v] === dist[w] - 1) delta[v] += sigma[v] / sigma[w] * (1 + delta[w]);
+          }
+          bc[w] += delta[w];
+        }
+      }
+
+      // Undirected: each pair counted from both ends; scale samples to all sources
+      const scale = (n / sources.length) / 2 / ((n - 1) * (n - 2) / 2);
+      for (let i = 0; i < n; i++) bc[i] *= scale;
+      return bc;
+    }
+
+    /**
+     * Louvain: move nodes between neighbouring communities while modularity
+     * improves, collapse each community to one node, and repeat until no
+     * node moves.
+     */
+    _louvain(g) {
+      const rand = mulberry32(7);
+      const membership = Int32Array.from({ length: g.n }, (_, i) => i);
+
+      // Working graph for the current level; self[i] = weight inside node i
+      let n = g.n;
+      let nbrs = g.nbrs;
+      let wts = g.weights;
+      let self = new Float64Array(n);
+      const k0 = this._weightedDegree(g);
+      const m2 = k0.reduce((s, x) => s + x, 0);
+      if (!m2) return this._finishPartition(g, membership, m2);
+
+      for (;;) {
+        const k = new Float64Array(n);
+        for (let i = 0; i < n; i++) k[i] = wts[i].reduce((s, x) => s + x, 0) + 2 * self[i];
+
+        const comm = Int32Array.from({ length: n }, (_, i) => i);
+        const tot = Float64Array.from(k);
+        const toComm = new Float64Array(n);
+        const seen = new Int32Array(n).fill(-1);
+        const order = [...Array(n).keys()];
+        for (let i = n - 1; i > 0; i--) {
+          const j = Math.floor(rand() * (i + 1));
+          [order[i], order[j]] = [order[j], order[i]];
+        }
+
+        let moved = false;
+        for (let improved = true; improved;) {
+          improved = false;
+          for (const i of order) {
+            const ci = comm[i];
+            const list = nbrs[i], w = wts[i];
+            const touched = [];
+            for (let e = 0; e < list.length; e++) {
+              const c = comm[list[e]];
+              if (seen[c] !== i) { seen[c] = i; toComm[c] = 0; touched.push(c); }
+              toComm[c] += w[e];
+            }
+            tot[ci] -= k[i];
+            let best = ci;
+            let bestGain = (seen[ci] === i ? toComm[ci] : 0) - tot[ci] * k[i] / m2;
+            for (const c of touched) {
+              const gain = toComm[c] - tot[c] * k[i] / m2;
+              if (gain > bestGain + 1e-12) { bestGain = gain; best = c; }
+            }
+            tot[best] += k[i];
+            if (best !== ci) {
+              comm[i] = best;
+              improved = moved = true;
+            }
+            // Reset so the next node does not see stale sums
+            for (const c of touched) seen[c] = -1;
+          }
+        }
+        if (!moved) break;
+
+        // Renumber communities 0..C-1 and map original nodes through
+        const renum = new Int32Array(n).fill(-1);
+        let C = 0;
+        for (let i = 0; i < n; i++) if (renum[comm[i]] < 0) renum[comm[i]] = C++;
+        for (let v = 0; v < membership.length; v++) membership[v] = renum[comm[membership[v]]];
+        if (C === n) break;
+
+        // Collapse each community into one node
+        const nextSelf = new Float64Array(C);
+        const links = Array.from({ length: C }, () => new Map());
+        for (let i = 0; i < n; i++) {
+          const ci = renum[comm[i]];
+          nextSelf[ci] += self[i];
+          const list = nbrs[i], w = wts[i];
+          for (let e = 0; e < list.length; e++) {
+            const cj = renum[comm[list[e]]];
+            if (cj === ci) nextSelf[ci] += w[e] / 2;
+            else links[ci].set(cj, (links[ci].get(cj) || 0) + w[e]);
+          }
+        }
+        n = C;
+        self = nextSelf;
+        nbrs = links.map(m => Int32Array.from(m.keys()));
+        wts = links.map(m => Float64Array.from(m.values()));
+      }
+
+      return this._finishPartition(g, membership, m2);
+    }
+
+    /** Number clusters 1..C by size and score the partition's modularity */
+    _finishPartition(g, membership, m2) {
+      const counts = new Map();
+      membership.forEach(c => counts.set(c, (counts.get(c) || 0) + 1));
+      const ranked = [...counts.entries()].sort((a, b) => b[1] - a[1] || a[0] - b[0]);
+      const number = new Map(ranked.map(([c], i) => [c, i + 1]));
+      const labels = Int32Array.from(membership, c => number.get(c));
+      const sizes = ranked.map(([, size]) => size);
+
+      // Q = sum over clusters of (internal weight / m) - (total degree / 2m)^2
+      let modularity = 0;
+      if (m2) {
+        const inside = new Float64Array(sizes.length + 1);
+        const degree = new Float64Array(sizes.length + 1);
+        for (let i = 0; i < g.n; i++) {
+          const c = labels[i];
+          const list = g.nbrs[i], w = g.weights[i];
+          for (let e = 0; e < list.length; e++) {
+            degree[c] += w[e];
+            if (labels[list[e]] === c) inside[c] += w[e];
+          }
+        }
+        for (let c = 1; c <= sizes.length; c++) {
+          modularity += inside[c] / m2 - (degree[c] / m2) ** 2;
+        }
+      }
+      return { labels, count: sizes.length, sizes, modularity };
+    }
+
+    /** Local clustering coefficient: closed neighbour pairs / all neighbour pairs */
+    _clustering(g) {
+      const { n, nbrs } = g;
+      const cc = new Float64Array(n);
+      const mark = new Int32Array(n).fill(-1);
+      for (let v = 0; v < n; v++) {
+        const list = nbrs[v];
+        const d = list.length;
+        if (d < 2) continue;
+        for (let k = 0; k < d; k++) mark[list[k]] = v;
+        let links = 0;
+        for (let k = 0; k < d; k++) {
+          const u = list[k];
+          const ul = nbrs[u];
+          for (let m = 0; m < ul.length; m++) {
+            if (ul[m] > u && mark[ul[m]] === v) links++;
+          }
+        }
+        cc[v] = links / (d * (d - 1) / 2);
+      }
+      return cc;
+    }
+  }
+
+  GraphMetrics.MEASURES = MEASURES;
+
+  // ----------------------------------------------------------
+  // Export
+  // ----------------------------------------------------------
+  return GraphMetrics;
+
+});
@@ -0,0 +1,188 @@
+/* ============================================================
+   Singapore Urban Knowledge Graph Explorer — Intent Provider
+   Optional LLM layer that turns a question into a structured
+   intent for QueryEngine.queryIntent(). Speaks the Anthropic
+   Messages API or any OpenAI-compatible chat-completions API;
+   the endpoint URL is configurable so a local mock server or a
+   self-hosted model can stand in for the hosted services.
+
+   Exports: window.IntentProvider
+   ============================================================ */
+(() => {
+  'use strict';
+
+  // Default endpoint and model per wire protocol
+  const PROVIDERS = {
+    anthropic: {
+      label: 'Anthropic',
+      endpoint: 'https://api.anthropic.com/v1/messages',
+      model: 'claude-3-5-haiku-latest'
+    },
+    openai: {
+      label: 'OpenAI-compatible',
+      endpoint: 'https://api.openai.com/v1/chat/completions',
+      model: 'gpt-4o-mini'
+    }
+  };
+
+  const TIMEOUT_MS = 15000;
+
+  /** System prompt describing the intent JSON the engine accepts */
+  function buildPrompt(schema) {
+    const intents = Object.entries(schema.intents)
+      .map(([name, desc]) => `- "${name}": ${desc}`)
+      .join('\n');
+    return [
+      'You translate questions about a Singapore urban parcel knowledge graph into a JSON intent.',
+      'Reply with exactly one JSON object and nothing else.',
+      '',
+      'Intents:',
+      intents,
+      '- "unknown": the question fits none of the above',
+      '',
+      'Fields (include only those the intent needs):',
+      '  intent, metric, direction ("top" | "bottom"; "high" | "low" for outliers), count (integer), category, facilityType,',
+      '  parcelId, targetId, categoryA, categoryB, hops (integer), edgeTypes (array), byDistance (boolean), filter (string),',
+      '  lat, lng (decimal degrees), radius (metres), bounds ([south, west, north, east]),',
+      '  station, stationType, stationMetric, weights ({ metric: number }), facilityWeight (number), centrality,',
+      '  cluster (community number, 1 = largest), page (integer, for rankings longer than 50),',
+      '  method (outlier test; "pearson" | "spearman" for correlation), metrics (array of metrics, for correlation),',
+      '  categories (array of categories, the groups a significance test compares),',
+      '  weight, rankBy, groupBy (for equity),',
+      '  predictors (array of metrics), byCategory (boolean), threshold (number),',
+      '  parcels (array of parcel IDs to compare), baseline ("category" | "neighbours", what one parcel is compared with)',
+      '',
+      `metric: ${schema.metrics.join(', ')}`,
+      `centrality: ${schema.centralities.join(', ')}`,
+      `category / categoryA / categoryB: ${schema.categories.join(', ')}`,
+      `facilityType: ${schema.facilityTypes.join(', ')}`,
+      `edgeTypes: ${schema.edgeTypes.join(', ')}`,
+      `stationType: ${schema.stationTypes.join(', ')}; stationMetric: ${schema.stationMetrics.join(', ')}`,
+      `method: ${schema.outlierMethods.join(', ')}`,
+      `weight: ${schema.equity.weights.join(', ')}; rankBy: ${schema.equity.rankings.join(', ')}; groupBy: ${schema.equity.groups.join(', ')}`,
+      `station (MRT): ${schema.stations.join(', ')}`,
+      'parcelId / targetId: parcel identifiers such as kml_10042',
+      `filter: ${schema.filterSyntax}`
+    ].join('\n');
+  }
+
+  /** Pull the first JSON object out of a model reply (tolerates code fences and prose) */
+  function extractJson(text) {
+    if (!text) return null;
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start < 0 || end <= start) return null;
+    try {
+      return JSON.parse(text.slice(start, end + 1));
+    } catch (err) {
+      return null;
+    }
+  }
+
+  // ----------------------------------------------------------
+  // IntentProvider class
+  // ----------------------------------------------------------
+  class IntentProvider {
+    /**
+     * @param {Object} opts
+     * @param {string} opts.provider - 'anthropic' or 'openai' (wire protocol)
+     * @param {string} opts.apiKey   - API key sent to the endpoint
+     * @param {string} [opts.endpoint] - Full URL of the messages / chat-completions endpoint
+     * @param {string} [opts.model]  - Model name
+     */
+    constructor(opts) {
+      this.provider = PROVIDERS[opts.provider] ? opts.provider : 'anthropic';
+      const defaults = PROVIDERS[this.provider];
+      this.apiKey = opts.apiKey || '';
+      this.endpoint = opts.endpoint || defaults.endpoint;
+      this.model = opts.model || defaults.model;
+    }
+
+    /** Whether enough is configured to make a request */
+    isConfigured() {
+      return !!(this.apiKey && this.endpoint);
+    }
+
+    /** Short description for status messages */
+    label() {
+      return `${PROVIDERS[this.provider].label} (${this.model})`;
+    }
+
+    /**
+     * Ask the model for a structured intent.
+     * @param {string} question - The user's question
+     * @param {Object} schema   - Vocabulary from QueryEngine.getIntentSchema()
+     * @returns {Promise<Object|null>} the parsed intent, or null if the reply was not usable
+     */
+    parse(question, schema) {
+      if (!this.isConfigured()) return Promise.resolve(null);
+      return this._request(buildPrompt(schema), question).then(text => {
+        const intent = extractJson(text);
+        return intent && intent.intent && intent.intent !== 'unknown' ? intent : null;
+      });
+    }
+
+    /** POST one system + user exchange and resolve with the reply text */
+    _request(system, question) {
+      const controller = typeof AbortController === 'function' ? new AbortController() : null;
+      const timer = controller ? setTimeout(() => controller.abort(), TIMEOUT_MS) : null;
+
+      let headers, body;
+      if (this.provider === 'anthropic') {
+        headers = {
+          'content-type': 'application/json',
+          'x-api-key': this.apiKey,
+          'anthropic-version': '2023-06-01',
+          'anthropic-dangerous-direct-browser-access': 'true'
+        };
+        body = {
+          model: this.model,
+          max_tokens: 300,
+          temperature: 0,
+          system,
+          messages: [{ role: 'user', content: question }]
+        };
+      } else {
+        headers = {
+          'content-type': 'application/json',
+          'authorization': `Bearer ${this.apiKey}`
+        };
+        body = {
+          model: this.model,
+          temperature: 0,
+          messages: [
+            { role: 'system', content: system },
+            { role: 'user', content: question }
+          ]
+        };
+      }
+
+      return fetch(this.endpoint, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify(body),
+        signal: controller ? controller.signal : undefined
+      }).then(res => {
+        if (!res.ok) throw new Error(`Intent provider returned HTTP ${res.status}`);
+        return res.json();
+      }).then(data => {
+        if (this.provider === 'anthropic') {
+          const block = (data.content || []).find(c => c.type === 'text');
+          return block ? block.text : '';
+        }
+        const choice = (data.choices || [])[0];
+        return choice && choice.message ? choice.message.content : '';
+      }).finally(() => {
+        if (timer) clearTimeout(timer);
+      });
+    }
+  }
+
+  IntentProvider.PROVIDERS = PROVIDERS;
+
+  // ----------------------------------------------------------
+  // Export
+  // ----------------------------------------------------------
+  window.IntentProvider = IntentProvider;
+
+})();
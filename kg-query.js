@@ -0,0 +1,289 @@
+#!/usr/bin/env node
+/* ============================================================
+   Singapore Urban Knowledge Graph Explorer — Command-line Queries
+   Runs questions through QueryEngine in Node, against viz_data.js
+   or a JSON export of the same object, and prints the answers as
+   JSON, CSV or Markdown. Questions in a file run in order, so
+   follow-ups ("now only Peripheral ones") work as in the page.
+
+   Usage:
+     node kg-query.js [options] "question" ["question" ...]
+     node kg-query.js [options] --file questions.txt
+
+   Options:
+     --data <path>       viz_data.js or .json (default: viz_data.js next to this file)
+     --format <fmt>      json (default), csv or markdown
+     --file <path>       one question per line; blank lines and lines starting with # are skipped
+     --table <n>         CSV / Markdown: only the n-th table of each answer (1-based)
+     --independent       forget the previous answer before each question
+     --explain           JSON / Markdown: include how each question was answered
+                         (matched rule, parameters, parcel counts, formulas)
+     --metric <def>      define a derived metric as name=expression, e.g.
+                         "intensity=energy / gfa"; repeat for more
+     --out <path>        write to a file instead of stdout
+
+   Exits with status 2 if any question was not understood or failed.
+
+   Exports (when required): loadData, createEngine, runQuestions,
+   formatJSON, formatCSV, formatMarkdown
+   ============================================================ */
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const QueryEngine = require('./query-engine.js');
+const DerivedMetrics = require('./derived-metrics.js');
+
+const FORMATS = ['json', 'csv', 'markdown'];
+
+const ENTITIES = {
+  '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&nbsp;': ' ', '&times;': '×',
+  '&ndash;': '–', '&mdash;': '—', '&middot;': '·', '&hellip;': '…', '&#10003;': '✓'
+};
+
+// ----------------------------------------------------------
+// Loading
+// ----------------------------------------------------------
+
+/**
+ * Read VIZ_DATA from a viz_data.js script (run in an empty sandbox whose
+ * only global is `window`) or from a JSON file.
+ * @param {string} file - Path to viz_data.js or a .json file
+ * @returns {Object} the VIZ_DATA object
+ */
+function loadData(file) {
+  const text = fs.readFileSync(file, 'utf8');
+  let data;
+  if (/\.json$/i.test(file) || /^\s*\{/.test(text)) {
+    data = JSON.parse(text);
+  } else {
+    const sandbox = { window: {} };
+    vm.runInNewContext(text, sandbox, { filename: file, timeout: 30000 });
+    data = sandbox.window.VIZ_DATA || sandbox.VIZ_DATA;
+  }
+  if (!data || !data.network) throw new Error(`${file} does not contain VIZ_DATA with a network.`);
+  return data;
+}
+
+/** A QueryEngine over the data in a file */
+function createEngine(file) {
+  return QueryEngine.fromData(loadData(file));
+}
+
+/**
+ * Answer questions in order. Each entry is { question, result }.
+ * @param {QueryEngine} engine
+ * @param {string[]} questions
+ * @param {Object} [opts] - { independent: reset follow-up context before each question }
+ */
+function runQuestions(engine, questions, opts) {
+  opts = opts || {};
+  return questions.map(question => {
+    if (opts.independent) engine.resetContext();
+    return { question, result: engine.query(question) };
+  });
+}
+
+// ----------------------------------------------------------
+// Formatting
+// ----------------------------------------------------------
+
+/** Plain text of a result's HTML */
+function htmlToText(html) {
+  return String(html || '')
+    .replace(/<(?:br|\/div|\/p|\/li|\/h4|\/tr)[^>]*>/gi, '\n')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&[#a-z0-9]+;/gi, e => (ENTITIES[e] != null ? ENTITIES[e] : e))
+    .replace(/[ \t]+/g, ' ')
+    .replace(/ *\n[ \n]*/g, '\n')
+    .trim();
+}
+
+/** First insight paragraph of a result, as plain text */
+function summary(result) {
+  const m = String(result.html || '').match(/<div class="q-insight">([\s\S]*?)<\/div>/);
+  return htmlToText(m ? m[1] : result.html).replace(/\s+/g, ' ').replace(/ ([.,;:)])/g, '$1');
+}
+
+function isFailure(result) {
+  return !result || result.type === 'error';
+}
+
+/** Tables of a result, or only the n-th (1-based) */
+function pickTables(result, table) {
+  const tables = result.tables || [];
+  return table ? tables.slice(table - 1, table) : tables;
+}
+
+/** One JSON document: an array of answers with their structured parts and summary text */
+function formatJSON(engine, answers) {
+  return JSON.stringify(answers.map(({ question, result }) => Object.assign(
+    { question, summary: summary(result) },
+    JSON.parse(engine.exportJSON(result))
+  )), null, 2) + '\n';
+}
+
+/**
+ * CSV of every answer's tables. A lone table prints as plain CSV; with
+ * several, each is preceded by a "# question / table" comment line and
+ * separated by a blank line.
+ */
+function formatCSV(engine, answers, table) {
+  const sections = [];
+  answers.forEach(({ question, result }) => {
+    const all = result.tables || [];
+    pickTables(result, table).forEach(t => {
+      sections.push({ question, title: t.title, csv: engine.exportCSV(result, all.indexOf(t)) });
+    });
+  });
+  if (sections.length === 1) return sections[0].csv;
+  return sections.map(s => `# ${s.question} / ${s.title}\r\n${s.csv}`).join('\r\n');
+}
+
+function markdownCell(v) {
+  if (v == null || (typeof v === 'number' && isNaN(v))) return '';
+  if (typeof v === 'number' && !Number.isInteger(v)) v = +v.toPrecision(6);
+  return String(v).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+}
+
+/** Markdown bullet list of a result's explanation trace */
+function traceMarkdown(trace) {
+  const out = [`- Matched rule: ${trace.step ? `${trace.step}. ` : ''}${trace.rule || 'none'}`];
+  if (trace.resolved) out.push(`- Read as: ${trace.resolved}`);
+  Object.entries(trace.params).forEach(([k, v]) => out.push(`- ${k}: ${v}`));
+  if (trace.considered != null) {
+    out.push(`- Parcels: ${trace.considered} considered` +
+      (trace.filteredOut != null ? `, ${trace.filteredOut} filtered out, ${trace.kept} kept` : ''));
+  }
+  trace.formulas.forEach(f => out.push(`- Formula: \`${f}\``));
+  trace.notes.forEach(n => out.push(`- Note: ${n}`));
+  return out;
+}
+
+/** Markdown report: a heading per question, the summary, the trace (with --explain), then each table */
+function formatMarkdown(engine, answers, table) {
+  const out = [];
+  answers.forEach(({ question, result }) => {
+    out.push(`## ${question}`, '', `**${result.title}** (${result.type})`, '', summary(result), '');
+    if (result.trace) out.push(...traceMarkdown(result.trace), '');
+    pickTables(result, table).forEach(t => {
+      out.push(`### ${t.title}`, '');
+      out.push(`| ${t.columns.map(markdownCell).join(' | ')} |`);
+      out.push(`|${t.columns.map(() => ' --- ').join('|')}|`);
+      t.rows.forEach(row => out.push(`| ${row.map(markdownCell).join(' | ')} |`));
+      out.push('');
+    });
+  });
+  return out.join('\n');
+}
+
+// ----------------------------------------------------------
+// Command line
+// ----------------------------------------------------------
+
+function parseArgs(argv) {
+  const opts = { data: path.join(__dirname, 'viz_data.js'), format: 'json', questions: [], metrics: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) throw new Error(`${arg} needs a value.`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--data': opts.data = value(); break;
+      case '--format': opts.format = value().toLowerCase(); break;
+      case '--file': opts.file = value(); break;
+      case '--table': opts.table = parseInt(value(), 10); break;
+      case '--out': opts.out = value(); break;
+      case '--independent': opts.independent = true; break;
+      case '--explain': opts.explain = true; break;
+      case '--metric': {
+        const def = value();
+        const eq = def.indexOf('=');
+        if (eq < 1) throw new Error('--metric takes name=expression.');
+        opts.metrics.push({ name: def.slice(0, eq).trim(), expr: def.slice(eq + 1) });
+        break;
+      }
+      case '-h':
+      case '--help': opts.help = true; break;
+      default:
+        if (arg.startsWith('--')) throw new Error(`Unknown option ${arg}.`);
+        opts.questions.push(arg);
+    }
+  }
+  if (opts.format === 'md') opts.format = 'markdown';
+  if (!FORMATS.includes(opts.format)) throw new Error(`--format must be one of ${FORMATS.join(', ')}.`);
+  if (opts.table != null && !(opts.table >= 1)) throw new Error('--table must be a number from 1.');
+  return opts;
+}
+
+function usage() {
+  const header = fs.readFileSync(__filename, 'utf8').match(/Usage:[\s\S]*?Exits[^\n]*/);
+  return header ? header[0].replace(/^ {3}/gm, '') + '\n' : '';
+}
+
+function main(argv) {
+  let opts;
+  try {
+    opts = parseArgs(argv);
+  } catch (err) {
+    process.stderr.write(`${err.message}\n\n${usage()}`);
+    return 1;
+  }
+  if (opts.help) {
+    process.stdout.write(usage());
+    return 0;
+  }
+
+  const questions = [...opts.questions];
+  if (opts.file) {
+    fs.readFileSync(opts.file, 'utf8').split(/\r?\n/)
+      .map(line => line.trim())
+      .filter(line => line && !line.startsWith('#'))
+      .forEach(line => questions.push(line));
+  }
+  if (!questions.length) {
+    process.stderr.write(`No questions given.\n\n${usage()}`);
+    return 1;
+  }
+
+  let engine;
+  try {
+    engine = createEngine(opts.data);
+    engine.explain = !!opts.explain;
+  } catch (err) {
+    process.stderr.write(`Could not load ${opts.data}: ${err.message}\n`);
+    return 1;
+  }
+
+  if (opts.metrics.length) {
+    const registry = new DerivedMetrics();
+    try {
+      opts.metrics.forEach(def => registry.define(def));
+    } catch (err) {
+      process.stderr.write(`Bad --metric: ${err.message}\n`);
+      return 1;
+    }
+    engine.useDerivedMetrics(registry);
+  }
+
+  const answers = runQuestions(engine, questions, opts);
+  let text;
+  if (opts.format === 'csv') text = formatCSV(engine, answers, opts.table);
+  else if (opts.format === 'markdown') text = formatMarkdown(engine, answers, opts.table);
+  else text = formatJSON(engine, answers);
+
+  if (opts.out) fs.writeFileSync(opts.out, text);
+  else process.stdout.write(text);
+
+  const failed = answers.filter(a => isFailure(a.result));
+  failed.forEach(a => process.stderr.write(`Not answered: ${a.question} (${summary(a.result)})\n`));
+  return failed.length ? 2 : 0;
+}
+
+if (require.main === module) {
+  process.exitCode = main(process.argv.slice(2));
+}
+
+module.exports = { loadData, createEngine, runQuestions, formatJSON, formatCSV, formatMarkdown };
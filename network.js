@@ -18,6 +18,14 @@
   let miniMapLayers = [];               // layers added for selection
   let geoJsonLayer = null;
 
+  // Node size / colour by graph centrality or community (GraphMetrics); null = GFA size, category colour.
+  // sizeBy may also be "dm:<name>", one of the user's derived metrics (derived-metrics.js)
+  let sizeBy = null, colorBy = null;
+  let measureTypes = null;              // edge types the measures are computed over; null = all
+  let sizeValues = null, sizeMax = 0;
+  let colorValues = null, colorMax = 0;
+  let communities = null;               // GraphMetrics.communities() result when colouring by community
+
   // Geographic bounds (computed on init)
   let minLat, maxLat, minLng, maxLng;
   let padFrac = 0.04;                   // padding fraction
@@ -45,12 +53,47 @@
     return { x: (sx - tx) / k, y: (sy - ty) / k };
   }
 
-  /** Get node radius based on GFA, scaled by zoom */
-  function nodeRadius(n) {
+  /** Get node radius based on GFA (or the chosen centrality measure), scaled by zoom */
+  function nodeRadius(n, i) {
+    if (sizeValues && sizeMax > 0) {
+      return 1.5 + 8 * Math.sqrt(sizeValues[i] / sizeMax);
+    }
     var base = Math.max(2, Math.sqrt((n.gfa || 1000) / 1000) * 1.2);
     return Math.max(1.5, base);
   }
 
+  /** Fill colour for a node: category, community, or a gradient over the chosen centrality measure */
+  function nodeColor(n, i) {
+    if (communities) {
+      var c = communities.labels[i];
+      return communities.sizes[c - 1] > 1 ? GraphMetrics.clusterColor(c) : '#d5d8dc';
+    }
+    if (colorValues && colorMax > 0) return interpolateColor(colorValues[i] / colorMax);
+    return CAT_COLORS[n.category] || '#95a5a6';
+  }
+
+  /** Format a centrality value; betweenness is often well below 0.001 */
+  function fmtMeasure(v) {
+    if (v == null || isNaN(v)) return '\u2014';
+    if (v !== 0 && Math.abs(v) < 1) return v.toPrecision(3);
+    return fmt(Math.round(v * 100) / 100);
+  }
+
+  /** Shared GraphMetrics instance, or null when graph-metrics.js is not loaded */
+  function graphMetrics() {
+    return window.GraphMetrics ? GraphMetrics.shared(nodes, adj) : null;
+  }
+
+  /** The page's derived-metric registry (app.js), or null */
+  function derivedRegistry() {
+    return typeof derivedMetrics !== 'undefined' ? derivedMetrics : null;
+  }
+
+  /** The page's classification rules (app.js), or null */
+  function ruleScheme() {
+    return typeof categoryRules !== 'undefined' ? categoryRules : null;
+  }
+
   /** Check if a node's category is currently visible */
   function isVisible(n) {
     return visibleCats[n.category] !== false;
@@ -134,6 +177,21 @@
     setupSearch();
     populateStats();
     populateFilters();
+    populateMeasureControls();
+
+    // Keep the size options in step with the user's derived metrics
+    var registry = derivedRegistry();
+    if (registry) {
+      registry.onChange(function() {
+        if (sizeBy && sizeBy.indexOf('dm:') === 0 && !registry.get(sizeBy.slice(3))) sizeBy = null;
+        populateMeasureControls();
+        refreshMeasures();
+      });
+    }
+
+    // An edited classification reclassifies the nodes; new categories start visible
+    var scheme = ruleScheme();
+    if (scheme) scheme.onChange(refreshCategories);
 
     // Info badge
     var badge = document.getElementById('netInfoBadge');
@@ -261,7 +319,7 @@
       // Skip if off-screen
       if (s.x < -20 || s.x > W + 20 || s.y < -20 || s.y > H + 20) continue;
 
-      var r = nodeRadius(n) * k;
+      var r = nodeRadius(n, i) * k;
       var isSelected = (i === selected);
       var isConnected = (selected >= 0 && connSet[i]);
       var isHovered = (i === hovered);
@@ -302,7 +360,7 @@
         ctx.lineWidth = 1;
         ctx.stroke();
       } else {
-        ctx.fillStyle = CAT_COLORS[n.category] || '#95a5a6';
+        ctx.fillStyle = nodeColor(n, i);
         ctx.fill();
         if (isHovered) {
           ctx.strokeStyle = '#2c3e50';
@@ -329,13 +387,114 @@
         var s = toScreen(n.px, n.py);
         if (s.x < -50 || s.x > W + 50 || s.y < -50 || s.y > H + 50) continue;
 
-        var r = nodeRadius(n) * k;
+        var r = nodeRadius(n, i) * k;
         ctx.fillStyle = isSelected ? '#c0392b' : (isConnected ? '#d35400' : '#2c3e50');
         ctx.fillText(n.id, s.x + r + 3, s.y - 2);
       }
     }
   }
 
+  // ============================================================
+  //  Centrality sizing / colouring
+  // ============================================================
+  function populateMeasureControls() {
+    var sizeSel = document.getElementById('netSizeSelect');
+    var colorSel = document.getElementById('netColorSelect');
+    var edgeSel = document.getElementById('netMeasureEdges');
+    if (!sizeSel || !colorSel || !edgeSel) return;
+    if (!window.GraphMetrics) {
+      sizeSel.disabled = colorSel.disabled = edgeSel.disabled = true;
+      return;
+    }
+
+    var opts = '';
+    for (var m in GraphMetrics.MEASURES) {
+      opts += '<option value="' + m + '">' + GraphMetrics.MEASURES[m].label + '</option>';
+    }
+    var registry = derivedRegistry();
+    var custom = registry ? registry.list() : [];
+    sizeSel.innerHTML = '<option value="">GFA</option>' + opts + (custom.length
+      ? '<optgroup label="Custom metrics">' + custom.map(function(m) {
+          return '<option value="dm:' + m.name + '">' + escHtml(m.label) + '</option>';
+        }).join('') + '</optgroup>'
+      : '');
+    colorSel.innerHTML = '<option value="">Category</option><option value="community">Community</option>' + opts;
+
+    var edgeOpts = '<option value="">All edge types</option>';
+    for (var t in EDGE_LABELS) {
+      edgeOpts += '<option value="' + t + '">' + EDGE_LABELS[t] + '</option>';
+    }
+    edgeSel.innerHTML = edgeOpts;
+
+    sizeSel.value = sizeBy || '';
+    colorSel.value = colorBy || '';
+    edgeSel.value = measureTypes ? measureTypes[0] : '';
+  }
+
+  /** Recompute the arrays behind node size / colour after an option changes */
+  function refreshMeasures() {
+    var gm = graphMetrics();
+    sizeValues = colorValues = communities = null;
+    sizeMax = colorMax = 0;
+    var sizeDef = sizeBy && sizeBy.indexOf('dm:') === 0 && derivedRegistry() ? derivedRegistry().get(sizeBy.slice(3)) : null;
+    if (sizeDef) {
+      // Radii grow with the value; parcels without one (or below zero) get the smallest dot
+      sizeValues = nodes.map(function(n) { return Math.max(0, n[sizeDef.key] || 0); });
+      sizeMax = Math.max.apply(null, sizeValues);
+    } else if (gm && sizeBy && sizeBy.indexOf('dm:') !== 0) {
+      sizeValues = gm.values(sizeBy, measureTypes);
+      sizeMax = gm.max(sizeBy, measureTypes);
+    }
+    if (gm && colorBy === 'community') {
+      communities = gm.communities(measureTypes);
+    } else if (gm && colorBy) {
+      colorValues = gm.values(colorBy, measureTypes);
+      colorMax = gm.max(colorBy, measureTypes);
+    }
+
+    var legend = document.getElementById('netMeasureLegend');
+    if (legend) {
+      if (communities) {
+        legend.style.display = '';
+        var multi = communities.sizes.filter(function(s) { return s > 1; }).length;
+        var swatches = '';
+        for (var c = 1; c <= Math.min(multi, 8); c++) {
+          swatches += '<span class="measure-swatch" style="background:' + GraphMetrics.clusterColor(c) + '" title="Cluster ' + c +
+            ': ' + communities.sizes[c - 1].toLocaleString() + ' parcels">' + c + '</span>';
+        }
+        legend.innerHTML = '<div class="measure-swatches">' + swatches + '</div>' +
+          '<div class="measure-gradient-labels"><span>' + multi.toLocaleString() + ' communities</span>' +
+          '<span>Q = ' + communities.modularity.toFixed(3) + '</span></div>';
+      } else if (colorBy) {
+        legend.style.display = '';
+        legend.innerHTML = '<div class="measure-gradient"></div>' +
+          '<div class="measure-gradient-labels"><span>0</span><span>' +
+          GraphMetrics.MEASURES[colorBy].label + '</span><span>' + fmtMeasure(colorMax) + '</span></div>';
+      } else {
+        legend.style.display = 'none';
+        legend.innerHTML = '';
+      }
+    }
+
+    renderNet();
+    if (selected >= 0) selectNode(selected);
+  }
+
+  function setSizeBy(measure) {
+    sizeBy = measure || null;
+    refreshMeasures();
+  }
+
+  function setColorBy(measure) {
+    colorBy = measure || null;
+    refreshMeasures();
+  }
+
+  function setMeasureEdges(type) {
+    measureTypes = type ? [type] : null;
+    refreshMeasures();
+  }
+
   // ============================================================
   //  selectNode
   // ============================================================
@@ -397,6 +556,36 @@
     html += propRow('Nearest MRT', n.nm || '\u2014');
     html += '</div>';
 
+    // Derived metrics the user has defined
+    var custom = derivedRegistry() ? derivedRegistry().list() : [];
+    if (custom.length) {
+      html += '<div class="node-detail-section">';
+      html += '<h4>Custom Metrics</h4>';
+      custom.forEach(function(m) {
+        var v = n[m.key];
+        html += propRow(escHtml(m.label), v == null ? '\u2014' : fmtMeasure(v) + (m.unit ? ' ' + escHtml(m.unit) : ''));
+      });
+      html += '</div>';
+    }
+
+    // Centrality section, over the edge types chosen in the sidebar
+    var gm = graphMetrics();
+    if (gm) {
+      var measures = GraphMetrics.MEASURES;
+      html += '<div class="node-detail-section">';
+      html += '<h4>Network Centrality' + (measureTypes ? ' (' + escHtml(EDGE_LABELS[measureTypes[0]] || measureTypes[0]) + ')' : '') + '</h4>';
+      for (var m in measures) {
+        var val = gm.values(m, measureTypes)[idx];
+        html += propRow(measures[m].label, fmtMeasure(val) +
+          ' <span style="color:var(--text-light);font-size:10px">#' + gm.rank(m, idx, measureTypes).toLocaleString() + '</span>');
+      }
+      var part = gm.communities(measureTypes);
+      var cl = part.labels[idx];
+      html += propRow('Community', '<span class="measure-swatch" style="background:' + GraphMetrics.clusterColor(cl) + '"></span> ' +
+        cl + ' <span style="color:var(--text-light);font-size:10px">' + part.sizes[cl - 1].toLocaleString() + ' parcels</span>');
+      html += '</div>';
+    }
+
     // Facilities section (n.ft is a comma-separated string)
     var ftList = n.ft ? String(n.ft).split(',').map(function(s) { return s.trim(); }).filter(Boolean) : [];
     if (ftList.length > 0) {
@@ -569,7 +758,7 @@
       var dx = n.px - p.x;
       var dy = n.py - p.y;
       var dist = Math.sqrt(dx * dx + dy * dy);
-      var r = nodeRadius(n);
+      var r = nodeRadius(n, i);
       if (dist < r + hitThresh && dist < bestDist) {
         bestDist = dist;
         bestIdx = i;
@@ -781,6 +970,25 @@
     el.innerHTML = html;
   }
 
+  /** Redraw everything coloured or filtered by category */
+  function refreshCategories() {
+    for (var cat in CAT_COLORS) {
+      if (!(cat in visibleCats)) visibleCats[cat] = true;
+    }
+    populateStats();
+    populateFilters();
+    if (geoJsonLayer) {
+      geoJsonLayer.eachLayer(function (layer) {
+        var n = nodes[layer.feature.properties.idx];
+        layer.feature.properties.category = n.category;
+        layer.setStyle({ fillColor: CAT_COLORS[n.category] || '#95a5a6' });
+        layer.setPopupContent('<strong>' + n.id + '</strong><br>' + (CAT_LABELS[n.category] || n.category));
+      });
+    }
+    if (selected >= 0) selectNode(selected);
+    else renderNet();
+  }
+
   function populateFilters() {
     var el = document.getElementById('networkFilters');
     if (!el) return;
@@ -797,7 +1005,7 @@
       var label = CAT_LABELS[cat] || cat;
       var count = catCounts[cat] || 0;
       html += '<label class="filter-item">';
-      html += '<input type="checkbox" checked onchange="NetworkView.toggleCat(\'' + cat + '\', this.checked)">';
+      html += '<input type="checkbox"' + (visibleCats[cat] !== false ? ' checked' : '') + ' onchange="NetworkView.toggleCat(\'' + cat + '\', this.checked)">';
       html += '<span class="filter-dot" style="background:' + CAT_COLORS[cat] + '"></span>';
       html += '<span>' + escHtml(label) + '</span>';
       html += '<span class="filter-count">' + count + '</span>';
@@ -1007,6 +1215,9 @@
     toggleEdges:    netToggleEdges,
     toggleLabels:   netToggleLabels,
     hitTest:        netHitTest,
+    setSizeBy:      setSizeBy,
+    setColorBy:     setColorBy,
+    setMeasureEdges: setMeasureEdges,
     invalidateMiniMap: function() { if (miniMap) miniMap.invalidateSize(); }
   };
 
@@ -0,0 +1,91 @@
+/* ============================================================
+   Singapore Urban Knowledge Graph Explorer — Numerics
+   Small numerical helpers shared by the analysis modules: a
+   seeded random generator, quantiles, a dense linear solve, the
+   normal p-value and great-circle distance. Load it before
+   graph-metrics.js, energy-model.js, spatial-stats.js and
+   query-engine.js.
+
+   Exports: window.Numerics in the browser; module.exports
+   under CommonJS (Node)
+   ============================================================ */
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.Numerics = factory();
+})(typeof self !== 'undefined' ? self : this, () => {
+  'use strict';
+
+  /** Deterministic PRNG (mulberry32), so sampled and shuffled results are stable between runs */
+  function mulberry32(seed) {
+    return () => {
+      seed |= 0; seed = seed + 0x6D2B79F5 | 0;
+      let t = Math.imul(seed ^ seed >>> 15, 1 | seed);
+      t = t + Math.imul(t ^ t >>> 7, 61 | t) ^ t;
+      return ((t ^ t >>> 14) >>> 0) / 4294967296;
+    };
+  }
+
+  /** Quantile of an ascending-sorted array, interpolating between neighbours */
+  function quantile(sorted, p) {
+    if (!sorted.length) return 0;
+    const pos = (sorted.length - 1) * p;
+    const lo = Math.floor(pos);
+    return lo + 1 < sorted.length ? sorted[lo] + (sorted[lo + 1] - sorted[lo]) * (pos - lo) : sorted[lo];
+  }
+
+  /**
+   * Solve A·x = b for a small dense system (Gaussian elimination with
+   * partial pivoting). Returns null when A is singular.
+   */
+  function solveLinear(A, b) {
+    const n = b.length;
+    const M = A.map((row, i) => [...row, b[i]]);
+    for (let c = 0; c < n; c++) {
+      let p = c;
+      for (let r = c + 1; r < n; r++) if (Math.abs(M[r][c]) > Math.abs(M[p][c])) p = r;
+      if (Math.abs(M[p][c]) < 1e-10) return null;
+      [M[c], M[p]] = [M[p], M[c]];
+      for (let r = c + 1; r < n; r++) {
+        const f = M[r][c] / M[c][c];
+        for (let k = c; k <= n; k++) M[r][k] -= f * M[c][k];
+      }
+    }
+    const x = new Array(n).fill(0);
+    for (let r = n - 1; r >= 0; r--) {
+      let s = M[r][n];
+      for (let k = r + 1; k < n; k++) s -= M[r][k] * x[k];
+      x[r] = s / M[r][r];
+    }
+    return x;
+  }
+
+  /** Two-sided p-value of a standard normal z (erfc by Chebyshev fit, error < 1.2e-7) */
+  function normalP(z) {
+    if (isNaN(z)) return NaN;
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.5 * x);
+    const poly = -1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 + t * (-0.18628806 +
+      t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277))))))));
+    return Math.min(1, t * Math.exp(-x * x + poly));
+  }
+
+  // Mean Earth radius in metres; a degree of latitude is EARTH_RADIUS * π / 180 metres
+  const EARTH_RADIUS = 6371000;
+
+  /** Great-circle distance in metres between two lat/lng points */
+  function haversine(lat1, lng1, lat2, lng2) {
+    const R = EARTH_RADIUS;
+    const toRad = Math.PI / 180;
+    const dLat = (lat2 - lat1) * toRad;
+    const dLng = (lng2 - lng1) * toRad;
+    const h = Math.sin(dLat / 2) ** 2 +
+      Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLng / 2) ** 2;
+    return 2 * R * Math.asin(Math.min(1, Math.sqrt(h)));
+  }
+
+  // ----------------------------------------------------------
+  // Export
+  // ----------------------------------------------------------
+  return { mulberry32, quantile, solveLinear, normalP, haversine, EARTH_RADIUS };
+
+});
@@ -3,11 +3,22 @@
    Natural-language query interface over the parcel knowledge graph.
    Operates entirely client-side against the pre-loaded data arrays.
 
-   Exports: window.QueryEngine
+   Exports: window.QueryEngine in the browser; module.exports
+   under CommonJS (Node), where numerics.js, graph-metrics.js and
+   equity-metrics.js are required alongside. See kg-query.js for
+   loading data outside the page.
    ============================================================ */
-(() => {
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory(require('./numerics.js'), require('./graph-metrics.js'), require('./equity-metrics.js'));
+  } else {
+    root.QueryEngine = factory(root.Numerics, root.GraphMetrics, root.EquityMetrics);
+  }
+})(typeof self !== 'undefined' ? self : this, (Numerics, GraphMetrics, EquityMetrics) => {
   'use strict';
 
+  const { quantile, solveLinear, normalP, haversine } = Numerics;
+
   // ----------------------------------------------------------
   // Helper constants
   // ----------------------------------------------------------
@@ -29,6 +40,24 @@
     Peripheral: '#7f8c8d'
   };
 
+  // Informal names of the pipeline categories
+  const CATEGORY_ALIASES = {
+    'transit oriented dense': 'TransitOrientedDense',
+    'transit-oriented dense': 'TransitOrientedDense',
+    'tod':                    'TransitOrientedDense',
+    'transit oriented':       'TransitOriented',
+    'transit-oriented':       'TransitOriented',
+    'lifestyle hub':          'LifestyleHub',
+    'lifestyle':              'LifestyleHub',
+    'high density':           'HighDensity',
+    'highdensity':            'HighDensity',
+    'dense':                  'HighDensity',
+    'standard residential':   'StandardResidential',
+    'standard':               'StandardResidential',
+    'residential':            'StandardResidential',
+    'peripheral':             'Peripheral'
+  };
+
   const EDGE_LABELS = {
     'sn_Bar': 'Shares Nearest Bar',
     'sn_Cafe': 'Shares Nearest Cafe',
@@ -40,27 +69,280 @@
     'sim': 'Similar Lifestyle'
   };
 
-  // Category classification rules (mirrors the pipeline logic)
+  const EDGE_COLORS = {
+    'sn_Bar': '#e74c3c', 'sn_Cafe': '#9b59b6', 'sn_ChildCare': '#3498db',
+    'sn_Facility': '#2ecc71', 'sn_Restaurant': '#e67e22', 'sn_SocialService': '#1abc9c',
+    'sn_UseSite': '#34495e', 'sim': '#f39c12'
+  };
+
+  // One colour per parcel in a side-by-side comparison; also the most parcels compared at once
+  // k-hop searches go at most this many hops deep
+  const MAX_HOPS = 6;
+
+  const SERIES_COLORS = ['#2980b9', '#c0392b', '#27ae60', '#8e44ad', '#e67e22', '#16a085', '#d35400', '#34495e'];
+
+  // Category classification rules (mirrors the pipeline logic). `test` lists alternatives
+  // ("or") of clauses that must all hold; the catch-all has none.
+  // useCategoryRules() replaces the contents, and CAT_LABELS / CAT_COLORS, with an edited scheme.
   const CATEGORY_RULES = [
-    { key: 'TransitOrientedDense', desc: 'Transit Index >= 0.8 AND GFA > 100,000 m\u00b2' },
-    { key: 'TransitOriented',      desc: 'Transit Index >= 0.7' },
-    { key: 'LifestyleHub',         desc: 'Diversity Index >= 0.85' },
-    { key: 'HighDensity',          desc: 'GFA > 200,000 m\u00b2' },
-    { key: 'Peripheral',           desc: 'Transit Index < 0.3' },
-    { key: 'StandardResidential',  desc: 'Default (none of the above)' }
+    { key: 'TransitOrientedDense', desc: 'Transit Index >= 0.8 AND GFA > 100,000 m\u00b2',
+      test: [[{ key: 'ti', op: '>=', value: 0.8 }, { key: 'gfa', op: '>', value: 100000 }]] },
+    { key: 'TransitOriented',      desc: 'Transit Index >= 0.7',       test: [[{ key: 'ti', op: '>=', value: 0.7 }]] },
+    { key: 'LifestyleHub',         desc: 'Diversity Index >= 0.85',    test: [[{ key: 'div', op: '>=', value: 0.85 }]] },
+    { key: 'HighDensity',          desc: 'GFA > 200,000 m\u00b2',      test: [[{ key: 'gfa', op: '>', value: 200000 }]] },
+    { key: 'Peripheral',           desc: 'Transit Index < 0.3',        test: [[{ key: 'ti', op: '<', value: 0.3 }]] },
+    { key: 'StandardResidential',  desc: 'Default (none of the above)', test: [] }
   ];
 
-  // Metric definitions for ranking / stats queries
+  const RULE_OPS = {
+    '>=': (a, b) => a >= b,
+    '>':  (a, b) => a > b,
+    '<=': (a, b) => a <= b,
+    '<':  (a, b) => a < b,
+    '=':  (a, b) => a === b
+  };
+
+  // Fields a classification counterfactual may change: the step between tried values, and their bounds
+  const COUNTERFACTUAL_FIELDS = {
+    transit:   { step: 0.01, min: 0, max: 1 },
+    diversity: { step: 0.01, min: 0, max: 1 },
+    gfa:       { step: 1,    min: 0, max: Infinity }
+  };
+
+  // Metric definitions for ranking / stats queries.
+  // `aliases` are the phrases accepted for the metric inside filter expressions.
+  // useDerivedMetrics() adds user-defined metrics here, marked `derived`.
   const METRICS = {
-    energy:    { key: 'e',   label: 'Energy (kWh/yr)',      unit: 'kWh/yr' },
-    gfa:       { key: 'gfa', label: 'Gross Floor Area (m\u00b2)', unit: 'm\u00b2' },
-    transit:   { key: 'ti',  label: 'Transit Index',        unit: '' },
-    diversity: { key: 'div', label: 'Diversity Index',       unit: '' },
-    buildings: { key: 'b',   label: 'Buildings',             unit: '' },
-    units:     { key: 'u',   label: 'Est. Residential Units',unit: '' },
-    levels:    { key: 'lvl', label: 'Avg Building Levels',   unit: '' },
-    bus:       { key: 'bd',  label: 'Bus Distance (m)',      unit: 'm' },
-    mrt:       { key: 'md',  label: 'MRT Distance (m)',      unit: 'm' }
+    energy:    { key: 'e',   label: 'Energy (kWh/yr)',      unit: 'kWh/yr',
+                 aliases: ['energy consumption', 'energy use', 'energy', 'consumption', 'kwh'] },
+    gfa:       { key: 'gfa', label: 'Gross Floor Area (m\u00b2)', unit: 'm\u00b2',
+                 aliases: ['gross floor area', 'floor area', 'gfa'] },
+    transit:   { key: 'ti',  label: 'Transit Index',        unit: '',
+                 aliases: ['transit accessibility', 'transit index', 'transit score', 'transit', 'accessibility'] },
+    diversity: { key: 'div', label: 'Diversity Index',       unit: '',
+                 aliases: ['facility diversity', 'diversity index', 'diversity'] },
+    buildings: { key: 'b',   label: 'Buildings',             unit: '',
+                 aliases: ['number of buildings', 'building count', 'buildings', 'building'] },
+    units:     { key: 'u',   label: 'Est. Residential Units',unit: '',
+                 aliases: ['residential units', 'dwelling units', 'dwellings', 'units'] },
+    levels:    { key: 'lvl', label: 'Avg Building Levels',   unit: '',
+                 aliases: ['building levels', 'levels', 'storeys', 'stories', 'floors', 'height'] },
+    bus:       { key: 'bd',  label: 'Bus Distance (m)',      unit: 'm',
+                 aliases: ['bus stop distance', 'distance to bus', 'bus distance', 'bus'] },
+    mrt:       { key: 'md',  label: 'MRT Distance (m)',      unit: 'm',
+                 aliases: ['distance to mrt', 'mrt distance', 'mrt', 'metro'] }
+  };
+  // The metrics similarity weighs by default, whatever else is defined later
+  const BUILT_IN_METRICS = Object.keys(METRICS);
+
+  // Graph centrality measures computed by GraphMetrics (graph-metrics.js)
+  const CENTRALITY_MEASURES = ['degree', 'wdegree', 'pagerank', 'betweenness', 'clustering'];
+
+  // Station catchments: the nearest-station name field and walking-distance field per mode
+  const STATION_KINDS = {
+    mrt: { field: 'nm', dist: 'md', label: 'MRT station', plural: 'MRT stations', title: 'MRT Station' },
+    bus: { field: 'nb', dist: 'bd', label: 'bus stop',    plural: 'bus stops',    title: 'Bus Stop' }
+  };
+
+  // Aggregates a station ranking can sort by
+  const STATION_METRICS = {
+    parcels:  { label: 'Parcels',               unit: '',       phrase: 'parcels' },
+    gfa:      { label: 'Total GFA',             unit: 'm\u00b2', phrase: 'floor area' },
+    units:    { label: 'Total Est. Units',      unit: '',       phrase: 'residential units' },
+    energy:   { label: 'Total Energy',          unit: 'kWh/yr', phrase: 'energy demand' },
+    buildings:{ label: 'Total Buildings',       unit: '',       phrase: 'buildings' },
+    meanDist: { label: 'Mean Walking Distance', unit: 'm',      phrase: 'walking distance' }
+  };
+
+  // Facility groups a filter may name in place of single types: "any social facility",
+  // "every food and drink outlet". `words` are the names the group goes by.
+  const FACILITY_GROUPS = {
+    food:       { label: 'food and drink', types: ['Bar', 'Cafe', 'Restaurant', 'Hawker'],
+                  words: ['food and drink', 'food & drink', 'food', 'dining', 'eating'] },
+    social:     { label: 'social',         types: ['SocialService', 'CommunityUseSite', 'ChildCare'],
+                  words: ['social', 'community'] },
+    recreation: { label: 'recreation',     types: ['Garden', 'Sport'],
+                  words: ['recreation', 'recreational', 'leisure'] },
+    culture:    { label: 'cultural',       types: ['Library', 'Museum'],
+                  words: ['culture', 'cultural', 'civic'] }
+  };
+  // "[any | all] <group> facilities"; the quantifier says whether one type is enough
+  const FACILITY_GROUP_RE = new RegExp(
+    `\\b(?:(any|all|every|each)\\s+(?:of\\s+the\\s+|the\\s+)?)?(${Object.values(FACILITY_GROUPS)
+      .flatMap(g => g.words).sort((a, b) => b.length - a.length).map(escRe).join('|')})` +
+    '\\s+(?:facilit(?:y|ies)|amenit(?:y|ies)|outlets?|places?)\\b', 'g');
+
+  // Facility gaps: by default a parcel needs this many neighbours, and more than this share of
+  // them with a facility it lacks
+  const GAP_MIN_NEIGHBOURS = 3;
+  const GAP_THRESHOLD = 0.5;
+
+  // Comparison phrases accepted in filter expressions, keyed by operator
+  const COMPARATORS = {
+    '>=': ['>=', '\u2265', 'at least', 'no less than', 'not less than', 'minimum of'],
+    '<=': ['<=', '\u2264', 'at most', 'no more than', 'not more than', 'up to', 'maximum of'],
+    '!=': ['!=', '<>', 'not equal to'],
+    '>':  ['>', 'above', 'over', 'more than', 'greater than', 'higher than', 'larger than', 'exceeding', 'exceeds'],
+    '<':  ['<', 'below', 'under', 'less than', 'lower than', 'smaller than', 'fewer than'],
+    '=':  ['==', '=', 'equal to', 'equals', 'exactly']
+  };
+
+  // Pieces of the filter grammar shared by _parseFilter() and _parseScope().
+  // The metric-dependent ones are rebuilt by buildMetricGrammar() when METRICS changes.
+  let METRIC_ALT, BETWEEN_RE, METRIC_CMP_RE, CMP_METRIC_RE, CONTRAST_RE;
+  const COMPARATOR_ALT = Object.values(COMPARATORS)
+    .flat()
+    .sort((a, b) => b.length - a.length)
+    .map(escRe).join('|');
+  const FILTER_NUM = '(-?\\d+(?:\\.\\d+)?)\\s*(k|km|thousand|million|mn|m)?(?![a-z])';
+  const FILTER_FILLER = '(?:\\s+(?:is|are|of|index|value|score|count))*';
+
+  function buildMetricGrammar() {
+    METRIC_ALT = Object.values(METRICS)
+      .flatMap(m => m.aliases)
+      .sort((a, b) => b.length - a.length)
+      .map(escRe).join('|');
+    // "<metric> between X and Y", "<metric> <comparator> <number>", "<comparator> <number> <metric>"
+    BETWEEN_RE = new RegExp(`\\b(${METRIC_ALT})${FILTER_FILLER}\\s+between\\s+${FILTER_NUM}\\s*(?:and|to|-)\\s*${FILTER_NUM}`, 'g');
+    METRIC_CMP_RE = new RegExp(`\\b(${METRIC_ALT})${FILTER_FILLER}\\s*(${COMPARATOR_ALT})\\s*${FILTER_NUM}`, 'g');
+    CMP_METRIC_RE = new RegExp(`(${COMPARATOR_ALT})\\s*${FILTER_NUM}\\s*(${METRIC_ALT})\\b`, 'g');
+    // "high GFA but low energy": a residual test of the second metric on the first
+    CONTRAST_RE = new RegExp(`\\b(high|low|large|small|big)\\s+(${METRIC_ALT})\\s+(?:but|and|yet|with)\\s+(?:an?\\s+)?(high|low|large|small|big)\\s+(${METRIC_ALT})\\b`);
+  }
+  buildMetricGrammar();
+
+  // Question words that ask for a ranking or for summary statistics
+  const RANKING_RE = /\b(top|highest|largest|biggest|most|bottom|lowest|smallest|least|best|worst)\b/i;
+  const STATISTICS_RE = /\b(average|mean|total|sum|how many|count|median|standard deviation|std dev)\b/i;
+
+  // Rows per page of a ranking; longer rankings page with "next page" / "page 3"
+  const PAGE_SIZE = 50;
+
+  // Outlier tests: default cut-off on the deviation score and the score's column label
+  const OUTLIER_METHODS = {
+    zscore:   { label: 'z-score',        threshold: 3,   name: 'z-score' },
+    iqr:      { label: 'IQR score',      threshold: 1.5, name: 'IQR (Tukey fences)' },
+    residual: { label: 'Residual score', threshold: 3,   name: 'robust regression residual' }
+  };
+  // Metrics a residual test predicts from when the question names none
+  const OUTLIER_PREDICTORS = {
+    energy: ['gfa', 'levels', 'buildings'],
+    units: ['gfa', 'levels']
+  };
+  // Parcel comparisons: "compare kml_A and kml_B", "kml_A vs kml_B", "differences between ..."
+  const COMPARE_RE = /\b(?:compar(?:e|ed|ing|ison)|versus|vs|differ(?:s|ence|ences)?|side[\s-]by[\s-]side)\b/;
+  // Axes of the comparison radar chart, each min–max scaled over all parcels
+  const RADAR_METRICS = ['transit', 'diversity', 'gfa', 'energy', 'buildings', 'units', 'levels'];
+
+  // Correlation and regression questions, and the phrases that add category dummies to a regression
+  const CORRELATION_RE = /\b(?:correlat(?:e|es|ed|ing|ion|ions)|corr|pearson|spearman)\b/;
+  const REGRESSION_RE = /\b(?:regress(?:ed|es|ing|ion)?|ols|least[\s-]squares|linear (?:model|regression|fit))\b/;
+  const DUMMIES_RE = new RegExp(
+    '\\b(?:(?:with|and|plus|including|add(?:ing)?)\\s+(?:the\\s+)?)?' +
+    '(?:categor(?:y|ies)\\s+(?:dumm(?:y|ies)|effects|indicators|fixed effects)|dumm(?:y|ies)(?:\\s+for\\s+(?:the\\s+)?categor(?:y|ies))?)\\b' +
+    '|\\b(?:controlling|control|adjust(?:ing|ed)?)\\s+for\\s+(?:the\\s+)?categor(?:y|ies)\\b');
+
+  // Significance questions: a named test, or "is / does ... differ" between categories
+  const SIGNIFICANCE_RE = /\b(?:significan(?:t|tly|ce)|statistically|t[\s-]?tests?|welch|mann[\s\u2013-]whitney|wilcoxon|anova|kruskal(?:[\s\u2013-]wallis)?|p[\s-]?values?)\b/;
+  const DIFFER_RE = /\b(?:differ|differs|differing|different|difference|differences)\b/;
+  // Significance level of the verdicts, and the coverage of the confidence intervals
+  const ALPHA = 0.05;
+  const Z_95 = 1.959964;
+  // Metrics a comparison or category profile tests when no metric is named
+  const TESTED_METRICS = ['gfa', 'energy', 'transit', 'diversity', 'buildings', 'units', 'levels'];
+
+  // Equity questions: an inequality measure, or how evenly an amenity is spread
+  const EQUITY_RE = /\b(?:gini|theil|lorenz|concentration\s+(?:index|indices|curves?)|inequalit(?:y|ies)|inequitabl[ey]|inequit(?:y|ies)|equity|equitabl[ey]|(?:un)?evenly\s+(?:distributed|spread|shared))\b/;
+  // "weighted by units", "per resident", "GFA-weighted", "across residents"
+  const EQUITY_WEIGHT_RE = /\b(?:weighted\s+by|weighting\s+by|per)\s+(?:the\s+)?(?:est\.?\s+)?(residential\s+units|units|dwellings|households|residents?|population|people|persons?|gfa|gross\s+floor\s+area|floor\s+area)\b|\b(units?|residents?|population|gfa|floor[\s-]area)[\s-]weighted\b|\bacross\s+(residents|people|households|the\s+population)\b/;
+  // The ranking variable of a concentration index: "ranked by GFA", "concentration index by units"
+  const EQUITY_RANK_RE = /\b(?:ranked|ranking|ordered|sorted|concentration\s+(?:index|curve))\s+by\s+(?:parcel\s+)?(gfa|gross\s+floor\s+area|floor\s+area|size|residential\s+units|units|dwellings|building\s+levels|levels|height)\b/;
+  const EQUITY_GROUP_RE = /\b(?:by|per|for\s+each|within\s+each|in\s+each|across|between)\s+(?:the\s+)?(?:(categor(?:y|ies))|(?:(mrt|bus)\s+)?(stations?|stops?|station\s+catchments?|catchments?))\b/;
+  // The facility count as the amenity: "Gini of facility count", "inequality in facilities", "amenities"
+  const EQUITY_FACILITY_RE = /\bfacilit(?:y|ies)\s+(?:counts?|access|provision|types?|numbers?)\b|\b(?:number|count)\s+of\s+facilit(?:y|ies)(?:\s+types)?\b|\bamenit(?:y|ies)\b|\b(?:of|in|for)\s+facilit(?:y|ies)\b/;
+  // Groups (stations) with fewer parcels are left out of breakdown tables
+  const EQUITY_MIN_GROUP = 5;
+
+  const OUTLIER_RE = /\b(?:outliers?|anomal(?:y|ies|ous)|unusual(?:ly)?|implausibl[ey]|atypical|abnormal|suspicious(?:ly)?|z[\s-]?scores?)\b/;
+  const OUTLIER_BY_CATEGORY_RE = /\b(?:within|by|per|for|against|relative to|compared (?:to|with))\s+(?:each|every|their|its|the same|own|their own|its own)?\s*categor(?:y|ies)\b/;
+
+  // Follow-up phrasing that refers back to the previous answer
+  const ORDINALS = ['first', 'second', 'third', 'fourth', 'fifth', 'sixth', 'seventh', 'eighth', 'ninth', 'tenth'];
+  const ORDINAL_WORD = `(${ORDINALS.join('|')}|last)`;
+  const ORDINAL_RE = new RegExp(
+    `\\bthe\\s+${ORDINAL_WORD}(?:\\s+(?:one|parcel|result|item|entry))?\\b` +
+    `|\\b${ORDINAL_WORD}\\s+(?:one|parcel|result|item|entry)\\b` +
+    `|#(\\d+)\\b|\\b(?:result|item|number|no\\.)\\s*(\\d+)\\b`,
+    'i'
+  );
+  const PRONOUN_RE = /\b(?:that|this|the same) (?:one|parcel)\b|\bits?\b/i;
+  const FOLLOW_UP_RE = /^(?:ok(?:ay)?|so|and|but|then|now|instead|same|what about|how about|add)\b|^with(?:out)? (?:the )?(?:categor\w* )?dumm|^(?:un)?weighted\b|^(?:ranked|by|per) (?:by )?(?:categor|(?:mrt |bus )?(?:stations?|stops?|catchments?)\b|gfa\b|units\b|levels\b)|^(?:only|just|keep|exclud(?:e|ing)|without|except|remove|drop|restrict to|limit to|filter to)\b|\binstead\b|^(?:(?:next|previous|prev) page|page \d+|(?:show )?more(?: results| parcels)?)$/;
+
+  // Typo correction: words the questions use besides metric, category,
+  // facility, edge-type and station names. Only words close to one of
+  // these (or to those names) are ever rewritten.
+  const QUERY_WORDS = [
+    'average', 'mean', 'median', 'total', 'count', 'statistics', 'distribution', 'compare', 'comparison',
+    'highest', 'lowest', 'largest', 'smallest', 'bottom', 'biggest', 'rank', 'ranked', 'ranking', 'parcel', 'parcels', 'category',
+    'categories', 'categorized', 'classified', 'classification', 'methodology', 'overview', 'summary',
+    'facility', 'facilities', 'relationship', 'relationships', 'neighbours', 'neighbors', 'connected',
+    'connections', 'path', 'route', 'hops', 'within', 'nearest', 'closest', 'radius', 'metres', 'meters',
+    'station', 'stations', 'catchment', 'catchments', 'served', 'similar', 'cluster', 'clusters',
+    'community', 'communities', 'centrality', 'pagerank', 'betweenness', 'clustering', 'degree',
+    'weighted', 'distance', 'index', 'exclude', 'without', 'only', 'instead', 'outliers', 'outlier',
+    'unusual', 'anomalies', 'anomalous', 'residual', 'regression', 'expected', 'gaps', 'deserts',
+    'underserved', 'lacking', 'missing', 'correlation', 'correlate', 'regress', 'spearman', 'pearson', 'dummies',
+    'significant', 'significantly', 'significance', 'different', 'differ', 'anova', 'kruskal', 'welch',
+    'gini', 'theil', 'lorenz', 'inequality', 'equity', 'equitably', 'concentration'
+  ];
+  // Everyday words that happen to sit within a typo of a vocabulary word
+  const COMMON_WORDS = new Set([
+    'which', 'what', 'show', 'list', 'have', 'with', 'that', 'this', 'than', 'more', 'less', 'most', 'least',
+    'from', 'into', 'about', 'above', 'below', 'under', 'over', 'near', 'does', 'their', 'there', 'these',
+    'those', 'many', 'much', 'each', 'every', 'give', 'tell', 'find', 'same', 'also', 'some', 'like',
+    'they', 'them', 'where', 'when', 'then', 'just', 'keep', 'ones', 'other', 'using', 'through', 'along',
+    'between', 'across', 'versus', 'please', 'first', 'second', 'third', 'last', 'best', 'worst', 'area'
+  ]);
+
+  // Formulas quoted in explanation traces (see QueryEngine#explain)
+  const FORMULAS = {
+    mean: 'mean = Σx / n',
+    median: 'median = middle value of the sorted x (mean of the middle two when n is even)',
+    stddev: 'sd = √( Σ(x − mean)² / (n − 1) )',
+    share: 'share = parcels kept / all parcels × 100%',
+    haversine: 'd = 2R · asin √( sin²(Δφ/2) + cos φ₁ · cos φ₂ · sin²(Δλ/2) ), R = 6,371 km',
+    minmax: 'x′ = (x − min) / (max − min) over all parcels',
+    similarity: 'score = (W · metricSim + f · facilitySim) / (W + f), W = Σ metric weights, f = facility weight',
+    metricSim: 'metricSim = 1 − √( Σ wₖ (x′ₖ − r′ₖ)² / W )',
+    jaccard: 'facilitySim = |A ∩ B| / |A ∪ B| (Jaccard overlap of facility types)',
+    bfs: 'breadth-first search: fewest hops, every edge costs 1',
+    dijkstra: 'Dijkstra: minimise Σ haversine(centroidᵢ, centroidᵢ₊₁) along the path',
+    modularity: 'Q = Σ_c [ L_c / m − (d_c / 2m)² ] (Louvain, maximised greedily)',
+    nmi: 'NMI = 2 · I(clusters; categories) / (H(clusters) + H(categories))',
+    zscore: 'z = (x − mean) / sd',
+    iqr: 'IQR = Q3 − Q1; score = (x − Q3) / IQR above Q3, (x − Q1) / IQR below Q1, else 0 (Tukey fences at ±k)',
+    huber: 'robust fit: y ≈ b₀ + Σ bⱼ xⱼ by iteratively reweighted least squares with Huber weights (k = 1.345)',
+    residualScore: 'score = (actual − expected) / s, s = 1.4826 · median |residual|',
+    difference: 'difference = (parcel − average) / |average| × 100%',
+    neighbourShare: 'share = neighbours with the facility / neighbours over the chosen edge types',
+    pearson: 'r = Σ(x − x̄)(y − ȳ) / √( Σ(x − x̄)² · Σ(y − ȳ)² )',
+    spearman: 'ρ = Pearson r of the ranks of x and y (ties share their average rank)',
+    corrTest: 't = r · √( (n − 2) / (1 − r²) ), two-sided p from Student t with n − 2 df',
+    ols: 'ordinary least squares: b = (XᵀX)⁻¹ Xᵀy, se(b) = √( s² · diag (XᵀX)⁻¹ ), s² = Σ residual² / (n − k − 1)',
+    r2: 'R² = 1 − Σ residual² / Σ(y − ȳ)²; adjusted R² = 1 − (1 − R²)(n − 1) / (n − k − 1)',
+    fTest: 'F = (R² / k) / ((1 − R²) / (n − k − 1)), p from F with k and n − k − 1 df',
+    welch: 'Welch: t = (x̄₁ − x̄₂) / √( s₁²/n₁ + s₂²/n₂ ), df by Welch–Satterthwaite; 95% CI = (x̄₁ − x̄₂) ± t₀.₉₇₅ · se',
+    mannWhitney: 'Mann–Whitney: U = R₁ − n₁(n₁ + 1) / 2, z with tie and continuity corrections, two-sided normal p; ' +
+      'rank-biserial r = 2U / (n₁n₂) − 1',
+    cohenD: "Cohen's d = (x̄₁ − x̄₂) / pooled s; 95% CI = d ± 1.96 · √( (n₁ + n₂) / (n₁n₂) + d² / (2(n₁ + n₂)) )",
+    anova: 'one-way ANOVA: F = (SS between / (k − 1)) / (SS within / (N − k)); η² = SS between / SS total',
+    kruskal: 'Kruskal–Wallis: H = 12 / (N(N + 1)) · Σ Rᵢ² / nᵢ − 3(N + 1), over the tie correction; p from χ² with k − 1 df; ε² = H / (N − 1)',
+    lorenz: 'Lorenz curve: parcels sorted by value; cumulative share of the weight against cumulative share of weight × value',
+    gini: 'Gini = 1 − Σ (pₖ − pₖ₋₁)(Lₖ + Lₖ₋₁) over the Lorenz curve points (pₖ, Lₖ)',
+    theil: 'Theil T = Σ (wᵢ / W)(xᵢ / μ) ln(xᵢ / μ); = Σ s_g T_g (within groups) + Σ s_g ln(μ_g / μ) (between), s_g = group share of the total',
+    concentrationIndex: 'concentration index = 1 − Σ (pₖ − pₖ₋₁)(Cₖ + Cₖ₋₁), with parcels sorted by the ranking variable instead of the value',
+    holm: 'Holm: the i-th smallest of m p-values × (m − i + 1), kept non-decreasing, at most 1',
+    meanCi: '95% CI of a mean = x̄ ± t₀.₉₇₅ (n − 1 df) · s / √n'
   };
 
   // ----------------------------------------------------------
@@ -98,6 +380,567 @@
     return Math.sqrt(arr.reduce((s, v) => s + (v - m) ** 2, 0) / (arr.length - 1));
   }
 
+  /**
+   * Weighted least squares of y on the columns of X plus an intercept.
+   * Columns are standardised for the solve; the returned coefficients are
+   * on the original scale, intercept first. Null if the columns are collinear.
+   */
+  function leastSquares(X, y, w) {
+    const n = y.length;
+    const p = X[0] ? X[0].length : 0;
+    const weight = i => (w ? w[i] : 1);
+    const mu = [], sd = [];
+    for (let j = 0; j < p; j++) {
+      const col = X.map(row => row[j]);
+      mu.push(mean(col));
+      sd.push(stddev(col) || 1);
+    }
+    const Z = X.map(row => [1, ...row.map((v, j) => (v - mu[j]) / sd[j])]);
+    const A = Array.from({ length: p + 1 }, () => new Array(p + 1).fill(0));
+    const b = new Array(p + 1).fill(0);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j <= p; j++) {
+        b[j] += weight(i) * Z[i][j] * y[i];
+        for (let k = 0; k <= p; k++) A[j][k] += weight(i) * Z[i][j] * Z[i][k];
+      }
+    }
+    const beta = solveLinear(A, b);
+    if (!beta) return null;
+    const coef = [beta[0]];
+    for (let j = 0; j < p; j++) {
+      coef.push(beta[j + 1] / sd[j]);
+      coef[0] -= beta[j + 1] * mu[j] / sd[j];
+    }
+    return coef;
+  }
+
+  /**
+   * Regression of y on X that outliers cannot drag towards themselves:
+   * Huber-weighted IRLS started from ordinary least squares, with the
+   * residual scale re-estimated as 1.4826 × median |residual| each round.
+   * @returns {{ coef:number[], fitted:number[], residuals:number[], scale:number, r2:number }|null}
+   */
+  function robustFit(X, y) {
+    const K = 1.345;
+    const predict = coef => X.map(row => row.reduce((s, v, j) => s + coef[j + 1] * v, coef[0]));
+    let coef = leastSquares(X, y);
+    if (!coef) return null;
+    let fitted, residuals, scale;
+    for (let iter = 0; iter < 50; iter++) {
+      fitted = predict(coef);
+      residuals = y.map((v, i) => v - fitted[i]);
+      scale = 1.4826 * median(residuals.map(Math.abs)) || stddev(residuals);
+      if (!(scale > 0)) break;
+      const w = residuals.map(r => (Math.abs(r) / scale <= K ? 1 : K * scale / Math.abs(r)));
+      const next = leastSquares(X, y, w);
+      if (!next) break;
+      const moved = next.some((c, j) => Math.abs(c - coef[j]) > 1e-6 * (Math.abs(coef[j]) + 1e-9));
+      coef = next;
+      if (!moved) break;
+    }
+    fitted = predict(coef);
+    residuals = y.map((v, i) => v - fitted[i]);
+    scale = 1.4826 * median(residuals.map(Math.abs)) || stddev(residuals);
+    const my = mean(y);
+    const ssTot = y.reduce((s, v) => s + (v - my) ** 2, 0);
+    const ssRes = residuals.reduce((s, r) => s + r * r, 0);
+    return { coef, fitted, residuals, scale, r2: ssTot ? 1 - ssRes / ssTot : 0 };
+  }
+
+  /** Pearson correlation of two equal-length arrays; NaN when either is constant */
+  function pearson(xs, ys) {
+    const mx = mean(xs), my = mean(ys);
+    let sxy = 0, sxx = 0, syy = 0;
+    for (let i = 0; i < xs.length; i++) {
+      const dx = xs[i] - mx, dy = ys[i] - my;
+      sxy += dx * dy;
+      sxx += dx * dx;
+      syy += dy * dy;
+    }
+    return sxx && syy ? sxy / Math.sqrt(sxx * syy) : NaN;
+  }
+
+  /** Ranks 1..n of the values, ties sharing their average rank */
+  function ranks(arr) {
+    const order = arr.map((v, i) => i).sort((a, b) => arr[a] - arr[b]);
+    const r = new Array(arr.length);
+    for (let i = 0; i < order.length;) {
+      let j = i;
+      while (j + 1 < order.length && arr[order[j + 1]] === arr[order[i]]) j++;
+      for (let k = i; k <= j; k++) r[order[k]] = (i + j) / 2 + 1;
+      i = j + 1;
+    }
+    return r;
+  }
+
+  /** ln Γ(x) for x > 0 (Lanczos approximation) */
+  function logGamma(x) {
+    const g = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+      -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+    let y = x;
+    let ser = 1.000000000190015;
+    g.forEach(c => { ser += c / ++y; });
+    return (x + 0.5) * Math.log(x + 5.5) - (x + 5.5) + Math.log(2.5066282746310005 * ser / x);
+  }
+
+  /** Regularised incomplete beta function I_x(a, b), by Lentz's continued fraction */
+  function incompleteBeta(x, a, b) {
+    if (x <= 0) return 0;
+    if (x >= 1) return 1;
+    if (x > (a + 1) / (a + b + 2)) return 1 - incompleteBeta(1 - x, b, a);
+    const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+    const tiny = v => (Math.abs(v) < 1e-30 ? 1e-30 : v);
+    let c = 1;
+    let d = 1 / tiny(1 - (a + b) * x / (a + 1));
+    let f = d;
+    for (let m = 1; m <= 200; m++) {
+      const m2 = 2 * m;
+      let num = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+      d = 1 / tiny(1 + num * d);
+      c = tiny(1 + num / c);
+      f *= d * c;
+      num = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+      d = 1 / tiny(1 + num * d);
+      c = tiny(1 + num / c);
+      f *= d * c;
+      if (Math.abs(d * c - 1) < 1e-12) break;
+    }
+    return front * f / a;
+  }
+
+  /** Two-sided p-value of a Student t statistic */
+  function tTestP(t, df) {
+    if (isNaN(t) || !(df > 0)) return NaN;
+    return isFinite(t) ? incompleteBeta(df / (df + t * t), df / 2, 0.5) : 0;
+  }
+
+  /** Upper-tail p-value of an F statistic with (d1, d2) degrees of freedom */
+  function fTestP(F, d1, d2) {
+    if (isNaN(F) || !(d1 > 0) || !(d2 > 0)) return NaN;
+    return isFinite(F) ? incompleteBeta(d2 / (d2 + d1 * F), d2 / 2, d1 / 2) : 0;
+  }
+
+  /** A p-value as HTML */
+  function fmtP(p) {
+    return isNaN(p) ? '-' : p < 0.001 ? '&lt; 0.001' : p.toFixed(3);
+  }
+
+  /** Upper-tail p-value of a chi-square statistic with k df: the regularised gamma Q(k/2, x/2) */
+  function chiSquareP(x, k) {
+    if (isNaN(x) || !(k > 0)) return NaN;
+    if (x <= 0) return 1;
+    if (!isFinite(x)) return 0;
+    const a = k / 2;
+    const y = x / 2;
+    const front = Math.exp(a * Math.log(y) - y - logGamma(a));
+    if (y < a + 1) {
+      // Series for the lower tail
+      let term = 1 / a;
+      let sum = term;
+      for (let n = 1; n < 500 && Math.abs(term) > Math.abs(sum) * 1e-14; n++) {
+        term *= y / (a + n);
+        sum += term;
+      }
+      return Math.max(0, 1 - front * sum);
+    }
+    // Continued fraction for the upper tail (Lentz)
+    const tiny = v => (Math.abs(v) < 1e-300 ? 1e-300 : v);
+    let b = y + 1 - a;
+    let c = 1e300;
+    let d = 1 / b;
+    let h = d;
+    for (let i = 1; i < 500; i++) {
+      const an = -i * (i - a);
+      b += 2;
+      d = 1 / tiny(an * d + b);
+      c = tiny(b + an / c);
+      h *= d * c;
+      if (Math.abs(d * c - 1) < 1e-14) break;
+    }
+    return front * h;
+  }
+
+  /** The t with two-sided p-value alpha at df degrees of freedom (bisection on tTestP) */
+  function tCritical(alpha, df) {
+    let lo = 0;
+    let hi = 2;
+    while (tTestP(hi, df) > alpha && hi < 1e6) hi *= 2;
+    for (let i = 0; i < 60; i++) {
+      const mid = (lo + hi) / 2;
+      if (tTestP(mid, df) > alpha) lo = mid;
+      else hi = mid;
+    }
+    return (lo + hi) / 2;
+  }
+
+  /** Mean, standard deviation, median and the 95% confidence interval of the mean */
+  function describeSample(xs) {
+    const n = xs.length;
+    const m = mean(xs);
+    const sd = stddev(xs);
+    const half = n > 1 ? tCritical(ALPHA, n - 1) * sd / Math.sqrt(n) : NaN;
+    return { n, mean: m, sd, median: median(xs), ci: [m - half, m + half] };
+  }
+
+  /**
+   * Welch's t-test of two samples (no equal-variance assumption), with the
+   * 95% interval of the mean difference and Cohen's d (pooled SD), its
+   * small-sample correction Hedges' g and d's approximate 95% interval.
+   * Null when either sample has fewer than two values.
+   */
+  function welchTest(a, b) {
+    const n1 = a.length, n2 = b.length;
+    if (n1 < 2 || n2 < 2) return null;
+    const m1 = mean(a), m2 = mean(b);
+    const s1 = stddev(a) ** 2, s2 = stddev(b) ** 2;
+    const v1 = s1 / n1, v2 = s2 / n2;
+    const se = Math.sqrt(v1 + v2);
+    const diff = m1 - m2;
+    const df = se > 0 ? (v1 + v2) ** 2 / (v1 * v1 / (n1 - 1) + v2 * v2 / (n2 - 1)) : n1 + n2 - 2;
+    const t = se > 0 ? diff / se : diff ? Infinity * Math.sign(diff) : NaN;
+    const half = tCritical(ALPHA, df) * se;
+    const pooled = Math.sqrt(((n1 - 1) * s1 + (n2 - 1) * s2) / (n1 + n2 - 2));
+    const d = pooled > 0 ? diff / pooled : NaN;
+    const seD = Math.sqrt((n1 + n2) / (n1 * n2) + d * d / (2 * (n1 + n2)));
+    return {
+      n1, n2, m1, m2, diff, t, df,
+      p: tTestP(t, df),
+      ci: [diff - half, diff + half],
+      d,
+      g: d * (1 - 3 / (4 * (n1 + n2) - 9)),
+      dCi: [d - Z_95 * seD, d + Z_95 * seD]
+    };
+  }
+
+  /**
+   * Mann–Whitney U test (normal approximation with tie and continuity
+   * corrections). U counts the pairs in which the first sample's value is
+   * larger (ties count half), so U / (n₁n₂) is the probability that a
+   * random parcel of the first group exceeds one of the second.
+   */
+  function mannWhitney(a, b) {
+    const n1 = a.length, n2 = b.length, n = n1 + n2;
+    if (!n1 || !n2) return null;
+    const all = [...a, ...b];
+    const r = ranks(all);
+    let r1 = 0;
+    for (let i = 0; i < n1; i++) r1 += r[i];
+    const u = r1 - n1 * (n1 + 1) / 2;
+    const counts = new Map();
+    all.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+    let ties = 0;
+    counts.forEach(t => { ties += t * t * t - t; });
+    const sigma = Math.sqrt(n1 * n2 / 12 * (n + 1 - ties / (n * (n - 1))));
+    const shift = u - n1 * n2 / 2;
+    const z = sigma > 0 ? (shift - Math.sign(shift) * 0.5) / sigma : NaN;
+    return { u, z, p: sigma > 0 ? normalP(z) : NaN, superiority: u / (n1 * n2), r: 2 * u / (n1 * n2) - 1 };
+  }
+
+  /** One-way ANOVA across samples, with η² and ω² */
+  function anova(samples) {
+    const k = samples.length;
+    const N = samples.reduce((s, xs) => s + xs.length, 0);
+    const grand = samples.reduce((s, xs) => s + xs.reduce((t, v) => t + v, 0), 0) / N;
+    let ssb = 0, ssw = 0;
+    samples.forEach(xs => {
+      const m = mean(xs);
+      ssb += xs.length * (m - grand) ** 2;
+      xs.forEach(v => { ssw += (v - m) ** 2; });
+    });
+    const df1 = k - 1, df2 = N - k;
+    const msw = ssw / df2;
+    const F = msw > 0 ? (ssb / df1) / msw : NaN;
+    const total = ssb + ssw;
+    return {
+      F, df1, df2,
+      p: fTestP(F, df1, df2),
+      eta2: total > 0 ? ssb / total : NaN,
+      omega2: total > 0 ? Math.max(0, (ssb - df1 * msw) / (total + msw)) : NaN
+    };
+  }
+
+  /** Kruskal–Wallis H test across samples (tie-corrected), with ε² */
+  function kruskalWallis(samples) {
+    const k = samples.length;
+    const all = [].concat(...samples);
+    const N = all.length;
+    const r = ranks(all);
+    let offset = 0, sum = 0;
+    samples.forEach(xs => {
+      let rs = 0;
+      for (let i = 0; i < xs.length; i++) rs += r[offset + i];
+      sum += rs * rs / xs.length;
+      offset += xs.length;
+    });
+    const counts = new Map();
+    all.forEach(v => counts.set(v, (counts.get(v) || 0) + 1));
+    let ties = 0;
+    counts.forEach(t => { ties += t * t * t - t; });
+    const correction = 1 - ties / (N * N * N - N);
+    const H = correction > 0 ? (12 / (N * (N + 1)) * sum - 3 * (N + 1)) / correction : NaN;
+    return { H, df: k - 1, p: chiSquareP(H, k - 1), eps2: H / (N - 1) };
+  }
+
+  /** Holm step-down adjustment of a list of p-values, in their original order */
+  function holm(ps) {
+    const order = ps.map((p, i) => i).filter(i => !isNaN(ps[i])).sort((a, b) => ps[a] - ps[b]);
+    const out = ps.map(() => NaN);
+    let running = 0;
+    order.forEach((i, rank) => {
+      running = Math.max(running, Math.min(1, ps[i] * (order.length - rank)));
+      out[i] = running;
+    });
+    return out;
+  }
+
+  /** Conventional size word for Cohen's d, η² / ε², or a rank-biserial r */
+  function effectWord(v, kind) {
+    const a = Math.abs(v);
+    if (isNaN(a)) return '';
+    const [small, medium, large] = kind === 'd' ? [0.2, 0.5, 0.8] : kind === 'eta' ? [0.01, 0.06, 0.14] : [0.1, 0.3, 0.5];
+    return a < small ? 'negligible' : a < medium ? 'small' : a < large ? 'medium' : 'large';
+  }
+
+  /** A signed number with a proper minus sign */
+  function fmtSigned(v) {
+    return isNaN(v) ? '-' : (v < 0 ? '−' : '') + fmtMeasure(Math.abs(v));
+  }
+
+  /** How unequal a Gini coefficient is, in words */
+  function inequalityWord(g) {
+    if (isNaN(g)) return '';
+    return g < 0.1 ? 'very low' : g < 0.2 ? 'low' : g < 0.3 ? 'moderate' : g < 0.4 ? 'high' : 'very high';
+  }
+
+  /** A share in [0, 1] as a percentage */
+  function fmtShare(v) {
+    return v == null || isNaN(v) ? '-' : `${(v * 100).toFixed(1)}%`;
+  }
+
+  /**
+   * Ordinary least squares of y on the columns of X plus an intercept, with
+   * standard errors and t tests. Solved on standardised columns like
+   * leastSquares(); coefficients and their covariance are mapped back to the
+   * original scale, intercept first. Null if the columns are collinear or
+   * there are no residual degrees of freedom.
+   * @returns {{ coef:number[], se:number[], t:number[], p:number[], fitted:number[], residuals:number[],
+   *             r2:number, adjR2:number, sigma:number, F:number, pF:number, n:number, df:number }|null}
+   */
+  function ols(X, y) {
+    const n = y.length;
+    const k = X[0] ? X[0].length : 0;
+    const df = n - k - 1;
+    if (df < 1) return null;
+    const mu = [], sd = [];
+    for (let j = 0; j < k; j++) {
+      const col = X.map(row => row[j]);
+      mu.push(mean(col));
+      sd.push(stddev(col) || 1);
+    }
+    const Z = X.map(row => [1, ...row.map((v, j) => (v - mu[j]) / sd[j])]);
+    const A = Array.from({ length: k + 1 }, () => new Array(k + 1).fill(0));
+    const b = new Array(k + 1).fill(0);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j <= k; j++) {
+        b[j] += Z[i][j] * y[i];
+        for (let l = 0; l <= k; l++) A[j][l] += Z[i][j] * Z[i][l];
+      }
+    }
+    const beta = solveLinear(A, b);
+    if (!beta) return null;
+    // (ZᵀZ)⁻¹, one column at a time (it is symmetric, so columns are rows)
+    const inv = [];
+    for (let j = 0; j <= k; j++) {
+      const col = solveLinear(A, b.map((_, l) => (l === j ? 1 : 0)));
+      if (!col) return null;
+      inv.push(col);
+    }
+    // Original-scale coefficients are T·beta: b₀ = β₀ − Σ βⱼ μⱼ / σⱼ, bⱼ = βⱼ / σⱼ
+    const T = Array.from({ length: k + 1 }, () => new Array(k + 1).fill(0));
+    T[0][0] = 1;
+    for (let j = 1; j <= k; j++) {
+      T[0][j] = -mu[j - 1] / sd[j - 1];
+      T[j][j] = 1 / sd[j - 1];
+    }
+    const coef = T.map(row => row.reduce((s, v, l) => s + v * beta[l], 0));
+    const fitted = X.map(row => row.reduce((s, v, j) => s + coef[j + 1] * v, coef[0]));
+    const residuals = y.map((v, i) => v - fitted[i]);
+    const my = mean(y);
+    const ssTot = y.reduce((s, v) => s + (v - my) ** 2, 0);
+    const ssRes = residuals.reduce((s, r) => s + r * r, 0);
+    const s2 = ssRes / df;
+    const se = T.map(row => {
+      let v = 0;
+      for (let j = 0; j <= k; j++) for (let l = 0; l <= k; l++) v += row[j] * inv[j][l] * row[l];
+      return Math.sqrt(s2 * v);
+    });
+    const t = coef.map((c, j) => c / se[j]);
+    const r2 = ssTot ? 1 - ssRes / ssTot : 0;
+    const F = k && r2 < 1 ? (r2 / k) / ((1 - r2) / df) : NaN;
+    return {
+      coef, se, t, p: t.map(v => tTestP(v, df)), fitted, residuals,
+      r2, adjR2: 1 - (1 - r2) * (n - 1) / df, sigma: Math.sqrt(s2), F, pF: fTestP(F, k, df), n, df
+    };
+  }
+
+  /** Colour for a value in [-1, 1]: blue below zero, light grey at zero, red above */
+  function divergingColor(t) {
+    const c = Math.max(-1, Math.min(1, t || 0));
+    const end = c < 0 ? [33, 102, 172] : [178, 24, 43];
+    const mid = [240, 240, 240];
+    return '#' + mid.map((m, i) => Math.round(m + (end[i] - m) * Math.abs(c)).toString(16).padStart(2, '0')).join('');
+  }
+
+  /** Minimal binary min-heap of [priority, value] pairs */
+  class MinHeap {
+    constructor() { this.items = []; }
+    get size() { return this.items.length; }
+    push(priority, value) {
+      const a = this.items;
+      a.push([priority, value]);
+      for (let i = a.length - 1; i > 0;) {
+        const p = (i - 1) >> 1;
+        if (a[p][0] <= a[i][0]) break;
+        [a[p], a[i]] = [a[i], a[p]];
+        i = p;
+      }
+    }
+    pop() {
+      const a = this.items;
+      const top = a[0];
+      const last = a.pop();
+      if (a.length) {
+        a[0] = last;
+        for (let i = 0; ;) {
+          const l = 2 * i + 1, r = l + 1;
+          let m = i;
+          if (l < a.length && a[l][0] < a[m][0]) m = l;
+          if (r < a.length && a[r][0] < a[m][0]) m = r;
+          if (m === i) break;
+          [a[m], a[i]] = [a[i], a[m]];
+          i = m;
+        }
+      }
+      return top;
+    }
+  }
+
+  /**
+   * Uniform lat/lng grid over parcel nodes for radius, nearest-neighbour
+   * and bounding-box lookups. Distances are geodesic (haversine, metres).
+   */
+  class GridIndex {
+    /**
+     * @param {Array}  nodes  - Parcel nodes with lat/lng
+     * @param {number} [cell] - Cell size in degrees (default 0.01, roughly 1.1 km)
+     */
+    constructor(nodes, cell) {
+      this.cell = cell || 0.01;
+      this.cells = new Map();
+      this.minI = Infinity; this.maxI = -Infinity;
+      this.minJ = Infinity; this.maxJ = -Infinity;
+      nodes.forEach(d => {
+        if (d.lat == null || d.lng == null || isNaN(d.lat) || isNaN(d.lng)) return;
+        const i = Math.floor(d.lat / this.cell);
+        const j = Math.floor(d.lng / this.cell);
+        const key = i + ':' + j;
+        if (!this.cells.has(key)) this.cells.set(key, []);
+        this.cells.get(key).push(d);
+        if (i < this.minI) this.minI = i;
+        if (i > this.maxI) this.maxI = i;
+        if (j < this.minJ) this.minJ = j;
+        if (j > this.maxJ) this.maxJ = j;
+      });
+    }
+
+    _cellNodes(i, j) {
+      return this.cells.get(i + ':' + j) || [];
+    }
+
+    /** Nodes within `radius` metres, nearest first, as [distance, node] pairs */
+    within(lat, lng, radius, accept) {
+      const dLat = radius / 111320;
+      const dLng = radius / (111320 * Math.max(0.01, Math.cos(lat * Math.PI / 180)));
+      const out = [];
+      this._scanBox(lat - dLat, lng - dLng, lat + dLat, lng + dLng, d => {
+        if (accept && !accept(d)) return;
+        const dist = haversine(lat, lng, d.lat, d.lng);
+        if (dist <= radius) out.push([dist, d]);
+      });
+      return out.sort((a, b) => a[0] - b[0]);
+    }
+
+    /** The `k` nearest nodes as [distance, node] pairs, searching outward ring by ring */
+    nearest(lat, lng, k, accept) {
+      const ci = Math.floor(lat / this.cell);
+      const cj = Math.floor(lng / this.cell);
+      const maxRing = Math.max(ci - this.minI, this.maxI - ci, cj - this.minJ, this.maxJ - cj, 0);
+      const metresPerRing = this.cell * 111320 * Math.max(0.01, Math.cos(lat * Math.PI / 180));
+      const found = [];
+
+      for (let r = 0; r <= maxRing; r++) {
+        for (let i = ci - r; i <= ci + r; i++) {
+          for (let j = cj - r; j <= cj + r; j++) {
+            if (Math.abs(i - ci) !== r && Math.abs(j - cj) !== r) continue; // ring only
+            this._cellNodes(i, j).forEach(d => {
+              if (accept && !accept(d)) return;
+              found.push([haversine(lat, lng, d.lat, d.lng), d]);
+            });
+          }
+        }
+        // Anything in a later ring is at least r cells away
+        if (found.length >= k) {
+          found.sort((a, b) => a[0] - b[0]);
+          if (found[k - 1][0] <= r * metresPerRing) break;
+        }
+      }
+      return found.sort((a, b) => a[0] - b[0]).slice(0, k);
+    }
+
+    /** Nodes inside a south/west/north/east box */
+    inBox(south, west, north, east, accept) {
+      const out = [];
+      this._scanBox(south, west, north, east, d => {
+        if (d.lat < south || d.lat > north || d.lng < west || d.lng > east) return;
+        if (!accept || accept(d)) out.push(d);
+      });
+      return out;
+    }
+
+    _scanBox(south, west, north, east, visit) {
+      const i0 = Math.max(Math.floor(south / this.cell), this.minI);
+      const i1 = Math.min(Math.floor(north / this.cell), this.maxI);
+      const j0 = Math.max(Math.floor(west / this.cell), this.minJ);
+      const j1 = Math.min(Math.floor(east / this.cell), this.maxJ);
+      for (let i = i0; i <= i1; i++) {
+        for (let j = j0; j <= j1; j++) {
+          this._cellNodes(i, j).forEach(visit);
+        }
+      }
+    }
+  }
+
+  /** Normalised station name for matching: "TAMPINES MRT STATION" -> "tampines" */
+  function stationKey(name) {
+    if (!name || typeof name !== 'string') return '';
+    return name.toLowerCase()
+      .replace(/\b(?:mrt|lrt|station|stn|interchange|int|bus stop|stop)\b/g, ' ')
+      .replace(/[^a-z0-9]+/g, ' ')
+      .trim();
+  }
+
+  /** Format a graph measure, keeping small betweenness values readable */
+  function fmtMeasure(v) {
+    if (v == null || isNaN(v)) return '-';
+    if (v !== 0 && Math.abs(v) < 1) return v.toPrecision(3);
+    return _fmt(v);
+  }
+
+  /** Format a distance in metres as "350 m" or "1.25 km" */
+  function fmtDistance(m) {
+    return m < 1000 ? `${Math.round(m)} m` : `${(m / 1000).toFixed(2)} km`;
+  }
+
   /** Build a small HTML table from header array and 2D rows */
   function htmlTable(headers, rows, numCols) {
     numCols = numCols || new Set();
@@ -117,14 +960,175 @@
     return h;
   }
 
+  /**
+   * Table for exports: column names and rows of raw values (numbers
+   * unformatted, parcel IDs without markup, every row rather than the
+   * ones shown on screen).
+   */
+  function dataTable(title, columns, rows) {
+    return { title, columns, rows };
+  }
+
+  /** [column name, getter] for a METRICS entry, for QueryEngine._parcelTable */
+  function metricColumn(m) {
+    const def = METRICS[m];
+    return [def.label, d => (d[def.key] != null ? d[def.key] : null)];
+  }
+
+  /** Whether a condition tree tests facility types and nothing else */
+  function facilityOnly(e) {
+    if (e.op === 'and' || e.op === 'or') return e.items.every(facilityOnly);
+    if (e.op === 'not') return facilityOnly(e.item);
+    return e.op === 'fac';
+  }
+
+  /** A facility type both required and excluded by the same "and" ("Cafe and no Cafe"), else null */
+  function facilityClash(e) {
+    if (e.op === 'and') {
+      const has = new Set(e.items.filter(x => x.op === 'fac').map(x => x.ft));
+      const clash = e.items.find(x => x.op === 'not' && x.item.op === 'fac' && has.has(x.item.ft));
+      if (clash) return clash.item.ft;
+    }
+    if (e.op === 'and' || e.op === 'or') {
+      for (const x of e.items) {
+        const ft = facilityClash(x);
+        if (ft) return ft;
+      }
+    }
+    return e.op === 'not' ? facilityClash(e.item) : null;
+  }
+
+  /** Plain rendering of a facility-only condition tree: "Cafe and Library and no Garden" */
+  function facilityText(e, nested) {
+    switch (e.op) {
+      case 'and':
+      case 'or': {
+        // What a parcel has before what it lacks: "Bar and no Cafe"
+        const items = e.op === 'and' ? [...e.items].sort((a, b) => (a.op === 'not') - (b.op === 'not')) : e.items;
+        const s = items.map(x => facilityText(x, true)).join(` ${e.op} `);
+        return nested ? `(${s})` : s;
+      }
+      case 'not':
+        // "none of Bar, Cafe" rather than "no (Bar or Cafe)"
+        if (e.item.op === 'or' && e.item.items.every(x => x.op === 'fac')) return 'none of ' + e.item.items.map(x => x.ft).join(', ');
+        return 'no ' + facilityText(e.item, true);
+      default: return e.ft;
+    }
+  }
+
+  /** Whether a parcel meets one classification clause; a missing value fails it */
+  function clausePasses(c, d) {
+    const v = d[c.key];
+    return v != null && !isNaN(v) && RULE_OPS[c.op](+v, c.value);
+  }
+
+  /** Category the classification rules give a parcel: the first rule it meets */
+  function classifyParcel(d) {
+    const rule = CATEGORY_RULES.find(r => !r.test.length || r.test.some(alt => alt.every(c => clausePasses(c, d))));
+    return rule ? rule.key : null;
+  }
+
+  /** Facility types a parcel has access to */
+  function facilitySet(d) {
+    return new Set((d.ft || '').split(',').map(f => f.trim()).filter(Boolean));
+  }
+
+  /**
+   * Whether a parcel has a usable value of a metric for model fitting.
+   * Zero energy means no consumption was recorded, so it counts as missing.
+   */
+  function hasValue(d, m) {
+    const v = d[METRICS[m].key];
+    return v != null && !isNaN(v) && !(m === 'energy' && v <= 0);
+  }
+
   /** Escape HTML entities */
   function esc(s) {
     return String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
   }
 
+  /** Escape for a double-quoted HTML attribute */
+  function escAttr(s) {
+    return esc(s).replace(/"/g, '&quot;');
+  }
+
+  /**
+   * "Did you mean" chips, best first. The page runs a chip's
+   * data-query when it is clicked.
+   */
+  function suggestionList(suggestions) {
+    let h = '<p style="font-size:12px;margin:10px 0 6px">Did you mean:</p><div class="example-chips">';
+    suggestions.forEach(sg => {
+      h += `<span class="example-chip q-suggestion" data-query="${escAttr(sg.query)}"
+        title="${escAttr(sg.title)} (${Math.round(sg.confidence * 100)}% match)">${esc(sg.query)}</span>`;
+    });
+    return h + '</div>';
+  }
+
+  /** "Did you mean: restaraunt → Restaurant?" for words no corrected question could use */
+  function correctionList(corrections) {
+    const pairs = corrections.map(c => `<em>${esc(c.word)}</em> &rarr; <strong>${esc(c.to)}</strong>`);
+    return `<p style="font-size:12px;margin:10px 0 6px">Did you mean: ${pairs.join(', ')}?</p>`;
+  }
+
+  /**
+   * "Page 2 of 4" with previous / next chips. The page runs a chip's
+   * data-query ("next page") as a follow-up to the result.
+   */
+  function pagerHtml(page, pages) {
+    if (pages < 2) return '';
+    let h = `<div class="example-chips" style="margin-top:8px;align-items:center">
+      <span style="font-size:11px;color:#7f8c8d">Page ${page} of ${pages}</span>`;
+    if (page > 1) h += '<span class="example-chip q-suggestion" data-query="previous page">&lsaquo; Previous</span>';
+    if (page < pages) h += '<span class="example-chip q-suggestion" data-query="next page">Next &rsaquo;</span>';
+    return h + '</div>';
+  }
+
+  /**
+   * Optimal-string-alignment edit distance (insertions, deletions,
+   * substitutions and adjacent transpositions). Returns max + 1 as soon
+   * as the distance must exceed `max`.
+   */
+  function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+    let prev2 = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+    for (let i = 1; i <= a.length; i++) {
+      const cur = [i];
+      let best = i;
+      for (let j = 1; j <= b.length; j++) {
+        const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+        let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+        if (prev2 && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+          v = Math.min(v, prev2[j - 2] + 1);
+        }
+        cur.push(v);
+        if (v < best) best = v;
+      }
+      if (best > max) return max + 1;
+      prev2 = prev;
+      prev = cur;
+    }
+    return prev[b.length];
+  }
+
+  /** Edits a word of this length may need and still count as a typo */
+  function typoBudget(len) {
+    return len < 6 ? 1 : len < 10 ? 2 : 3;
+  }
+
+  /** Escape a literal string for use inside a RegExp */
+  function escRe(s) {
+    return String(s).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+  }
+
   /** Category color dot HTML */
   function catDot(cat) {
-    const c = CAT_COLORS[cat] || '#999';
+    return colorDot(CAT_COLORS[cat] || '#999');
+  }
+
+  /** Dot of any colour, e.g. a community colour */
+  function colorDot(c) {
     return `<span style="display:inline-block;width:10px;height:10px;border-radius:50%;background:${c};margin-right:4px;vertical-align:middle"></span>`;
   }
 
@@ -144,16 +1148,142 @@
       this.adj = adj;
       this.nodeMap = nodeMap;
 
+      // What the previous answer was about, for follow-up questions
+      this.context = null;
+
+      // When true, every result carries a `trace` of how it was answered;
+      // this._trace collects it while a question is being answered
+      this.explain = false;
+      this._trace = null;
+
       // Pre-compute aggregate statistics
       this._precompute();
     }
 
+    /**
+     * Build an engine straight from VIZ_DATA ({ network: { nodes, edges } }),
+     * indexing nodes by ID and edges into an undirected adjacency list the
+     * same way app.js does.
+     * @param {Object} data - The object viz_data.js assigns to window.VIZ_DATA
+     * @returns {QueryEngine}
+     */
+    static fromData(data) {
+      if (!data || !data.network || !Array.isArray(data.network.nodes)) {
+        throw new Error('Data has no network.nodes; expected the VIZ_DATA object from viz_data.js.');
+      }
+      const nodes = data.network.nodes;
+      const edges = data.network.edges || [];
+      const nodeMap = {};
+      nodes.forEach(n => { nodeMap[n.id] = n; });
+      const adj = nodes.map(() => []);
+      edges.forEach(([a, b, type]) => {
+        adj[a].push([b, type]);
+        adj[b].push([a, type]);
+      });
+      return new QueryEngine(nodes, edges, adj, nodeMap);
+    }
+
+    /**
+     * Answer questions about the metrics of a DerivedMetrics registry
+     * (derived-metrics.js) as well: rankings, statistics, filters, outliers
+     * and similarity weights all accept them by name or label. Their values
+     * are written onto this engine's nodes, and later changes to the
+     * registry are picked up. METRICS is shared, so every engine on the
+     * page sees the same derived metrics.
+     * @param {DerivedMetrics} registry
+     */
+    useDerivedMetrics(registry) {
+      if (this.derivedMetrics === registry) return;
+      this.derivedMetrics = registry;
+      registry.onChange(() => this._syncDerivedMetrics());
+      this._syncDerivedMetrics();
+    }
+
+    _syncDerivedMetrics() {
+      const registry = this.derivedMetrics;
+      registry.apply(this.nodes);
+      Object.keys(METRICS).forEach(name => {
+        if (METRICS[name].derived) delete METRICS[name];
+      });
+      // Phrases a built-in metric already answers to stay with it
+      const taken = new Set(Object.values(METRICS).flatMap(m => m.aliases));
+      registry.list().forEach(def => {
+        if (METRICS[def.name]) return;
+        const aliases = [...new Set([def.name.replace(/_/g, ' '), def.name, def.label.toLowerCase()])]
+          .filter(a => !taken.has(a));
+        METRICS[def.name] = {
+          key: def.key,
+          label: def.unit ? `${def.label} (${def.unit})` : def.label,
+          unit: def.unit,
+          aliases,
+          derived: true,
+          expr: def.expr
+        };
+      });
+      buildMetricGrammar();
+      Object.entries(METRICS).forEach(([name, def]) => { this.metricRanges[name] = this._metricRange(def); });
+      this._vocab = null;
+    }
+
     // --------------------------------------------------------
     // Pre-computation
     // --------------------------------------------------------
+    /**
+     * Follow a CategoryRules scheme (category-rules.js): when its rules
+     * change, this engine's nodes are reclassified and the category names,
+     * colours, rule descriptions and per-category statistics follow. Like
+     * METRICS, the category tables are shared by every engine on the page.
+     * @param {CategoryRules} rules
+     */
+    useCategoryRules(rules) {
+      if (this.categoryRules === rules) return;
+      this.categoryRules = rules;
+      rules.attach(this.nodes);
+      rules.onChange(() => this._syncCategoryRules());
+      this._syncCategoryRules();
+    }
+
+    _syncCategoryRules() {
+      const rules = this.categoryRules;
+      rules.syncInto(CAT_LABELS, CAT_COLORS);
+      CATEGORY_RULES.splice(0, CATEGORY_RULES.length, ...rules.list().map(r => ({ key: r.key, desc: r.desc, test: r.test })));
+      this._precompute();
+      this._vocab = null;
+    }
+
     _precompute() {
       const n = this.nodes;
 
+      // Per-metric min / max, for normalising feature vectors to [0, 1]
+      this.metricRanges = {};
+      for (const [name, def] of Object.entries(METRICS)) this.metricRanges[name] = this._metricRange(def);
+
+      // Spatial index for radius / nearest / bounding-box queries
+      this.spatial = new GridIndex(n);
+
+      // Station catchments: parcels grouped by their nearest MRT station / bus stop
+      this.stations = {};
+      for (const [kind, def] of Object.entries(STATION_KINDS)) {
+        const byKey = new Map();
+        n.forEach(node => {
+          const key = stationKey(node[def.field]);
+          if (!key) return;
+          if (!byKey.has(key)) byKey.set(key, { key, names: {}, nodes: [] });
+          const st = byKey.get(key);
+          st.nodes.push(node);
+          st.names[node[def.field]] = (st.names[node[def.field]] || 0) + 1;
+        });
+        // Display the most common spelling of each station
+        byKey.forEach(st => {
+          st.name = Object.entries(st.names).sort((a, b) => b[1] - a[1])[0][0];
+          delete st.names;
+        });
+        this.stations[kind] = byKey;
+      }
+
+      // Node -> index into this.nodes / this.adj
+      this.nodeIndex = new Map(n.map((d, i) => [d, i]));
+
       // Group nodes by category
       this.byCategory = {};
       for (const cat of Object.keys(CAT_LABELS)) {
@@ -228,18 +1358,132 @@
 
     /**
      * Process a natural-language query and return a result object.
+     * Follow-ups ("now only Peripheral ones", "the second one") are read
+     * against the previous answer; see resetContext().
      * @param {string} text - The user's query
-     * @returns {{ title:string, type:string, html:string, chartConfig?:object, mapHighlights?:string[] }}
+     * @returns {{ title:string, type:string, html:string, chartConfig?:object, mapHighlights?:string[], mapPath?:string[],
+     *             mapCircle?:{lat:number, lng:number, radius:number}, mapBounds?:number[][],
+     *             mapColors?:Object<string, string>, tables?:Array<{ title:string, columns:string[], rows:Array[] }>,
+     *             trace?:Object }}  `trace` only in explain mode; see _finishTrace()
      */
     query(text) {
       const q = text.trim();
       if (!q) return this._error('Please enter a query.');
 
+      this._beginTrace(q, 'rules');
+      const prev = this.context;
+      let result = this._followUp(q);
+      if (result) {
+        this._traceRule(null, `Follow-up to the previous ${prev.intent.intent} answer`);
+      } else {
+        const resolved = this._resolveReferences(q);
+        if (resolved !== q) this._traceNote({ resolved });
+        result = this._dispatch(resolved);
+      }
+      if (result.type === 'error' && !result.suggestions) result = this._withSuggestions(q, result);
+      this._remember(result);
+      return this._finishTrace(result);
+    }
+
+    /**
+     * 'ranking' or 'statistics' when a question asks for one over a scope
+     * of parcels ("top 5 Peripheral parcels by energy"), otherwise null.
+     * Comparator words ("at least 5 buildings") do not count as ranking words.
+     */
+    _scopedKind(q) {
+      const lower = q.toLowerCase();
+      const asksRanking = RANKING_RE.test(lower.replace(new RegExp(COMPARATOR_ALT, 'g'), ' '));
+      if (!asksRanking && !STATISTICS_RE.test(lower)) return null;
+      const { metric, named, scope } = this._parseScope(lower);
+      if (!scope) return null;
+      if (asksRanking && (metric || this._matchCentrality(lower))) return 'ranking';
+      return STATISTICS_RE.test(lower) && named ? 'statistics' : null;
+    }
+
+    /** Route a self-contained question to its handler */
+    _dispatch(q) {
       const lower = q.toLowerCase();
+      const scoped = this._scopedKind(q);
+      const outliers = this._parseOutliers(q);
+      const correlation = this._parseCorrelation(q);
+      const significance = this._parseSignificance(q);
+      const equity = this._parseEquity(q);
+
+      // 1. Spatial — "within 500 m of kml_A", "10 nearest to 1.30, 103.85", "in box ..."
+      const spatial = this._parseSpatial(q);
+      if (spatial) {
+        this._traceRule(1, 'Spatial');
+        const rest = spatial.rest.trim() ? this._parseFilter(spatial.rest) : null;
+        return this._spatialQuery(spatial.spec, rest);
+      }
+
+      // 2. Station catchments — "parcels served by Tampines MRT", "which MRT station serves the most GFA"
+      // (a significance test, correlation, outlier search, ranking or statistic within a catchment
+      // is answered by rule 11, 15, 16 or 17, and equity measures by station by rule 12)
+      const station = this._parseStation(q);
+      if (station && !equity && !(station.mode === 'catchment' && (scoped || outliers || correlation || significance))) {
+        this._traceRule(2, 'Station catchments');
+        if (station.mode === 'catchment') {
+          const rest = station.rest.trim() ? this._parseFilter(station.rest) : null;
+          return this._stationCatchment(station.kind, station.key, rest);
+        }
+        if (station.mode === 'ranking') return this._stationRanking(station.kind, lower);
+        return this._stationSummary(station.kind);
+      }
+
+      // 3. Similarity — "parcels most like kml_A", "similar to kml_A using transit and gfa"
+      const similar = this._parseSimilarity(q);
+      if (similar) {
+        this._traceRule(3, 'Similarity');
+        const rest = similar.rest.trim() ? this._parseFilter(similar.rest) : null;
+        return this._similarity(similar.parcelId, similar.options, rest);
+      }
+
+      // 4. Communities — "which cluster is kml_A in", "summarise cluster 7", "communities via Cafe edges"
+      const cluster = this._parseCluster(q);
+      if (cluster) {
+        this._traceRule(4, 'Communities');
+        return this._clusterQuery(cluster);
+      }
+
+      // 5. Parcel comparison — "compare kml_A and kml_B", "kml_A vs its category", "kml_A vs its neighbourhood"
+      const comparison = this._parseComparison(q);
+      if (comparison) {
+        this._traceRule(5, 'Parcel comparison');
+        return this._parcelComparison(comparison);
+      }
+
+      // 6. Classification — "why is kml_A Peripheral?", "what would it take for kml_A to become Lifestyle Hub"
+      const classification = this._parseClassification(q);
+      if (classification) {
+        this._traceRule(6, 'Classification explanation');
+        return this._classificationWhy(classification);
+      }
+
+      // 7. Graph paths — "path from kml_A to kml_B", "within 3 hops of kml_A"
+      const ids = q.match(/kml_\d+/gi) || [];
+      if (ids.length >= 2 && /\b(?:path|route|hops?|connect(?:ed|s|ion)?|link(?:ed)?|reach|between|from)\b/i.test(lower)) {
+        this._traceRule(7, 'Graph paths');
+        return this._shortestPath(ids[0], ids[1], lower);
+      }
+      const hopMatch = lower.match(/\b(\d+)[\s-]*hops?\b/);
+      if (ids.length === 1 && hopMatch) {
+        this._traceRule(7, 'Graph paths (k hops)');
+        return this._kHop(ids[0], parseInt(hopMatch[1], 10), lower);
+      }
+
+      // 8. Relationship / neighbor query
+      if (/connected to|neighbou?rs? of|connections? of|adjacent to|linked to/i.test(lower)) {
+        this._traceRule(8, 'Relationships');
+        const relId = q.match(/kml_\d+/i);
+        if (relId) return this._relationships(relId[0]);
+        return this._error('Please specify a parcel ID (e.g., kml_12345) for relationship queries.');
+      }
 
-      // 1. Parcel lookup — "kml_XXXXX" or "tell me about"
+      // 9. Parcel lookup — "kml_XXXXX" or "tell me about"
       const parcelMatch = q.match(/kml_\d+/i);
       if (parcelMatch) {
+        this._traceRule(9, 'Parcel lookup');
         return this._parcelLookup(parcelMatch[0]);
       }
       if (/tell me about|details? (?:of|for|on)/i.test(lower)) {
@@ -247,79 +1491,810 @@
         if (idInQuery) return this._parcelLookup(idInQuery[0]);
       }
 
-      // 2. Methodology — "how are.*categor" or "node type" or "classification"
+      // 10. Methodology — "how are.*categor" or "node type" or "classification"
       if (/how are.*categor|node type|classification|category rule|how.*classif/i.test(lower)) {
+        this._traceRule(10, 'Methodology');
         return this._methodology();
       }
 
-      // 3. Comparison — "compare X and/vs Y"
+      // 11. Significance tests — "is energy different between Peripheral and High Density", "does transit differ across categories"
+      if (significance) {
+        this._traceRule(11, 'Significance tests');
+        return this._significance(significance);
+      }
+
+      // 12. Equity — "Gini of facility count", "Lorenz curve of transit weighted by units", "Theil index of diversity by category"
+      if (equity) {
+        this._traceRule(12, 'Equity');
+        return this._equity(equity);
+      }
+
+      // 13. Category comparison — "compare X and/vs Y"
       const compareMatch = lower.match(/compare\s+(.+?)\s+(?:and|vs\.?|versus|with)\s+(.+)/);
       if (compareMatch) {
+        this._traceRule(13, 'Comparison');
         return this._comparison(compareMatch[1].trim(), compareMatch[2].trim());
       }
 
-      // 4. Relationship / neighbor query
-      if (/connected to|neighbors? of|connections? of|adjacent to|linked to/i.test(lower)) {
-        const relId = q.match(/kml_\d+/i);
-        if (relId) return this._relationships(relId[0]);
-        return this._error('Please specify a parcel ID (e.g., kml_12345) for relationship queries.');
+      // 14. Facility gaps — "facility gaps", "library deserts in Peripheral", "parcels lacking a Garden most of their neighbours have"
+      const gaps = this._parseGaps(q);
+      if (gaps) {
+        this._traceRule(14, 'Facility gaps');
+        return this._facilityGaps(gaps);
       }
 
-      // 5. Rankings — "top/highest/largest/bottom/lowest/smallest"
-      if (/\b(top|highest|largest|biggest|most|bottom|lowest|smallest|least|best|worst)\b/i.test(lower)) {
+      // 15. Correlation and regression — "correlation between transit and energy", "regress energy on gfa and levels"
+      if (correlation) {
+        this._traceRule(15, 'Correlation and regression');
+        return correlation.mode === 'regression' ? this._regression(correlation) : this._correlation(correlation);
+      }
+
+      // 16. Outliers — "energy outliers", "unusual parcels in High Density", "high GFA but low energy"
+      if (outliers) {
+        this._traceRule(16, 'Outliers');
+        return this._outliers(outliers);
+      }
+
+      // 17. Scoped rankings and statistics — "top 5 Peripheral parcels by energy", "average GFA of parcels with a Library"
+      if (scoped) {
+        this._traceRule(17, 'Scoped rankings and statistics');
+        return scoped === 'ranking' ? this._ranking(lower) : this._statistics(lower);
+      }
+
+      // 18. Attribute filter — "transit above 0.7 and gfa under 100,000 with a Cafe"
+      const filter = this._parseFilter(q);
+      if (filter && this._isFilterQuery(filter)) {
+        if (facilityOnly(filter)) {
+          // "parcels with Cafe and Library but no Garden", "missing any social facility"
+          this._traceRule(18, 'Facility expression');
+          return this._facilityQuery(lower, { expr: filter });
+        }
+        this._traceRule(18, 'Attribute filter');
+        return this._filterQuery(filter);
+      }
+
+      // 19. Rankings — "top/highest/largest/bottom/lowest/smallest"
+      if (RANKING_RE.test(lower)) {
+        this._traceRule(19, 'Rankings');
         return this._ranking(lower);
       }
 
-      // 6. Facility query — "which parcels have bar/cafe/garden" etc.
+      // 20. Facility query — "which parcels have bar/cafe/garden" etc.
       if (/which.*(?:have|with|contain)|parcels.*(?:have|with)|has (?:a )?(?:bar|cafe|garden|library|sport|museum|hawker|childcare|restaurant|social)/i.test(lower)) {
+        this._traceRule(20, 'Facility query');
         return this._facilityQuery(lower);
       }
 
-      // 7. Statistics — "average/mean/total/how many/median/std"
-      if (/\b(average|mean|total|sum|how many|count|median|standard deviation|std dev)\b/i.test(lower)) {
+      // 21. Statistics — "average/mean/total/how many/median/std"
+      if (STATISTICS_RE.test(lower)) {
+        this._traceRule(21, 'Statistics');
         return this._statistics(lower);
       }
 
-      // 8. Category info — check if any category name is mentioned
+      // 22. Category info — check if any category name is mentioned
       const matchedCat = this._matchCategory(lower);
       if (matchedCat) {
+        this._traceRule(22, 'Category info');
         return this._categoryInfo(matchedCat);
       }
 
-      // 9. General stats — "overview" or "summary"
+      // 23. General stats — "overview" or "summary"
       if (/overview|summary|general|dataset|about the (data|graph|knowledge)/i.test(lower)) {
+        this._traceRule(23, 'Overview');
         return this._overview();
       }
 
-      // 10. Facility types listing
+      // 24. Facility types listing
       if (/facilit(?:y|ies)|amenities|what (?:types|kinds)/i.test(lower)) {
+        this._traceRule(24, 'Facility types');
         return this._facilityTypes();
       }
 
-      // 11. Edge / relationship types
+      // 25. Edge / relationship types
       if (/edge type|relationship type|connection type|link type/i.test(lower)) {
+        this._traceRule(25, 'Edge types');
         return this._edgeTypes();
       }
 
       // Fallback — try to be helpful
+      this._traceRule(null, 'Fallback: no rule matched');
       return this._fallback(q);
     }
 
     // --------------------------------------------------------
-    // Query handlers
+    // Structured intents
     // --------------------------------------------------------
 
-    /** Parcel detail lookup */
-    _parcelLookup(id) {
-      const node = this.nodeMap[id];
-      if (!node) {
-        return this._error(`Parcel <strong>${esc(id)}</strong> was not found in the dataset.`);
-      }
+    /**
+     * Vocabulary a structured intent may use. Intent providers embed this
+     * in their prompt so the model only emits values the handlers accept.
+     */
+    getIntentSchema() {
+      return {
+        intents: {
+          ranking: 'Top/bottom N parcels by a metric or graph centrality, optionally within a scope ' +
+            '(metric | centrality, edgeTypes, direction, count, page, category, facilityType, station, filter)',
+          statistics: 'Summary statistics of a metric, optionally within a scope (metric, category, facilityType, station, filter)',
+          outliers: 'Parcels whose metric is far from expected, by z-score, IQR or robust regression on other metrics, ' +
+            'optionally within a scope or each category (metric, method, predictors, direction as high | low, byCategory, ' +
+            'threshold, count, category, facilityType, station, filter)',
+          correlation: 'Pearson and Spearman correlation between metrics, optionally within a scope: two metrics for one pair, ' +
+            'one for its correlation with every other, none for the full matrix (metrics, method as pearson | spearman, ' +
+            'category, facilityType, station, filter)',
+          regression: 'Ordinary least squares of one metric on others, optionally with category dummies and within a scope ' +
+            '(metric = the response, predictors, byCategory = add category dummies, category, facilityType, station, filter)',
+          significance: 'Whether a metric differs between categories: Welch t-test and Mann-Whitney U for two groups ' +
+            '(categoryA and categoryB, or one category against the rest), ANOVA and Kruskal-Wallis across every category ' +
+            'when none is named; every metric when none is given (metric, categoryA, categoryB, category, categories, ' +
+            'facilityType, station, filter)',
+          equity: 'How evenly an amenity is spread: Gini, Theil, Lorenz curve and concentration index, optionally weighted ' +
+            'and broken down by category or station catchment (metric = facilities | diversity | transit | another metric, ' +
+            'none for all three; weight, rankBy, groupBy, stationType, category, facilityType, station, filter)',
+          count: 'How many parcels are in a category or have a facility (category | facilityType)',
+          facility: 'Parcels that have a facility type, or a boolean combination of facility types ' +
+            '(facilityType | filter, e.g. "Cafe and Library and not Garden")',
+          gaps: 'Facility gaps: parcels lacking a facility type that most of their graph neighbours have ' +
+            '(facilityType, edgeTypes, threshold = share of neighbours from 0 to 1, category)',
+          filter: 'Parcels matching a boolean condition over metrics, categories and facilities (filter)',
+          parcel: 'Details of one parcel (parcelId)',
+          relationships: 'Direct neighbours of a parcel (parcelId)',
+          path: 'Shortest path between two parcels (parcelId, targetId, edgeTypes, byDistance)',
+          'k-hop': 'Parcels within N hops of a parcel (parcelId, hops, edgeTypes)',
+          radius: 'Parcels within a distance of a parcel or point (parcelId | lat+lng, radius in metres, filter)',
+          nearest: 'The N parcels nearest a parcel or point (parcelId | lat+lng, count, filter)',
+          bbox: 'Parcels inside a bounding box (bounds as [south, west, north, east], filter)',
+          station: 'Parcels whose nearest MRT station or bus stop is the named one (station, stationType, filter)',
+          'station-ranking': 'Rank MRT stations or bus stops by what their catchments hold (stationType, stationMetric, direction, count)',
+          stations: 'Per-station aggregates for every MRT station or bus stop (stationType)',
+          similar: 'Parcels most like a parcel by metrics and facilities (parcelId, weights as { metric: weight }, facilityWeight, count, filter)',
+          cluster: 'The graph community a parcel belongs to, or a profile of one community by number (parcelId | cluster, edgeTypes)',
+          clusters: 'Communities detected in the graph and how they line up with the rule-based categories (edgeTypes)',
+          comparison: 'Compare two categories (categoryA, categoryB); two or more parcels side by side (parcels); ' +
+            'or one parcel with the average of its category or its graph neighbourhood (parcelId, baseline, category, edgeTypes)',
+          category: 'Profile of one category (category)',
+          overview: 'Dataset overview',
+          methodology: 'How parcels are classified',
+          classification: 'Why one parcel has its category, rule by rule, and the smallest change in transit, diversity ' +
+            'or GFA that would move it to each other category (parcelId, category = a category asked about)',
+          'facility-types': 'List facility types',
+          'edge-types': 'List relationship types'
+        },
+        metrics: Object.keys(METRICS),
+        equity: {
+          weights: EquityMetrics ? Object.keys(EquityMetrics.WEIGHTS) : [],
+          rankings: EquityMetrics ? Object.keys(EquityMetrics.RANKINGS) : [],
+          groups: ['category', 'station']
+        },
+        centralities: CENTRALITY_MEASURES,
+        categories: Object.keys(CAT_LABELS),
+        facilityTypes: [...this.allFacilityTypes].sort(),
+        edgeTypes: Object.keys(EDGE_LABELS),
+        stationTypes: Object.keys(STATION_KINDS),
+        stationMetrics: Object.keys(STATION_METRICS),
+        outlierMethods: Object.keys(OUTLIER_METHODS),
+        stations: [...this.stations.mrt.values()].map(st => st.name).sort(),
+        filterSyntax: 'e.g. "transit > 0.7 and gfa < 100000 and has Cafe and not Peripheral"'
+      };
+    }
+
+    /**
+     * Run a structured intent, e.g. one produced by an LLM intent provider.
+     * @param {Object} intent - { intent, metric, direction, count, category, facilityType,
+     *                            parcelId, targetId, categoryA, categoryB, hops, edgeTypes, byDistance, filter,
+     *                            lat, lng, radius, bounds, station, stationType, stationMetric,
+     *                            weights, facilityWeight, centrality, cluster, page,
+     *                            method, predictors, byCategory, threshold, parcels, baseline, metrics, categories,
+     *                            weight, rankBy, groupBy }
+     * @param {string} [text] - The original question, used for any detail the intent leaves out
+     * @returns {Object|null} result object, or null if the intent is unusable
+     */
+    queryIntent(intent, text) {
+      this._beginTrace(text || '', 'intent');
+      if (intent && intent.intent) this._traceRule(null, `Structured intent "${intent.intent}"`);
+      const result = this._runIntent(intent, text);
+      if (!result) {
+        this._trace = null;
+        return result;
+      }
+      this._remember(result);
+      return this._finishTrace(result);
+    }
+
+    _runIntent(intent, text) {
+      if (!intent || typeof intent !== 'object') return null;
+      const lower = (text || '').toLowerCase();
+
+      const metric = METRICS[intent.metric] ? intent.metric : null;
+      const category = intent.category ? this._matchCategory(String(intent.category)) : null;
+      const ft = intent.facilityType ? this._matchFacilityType(String(intent.facilityType)) : null;
+      const edgeTypes = Array.isArray(intent.edgeTypes)
+        ? intent.edgeTypes.filter(t => EDGE_LABELS[t])
+        : [];
+      const id = typeof intent.parcelId === 'string' ? intent.parcelId : null;
+      const count = parseInt(intent.count, 10) || undefined;
+      const stationType = STATION_KINDS[intent.stationType] ? intent.stationType : 'mrt';
+      // Only filter text is taken, and text that does not parse leaves the question to the rules
+      let filter = null;
+      if (intent.filter != null && intent.filter !== '') {
+        if (typeof intent.filter !== 'string') return null;
+        filter = this._parseFilter(intent.filter);
+        if (!filter) return null;
+      }
+
+      // Rankings and statistics also take the category, facility and station as scope
+      let scope = filter;
+      if (category) scope = this._andFilter(scope, { op: 'cat', cat: category });
+      if (ft) scope = this._andFilter(scope, { op: 'fac', ft });
+      const scopeStation = intent.station ? this._matchStation(String(intent.station).toLowerCase(), stationType) : null;
+      if (scopeStation) scope = this._andFilter(scope, this._stationCondition(scopeStation));
+
+      switch (intent.intent) {
+        case 'ranking': {
+          const centrality = CENTRALITY_MEASURES.includes(intent.centrality) ? intent.centrality : null;
+          if (!metric && !centrality) return null;
+          return this._ranking(lower, {
+            metric,
+            centrality: metric ? null : centrality,
+            edgeTypes: edgeTypes.length ? edgeTypes : null,
+            direction: intent.direction === 'bottom' ? 'bottom' : 'top',
+            count,
+            page: parseInt(intent.page, 10) || undefined,
+            filter: scope
+          });
+        }
+        case 'statistics':
+          if (!metric) return null;
+          return this._statistics(lower, { metric, filter: scope });
+        case 'outliers': {
+          const predictors = Array.isArray(intent.predictors) ? intent.predictors.filter(p => METRICS[p]) : [];
+          return this._outliers({
+            metric: metric || 'energy',
+            method: OUTLIER_METHODS[intent.method] ? intent.method : null,
+            predictors: predictors.length ? predictors : null,
+            direction: intent.direction,
+            byCategory: !!intent.byCategory,
+            threshold: parseFloat(intent.threshold) || undefined,
+            count,
+            filter: scope
+          });
+        }
+        case 'correlation': {
+          const metrics = Array.isArray(intent.metrics) ? intent.metrics.filter(m => METRICS[m]) : (metric ? [metric] : []);
+          return this._correlation({
+            metrics,
+            method: intent.method === 'pearson' || intent.method === 'spearman' ? intent.method : 'both',
+            filter: scope
+          });
+        }
+        case 'regression': {
+          if (!metric) return null;
+          const predictors = Array.isArray(intent.predictors) ? intent.predictors.filter(p => METRICS[p]) : [];
+          return this._regression({
+            response: metric,
+            predictors: predictors.length ? predictors : OUTLIER_PREDICTORS[metric],
+            dummies: !!intent.byCategory,
+            filter: scope
+          });
+        }
+        case 'significance': {
+          // The categories are the groups tested, not a scope
+          const named = [].concat(Array.isArray(intent.categories) ? intent.categories : [],
+            intent.categoryA || [], intent.categoryB || [], intent.category || [])
+            .map(c => this._matchCategory(String(c))).filter(Boolean);
+          let where = filter;
+          if (ft) where = this._andFilter(where, { op: 'fac', ft });
+          if (scopeStation) where = this._andFilter(where, this._stationCondition(scopeStation));
+          return this._significance({ metric, categories: named, filter: where });
+        }
+        case 'equity':
+          return this._equity({
+            outcome: intent.metric === 'facilities' || metric ? intent.metric : null,
+            weight: intent.weight,
+            rankBy: intent.rankBy,
+            groupBy: intent.groupBy,
+            stationType,
+            filter: scope
+          });
+        case 'count':
+          if (!category && !ft) return null;
+          return this._statistics(lower, { count: true, category, facilityType: ft });
+        case 'facility':
+          if (filter && facilityOnly(filter)) return this._facilityQuery(lower, { expr: filter });
+          if (!ft) return null;
+          return this._facilityQuery(lower, { facilityType: ft });
+        case 'gaps': {
+          const share = parseFloat(intent.threshold);
+          return this._facilityGaps({
+            facilityType: ft,
+            edgeTypes: edgeTypes.length ? edgeTypes : null,
+            threshold: share > 1 ? share / 100 : share > 0 ? share : undefined,
+            category
+          });
+        }
+        case 'filter':
+          return filter ? this._filterQuery(filter) : null;
+        case 'radius':
+        case 'nearest': {
+          const lat = parseFloat(intent.lat), lng = parseFloat(intent.lng);
+          if (!id && (isNaN(lat) || isNaN(lng))) return null;
+          if (intent.intent === 'radius' && !(parseFloat(intent.radius) > 0)) return null;
+          return this._spatialQuery({
+            mode: intent.intent, parcelId: id, lat, lng,
+            radius: parseFloat(intent.radius), count
+          }, filter);
+        }
+        case 'station': {
+          const hit = intent.station ? this._matchStation(String(intent.station).toLowerCase(), stationType) : null;
+          return hit ? this._stationCatchment(hit.kind, hit.key, filter) : null;
+        }
+        case 'station-ranking':
+          return this._stationRanking(stationType, lower, {
+            metric: STATION_METRICS[intent.stationMetric] ? intent.stationMetric : undefined,
+            direction: intent.direction === 'bottom' ? 'bottom' : (intent.direction === 'top' ? 'top' : undefined),
+            count
+          });
+        case 'stations':
+          return this._stationSummary(stationType);
+        case 'bbox': {
+          const bounds = Array.isArray(intent.bounds) ? intent.bounds.map(parseFloat) : [];
+          if (bounds.length !== 4 || bounds.some(isNaN)) return null;
+          return this._spatialQuery({ mode: 'bbox', bounds }, filter);
+        }
+        case 'parcel':
+          return id ? this._parcelLookup(id) : null;
+        case 'relationships':
+          return id ? this._relationships(id) : null;
+        case 'path':
+          if (!id || typeof intent.targetId !== 'string') return null;
+          return this._shortestPath(id, intent.targetId, lower, {
+            edgeTypes: edgeTypes.length ? edgeTypes : null,
+            byDistance: !!intent.byDistance
+          });
+        case 'k-hop': {
+          if (!id) return null;
+          const hops = parseInt(intent.hops, 10);
+          return this._kHop(id, isNaN(hops) ? 1 : hops, lower, edgeTypes.length ? edgeTypes : null);
+        }
+        case 'similar': {
+          if (!id) return null;
+          let weights;
+          if (intent.weights && typeof intent.weights === 'object') {
+            weights = {};
+            for (const [m, w] of Object.entries(intent.weights)) {
+              if (METRICS[m] && +w > 0) weights[m] = +w;
+            }
+          }
+          const facW = parseFloat(intent.facilityWeight);
+          return this._similarity(id, { weights, facilityWeight: isNaN(facW) ? undefined : facW, count }, filter);
+        }
+        case 'cluster': {
+          const num = parseInt(intent.cluster, 10);
+          if (!id && !(num > 0)) return null;
+          return this._clusterQuery({
+            mode: id ? 'of' : 'summary', parcelId: id, cluster: num,
+            edgeTypes: edgeTypes.length ? edgeTypes : null
+          });
+        }
+        case 'clusters':
+          return this._clusterQuery({ mode: 'overview', edgeTypes: edgeTypes.length ? edgeTypes : null });
+        case 'comparison': {
+          const parcels = Array.isArray(intent.parcels) ? intent.parcels.map(String) : (id ? [id] : []);
+          if (parcels.length) {
+            const baseline = parcels.length > 1 ? null
+              : intent.baseline === 'neighbours' || intent.baseline === 'neighbors' ? 'neighbours' : 'category';
+            return this._parcelComparison({
+              parcels, baseline,
+              category: baseline === 'category' ? category : null,
+              edgeTypes: baseline === 'neighbours' && edgeTypes.length ? edgeTypes : null
+            });
+          }
+          if (!intent.categoryA || !intent.categoryB) return null;
+          return this._comparison(String(intent.categoryA), String(intent.categoryB));
+        }
+        case 'category':
+          return category ? this._categoryInfo(category) : null;
+        case 'overview':
+          return this._overview();
+        case 'methodology':
+          return this._methodology();
+        case 'classification':
+          return id ? this._classificationWhy({ parcelId: id, target: category }) : null;
+        case 'facility-types':
+          return this._facilityTypes();
+        case 'edge-types':
+          return this._edgeTypes();
+        default:
+          return null;
+      }
+    }
+
+    // --------------------------------------------------------
+    // Conversational context
+    // --------------------------------------------------------
+
+    /** Forget the previous answer so the next question is read on its own */
+    resetContext() {
+      this.context = null;
+    }
+
+    /**
+     * Whether a question only makes sense against the previous answer.
+     * Callers that send questions elsewhere (e.g. an LLM intent provider)
+     * should keep these local.
+     */
+    isFollowUp(text) {
+      if (!this.context) return false;
+      const lower = text.trim().toLowerCase();
+      return FOLLOW_UP_RE.test(lower) || ORDINAL_RE.test(lower) || (!!this.context.parcel && PRONOUN_RE.test(lower));
+    }
+
+    /** Short description of the current context, or '' when there is none */
+    describeContext() {
+      if (!this.context) return '';
+      const n = this.context.results.length;
+      return n ? `${this.context.title} (${_fmt(n)} parcels)` : this.context.title;
+    }
+
+    /** Record a successful answer as the context for the next question */
+    _remember(result) {
+      if (!result || result.type === 'error' || !result.intent) return;
+      const intent = result.intent;
+      const focus = intent.parcelId || null;
+      const results = (result.mapHighlights || []).filter(id => id !== focus && this.nodeMap[id]);
+
+      let parcel = focus || (results.length === 1 ? results[0] : null);
+      if (intent.intent === 'path') parcel = intent.targetId;
+
+      this.context = {
+        intent,
+        results,
+        parcel,
+        metric: intent.metric || (intent.filter ? this._filterMetrics(intent.filter)[0] : null) || null,
+        title: result.title
+      };
+    }
+
+    /**
+     * Replace "the first one", "#3", "that parcel", "it" with the parcel
+     * ID they refer to in the previous answer.
+     */
+    _resolveReferences(q) {
+      const ctx = this.context;
+      if (!ctx || /kml_\d+/i.test(q)) return q;
+
+      const pick = i => (i >= 0 && i < ctx.results.length ? ctx.results[i] : null);
+      let out = q.replace(ORDINAL_RE, (m, w1, w2, n1, n2) => {
+        const word = (w1 || w2 || '').toLowerCase();
+        const num = n1 || n2;
+        let id;
+        if (num) id = pick(parseInt(num, 10) - 1);
+        else if (word === 'last') id = pick(ctx.results.length - 1);
+        else id = pick(ORDINALS.indexOf(word));
+        return id || m;
+      });
+      if (out === q && ctx.parcel) {
+        out = q
+          .replace(/\bits\s+(neighbou?rs|connections|links)\b/i, `$1 of ${ctx.parcel}`)
+          .replace(PRONOUN_RE, ctx.parcel);
+      }
+      return out;
+    }
+
+    /**
+     * Re-run the previous intent with a refinement: "now only Peripheral ones",
+     * "exclude parcels with a Bar", "instead by GFA", "what about the bottom 5".
+     * Returns null when the question is not a follow-up.
+     */
+    _followUp(q) {
+      const ctx = this.context;
+      const lower = q.toLowerCase().replace(/[?.!]+$/, '').trim();
+      if (!ctx || !FOLLOW_UP_RE.test(lower) || /kml_\d+/i.test(q)) return null;
+
+      const prev = ctx.intent;
+      const body = lower
+        .replace(/^(?:(?:ok(?:ay)?|so|and|but|then|now|instead|same(?: thing)?|what|how)\b[\s,]*(?:about\b)?[\s,]*)+/, '')
+        .replace(/\b(?:instead|please|again)\b/g, ' ')
+        .trim();
+
+      // New feature weights for a similarity search: "now ignoring facilities", "transit x3"
+      if (prev.intent === 'similar') {
+        const opts = this._similarityOptions(body, prev);
+        if (opts.changed) {
+          return this._similarity(prev.parcelId, {
+            weights: opts.weights, facilityWeight: opts.facilityWeight, count: prev.count
+          }, prev.filter);
+        }
+      }
+
+      // Another community or edge-type selection: "what about cluster 3", "now via Cafe edges"
+      if (prev.intent === 'cluster' || prev.intent === 'clusters') {
+        const spec = this._parseCluster(body);
+        const types = this._matchEdgeTypes(body);
+        if (spec || types) {
+          const next = spec || { mode: prev.intent === 'clusters' ? 'overview' : 'summary', cluster: prev.cluster };
+          next.edgeTypes = next.edgeTypes || types || prev.edgeTypes;
+          return this._clusterQuery(next);
+        }
+      }
+
+      // Another test, grouping or side for an outlier search: "now using IQR", "within each category", "only the low ones"
+      if (prev.intent === 'outliers') {
+        const method = this._outlierMethod(body);
+        const byCategory = OUTLIER_BY_CATEGORY_RE.test(body) ? true
+          : /\b(?:overall|globally|across all (?:parcels|categories))\b/.test(body) ? false : null;
+        const side = body.match(/^(?:(?:only|just)\s+)?(?:the\s+)?(high|higher|low|lower|both)(?:\s+(?:ones?|parcels?|outliers?|sides?))?$/);
+        if (method || byCategory != null || side) {
+          return this._outliers(Object.assign({}, prev, {
+            method: method || prev.method,
+            byCategory: byCategory != null ? byCategory : prev.byCategory,
+            direction: side ? (side[1] === 'both' ? 'both' : /^h/.test(side[1]) ? 'high' : 'low') : prev.direction,
+            threshold: method && method !== prev.method ? undefined : prev.threshold
+          }));
+        }
+      }
+
+      // Paging through a long ranking: "next page", "previous page", "page 3", "show more"
+      if (prev.intent === 'ranking') {
+        const current = prev.page || 1;
+        const pageMatch = body.match(/^page (\d+)$/);
+        const page = pageMatch ? parseInt(pageMatch[1], 10)
+          : /^(?:next page|(?:show )?more(?: results| parcels)?)$/.test(body) ? current + 1
+          : /^(?:previous|prev) page$/.test(body) ? Math.max(1, current - 1) : null;
+        if (page) return this._ranking('', Object.assign({}, prev, { page }));
+      }
+
+      // Another category to reach: "what about Lifestyle Hub"
+      if (prev.intent === 'classification') {
+        const target = this._matchCategory(body);
+        if (target) return this._classificationWhy({ parcelId: prev.parcelId, target });
+      }
+
+      // Another facility, edge type, cut-off or category for a gap search: "what about Library", "via Similar Lifestyle edges"
+      if (prev.intent === 'gaps') {
+        const opts = this._gapOptions(body, prev);
+        if (opts.changed) return this._facilityGaps(opts.spec);
+      }
+
+      // Another coefficient or model: "now Spearman", "with category dummies", "add levels", "drop buildings"
+      if (prev.intent === 'correlation' && /\b(?:spearman|pearson|rank)\b/.test(body)) {
+        return this._correlation(Object.assign({}, prev, { method: /\bpearson\b/.test(body) ? 'pearson' : 'spearman' }));
+      }
+      if (prev.intent === 'regression') {
+        const spec = { response: prev.metric, predictors: prev.predictors, dummies: prev.byCategory, filter: prev.filter };
+        const edit = body.match(/^(add|include|plus|also|drop|remove|without|exclude)\s+(.+)$/);
+        const named = edit ? this._metricMentions(edit[2]).metrics : [];
+        if (/^(?:no|without|drop|remove)\b.*\bdumm/.test(body)) return this._regression(Object.assign(spec, { dummies: false }));
+        if (DUMMIES_RE.test(body)) return this._regression(Object.assign(spec, { dummies: true }));
+        if (named.length) {
+          const adding = /^(?:add|include|plus|also)$/.test(edit[1]);
+          spec.predictors = adding ? [...new Set([...spec.predictors, ...named])] : spec.predictors.filter(m => !named.includes(m));
+          return this._regression(spec);
+        }
+      }
+
+      // Other groups for a significance test: "what about Lifestyle Hub vs Peripheral", "now across all categories"
+      if (prev.intent === 'significance' && !/^(?:only|just|keep|restrict to|limit to|filter to|exclud|without|except|remove|drop|not)\b/.test(body)) {
+        const { categories, rest } = this._categoryMentions(body);
+        const all = /\b(?:all|every|each)\s+(?:of\s+the\s+)?categor/.test(body);
+        if (categories.length || all) {
+          const named = this._metricMentions(rest).metrics;
+          return this._significance(Object.assign({}, prev, { metric: named[0] || prev.metric, categories: all ? [] : categories }));
+        }
+      }
+
+      // Another weight, ranking or breakdown for equity measures: "weighted by units", "by station", "ranked by levels"
+      if (prev.intent === 'equity') {
+        const next = this._parseEquity(`gini ${body}`);
+        const changed = EQUITY_WEIGHT_RE.test(body) || EQUITY_RANK_RE.test(body) || EQUITY_GROUP_RE.test(body) ||
+          EQUITY_FACILITY_RE.test(body) || /\b(?:unweighted|per parcel|overall|all amenities)\b/.test(body);
+        if (next && changed) {
+          return this._equity({
+            outcome: /\ball amenities\b/.test(body) ? null : next.outcome || prev.metric,
+            weight: EQUITY_WEIGHT_RE.test(body) ? next.weight : /\b(?:unweighted|per parcel)\b/.test(body) ? 'parcels' : prev.weight,
+            rankBy: EQUITY_RANK_RE.test(body) ? next.rankBy : prev.rankBy,
+            groupBy: EQUITY_GROUP_RE.test(body) ? next.groupBy : /\boverall\b/.test(body) ? null : prev.groupBy,
+            stationType: EQUITY_GROUP_RE.test(body) ? next.stationType : prev.stationType,
+            filter: next.filter ? this._andFilter(prev.filter, next.filter) : prev.filter
+          });
+        }
+      }
+
+      // Restrict or exclude: "only X", "exclude X", "without X"
+      let extra = null;
+      const only = body.match(/^(?:only|just|keep|restrict to|limit to|filter to)\s+(.+)$/);
+      const drop = body.match(/^(?:exclud(?:e|ing)|without|except(?: for)?|remove|drop|not)\s+(.+)$/);
+      const clause = only || drop;
+      if (clause) {
+        const expr = this._parseFilter(clause[1].replace(/\b(?:ones?|parcels?|results?|those)\b/g, ' ').trim());
+        if (!expr) return null;
+        extra = drop ? { op: 'not', item: expr } : expr;
+      }
+
+      // Swaps: metric, direction, count, category
+      const category = clause ? null : this._matchCategory(body);
+      let metric = clause ? null : this._matchMetric(body);
+      // "standard residential" names a category, not the units metric
+      if (metric === 'units' && category && !/\bunits?\b/.test(body)) metric = null;
+      const direction = /\b(?:bottom|lowest|smallest|least|worst)\b/.test(body) ? 'bottom'
+        : /\b(?:top|highest|largest|biggest|most|best)\b/.test(body) ? 'top' : null;
+      const countMatch = body.match(/\b(\d+)\b/);
+      const count = countMatch ? parseInt(countMatch[1], 10) : null;
+
+      const stationMetric = prev.intent === 'station-ranking' ? this._stationMetric(body) : null;
+      const centralityWord = prev.intent === 'ranking' ? this._matchCentrality(body) : null;
+      if (!extra && !metric && !direction && !count && !category && !centralityWord &&
+          !(stationMetric && stationMetric !== 'parcels')) return null;
+
+      switch (prev.intent) {
+        case 'ranking': {
+          let filter = prev.filter;
+          if (extra) filter = this._andFilter(filter, extra);
+          else if (category && !metric) filter = this._andFilter(this._withoutCategory(filter), { op: 'cat', cat: category });
+          const centrality = metric ? null : (this._matchCentrality(body) || prev.centrality);
+          return this._ranking('', {
+            metric: centrality ? null : (metric || prev.metric),
+            centrality,
+            edgeTypes: centrality ? (this._matchEdgeTypes(body) || prev.edgeTypes) : null,
+            direction: direction || prev.direction,
+            count: count || prev.count,
+            filter
+          });
+        }
+        case 'statistics': {
+          // "what about GFA" keeps the scope; "only Peripheral ones" narrows it
+          let filter = prev.filter;
+          if (extra) filter = this._andFilter(filter, extra);
+          else if (category && !metric) filter = this._andFilter(this._withoutCategory(filter), { op: 'cat', cat: category });
+          if (metric || filter !== prev.filter) return this._statistics('', { metric: metric || prev.metric, filter });
+          break;
+        }
+        case 'outliers': {
+          // "what about GFA" tests another metric; "only Peripheral ones" narrows the parcels
+          let filter = prev.filter;
+          if (extra) filter = this._andFilter(filter, extra);
+          else if (category && !metric) filter = this._andFilter(this._withoutCategory(filter), { op: 'cat', cat: category });
+          return this._outliers(Object.assign({}, prev, metric && metric !== prev.metric
+            ? { metric, method: null, predictors: null, threshold: undefined } : {}, {
+            count: count || prev.count,
+            filter
+          }));
+        }
+        case 'correlation':
+        case 'regression': {
+          // "only Peripheral ones", "exclude High Density": same model over other parcels
+          let filter = prev.filter;
+          if (extra) filter = this._andFilter(filter, extra);
+          else if (category && !metric) filter = this._andFilter(this._withoutCategory(filter), { op: 'cat', cat: category });
+          if (filter === prev.filter) break;
+          return prev.intent === 'correlation'
+            ? this._correlation(Object.assign({}, prev, { filter }))
+            : this._regression({ response: prev.metric, predictors: prev.predictors, dummies: prev.byCategory, filter });
+        }
+        case 'significance': {
+          // "what about GFA" tests another metric; "only parcels with a Cafe" narrows both groups
+          const filter = extra ? this._andFilter(prev.filter, extra) : prev.filter;
+          if (metric || extra) return this._significance(Object.assign({}, prev, { metric: metric || prev.metric, filter }));
+          break;
+        }
+        case 'equity': {
+          // "what about diversity" measures another amenity; "only Peripheral ones" narrows the parcels
+          let filter = prev.filter;
+          if (extra) filter = this._andFilter(filter, extra);
+          else if (category && !metric) filter = this._andFilter(this._withoutCategory(filter), { op: 'cat', cat: category });
+          if (!metric && filter === prev.filter) break;
+          return this._equity({
+            outcome: metric || prev.metric, weight: prev.weight, rankBy: prev.rankBy,
+            groupBy: prev.groupBy, stationType: prev.stationType, filter
+          });
+        }
+        case 'count':
+          if (category && !extra) return this._statistics('', { count: true, category });
+          break;
+        case 'category':
+          if (category && !extra) return this._categoryInfo(category);
+          break;
+        case 'similar': {
+          const more = extra || (category && !metric ? { op: 'cat', cat: category } : null);
+          if (more || count) {
+            return this._similarity(prev.parcelId, {
+              weights: prev.weights, facilityWeight: prev.facilityWeight, count: count || prev.count
+            }, more ? this._andFilter(prev.filter, more) : prev.filter);
+          }
+          break;
+        }
+        case 'station': {
+          const more = extra || (category && !metric ? { op: 'cat', cat: category } : null);
+          if (more && !direction) {
+            const key = stationKey(prev.station);
+            return this._stationCatchment(prev.stationType, key, this._andFilter(prev.filter, more));
+          }
+          break;
+        }
+        case 'station-ranking':
+          if (!extra) {
+            return this._stationRanking(prev.stationType, '', {
+              metric: stationMetric !== 'parcels' || /\bparcels?\b/.test(body) ? stationMetric : prev.metric,
+              direction: direction || prev.direction,
+              count: count || prev.count
+            });
+          }
+          break;
+        case 'radius':
+        case 'nearest':
+        case 'bbox': {
+          // "what about 1 km", "now 20", "only Peripheral ones": same centre, new terms
+          const dist = body.match(/\b(\d+(?:\.\d+)?)\s*(km|kilomet(?:re|er)s?|m|met(?:re|er)s?)\b/);
+          const spec = {
+            mode: prev.intent, parcelId: prev.parcelId, lat: prev.lat, lng: prev.lng,
+            radius: prev.radius, count: prev.count, bounds: prev.bounds
+          };
+          let changed = false;
+          if (dist && prev.intent === 'radius') {
+            spec.radius = parseFloat(dist[1]) * (/^k/.test(dist[2]) ? 1000 : 1);
+            changed = true;
+          } else if (count && prev.intent === 'nearest') {
+            spec.count = count;
+            changed = true;
+          }
+          const more = extra || (category && !metric ? { op: 'cat', cat: category } : null);
+          if (more) changed = true;
+          if (changed && !metric && !direction) {
+            return this._spatialQuery(spec, more ? this._andFilter(prev.filter, more) : prev.filter);
+          }
+          break;
+        }
+      }
+
+      // Anything else with a result set: rank or filter within it
+      let base = prev.intent === 'filter' ? prev.filter : null;
+      if (!base && ctx.results.length) base = { op: 'in', ids: new Set(ctx.results), label: 'in the previous results' };
+      if (!base) return null;
+      if (category && !extra) extra = { op: 'cat', cat: category };
+      const filter = extra ? this._andFilter(base, extra) : base;
+
+      if (metric || direction) {
+        return this._ranking('', {
+          metric: metric || ctx.metric || 'energy',
+          direction: direction || 'top',
+          count: count || undefined,
+          filter
+        });
+      }
+      return extra ? this._filterQuery(filter) : null;
+    }
+
+    /** AND a condition onto an existing (possibly empty) filter tree */
+    _andFilter(base, extra) {
+      if (!base) return extra;
+      if (base.op === 'and') return { op: 'and', items: [...base.items, extra] };
+      return { op: 'and', items: [base, extra] };
+    }
+
+    /** Drop top-level category conditions, so "now Peripheral" replaces rather than narrows */
+    _withoutCategory(filter) {
+      if (!filter) return null;
+      if (filter.op === 'cat') return null;
+      if (filter.op !== 'and') return filter;
+      const items = filter.items.filter(x => x.op !== 'cat');
+      return items.length > 1 ? { op: 'and', items } : (items[0] || null);
+    }
+
+    // --------------------------------------------------------
+    // Query handlers
+    // --------------------------------------------------------
+
+    /** Parcel detail lookup */
+    _parcelLookup(id) {
+      const node = this.nodeMap[id];
+      if (!node) {
+        return this._error(`Parcel <strong>${esc(id)}</strong> was not found in the dataset.`);
+      }
 
       const catLabel = CAT_LABELS[node.category] || node.category;
       const facilities = node.ft
         ? node.ft.split(',').map(f => f.trim()).filter(Boolean)
         : [];
+      this._traceNote({ considered: this.stats.count, kept: 1, notes: ['Looked up by parcel ID'] });
 
       // Find connections
       const nodeIdx = this.nodes.indexOf(node);
@@ -426,66 +2401,155 @@
         }
       };
 
+      const fields = [
+        ['Parcel', node.id], ['Category', node.category], ['Latitude', node.lat], ['Longitude', node.lng],
+        ...Object.keys(METRICS).map(m => metricColumn(m)).map(([label, get]) => [label, get(node)]),
+        ['Nearest Bus', node.nb || null], ['Nearest MRT', node.nm || null], ['Facilities', facilities.join(', ')]
+      ];
+      const tables = [
+        dataTable('Attributes', ['Property', 'Value'], fields),
+        dataTable('Connections', ['Neighbour', 'Relationship', 'Category'],
+          connections.map(([nIdx, eType]) => [this.nodes[nIdx].id, eType, this.nodes[nIdx].category]))
+      ];
+
       return {
         title: `Parcel ${id}`,
         type: 'parcel-detail',
         html,
         chartConfig,
-        mapHighlights: [id]
+        tables,
+        mapHighlights: [id],
+        intent: { intent: 'parcel', parcelId: id }
       };
     }
 
-    /** Top-N / Bottom-N ranking */
-    _ranking(lower) {
+    /**
+     * Top-N / Bottom-N ranking.
+     * @param {string} lower  - Lower-cased query text
+     * @param {Object} [params] - Pre-parsed { metric, direction:'top'|'bottom', count, page } overriding the text,
+     *                            plus an optional `filter` condition tree restricting the candidates.
+     *                            { centrality, edgeTypes } ranks by a GraphMetrics measure instead of a metric.
+     *                            Without params, the metric and scope are read from the text (see _parseScope).
+     */
+    _ranking(lower, params) {
+      // A page named in the question ("top 300 parcels by energy page 3") is not part of the scope or count
+      const pageMatch = lower.match(/\bpage\s+(\d+)\b/);
+      if (pageMatch) lower = lower.replace(pageMatch[0], ' ');
+      const parsed = params ? null : this._parseScope(lower);
+      params = params || {};
+      const notes = [];
+
       // Determine direction
-      const isBottom = /bottom|lowest|smallest|least|worst/i.test(lower);
+      const isBottom = params.direction
+        ? params.direction === 'bottom'
+        : /bottom|lowest|smallest|least|worst/i.test(lower);
       const direction = isBottom ? 'asc' : 'desc';
       const dirLabel = isBottom ? 'Bottom' : 'Top';
 
-      // Determine count (default 10)
-      const countMatch = lower.match(/\b(\d+)\b/);
-      let count = countMatch ? parseInt(countMatch[1], 10) : 10;
-      if (count > 50) count = 50;
-      if (count < 1) count = 10;
+      // Determine scope, then count (default 10): "top 25", "15 largest", else any lone number
+      // unless the scope has range conditions whose numbers it would pick up
+      const filter = parsed ? parsed.scope : (params.filter || null);
+      const countMatch = lower.match(/\b(?:top|bottom|first)\s+(\d+)\b|\b(\d+)\s+(?:parcels?|results?|highest|lowest|largest|smallest|biggest|most|least|best|worst)\b/) ||
+        (filter && this._filterMetrics(filter).length ? null : lower.match(/\b(\d+)\b/));
+      let count = params.count || (countMatch ? parseInt(countMatch[1] || countMatch[2], 10) : 10);
+      if (count < 1) {
+        notes.push(`A ranking of ${_fmt(count)} parcels shows nothing, so the ${dirLabel.toLowerCase()} 10 are shown.`);
+        count = 10;
+      }
 
-      // Determine metric
-      const metric = this._matchMetric(lower);
-      if (!metric) {
-        return this._error('Could not determine which metric to rank. Try: energy, gfa, transit, diversity, buildings, units, levels, bus distance, mrt distance.');
+      // Determine metric: a parcel attribute or a graph centrality measure
+      const centrality = params.metric ? null : (params.centrality || this._matchCentrality(lower));
+      const metric = centrality ? null : (params.metric || (parsed ? parsed.metric : this._matchMetric(lower)));
+      if (!metric && !centrality) {
+        return this._error('Could not determine which metric to rank. Try: energy, gfa, transit, diversity, buildings, units, levels, bus distance, mrt distance, degree, pagerank, betweenness, clustering.');
       }
 
-      const metricDef = METRICS[metric];
-      const sorted = [...this.nodes]
-        .filter(d => d[metricDef.key] != null && !isNaN(d[metricDef.key]))
+      let metricDef, value, edgeTypes = null, measureNote = '';
+      if (centrality) {
+        const gm = this._graphMetrics();
+        if (!gm) return this._error('Graph metrics are not loaded. Please check that graph-metrics.js is available.');
+        edgeTypes = params.edgeTypes || this._matchEdgeTypes(lower);
+        const values = gm.values(centrality, edgeTypes);
+        const m = GraphMetrics.MEASURES[centrality];
+        metricDef = { label: m.label, unit: '', format: fmtMeasure };
+        value = d => values[this.nodeIndex.get(d)];
+        measureNote = `<div style="font-size:11px;color:#7f8c8d;margin-bottom:8px">${m.label}: ${m.desc}, over
+          ${edgeTypes ? edgeTypes.map(t => EDGE_LABELS[t] || t).join(' / ') + ' edges' : 'all edge types'}.</div>`;
+      } else {
+        metricDef = METRICS[metric];
+        value = d => d[metricDef.key];
+      }
+      const show = v => (metricDef.format ? metricDef.format(v) : _fmt(v)) + (metricDef.unit ? ' ' + metricDef.unit : '');
+
+      const candidates = filter ? this.nodes.filter(d => this._evalFilter(d, filter)) : this.nodes;
+      const sorted = candidates
+        .filter(d => value(d) != null && !isNaN(value(d)))
         .sort((a, b) => direction === 'desc'
-          ? (b[metricDef.key] || 0) - (a[metricDef.key] || 0)
-          : (a[metricDef.key] || 0) - (b[metricDef.key] || 0)
+          ? (value(b) || 0) - (value(a) || 0)
+          : (value(a) || 0) - (value(b) || 0)
         );
 
+      const intent = { intent: 'ranking', metric, centrality, edgeTypes, direction: isBottom ? 'bottom' : 'top', count, filter };
+      if (!sorted.length) {
+        return {
+          title: `${dirLabel} Parcels by ${metricDef.label}${filter ? ` \u2014 ${this._scopeLabel(filter)}` : ''}`,
+          type: 'ranking',
+          html: `<div class="q-insight">No parcels ${filter ? `match <em>${esc(this._describeFilter(filter))}</em>`
+            : `have a value for <strong>${metricDef.label}</strong>`}.</div>`,
+          intent
+        };
+      }
+
       const topN = sorted.slice(0, count);
-      const ids = topN.map(d => d.id);
+      const pages = Math.max(1, Math.ceil(topN.length / PAGE_SIZE));
+      const askedPage = params.page != null ? parseInt(params.page, 10) : pageMatch ? parseInt(pageMatch[1], 10) : 1;
+      const page = Math.min(Math.max(askedPage || 1, 1), pages);
+      if (page !== askedPage) {
+        notes.push(`There is no page ${_fmt(askedPage)}: the ranking has ${pages} page${pages === 1 ? '' : 's'}, so page ${page} is shown.`);
+      }
+      const first = (page - 1) * PAGE_SIZE;
+      const shown = topN.slice(first, first + PAGE_SIZE);
+      const ids = shown.map(d => d.id);
+      this._traceNote({
+        considered: this.nodes.length,
+        kept: sorted.length,
+        formulas: [centrality
+          ? `${metricDef.label} = ${GraphMetrics.MEASURES[centrality].desc}`
+          : `value = ${metricDef.label} (field ${metricDef.key})`,
+        `order = sort by value, ${isBottom ? 'ascending' : 'descending'}; keep the first ${count}`,
+        ...(pages > 1 ? [`page ${page} = ranks ${first + 1}–${first + shown.length} (${PAGE_SIZE} per page)`] : [])],
+        notes: [
+          ...(filter ? [`${_fmt(this.nodes.length - candidates.length)} parcels fail the filter`] : []),
+          ...(candidates.length > sorted.length ? [`${_fmt(candidates.length - sorted.length)} parcels have no value and are skipped`] : [])
+        ]
+      });
+      const scopeText = filter ? ` among ${_fmt(candidates.length)} parcels matching <em>${esc(this._describeFilter(filter))}</em>` : '';
+      const scopeTitle = filter ? ` \u2014 ${this._scopeLabel(filter)}` : '';
 
-      // Build table
+      // Build table: the current page of the ranking
       const headers = ['Rank', 'Parcel ID', 'Category', metricDef.label];
-      const rows = topN.map((d, i) => [
-        i + 1,
+      const rows = shown.map((d, i) => [
+        first + i + 1,
         `<code>${d.id}</code>`,
         catDot(d.category) + (CAT_LABELS[d.category] || d.category),
-        _fmt(d[metricDef.key]) + (metricDef.unit ? ' ' + metricDef.unit : '')
+        show(value(d))
       ]);
 
-      let html = `<div class="q-insight">${dirLabel} <strong>${count}</strong> parcels by <strong>${metricDef.label}</strong>.</div>`;
+      let html = `<div class="q-insight">${dirLabel} <strong>${topN.length}</strong> parcels by <strong>${metricDef.label}</strong>${scopeText}.${pages > 1
+        ? ` Showing ranks ${first + 1}&ndash;${first + shown.length}.` : ''}${notes.map(n => ' ' + n).join('')}</div>`;
+      html += measureNote;
       html += htmlTable(headers, rows, new Set([0, 3]));
+      html += pagerHtml(page, pages);
 
       // Bar chart
       const chartConfig = {
         type: 'bar',
         data: {
-          labels: topN.map(d => d.id.replace('kml_', '')),
+          labels: shown.map(d => d.id.replace('kml_', '')),
           datasets: [{
             label: metricDef.label,
-            data: topN.map(d => d[metricDef.key] || 0),
-            backgroundColor: topN.map(d => CAT_COLORS[d.category] || '#2980b9'),
+            data: shown.map(d => value(d) || 0),
+            backgroundColor: shown.map(d => CAT_COLORS[d.category] || '#2980b9'),
             borderWidth: 0,
             borderRadius: 3
           }]
@@ -501,43 +2565,59 @@
       };
 
       return {
-        title: `${dirLabel} ${count} Parcels by ${metricDef.label}`,
+        title: `${dirLabel} ${topN.length} Parcels by ${metricDef.label}${scopeTitle}${pages > 1 ? ` (page ${page} of ${pages})` : ''}`,
         type: 'ranking',
         html,
         chartConfig,
-        mapHighlights: ids
+        tables: [this._parcelTable('Ranking', topN, [[metricDef.label, value]], true)],
+        mapHighlights: ids,
+        intent: Object.assign(intent, { page })
       };
     }
 
-    /** Aggregate statistics for a metric */
-    _statistics(lower) {
-      const metric = this._matchMetric(lower);
+    /**
+     * Aggregate statistics for a metric.
+     * @param {string} lower  - Lower-cased query text
+     * @param {Object} [params] - Pre-parsed { metric, count:true, category, facilityType, filter } overriding the text;
+     *                            without params, the metric and scope are read from the text (see _parseScope)
+     */
+    _statistics(lower, params) {
+      const parsed = params ? null : this._parseScope(lower);
+      params = params || {};
+      const metric = params.metric || (parsed ? parsed.metric : this._matchMetric(lower));
+      const filter = parsed ? parsed.scope : (params.filter || null);
 
       // "how many parcels" without a specific metric
-      if (!metric && /how many|count/i.test(lower)) {
+      if (!metric && (params.count || /how many|count/i.test(lower))) {
         // Check if asking about a category
-        const cat = this._matchCategory(lower);
+        const cat = params.category || this._matchCategory(lower);
         if (cat) {
           const group = this.byCategory[cat] || [];
+          this._traceNote({ considered: this.stats.count, kept: group.length, formulas: [FORMULAS.share] });
           return {
             title: `Count: ${CAT_LABELS[cat]}`,
             type: 'statistic',
             html: `<div class="q-insight">There are <strong>${group.length}</strong> parcels
               in the <strong>${CAT_LABELS[cat]}</strong> category
               (${(group.length / this.stats.count * 100).toFixed(1)}% of all ${_fmt(this.stats.count)} parcels).</div>`,
-            mapHighlights: group.map(d => d.id)
+            tables: [this._parcelTable(CAT_LABELS[cat], group, [])],
+            mapHighlights: group.map(d => d.id),
+            intent: { intent: 'count', category: cat }
           };
         }
 
         // Check if asking about a facility type
-        const ft = this._matchFacilityType(lower);
+        const ft = params.facilityType || this._matchFacilityType(lower);
         if (ft) {
           const matching = this.nodes.filter(d => d.ft && d.ft.split(',').map(s => s.trim().toLowerCase()).includes(ft.toLowerCase()));
+          this._traceNote({ considered: this.stats.count, kept: matching.length, formulas: [FORMULAS.share] });
           return {
             title: `Parcels with ${ft}`,
             type: 'statistic',
             html: `<div class="q-insight"><strong>${matching.length}</strong> parcels have access to a <strong>${ft}</strong>
-              (${(matching.length / this.stats.count * 100).toFixed(1)}% of all parcels).</div>`
+              (${(matching.length / this.stats.count * 100).toFixed(1)}% of all parcels).</div>`,
+            tables: [this._parcelTable(`Parcels with ${ft}`, matching, [])],
+            intent: { intent: 'count', facilityType: ft }
           };
         }
 
@@ -555,15 +2635,34 @@
       }
 
       const metricDef = METRICS[metric];
-      const values = this.nodes.map(d => d[metricDef.key] || 0).filter(v => !isNaN(v));
+      const group = filter ? this.nodes.filter(d => this._evalFilter(d, filter)) : this.nodes;
+      const scopeDesc = filter ? esc(this._describeFilter(filter)) : '';
+      const title = `Statistics: ${metricDef.label}${filter ? ` \u2014 ${this._scopeLabel(filter)}` : ''}`;
+      if (!group.length) {
+        return {
+          title,
+          type: 'statistics',
+          html: `<div class="q-insight">No parcels match <em>${scopeDesc}</em>.</div>`,
+          intent: { intent: 'statistics', metric, filter }
+        };
+      }
+      const values = group.map(d => d[metricDef.key] || 0).filter(v => !isNaN(v));
       const total = values.reduce((s, v) => s + v, 0);
       const avg = mean(values);
       const med = median(values);
       const sd = stddev(values);
       const minVal = Math.min(...values);
       const maxVal = Math.max(...values);
+      this._traceNote({
+        considered: this.stats.count,
+        kept: values.length,
+        formulas: [...(filter ? [`keep parcels where ${this._describeFilter(filter)}`] : []), `x = ${metricDef.label} (field ${metricDef.key})`, FORMULAS.mean, FORMULAS.median, FORMULAS.stddev,
+          'histogram: 12 equal-width bins from min to max'],
+        notes: ['Missing values count as 0']
+      });
 
-      let html = `<div class="q-insight">Statistics for <strong>${metricDef.label}</strong> across ${_fmt(this.stats.count)} parcels.</div>`;
+      let html = `<div class="q-insight">Statistics for <strong>${metricDef.label}</strong> across ${_fmt(group.length)} parcels${filter
+        ? ` matching <em>${scopeDesc}</em> (${(group.length / this.stats.count * 100).toFixed(1)}% of all parcels)` : ''}.</div>`;
 
       const statRows = [
         ['Count', _fmt(values.length)],
@@ -578,14 +2677,16 @@
 
       // Breakdown by category
       html += '<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">By Category</h4>';
+      const byCat = {};
+      group.forEach(d => { (byCat[d.category] = byCat[d.category] || []).push(d); });
+      const catGroups = Object.keys(CAT_LABELS).filter(cat => byCat[cat]).map(cat => [cat, byCat[cat]]);
       const catHeaders = ['Category', 'Count', 'Mean', 'Total'];
-      const catRows = Object.entries(this.byCategory)
-        .filter(([, g]) => g.length > 0)
-        .map(([cat, group]) => {
-          const vals = group.map(d => d[metricDef.key] || 0);
+      const catRows = catGroups
+        .map(([cat, members]) => {
+          const vals = members.map(d => d[metricDef.key] || 0);
           return [
             catDot(cat) + CAT_LABELS[cat],
-            group.length,
+            members.length,
             _fmt(mean(vals)),
             _fmt(vals.reduce((s, v) => s + v, 0))
           ];
@@ -627,131 +2728,757 @@
         }
       };
 
+      const tables = [
+        dataTable('Summary', ['Statistic', 'Value'], [
+          ['Count', values.length], ['Total', total], ['Mean', avg], ['Median', med],
+          ['Std Dev', sd], ['Min', minVal], ['Max', maxVal]
+        ]),
+        dataTable('By Category', ['Category', 'Count', 'Mean', 'Total'],
+          catGroups.map(([cat, members]) => {
+            const vals = members.map(d => d[metricDef.key] || 0);
+            return [cat, members.length, mean(vals), vals.reduce((s, v) => s + v, 0)];
+          })),
+        dataTable('Histogram', ['Bin Start', 'Bin End', 'Frequency'],
+          histogram.map((cnt, i) => [minVal + i * binWidth, minVal + (i + 1) * binWidth, cnt]))
+      ];
+
       return {
-        title: `Statistics: ${metricDef.label}`,
+        title,
         type: 'statistics',
         html,
-        chartConfig
+        chartConfig,
+        tables,
+        mapHighlights: filter ? group.map(d => d.id) : undefined,
+        intent: { intent: 'statistics', metric, filter }
       };
     }
 
-    /** Category information and comparison */
-    _categoryInfo(cat) {
-      const cs = this.catStats[cat];
-      const group = this.byCategory[cat] || [];
-      const label = CAT_LABELS[cat];
-
-      if (!group.length) {
-        return this._error(`No parcels found in category <strong>${label}</strong>.`);
+    /**
+     * Parcels whose value of a metric is far from what is expected of them:
+     * from the mean of their group (z-score), outside the group's Tukey
+     * fences (IQR), or from a robust regression on other metrics (residual).
+     * The group is every parcel in scope, or each category on its own.
+     * @param {Object} spec - { metric, method:'zscore'|'iqr'|'residual', predictors, direction:'high'|'low'|'both',
+     *                          byCategory, threshold, count, filter }; anything left out takes its default
+     *                          (energy, residual on GFA / levels / buildings, both directions, the method's cut-off)
+     */
+    _outliers(spec) {
+      const metric = METRICS[spec.metric] ? spec.metric : 'energy';
+      const def = METRICS[metric];
+      const bare = m => METRICS[m].label.replace(/\s*\(.*\)$/, '');
+      let predictors = (spec.predictors || []).filter(p => METRICS[p] && p !== metric);
+      if (spec.predictors && spec.predictors.length && !predictors.length) {
+        return this._error(`${bare(metric)} cannot be predicted from itself. Name other metrics, e.g. "${metric} outliers relative to gfa".`);
+      }
+      const method = OUTLIER_METHODS[spec.method] ? spec.method
+        : (predictors.length || OUTLIER_PREDICTORS[metric] ? 'residual' : 'zscore');
+      if (method !== 'residual') predictors = [];
+      else if (!predictors.length) predictors = OUTLIER_PREDICTORS[metric] || [];
+      if (method === 'residual' && !predictors.length) {
+        return this._error(`Name the metrics that should predict ${bare(metric)}, e.g. "${metric} outliers relative to gfa and levels".`);
       }
 
-      const rule = CATEGORY_RULES.find(r => r.key === cat);
-      let html = `<div class="q-insight">
-        ${catDot(cat)} <strong>${label}</strong> &mdash; ${group.length} parcels
-        (${(group.length / this.stats.count * 100).toFixed(1)}% of dataset).<br>
-        <em>Rule: ${rule ? rule.desc : 'N/A'}</em>
-      </div>`;
+      const test = OUTLIER_METHODS[method];
+      const threshold = spec.threshold > 0 ? +spec.threshold : test.threshold;
+      const direction = spec.direction === 'high' || spec.direction === 'low' ? spec.direction : 'both';
+      const byCategory = !!spec.byCategory;
+      const filter = spec.filter || null;
+      const intent = { intent: 'outliers', metric, method, predictors, direction, byCategory, threshold, count: spec.count, filter };
+
+      const fields = [metric, ...predictors];
+      const candidates = filter ? this.nodes.filter(d => this._evalFilter(d, filter)) : this.nodes;
+      const usable = candidates.filter(d => fields.every(m => hasValue(d, m)));
+      const zeroEnergy = fields.includes('energy') ? candidates.filter(d => d.e === 0).length : 0;
+      const predList = predictors.map(bare).join(', ');
+      const title = (method === 'residual' && direction !== 'both' && spec.predictors && spec.predictors.length
+        ? `${direction === 'high' ? 'High' : 'Low'} ${bare(metric)} for ${predList}`
+        : `${bare(metric)} Outliers${direction !== 'both' ? ` (${direction})` : ''}`) +
+        (filter ? ` — ${this._scopeLabel(filter)}` : '');
+      const scopeText = filter ? ` matching <em>${esc(this._describeFilter(filter))}</em>` : '';
+
+      // Score each group on its own
+      const groups = byCategory
+        ? Object.keys(CAT_LABELS).map(cat => ({ label: CAT_LABELS[cat], cat, members: usable.filter(d => d.category === cat) }))
+          .filter(g => g.members.length)
+        : [{ label: filter ? this._scopeLabel(filter) : 'All parcels', members: usable }];
+      const scored = [];
+      const models = [];
+      const skipped = [];
+      groups.forEach(g => {
+        const res = this._outlierScores(g.members, metric, method, predictors);
+        if (!res) {
+          skipped.push(g.label);
+          return;
+        }
+        scored.push(...res.scores);
+        models.push(Object.assign({ group: g.label, cat: g.cat }, res.model));
+      });
 
-      // Key metrics
-      const headers = ['Metric', 'Category Avg', 'Dataset Avg', 'Ratio'];
-      const metricsToShow = [
-        { key: 'gfa', label: 'GFA (m\u00b2)', catVal: cs.avgGFA, globVal: this.stats.avgGFA },
-        { key: 'e', label: 'Energy (kWh/yr)', catVal: cs.avgEnergy, globVal: this.stats.avgEnergy },
-        { key: 'ti', label: 'Transit Index', catVal: cs.avgTransit, globVal: this.stats.avgTransit },
-        { key: 'div', label: 'Diversity Index', catVal: cs.avgDiversity, globVal: this.stats.avgDiversity },
-        { key: 'b', label: 'Buildings', catVal: cs.avgBuildings, globVal: mean(this.nodes.map(d => d.b || 0)) },
-        { key: 'u', label: 'Est. Units', catVal: cs.avgUnits, globVal: mean(this.nodes.map(d => d.u || 0)) }
+      const notes = [
+        ...(filter ? [`${_fmt(this.nodes.length - candidates.length)} parcels fail the filter`] : []),
+        ...(zeroEnergy ? [`${_fmt(zeroEnergy)} parcels record no energy use (0 kWh/yr) and are left out`] : []),
+        ...(candidates.length - zeroEnergy > usable.length
+          ? [`${_fmt(candidates.length - zeroEnergy - usable.length)} parcels lack a value and are left out`] : []),
+        ...(skipped.length ? [`Too few parcels to test: ${skipped.join(', ')}`] : [])
       ];
-      const rows = metricsToShow.map(m => {
-        const ratio = m.globVal > 0 ? (m.catVal / m.globVal) : 0;
-        const ratioStr = ratio >= 1
-          ? `<span style="color:#1e8449">${ratio.toFixed(2)}x</span>`
-          : `<span style="color:#922b21">${ratio.toFixed(2)}x</span>`;
-        return [m.label, _fmt(m.catVal), _fmt(m.globVal), ratioStr];
+      if (!scored.length) {
+        this._traceNote({ considered: this.nodes.length, kept: 0, notes });
+        return {
+          title,
+          type: 'outliers',
+          html: `<div class="q-insight">Too few parcels${scopeText} have ${esc(fields.map(bare).join(', '))}
+            to test for outliers.</div>`,
+          intent
+        };
+      }
+
+      // Flag scores beyond the cut-off, most extreme first; without any, list the most extreme anyway
+      const signed = s => (direction === 'low' ? -s.score : s.score);
+      const extremity = s => (direction === 'both' ? Math.abs(s.score) : signed(s));
+      const flagged = scored.filter(s => extremity(s) > threshold).sort((a, b) => extremity(b) - extremity(a));
+      const none = !flagged.length;
+      const list = none
+        ? [...scored].sort((a, b) => extremity(b) - extremity(a)).slice(0, spec.count || 10)
+        : flagged.slice(0, spec.count || flagged.length);
+      const shown = list.slice(0, PAGE_SIZE);
+
+      this._traceNote({
+        considered: this.nodes.length,
+        kept: flagged.length,
+        formulas: [
+          ...(filter ? [`keep parcels where ${this._describeFilter(filter)}`] : []),
+          ...(method === 'residual'
+            ? [`${metric} ~ ${predictors.join(' + ')}`, FORMULAS.huber, FORMULAS.residualScore]
+            : [method === 'iqr' ? FORMULAS.iqr : FORMULAS.zscore]),
+          `outlier when ${direction === 'both' ? '|score|' : direction === 'high' ? 'score' : '−score'} > ${_fmt(threshold)}` +
+            (byCategory ? ', each category scored on its own' : '')
+        ],
+        notes
       });
-      html += htmlTable(headers, rows, new Set([1, 2, 3]));
 
-      // List top-5 parcels by GFA
-      const top5 = [...group].sort((a, b) => (b.gfa || 0) - (a.gfa || 0)).slice(0, 5);
-      html += '<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Top 5 Parcels by GFA</h4>';
-      const t5Headers = ['Parcel', 'GFA (m\u00b2)', 'Energy (kWh/yr)', 'Transit'];
-      const t5Rows = top5.map(d => [
-        `<code>${d.id}</code>`,
-        _fmt(d.gfa),
-        _fmt(d.e),
-        _fmt(d.ti)
+      const dirWord = { high: 'above', low: 'below', both: 'away from' }[direction];
+      const reference = method === 'residual' ? `the value predicted from ${esc(predList)}`
+        : method === 'iqr' ? { high: 'the upper quartile', low: 'the lower quartile', both: 'the nearer quartile' }[direction]
+        : 'the mean';
+      const unitText = method === 'residual' ? 'robust standard deviations' : method === 'iqr' ? '&times; IQR' : 'standard deviations';
+      const within = byCategory ? (method === 'residual' ? ', fitting each category on its own' : ' of their own category') : '';
+      const ruleText = `more than ${threshold} ${unitText} ${dirWord} ${reference}${within}`;
+      const higher = flagged.filter(s => s.score > 0).length;
+
+      let html = none
+        ? `<div class="q-insight">None of the ${_fmt(usable.length)} parcels${scopeText} has <strong>${def.label}</strong>
+            ${ruleText}. The ${list.length} most extreme are listed.</div>`
+        : `<div class="q-insight"><strong>${_fmt(flagged.length)}</strong> of ${_fmt(usable.length)} parcels${scopeText}
+            have <strong>${def.label}</strong> ${ruleText}${direction === 'both'
+              ? `: ${_fmt(higher)} higher and ${_fmt(flagged.length - higher)} lower than expected` : ''}.${list.length < flagged.length
+              ? ` Showing the ${list.length} most extreme.` : ''}</div>`;
+      const shownNotes = notes.filter(n => !/fail the filter$/.test(n));
+      if (shownNotes.length) {
+        html += `<div style="font-size:11px;color:#7f8c8d;margin-bottom:8px">${shownNotes.map(esc).join('. ')}.</div>`;
+      }
+
+      // Table: actual against expected, with the deviation score
+      const show = v => _fmt(v) + (def.unit ? ' ' + def.unit : '');
+      const scoreText = v => (v > 0 ? '+' : v < 0 ? '−' : '') + Math.abs(v).toFixed(2);
+      const expectedLabel = method === 'residual' ? 'Expected' : `Expected (${method === 'iqr' ? 'median' : 'mean'})`;
+      const headers = ['Rank', 'Parcel ID', 'Category', ...predictors.map(p => METRICS[p].label), `Actual ${def.label}`, expectedLabel, test.label];
+      const rows = shown.map((s, i) => [
+        i + 1,
+        `<code>${s.d.id}</code>`,
+        catDot(s.d.category) + (CAT_LABELS[s.d.category] || s.d.category),
+        ...predictors.map(p => _fmt(s.d[METRICS[p].key])),
+        show(s.actual),
+        show(s.expected),
+        scoreText(s.score)
       ]);
-      html += htmlTable(t5Headers, t5Rows, new Set([1, 2, 3]));
+      html += htmlTable(headers, rows, new Set([0, ...headers.map((_, i) => i).filter(i => i >= 3)]));
+      if (list.length > shown.length) {
+        html += `<div style="font-size:10px;color:#7f8c8d;margin-top:4px">... and ${list.length - shown.length} more</div>`;
+      }
 
-      // Bar chart comparing this category across metrics
-      const allCats = Object.keys(this.byCategory).filter(c => (this.byCategory[c] || []).length > 0);
+      // What each group's scores are measured against
+      const cutoff = (lo, hi) => (direction === 'high' ? `> ${_fmt(hi)}` : direction === 'low' ? `< ${_fmt(lo)}` : `${_fmt(lo)} – ${_fmt(hi)}`);
+      const fitText = m => `${metric} ≈ ${m.coef[0] < 0 ? '−' : ''}${_fmt(Math.abs(m.coef[0]))}` +
+        predictors.map((p, j) => ` ${m.coef[j + 1] < 0 ? '−' : '+'} ${fmtMeasure(Math.abs(m.coef[j + 1]))} × ${p}`).join('');
+      const groupCell = m => (m.cat ? catDot(m.cat) : '') + esc(m.group);
+      let refHeaders, refRows, refData;
+      if (method === 'residual') {
+        refHeaders = ['Group', 'Parcels', 'Fit', 'R²', 'Residual Scale'];
+        refRows = models.map(m => [groupCell(m), m.n, fitText(m), m.r2.toFixed(2), _fmt(m.scale)]);
+        refData = models.map(m => [m.cat || m.group, m.n, ...m.coef, m.r2, m.scale]);
+      } else if (method === 'iqr') {
+        refHeaders = ['Group', 'Parcels', 'Q1', 'Median', 'Q3', 'Fences'];
+        refRows = models.map(m => [groupCell(m), m.n, _fmt(m.q1), _fmt(m.median), _fmt(m.q3),
+          cutoff(m.q1 - threshold * m.iqr, m.q3 + threshold * m.iqr)]);
+        refData = models.map(m => [m.cat || m.group, m.n, m.q1, m.median, m.q3, m.q1 - threshold * m.iqr, m.q3 + threshold * m.iqr]);
+      } else {
+        refHeaders = ['Group', 'Parcels', 'Mean', 'Std Dev', 'Normal Range'];
+        refRows = models.map(m => [groupCell(m), m.n, _fmt(m.mean), _fmt(m.sd),
+          cutoff(m.mean - threshold * m.sd, m.mean + threshold * m.sd)]);
+        refData = models.map(m => [m.cat || m.group, m.n, m.mean, m.sd, m.mean - threshold * m.sd, m.mean + threshold * m.sd]);
+      }
+      html += `<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">${method === 'residual' ? 'Model' : 'Reference'}</h4>`;
+      html += htmlTable(refHeaders, refRows,
+        new Set(refHeaders.map((_, i) => i).filter(i => i >= 1 && !(method === 'residual' && i === 2))));
+
+      // Bar chart of the deviation scores
       const chartConfig = {
         type: 'bar',
         data: {
-          labels: allCats.map(c => CAT_LABELS[c]),
-          datasets: [
-            {
-              label: 'Avg Transit Index',
-              data: allCats.map(c => this.catStats[c].avgTransit || 0),
-              backgroundColor: '#e67e22',
-              borderWidth: 0,
-              borderRadius: 2
-            },
-            {
-              label: 'Avg Diversity Index',
-              data: allCats.map(c => this.catStats[c].avgDiversity || 0),
-              backgroundColor: '#27ae60',
-              borderWidth: 0,
-              borderRadius: 2
-            }
-          ]
+          labels: shown.map(s => s.d.id.replace('kml_', '')),
+          datasets: [{
+            label: test.label,
+            data: shown.map(s => s.score),
+            backgroundColor: shown.map(s => CAT_COLORS[s.d.category] || '#2980b9'),
+            borderWidth: 0,
+            borderRadius: 3
+          }]
         },
         options: {
-          plugins: {
-            title: { display: true, text: 'Category Comparison: Transit & Diversity', font: { size: 12 } },
-            legend: { labels: { font: { size: 10 } } }
-          },
+          indexAxis: 'y',
+          plugins: { legend: { display: false } },
           scales: {
-            x: { ticks: { font: { size: 9 }, maxRotation: 35 } },
-            y: { beginAtZero: true, max: 1, ticks: { font: { size: 10 } } }
+            x: { title: { display: true, text: test.label, font: { size: 11 } }, ticks: { font: { size: 10 } } },
+            y: { ticks: { font: { size: 10, family: "'SF Mono','Consolas',monospace" } } }
           }
         }
       };
 
       return {
-        title: `Category: ${label}`,
-        type: 'category',
+        title,
+        type: 'outliers',
         html,
         chartConfig,
-        mapHighlights: group.map(d => d.id)
+        tables: [
+          this._parcelTable('Outliers', list.map(s => s.d), [
+            ...predictors.map(metricColumn),
+            [def.label, (d, i) => list[i].actual],
+            ['Expected', (d, i) => list[i].expected],
+            [test.label, (d, i) => list[i].score]
+          ], true),
+          dataTable(method === 'residual' ? 'Model' : 'Reference',
+            method === 'residual' ? ['Group', 'Parcels', 'Intercept', ...predictors, 'R²', 'Residual Scale']
+              : method === 'iqr' ? ['Group', 'Parcels', 'Q1', 'Median', 'Q3', 'Lower Fence', 'Upper Fence']
+              : ['Group', 'Parcels', 'Mean', 'Std Dev', 'Lower Cut-off', 'Upper Cut-off'],
+            refData)
+        ],
+        mapHighlights: shown.map(s => s.d.id),
+        intent
       };
     }
 
-    /** Facility-based parcel query */
-    _facilityQuery(lower) {
-      const ft = this._matchFacilityType(lower);
-      if (!ft) {
-        return this._error(
-          'Could not determine which facility type. Available: ' +
-          [...this.allFacilityTypes].sort().join(', ')
-        );
-      }
-
-      const matching = this.nodes.filter(d => {
-        if (!d.ft) return false;
-        return d.ft.split(',').map(s => s.trim().toLowerCase()).includes(ft.toLowerCase());
-      });
+    /**
+     * Pearson and Spearman correlation between metrics over the parcels in
+     * scope. Two metrics give one pair with a scatter chart and fit line; one
+     * gives its correlation with every other metric; none (or three and more)
+     * a correlation matrix. Each pair uses the parcels with values of both.
+     * @param {Object} spec - { metrics, method:'pearson'|'spearman'|'both', filter }
+     */
+    _correlation(spec) {
+      const filter = spec.filter || null;
+      const method = spec.method || 'both';
+      const named = (spec.metrics || []).filter(m => METRICS[m]);
+      const metrics = named.length === 1 ? [named[0], ...Object.keys(METRICS).filter(m => m !== named[0])]
+        : named.length ? named : Object.keys(METRICS);
+      const group = filter ? this.nodes.filter(d => this._evalFilter(d, filter)) : this.nodes;
+      const scopeText = filter ? ` matching <em>${esc(this._describeFilter(filter))}</em>` : '';
+      const intent = { intent: 'correlation', metrics: named, method, filter };
+
+      const pairOf = (a, b) => {
+        const rows = group.filter(d => hasValue(d, a) && hasValue(d, b));
+        const xs = rows.map(d => +d[METRICS[a].key]);
+        const ys = rows.map(d => +d[METRICS[b].key]);
+        const n = rows.length;
+        const r = n > 2 ? pearson(xs, ys) : NaN;
+        const rho = n > 2 ? pearson(ranks(xs), ranks(ys)) : NaN;
+        const test = v => tTestP(v * Math.sqrt((n - 2) / Math.max(1 - v * v, 1e-12)), n - 2);
+        return { a, b, rows, xs, ys, n, r, rho, pR: test(r), pRho: test(rho) };
+      };
+      const strength = v => {
+        const a = Math.abs(v);
+        if (isNaN(a)) return 'undefined';
+        const word = a < 0.1 ? 'negligible' : a < 0.3 ? 'weak' : a < 0.5 ? 'moderate' : a < 0.7 ? 'strong' : 'very strong';
+        return a < 0.1 ? word : `${word} ${v > 0 ? 'positive' : 'negative'}`;
+      };
+      const coefText = v => (isNaN(v) ? '-' : (v < 0 ? '−' : '') + Math.abs(v).toFixed(2));
+      const lead = method === 'spearman' ? 'rho' : 'r';
+      const notes = metrics.includes('energy') ? ['Parcels with no recorded energy (0 kWh/yr) count as missing'] : [];
+      const formulas = [
+        ...(filter ? [`keep parcels where ${this._describeFilter(filter)}`] : []),
+        ...(method !== 'spearman' ? [FORMULAS.pearson] : []),
+        ...(method !== 'pearson' ? [FORMULAS.spearman] : []),
+        FORMULAS.corrTest
+      ];
+      const h4 = text => `<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">${text}</h4>`;
+
+      // One pair: both coefficients, the least-squares line and a scatter chart
+      if (named.length === 2) {
+        const [a, b] = named;
+        const pr = pairOf(a, b);
+        this._traceNote({ considered: group.length, kept: pr.n, formulas, notes });
+        const defA = METRICS[a], defB = METRICS[b];
+        if (pr.n < 3) {
+          return this._error(`Too few parcels${scopeText} have values of both ${esc(defA.label)} and ${esc(defB.label)}.`);
+        }
+        const fit = ols(pr.xs.map(x => [x]), pr.ys);
+        const measures = [];
+        if (method !== 'spearman') measures.push(['Pearson r', pr.r, pr.pR]);
+        if (method !== 'pearson') measures.push(['Spearman ρ', pr.rho, pr.pRho]);
+        const main = lead === 'rho' ? pr.rho : pr.r;
+
+        let html = `<div class="q-insight">Across <strong>${_fmt(pr.n)}</strong> parcels${scopeText},
+          <strong>${esc(defA.label)}</strong> and <strong>${esc(defB.label)}</strong> have a ${strength(main)} relationship: ` +
+          measures.map(([name, v, p]) => `${name} = ${coefText(v)} (p ${p < 0.001 ? '' : '= '}${fmtP(p)})`).join(', ') + '.';
+        if (fit) {
+          html += ` The least-squares line is ${esc(b)} ≈ ${_fmt(fit.coef[0])} ${fit.coef[1] < 0 ? '−' : '+'} ${fmtMeasure(Math.abs(fit.coef[1]))} × ${esc(a)}
+            (R² = ${fit.r2.toFixed(2)}).`;
+        }
+        html += '</div>';
+        if (notes.length) html += `<div style="font-size:11px;color:#7f8c8d;margin-bottom:8px">${notes.map(esc).join('. ')}.</div>`;
+        html += htmlTable(['Measure', 'Coefficient', 'p-value', 'Parcels'],
+          measures.map(([name, v, p]) => [name, coefText(v), fmtP(p), _fmt(pr.n)]), new Set([1, 2, 3]));
+
+        return {
+          title: `Correlation: ${defA.label} and ${defB.label}`,
+          type: 'correlation',
+          html,
+          chartConfig: this._scatterChart(pr.rows, pr.xs, pr.ys, defA.label, defB.label, fit),
+          tables: [
+            dataTable('Correlation', ['Measure', 'Coefficient', 'p-value', 'Parcels'], measures.map(([name, v, p]) => [name, v, p, pr.n])),
+            this._parcelTable('Values', pr.rows, [metricColumn(a), metricColumn(b)])
+          ],
+          intent
+        };
+      }
+
+      // Every pair, then a matrix (or one column when a single metric was named)
+      const pairs = [];
+      const cell = {};
+      metrics.forEach((a, i) => {
+        metrics.forEach((b, j) => {
+          if (j <= i || (named.length === 1 && a !== named[0] && b !== named[0])) return;
+          const pr = pairOf(a, b);
+          pairs.push(pr);
+          cell[`${a}|${b}`] = cell[`${b}|${a}`] = pr;
+        });
+      });
+      const leadOf = pr => (lead === 'rho' ? pr.rho : pr.r);
+      const ranked = pairs.filter(pr => !isNaN(leadOf(pr))).sort((x, y) => Math.abs(leadOf(y)) - Math.abs(leadOf(x)));
+      this._traceNote({ considered: group.length, kept: group.length, formulas, notes });
+      if (!ranked.length) return this._error(`Too few parcels${scopeText} have values to correlate.`);
+
+      const leadName = lead === 'rho' ? 'Spearman ρ' : 'Pearson r';
+      const top = ranked[0];
+      const pairName = pr => `${METRICS[pr.a].label} and ${METRICS[pr.b].label}`;
+      let html = `<div class="q-insight">${named.length === 1
+        ? `Correlation of <strong>${esc(METRICS[named[0]].label)}</strong> with ${pairs.length} other metrics`
+        : `${leadName} between ${metrics.length} metrics`} across ${_fmt(group.length)} parcels${scopeText}.
+        The strongest pair is <strong>${esc(pairName(top))}</strong> (${leadName} = ${coefText(leadOf(top))}, ${strength(leadOf(top))}).</div>`;
+      if (notes.length) html += `<div style="font-size:11px;color:#7f8c8d;margin-bottom:8px">${notes.map(esc).join('. ')}.</div>`;
+
+      const heat = v => `<span style="display:block;padding:1px 4px;border-radius:3px;background:${divergingColor(v)};` +
+        `color:${Math.abs(v) > 0.6 ? '#fff' : '#2c3e50'}">${coefText(v)}</span>`;
+      const tables = [];
+      const matrixOf = (which, title) => {
+        const value = (a, b) => (a === b ? 1 : cell[`${a}|${b}`] ? cell[`${a}|${b}`][which] : NaN);
+        html += h4(title);
+        html += htmlTable(['', ...metrics.map(m => esc(METRICS[m].label))],
+          metrics.map(a => [esc(METRICS[a].label), ...metrics.map(b => heat(value(a, b)))]),
+          new Set(metrics.map((_, i) => i + 1)));
+        tables.push(dataTable(title, ['Metric', ...metrics], metrics.map(a => [a, ...metrics.map(b => value(a, b))])));
+      };
+      if (named.length === 1) {
+        const others = ranked.map(pr => (pr.a === named[0] ? pr.b : pr.a));
+        html += htmlTable(['Metric', 'Pearson r', 'p', 'Spearman ρ', 'p', 'Parcels'],
+          ranked.map((pr, i) => [esc(METRICS[others[i]].label), heat(pr.r), fmtP(pr.pR), heat(pr.rho), fmtP(pr.pRho), _fmt(pr.n)]),
+          new Set([1, 2, 3, 4, 5]));
+      } else {
+        if (method !== 'spearman') matrixOf('r', 'Pearson r');
+        if (method !== 'pearson') matrixOf('rho', 'Spearman ρ');
+        html += h4('Strongest Pairs');
+        html += htmlTable(['Pair', 'Pearson r', 'p', 'Spearman ρ', 'p', 'Parcels'],
+          ranked.slice(0, 10).map(pr => [esc(pairName(pr)), coefText(pr.r), fmtP(pr.pR), coefText(pr.rho), fmtP(pr.pRho), _fmt(pr.n)]),
+          new Set([1, 2, 3, 4, 5]));
+      }
+      tables.unshift(dataTable('Pairs', ['Metric A', 'Metric B', 'Parcels', 'Pearson r', 'p (r)', 'Spearman ρ', 'p (ρ)'],
+        ranked.map(pr => [pr.a, pr.b, pr.n, pr.r, pr.pR, pr.rho, pr.pRho])));
+
+      // The strongest pairs as signed bars
+      const bars = ranked.slice(0, 12);
+      const chartConfig = {
+        type: 'bar',
+        data: {
+          labels: bars.map(pr => named.length === 1 ? METRICS[pr.a === named[0] ? pr.b : pr.a].label : `${pr.a} – ${pr.b}`),
+          datasets: [{
+            label: leadName,
+            data: bars.map(leadOf),
+            backgroundColor: bars.map(pr => divergingColor(leadOf(pr))),
+            borderWidth: 0,
+            borderRadius: 3
+          }]
+        },
+        options: {
+          indexAxis: 'y',
+          plugins: { legend: { display: false } },
+          scales: {
+            x: { min: -1, max: 1, title: { display: true, text: leadName, font: { size: 11 } }, ticks: { font: { size: 10 } } },
+            y: { ticks: { font: { size: 10 } } }
+          }
+        }
+      };
+
+      return {
+        title: named.length === 1 ? `Correlation with ${METRICS[named[0]].label}` : 'Correlation Matrix',
+        type: 'correlation',
+        html,
+        chartConfig,
+        tables,
+        intent
+      };
+    }
+
+    /**
+     * Ordinary least squares of one metric on others over the parcels in
+     * scope, optionally with a dummy per category (the largest category is
+     * the reference). Parcels missing any of the metrics are left out.
+     * @param {Object} spec - { response, predictors, dummies, filter }
+     */
+    _regression(spec) {
+      const response = spec.response;
+      const def = METRICS[response];
+      if ((spec.predictors || []).includes(response)) {
+        return this._error(`${esc(def.label)} is the response, so it cannot also be a predictor. ` +
+          `Name other metrics, e.g. "regress ${esc(response)} on gfa and levels".`);
+      }
+      const predictors = (spec.predictors || []).filter(m => METRICS[m]);
+      const filter = spec.filter || null;
+      if (!predictors.length) {
+        return this._error(`Name at least one metric to regress ${esc(def.label)} on, e.g. "regress ${esc(response)} on gfa and levels".`);
+      }
+      const group = filter ? this.nodes.filter(d => this._evalFilter(d, filter)) : this.nodes;
+      const usable = group.filter(d => [response, ...predictors].every(m => hasValue(d, m)));
+      const scopeText = filter ? ` matching <em>${esc(this._describeFilter(filter))}</em>` : '';
+
+      // Category dummies against the largest category present
+      const counts = {};
+      usable.forEach(d => { counts[d.category] = (counts[d.category] || 0) + 1; });
+      const cats = Object.keys(counts).sort((a, b) => counts[b] - counts[a]);
+      const dummies = spec.dummies && cats.length > 1;
+      const dummyCats = dummies ? cats.slice(1) : [];
+      const reference = dummies ? cats[0] : null;
+
+      const X = usable.map(d => [
+        ...predictors.map(m => +d[METRICS[m].key]),
+        ...dummyCats.map(c => (d.category === c ? 1 : 0))
+      ]);
+      const y = usable.map(d => +d[def.key]);
+      const fit = ols(X, y);
+
+      const notes = [];
+      if (usable.length < group.length) {
+        notes.push(`${_fmt(group.length - usable.length)} parcels lack a value of ${[response, ...predictors].join(', ')}` +
+          ([response, ...predictors].includes('energy') ? ' (0 kWh/yr counts as missing)' : '') + ' and are left out');
+      }
+      if (spec.dummies && !dummies) notes.push('Only one category is in scope, so no category dummies are fitted');
+      const model = `${response} ~ ${predictors.join(' + ')}${dummies ? ' + category' : ''}`;
+      this._traceNote({
+        considered: group.length,
+        kept: usable.length,
+        formulas: [
+          ...(filter ? [`keep parcels where ${this._describeFilter(filter)}`] : []),
+          model, FORMULAS.ols, FORMULAS.r2, FORMULAS.fTest
+        ],
+        notes
+      });
+      if (!fit) {
+        return this._error(`Could not fit ${esc(model)} over ${_fmt(usable.length)} parcels${scopeText}: ` +
+          'too few parcels, or predictors that are constant or collinear.');
+      }
+
+      const terms = [
+        ['Intercept', 'intercept'],
+        ...predictors.map(m => [METRICS[m].label, m]),
+        ...dummyCats.map(c => [`Category: ${CAT_LABELS[c] || c}`, `category=${c}`])
+      ];
+      const estimate = v => (v < 0 ? '−' : '') + fmtMeasure(Math.abs(v));
+      const equation = `${response} ≈ ${estimate(fit.coef[0])}` +
+        predictors.map((m, j) => ` ${fit.coef[j + 1] < 0 ? '−' : '+'} ${fmtMeasure(Math.abs(fit.coef[j + 1]))} × ${m}`).join('') +
+        (dummies ? ' + category effect' : '');
+      const significant = predictors.filter((m, j) => fit.p[j + 1] < 0.05);
+      const weak = predictors.filter((m, j) => !(fit.p[j + 1] < 0.05));
+      const list = ms => ms.map(m => esc(METRICS[m].label) + (significant.includes(m) ? ` (${fit.coef[predictors.indexOf(m) + 1] > 0 ? '+' : '−'})` : ''));
+
+      let html = `<div class="q-insight"><strong>${esc(def.label)}</strong> regressed on ${esc(predictors.map(m => METRICS[m].label).join(', '))}` +
+        `${dummies ? ' with category dummies' : ''} over <strong>${_fmt(fit.n)}</strong> parcels${scopeText}:
+        R² = <strong>${fit.r2.toFixed(3)}</strong> (adjusted ${fit.adjR2 < 0 ? '−' : ''}${Math.abs(fit.adjR2).toFixed(3)}), F-test p ${fit.pF < 0.001 ? '' : '= '}${fmtP(fit.pF)}.
+        ${significant.length ? `Significant at 5%: ${list(significant).join(', ')}.` : 'No predictor is significant at 5%.'}
+        ${significant.length && weak.length ? `Not significant: ${list(weak).join(', ')}.` : ''}
+        ${dummies ? `Category effects are relative to ${esc(CAT_LABELS[reference] || reference)}.` : ''}
+        The map colours each parcel by its residual: red above the fit, blue below.</div>`;
+      html += `<div style="font-size:11px;color:#7f8c8d;margin-bottom:8px">${esc(equation)}${notes.length ? '. ' + notes.map(esc).join('. ') : ''}.</div>`;
+
+      const h4 = text => `<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">${text}</h4>`;
+      html += h4('Coefficients');
+      html += htmlTable(['Term', 'Estimate', 'Std Error', 't', 'p-value'],
+        terms.map(([label], j) => [esc(label), estimate(fit.coef[j]), fmtMeasure(fit.se[j]),
+          (fit.t[j] < 0 ? '−' : '') + Math.abs(fit.t[j]).toFixed(2), fmtP(fit.p[j])]),
+        new Set([1, 2, 3, 4]));
+      const fitRows = [
+        ['Parcels', fit.n], ['Predictors', X[0].length], ['R²', fit.r2], ['Adjusted R²', fit.adjR2],
+        ['Residual Std Error', fit.sigma], ['F', fit.F], ['F-test p', fit.pF]
+      ];
+      html += h4('Fit');
+      html += htmlTable(['Statistic', 'Value'], fitRows.map(([k, v]) => [k,
+        k === 'F-test p' ? fmtP(v) : /R²/.test(k) ? v.toFixed(3) : Number.isInteger(v) ? _fmt(v) : fmtMeasure(v)]), new Set([1]));
+
+      // Residuals, largest first; standardised by the residual standard error
+      const res = usable.map((d, i) => ({ d, actual: y[i], fitted: fit.fitted[i], resid: fit.residuals[i], z: fit.residuals[i] / fit.sigma }))
+        .sort((a, b) => Math.abs(b.resid) - Math.abs(a.resid));
+      html += h4('Largest Residuals');
+      html += htmlTable(['#', 'Parcel', 'Category', 'Actual', 'Fitted', 'Residual', 'Std. Residual'],
+        res.slice(0, 10).map((r, i) => [
+          i + 1, `<code>${r.d.id}</code>`, catDot(r.d.category) + esc(CAT_LABELS[r.d.category] || r.d.category),
+          _fmt(r.actual), _fmt(r.fitted), estimate(r.resid), (r.z < 0 ? '−' : '+') + Math.abs(r.z).toFixed(2)
+        ]), new Set([0, 3, 4, 5, 6]));
+
+      // One predictor: the data and its line; otherwise actual against fitted around y = x
+      const single = predictors.length === 1 && !dummies;
+      const chartConfig = single
+        ? this._scatterChart(usable, X.map(row => row[0]), y, METRICS[predictors[0]].label, def.label, fit)
+        : this._scatterChart(usable, fit.fitted, y, `Fitted ${def.label}`, `Actual ${def.label}`, { coef: [0, 1], r2: fit.r2 }, 'y = x');
+
+      const mapColors = {};
+      res.forEach(r => { mapColors[r.d.id] = divergingColor(r.z / 2.5); });
+
+      return {
+        title: `Regression: ${def.label}`,
+        type: 'regression',
+        html,
+        chartConfig,
+        tables: [
+          dataTable('Coefficients', ['Term', 'Estimate', 'Std Error', 't', 'p-value'],
+            terms.map(([, key], j) => [key, fit.coef[j], fit.se[j], fit.t[j], fit.p[j]])),
+          dataTable('Fit', ['Statistic', 'Value'], fitRows),
+          this._parcelTable('Residuals', res.map(r => r.d), [
+            ...predictors.map(metricColumn),
+            [`Actual ${def.label}`, (d, i) => res[i].actual],
+            ['Fitted', (d, i) => res[i].fitted],
+            ['Residual', (d, i) => res[i].resid],
+            ['Standardised Residual', (d, i) => res[i].z]
+          ])
+        ],
+        mapColors,
+        intent: { intent: 'regression', metric: response, predictors, byCategory: !!spec.dummies, filter }
+      };
+    }
+
+    /**
+     * Scatter chart config: one point colour per category, plus a straight
+     * line y = coef[0] + coef[1]·x across the x range.
+     */
+    _scatterChart(rows, xs, ys, xLabel, yLabel, fit, lineLabel) {
+      const byCat = {};
+      rows.forEach((d, i) => {
+        (byCat[d.category] = byCat[d.category] || []).push({ x: xs[i], y: ys[i], id: d.id });
+      });
+      const datasets = Object.keys(byCat).map(cat => ({
+        label: CAT_LABELS[cat] || cat,
+        data: byCat[cat],
+        backgroundColor: CAT_COLORS[cat] || '#999',
+        pointRadius: 2.5
+      }));
+      if (fit) {
+        const lo = Math.min(...xs), hi = Math.max(...xs);
+        datasets.push({
+          type: 'line',
+          label: lineLabel || `Fit (R² = ${fit.r2.toFixed(2)})`,
+          data: [lo, hi].map(x => ({ x, y: fit.coef[0] + fit.coef[1] * x })),
+          borderColor: '#2c3e50',
+          borderWidth: 2,
+          borderDash: [6, 4],
+          pointRadius: 0,
+          fill: false
+        });
+      }
+      return {
+        type: 'scatter',
+        data: { datasets },
+        options: {
+          plugins: { legend: { position: 'bottom', labels: { font: { size: 10 }, boxWidth: 10 } } },
+          scales: {
+            x: { title: { display: true, text: xLabel, font: { size: 11 } }, ticks: { font: { size: 10 } } },
+            y: { title: { display: true, text: yLabel, font: { size: 11 } }, ticks: { font: { size: 10 } } }
+          }
+        }
+      };
+    }
+
+    /** Category information and comparison */
+    _categoryInfo(cat) {
+      const cs = this.catStats[cat];
+      const group = this.byCategory[cat] || [];
+      const label = CAT_LABELS[cat];
+
+      if (!group.length) {
+        return this._error(`No parcels found in category <strong>${label}</strong>.`);
+      }
+      this._traceNote({ considered: this.stats.count, kept: group.length, formulas: [FORMULAS.share, FORMULAS.mean, FORMULAS.welch, FORMULAS.mannWhitney] });
+
+      const rule = CATEGORY_RULES.find(r => r.key === cat);
+      let html = `<div class="q-insight">
+        ${catDot(cat)} <strong>${label}</strong> &mdash; ${group.length} parcels
+        (${(group.length / this.stats.count * 100).toFixed(1)}% of dataset).<br>
+        <em>Rule: ${rule ? esc(rule.desc) : 'N/A'}</em>
+      </div>`;
+
+      // Key metrics
+      const headers = ['Metric', 'Category Avg', 'Dataset Avg', 'Ratio'];
+      const metricsToShow = [
+        { key: 'gfa', label: 'GFA (m\u00b2)', catVal: cs.avgGFA, globVal: this.stats.avgGFA },
+        { key: 'e', label: 'Energy (kWh/yr)', catVal: cs.avgEnergy, globVal: this.stats.avgEnergy },
+        { key: 'ti', label: 'Transit Index', catVal: cs.avgTransit, globVal: this.stats.avgTransit },
+        { key: 'div', label: 'Diversity Index', catVal: cs.avgDiversity, globVal: this.stats.avgDiversity },
+        { key: 'b', label: 'Buildings', catVal: cs.avgBuildings, globVal: mean(this.nodes.map(d => d.b || 0)) },
+        { key: 'u', label: 'Est. Units', catVal: cs.avgUnits, globVal: mean(this.nodes.map(d => d.u || 0)) }
+      ];
+      const rows = metricsToShow.map(m => {
+        const ratio = m.globVal > 0 ? (m.catVal / m.globVal) : 0;
+        const ratioStr = ratio >= 1
+          ? `<span style="color:#1e8449">${ratio.toFixed(2)}x</span>`
+          : `<span style="color:#922b21">${ratio.toFixed(2)}x</span>`;
+        return [m.label, _fmt(m.catVal), _fmt(m.globVal), ratioStr];
+      });
+      html += htmlTable(headers, rows, new Set([1, 2, 3]));
+
+      // The category against every other parcel
+      const [self, rest] = this._significanceGroups(this.nodes, [cat]);
+      const significance = rest.rows.length ? this._significanceSummary(self, rest, TESTED_METRICS) : null;
+      if (significance) {
+        html += '<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Different from the Rest?</h4>';
+        html += `<div style="font-size:11px;color:#7f8c8d;margin-bottom:6px">${significance.lead}</div>`;
+        html += significance.html;
+      }
+
+      // List top-5 parcels by GFA
+      const top5 = [...group].sort((a, b) => (b.gfa || 0) - (a.gfa || 0)).slice(0, 5);
+      html += '<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Top 5 Parcels by GFA</h4>';
+      const t5Headers = ['Parcel', 'GFA (m\u00b2)', 'Energy (kWh/yr)', 'Transit'];
+      const t5Rows = top5.map(d => [
+        `<code>${d.id}</code>`,
+        _fmt(d.gfa),
+        _fmt(d.e),
+        _fmt(d.ti)
+      ]);
+      html += htmlTable(t5Headers, t5Rows, new Set([1, 2, 3]));
+
+      // Bar chart comparing this category across metrics
+      const allCats = Object.keys(this.byCategory).filter(c => (this.byCategory[c] || []).length > 0);
+      const chartConfig = {
+        type: 'bar',
+        data: {
+          labels: allCats.map(c => CAT_LABELS[c]),
+          datasets: [
+            {
+              label: 'Avg Transit Index',
+              data: allCats.map(c => this.catStats[c].avgTransit || 0),
+              backgroundColor: '#e67e22',
+              borderWidth: 0,
+              borderRadius: 2
+            },
+            {
+              label: 'Avg Diversity Index',
+              data: allCats.map(c => this.catStats[c].avgDiversity || 0),
+              backgroundColor: '#27ae60',
+              borderWidth: 0,
+              borderRadius: 2
+            }
+          ]
+        },
+        options: {
+          plugins: {
+            title: { display: true, text: 'Category Comparison: Transit & Diversity', font: { size: 12 } },
+            legend: { labels: { font: { size: 10 } } }
+          },
+          scales: {
+            x: { ticks: { font: { size: 9 }, maxRotation: 35 } },
+            y: { beginAtZero: true, max: 1, ticks: { font: { size: 10 } } }
+          }
+        }
+      };
+
+      const tables = [
+        dataTable('Key Metrics', ['Metric', 'Category Avg', 'Dataset Avg', 'Ratio'],
+          metricsToShow.map(m => [m.label, m.catVal, m.globVal, m.globVal > 0 ? m.catVal / m.globVal : 0])),
+        this._parcelTable('Parcels', group, ['gfa', 'energy', 'transit', 'diversity'].map(metricColumn))
+      ];
+      if (significance) tables.push(significance.table);
+
+      return {
+        title: `Category: ${label}`,
+        type: 'category',
+        html,
+        chartConfig,
+        tables,
+        mapHighlights: group.map(d => d.id),
+        intent: { intent: 'category', category: cat }
+      };
+    }
+
+    /** Error for a condition that both requires and excludes a facility type */
+    _clashError(ft) {
+      return this._error(`The question asks for parcels with <strong>${esc(ft)}</strong> and with no ${esc(ft)}, ` +
+        'which no parcel can match. Keep one of the two conditions.');
+    }
+
+    /** Facility-based parcel query; `params.facilityType` overrides the text */
+    _facilityQuery(lower, params) {
+      let expr = params && params.expr;
+      // "parcels without any facility": none of the types at all
+      const none = !expr && !(params && params.facilityType) &&
+        /\b(?:without|no|lacking|missing)\s+(?:any\s+)?(?:facilit(?:y|ies)|amenit(?:y|ies))\b/.test(lower);
+      if (none) {
+        expr = { op: 'not', item: { op: 'or', items: [...this.allFacilityTypes].sort().map(ft => ({ op: 'fac', ft })) } };
+      }
+      if (!expr) {
+        const named = (params && params.facilityType) || this._matchFacilityType(lower);
+        if (!named) {
+          return this._error(
+            'Could not determine which facility type. Available: ' +
+            [...this.allFacilityTypes].sort().join(', ')
+          );
+        }
+        expr = { op: 'fac', ft: named };
+      }
+      const clash = facilityClash(expr);
+      if (clash) return this._clashError(clash);
+      // One facility type, or a boolean combination: "Cafe and Library and no Garden"
+      const ft = expr.op === 'fac' ? expr.ft : null;
+      const label = none ? 'no facilities' : facilityText(expr);
+
+      const matching = this.nodes.filter(d => this._evalFilter(d, expr));
+      this._traceNote({
+        considered: this.nodes.length,
+        kept: matching.length,
+        formulas: [
+          ft ? `keep parcels whose facility types include "${ft}"` : `keep parcels where ${this._describeFilter(expr)}`,
+          FORMULAS.share
+        ]
+      });
 
       if (!matching.length) {
         return {
-          title: `Parcels with ${ft}`,
+          title: `Parcels with ${label}`,
           type: 'facility',
-          html: `<div class="q-insight">No parcels were found with access to <strong>${esc(ft)}</strong>.</div>`
+          html: ft
+            ? `<div class="q-insight">No parcels were found with access to <strong>${esc(ft)}</strong>.</div>`
+            : none
+              ? '<div class="q-insight">Every parcel has at least one facility type.</div>'
+              : `<div class="q-insight">No parcels have <strong>${esc(label)}</strong>.</div>`
         };
       }
 
-      let html = `<div class="q-insight"><strong>${matching.length}</strong> parcels have access to
-        <strong>${esc(ft)}</strong> (${(matching.length / this.stats.count * 100).toFixed(1)}% of all parcels).</div>`;
+      let html = `<div class="q-insight"><strong>${matching.length}</strong> parcels ${ft ? 'have access to' : 'have'}
+        <strong>${esc(label)}</strong> (${(matching.length / this.stats.count * 100).toFixed(1)}% of all parcels).</div>`;
 
       // Category breakdown
       const catBreakdown = {};
@@ -779,6 +3506,21 @@
       ]);
       html += htmlTable(['#', 'Parcel', 'Category', 'GFA'], t10Rows, new Set([0, 3]));
 
+      // What else these parcels have, against the dataset
+      const mix = [...this.allFacilityTypes].sort().map(f => {
+        const inMatch = matching.filter(d => this._hasFacility(d, f)).length / matching.length;
+        const overall = this.nodes.filter(d => this._hasFacility(d, f)).length / this.stats.count;
+        return [f, inMatch, overall, overall ? inMatch / overall : null];
+      });
+      html += '<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Facility Mix</h4>';
+      html += htmlTable(['Facility', 'These Parcels', 'All Parcels', 'Lift'],
+        mix.map(([f, inMatch, overall, lift]) => [
+          `<span class="facility-tag ft-${esc(f)}">${esc(f)}</span>`,
+          (inMatch * 100).toFixed(1) + '%',
+          (overall * 100).toFixed(1) + '%',
+          lift == null ? '-' : lift.toFixed(2) + '&times;'
+        ]), new Set([1, 2, 3]));
+
       // Doughnut chart for category breakdown
       const chartCats = Object.keys(catBreakdown);
       const chartConfig = {
@@ -793,376 +3535,899 @@
         },
         options: {
           plugins: {
-            title: { display: true, text: `"${ft}" Parcels by Category`, font: { size: 12 } },
+            title: { display: true, text: `"${label}" Parcels by Category`, font: { size: 12 } },
             legend: { position: 'right', labels: { font: { size: 10 } } }
           }
         }
       };
 
+      const byGfa = [...matching].sort((a, b) => (b.gfa || 0) - (a.gfa || 0));
+      const tables = [
+        dataTable('By Category', ['Category', 'Count', 'Share'],
+          Object.entries(catBreakdown).sort((a, b) => b[1] - a[1]).map(([cat, cnt]) => [cat, cnt, cnt / matching.length])),
+        this._parcelTable(`Parcels with ${label}`, byGfa, [metricColumn('gfa')]),
+        dataTable('Facility Mix', ['Facility', 'These Parcels', 'All Parcels', 'Lift'], mix)
+      ];
+
       return {
-        title: `Parcels with ${ft}`,
+        title: `Parcels with ${label}`,
         type: 'facility',
         html,
         chartConfig,
-        mapHighlights: matching.map(d => d.id)
+        tables,
+        mapHighlights: matching.map(d => d.id),
+        intent: ft ? { intent: 'facility', facilityType: ft } : { intent: 'facility', filter: expr }
       };
     }
 
-    /** Relationships / connections for a specific parcel */
-    _relationships(id) {
-      const node = this.nodeMap[id];
-      if (!node) {
-        return this._error(`Parcel <strong>${esc(id)}</strong> was not found.`);
-      }
-
-      const nodeIdx = this.nodes.indexOf(node);
-      const connections = this.adj[nodeIdx] || [];
+    /**
+     * Facility gaps: parcels that lack a facility type most of their graph
+     * neighbours have. A parcel needs at least `minNeighbours` neighbours over
+     * the chosen edge types, and a gap more than `threshold` of them (at least,
+     * when `inclusive`) with the facility.
+     * @param {Object} spec - { facilityType, edgeTypes, threshold, inclusive, minNeighbours, category }
+     */
+    _facilityGaps(spec) {
+      const { facilityType, edgeTypes, category } = spec;
+      const threshold = spec.threshold != null ? spec.threshold : GAP_THRESHOLD;
+      const inclusive = !!spec.inclusive;
+      const minNeighbours = spec.minNeighbours || GAP_MIN_NEIGHBOURS;
+      const allow = edgeTypes ? new Set(edgeTypes) : null;
+      const types = facilityType ? [facilityType] : [...this.allFacilityTypes].sort();
+      const sets = this.nodes.map(facilitySet);
+
+      const gaps = [];
+      const byParcel = new Map();
+      const lacking = {};
+      const eligibleIn = {};
+      let eligible = 0, tooFew = 0;
+      this.nodes.forEach((d, i) => {
+        if (category && d.category !== category) return;
+        const nbrs = new Set();
+        for (const [v, eType] of this.adj[i] || []) {
+          if (!allow || allow.has(eType)) nbrs.add(v);
+        }
+        if (nbrs.size < minNeighbours) {
+          tooFew++;
+          return;
+        }
+        eligible++;
+        eligibleIn[d.category] = (eligibleIn[d.category] || 0) + 1;
+        types.forEach(f => {
+          if (sets[i].has(f)) return;
+          lacking[f] = (lacking[f] || 0) + 1;
+          let holders = 0;
+          nbrs.forEach(v => { if (sets[v].has(f)) holders++; });
+          const share = holders / nbrs.size;
+          if (inclusive ? share < threshold : share <= threshold) return;
+          const gap = { d, f, holders, n: nbrs.size, share };
+          gaps.push(gap);
+          if (!byParcel.has(d)) byParcel.set(d, []);
+          byParcel.get(d).push(gap);
+        });
+      });
+      gaps.sort((a, b) => b.share - a.share || b.n - a.n || a.d.id.localeCompare(b.d.id));
+      const parcels = [...byParcel.keys()].sort((a, b) => byParcel.get(b).length - byParcel.get(a).length ||
+        Math.max(...byParcel.get(b).map(g => g.share)) - Math.max(...byParcel.get(a).map(g => g.share)));
+
+      const pct = v => Math.round(v * 100) + '%';
+      const cutText = threshold === 0.5 ? `${inclusive ? 'at least' : 'more than'} half`
+        : threshold === 1 && inclusive ? 'all' : `${inclusive ? 'at least' : 'more than'} ${pct(threshold)}`;
+      const viaText = this._edgeTypesText(edgeTypes);
+      const scopeText = category ? ` ${CAT_LABELS[category] || category}` : '';
+      const notes = tooFew ? [`${_fmt(tooFew)} parcels with fewer than ${minNeighbours} neighbours over ${viaText} are left out`] : [];
+      this._traceNote({
+        considered: eligible + tooFew,
+        kept: parcels.length,
+        formulas: [
+          ...(category ? [`keep parcels where ${this._describeFilter({ op: 'cat', cat: category })}`] : []),
+          FORMULAS.neighbourShare,
+          `gap when the parcel lacks the facility and share ${inclusive ? '≥' : '>'} ${_fmt(threshold)}, with ≥ ${minNeighbours} neighbours`
+        ],
+        notes
+      });
 
-      if (!connections.length) {
+      const title = (facilityType ? `${facilityType} Gaps` : 'Facility Gaps') + (category ? ` — ${CAT_LABELS[category] || category}` : '');
+      const intent = { intent: 'gaps', facilityType, edgeTypes, threshold, inclusive, minNeighbours, category };
+      const forText = facilityType ? `<strong>${esc(facilityType)}</strong>` : 'any facility type';
+      if (!gaps.length) {
         return {
-          title: `Connections: ${id}`,
-          type: 'relationship',
-          html: `<div class="q-insight">Parcel <strong>${esc(id)}</strong> has no connections in the graph.</div>`
+          title,
+          type: 'gaps',
+          html: `<div class="q-insight">None of the ${_fmt(eligible)}${scopeText} parcels lacks ${forText} that ${cutText}
+            of its neighbours (over ${esc(viaText)}) have.</div>`,
+          intent
         };
       }
 
-      // Group by edge type
-      const connByType = {};
-      connections.forEach(([nIdx, eType]) => {
-        if (!connByType[eType]) connByType[eType] = [];
-        connByType[eType].push(this.nodes[nIdx]);
-      });
-
-      let html = `<div class="q-insight">Parcel <strong>${esc(id)}</strong>
-        (${CAT_LABELS[node.category]}) has <strong>${connections.length}</strong>
-        connections across <strong>${Object.keys(connByType).length}</strong> relationship types.</div>`;
-
-      // Table per type
-      const allNeighborIds = [];
-      for (const [eType, neighbors] of Object.entries(connByType)) {
-        const label = EDGE_LABELS[eType] || eType;
-        html += `<h4 style="font-size:12px;font-weight:600;margin:12px 0 6px;color:#2471a3">${label} (${neighbors.length})</h4>`;
-
-        const shown = neighbors.slice(0, 15);
-        const nRows = shown.map(n => [
-          `<code>${n.id}</code>`,
-          catDot(n.category) + (CAT_LABELS[n.category] || n.category),
-          _fmt(n.gfa) + ' m\u00b2',
-          _fmt(n.ti)
-        ]);
-        html += htmlTable(['Parcel', 'Category', 'GFA', 'Transit'], nRows, new Set([2, 3]));
-        if (neighbors.length > 15) {
-          html += `<div style="font-size:10px;color:#7f8c8d;margin-top:4px">... and ${neighbors.length - 15} more</div>`;
-        }
-
-        neighbors.forEach(n => allNeighborIds.push(n.id));
+      // Gaps per facility type and per category
+      const byType = {};
+      gaps.forEach(g => { byType[g.f] = (byType[g.f] || 0) + 1; });
+      const typeRows = Object.entries(byType).sort((a, b) => b[1] - a[1])
+        .map(([f, cnt]) => [f, cnt, lacking[f], cnt / lacking[f]]);
+      const catRows = Object.keys(eligibleIn)
+        .map(cat => {
+          const hit = parcels.filter(d => d.category === cat);
+          return [cat, eligibleIn[cat], hit.length, hit.length / eligibleIn[cat],
+            hit.reduce((sum, d) => sum + byParcel.get(d).length, 0)];
+        })
+        .filter(r => r[1])
+        .sort((a, b) => b[3] - a[3]);
+
+      let html = `<div class="q-insight"><strong>${_fmt(parcels.length)}</strong> of ${_fmt(eligible)}${scopeText} parcels ` +
+        (facilityType
+          ? `have no ${forText} although ${cutText} of their neighbours do, over ${esc(viaText)}.`
+          : `lack at least one facility type that ${cutText} of their neighbours have, over ${esc(viaText)}
+            (${_fmt(gaps.length)} gaps in all).`);
+      if (!facilityType) {
+        const top = typeRows.slice(0, 3).map(r => `${esc(r[0])} (${r[1]})`);
+        html += ` The most frequent gaps are ${top.length > 1 ? top.slice(0, -1).join(', ') + ' and ' + top[top.length - 1] : top[0]}.`;
+      }
+      if (!category && catRows.length > 1) {
+        html += ` ${esc(CAT_LABELS[catRows[0][0]] || catRows[0][0])} parcels are the most affected: ${pct(catRows[0][3])} have a gap,
+          against ${pct(parcels.length / eligible)} overall.`;
+      }
+      html += '</div>';
+      if (notes.length) {
+        html += `<div style="font-size:11px;color:#7f8c8d;margin-bottom:8px">${notes.map(esc).join('. ')}.</div>`;
       }
 
-      // Category distribution of neighbors
-      const neighborCats = {};
-      connections.forEach(([nIdx]) => {
-        const c = this.nodes[nIdx].category;
-        neighborCats[c] = (neighborCats[c] || 0) + 1;
-      });
+      const h4 = text => `<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">${text}</h4>`;
+      if (!facilityType) {
+        html += h4('By Facility Type');
+        html += htmlTable(['Facility', 'Gaps', 'Parcels Lacking It', 'Share of Those Lacking It'],
+          typeRows.map(([f, cnt, lack, share]) => [
+            `<span class="facility-tag ft-${esc(f)}">${esc(f)}</span>`, cnt, lack, pct(share)
+          ]), new Set([1, 2, 3]));
+      }
+      html += h4('By Category');
+      html += htmlTable(['Category', 'Parcels', 'With a Gap', 'Share', 'Gaps'],
+        catRows.map(([cat, n, hit, share, cnt]) => [
+          catDot(cat) + esc(CAT_LABELS[cat] || cat), n, hit, pct(share), cnt
+        ]), new Set([1, 2, 3, 4]));
+
+      const shown = gaps.slice(0, 50);
+      html += h4('Largest Gaps');
+      html += htmlTable(['#', 'Parcel', 'Category', 'Missing', 'Neighbours With It', 'Share'],
+        shown.map((g, i) => [
+          i + 1,
+          `<code>${g.d.id}</code>`,
+          catDot(g.d.category) + esc(CAT_LABELS[g.d.category] || g.d.category),
+          `<span class="facility-tag ft-${esc(g.f)}">${esc(g.f)}</span>`,
+          `${g.holders} of ${g.n}`,
+          pct(g.share)
+        ]), new Set([0, 4, 5]));
+      if (gaps.length > shown.length) {
+        html += `<div style="font-size:10px;color:#7f8c8d;margin-top:4px">... and ${gaps.length - shown.length} more</div>`;
+      }
 
-      const chartCats = Object.keys(neighborCats);
+      // Bar chart: gaps per facility type, or per category for a single type
+      const bars = facilityType
+        ? catRows.map(r => [CAT_LABELS[r[0]] || r[0], r[2], CAT_COLORS[r[0]] || '#999'])
+        : typeRows.map(r => [r[0], r[1], '#c0392b']);
       const chartConfig = {
-        type: 'doughnut',
+        type: 'bar',
         data: {
-          labels: chartCats.map(c => CAT_LABELS[c]),
+          labels: bars.map(b => b[0]),
           datasets: [{
-            data: chartCats.map(c => neighborCats[c]),
-            backgroundColor: chartCats.map(c => CAT_COLORS[c] || '#999'),
-            borderWidth: 1
+            label: facilityType ? 'Parcels with a gap' : 'Gaps',
+            data: bars.map(b => b[1]),
+            backgroundColor: bars.map(b => b[2]),
+            borderWidth: 0,
+            borderRadius: 3
           }]
         },
         options: {
           plugins: {
-            title: { display: true, text: `Neighbors of ${id} by Category`, font: { size: 12 } },
-            legend: { position: 'right', labels: { font: { size: 10 } } }
-          }
+            legend: { display: false },
+            title: { display: true, text: facilityType ? `${facilityType} Gaps by Category` : 'Gaps by Facility Type', font: { size: 12 } }
+          },
+          scales: { y: { beginAtZero: true, ticks: { precision: 0, font: { size: 10 } } }, x: { ticks: { font: { size: 10 } } } }
         }
       };
 
       return {
-        title: `Connections of ${id}`,
-        type: 'relationship',
+        title,
+        type: 'gaps',
         html,
         chartConfig,
-        mapHighlights: [id, ...allNeighborIds]
+        tables: [
+          dataTable('Facility Gaps', ['Parcel', 'Category', 'Missing', 'Neighbours With It', 'Neighbours', 'Share'],
+            gaps.map(g => [g.d.id, g.d.category, g.f, g.holders, g.n, g.share])),
+          dataTable('By Facility Type', ['Facility', 'Gaps', 'Parcels Lacking It', 'Share of Those Lacking It'], typeRows),
+          dataTable('By Category', ['Category', 'Parcels', 'With a Gap', 'Share', 'Gaps'], catRows)
+        ],
+        mapHighlights: parcels.map(d => d.id),
+        intent
       };
     }
 
-    /** Side-by-side comparison of two categories */
-    _comparison(nameA, nameB) {
-      const catA = this._matchCategory(nameA);
-      const catB = this._matchCategory(nameB);
+    /** Multi-condition attribute filter over metrics, categories and facilities */
+    _filterQuery(filter) {
+      const clash = facilityClash(filter);
+      if (clash) return this._clashError(clash);
+      const matching = this.nodes.filter(d => this._evalFilter(d, filter));
+      const desc = this._describeFilter(filter);
+      this._traceNote({
+        considered: this.nodes.length,
+        kept: matching.length,
+        formulas: [`keep parcels where ${desc}`, FORMULAS.share]
+      });
 
-      if (!catA || !catB) {
-        const missing = !catA ? nameA : nameB;
-        return this._error(
-          `Could not match "<strong>${esc(missing)}</strong>" to a category. Available: ` +
-          Object.values(CAT_LABELS).join(', ')
-        );
+      if (!matching.length) {
+        return {
+          title: 'Filtered Parcels',
+          type: 'filter',
+          html: `<div class="q-insight">No parcels match <em>${esc(desc)}</em>.</div>`
+        };
       }
 
-      const csA = this.catStats[catA];
-      const csB = this.catStats[catB];
-      const labelA = CAT_LABELS[catA];
-      const labelB = CAT_LABELS[catB];
+      // Show every metric referenced by the filter, GFA when none is
+      const metricKeys = this._filterMetrics(filter);
+      if (!metricKeys.length) metricKeys.push('gfa');
+      const sortDef = METRICS[metricKeys[0]];
 
-      let html = `<div class="q-insight">Comparing ${catDot(catA)}<strong>${labelA}</strong>
-        (${csA.count} parcels) vs ${catDot(catB)}<strong>${labelB}</strong> (${csB.count} parcels).</div>`;
+      let html = `<div class="q-insight"><strong>${matching.length}</strong> parcels match
+        <em>${esc(desc)}</em> (${(matching.length / this.stats.count * 100).toFixed(1)}% of all parcels).</div>`;
 
-      const compMetrics = [
-        ['Count', csA.count, csB.count],
-        ['Avg GFA (m\u00b2)', _fmt(csA.avgGFA), _fmt(csB.avgGFA)],
-        ['Total GFA (m\u00b2)', _fmt(csA.totalGFA), _fmt(csB.totalGFA)],
-        ['Avg Energy (kWh/yr)', _fmt(csA.avgEnergy), _fmt(csB.avgEnergy)],
-        ['Total Energy (kWh/yr)', _fmt(csA.totalEnergy), _fmt(csB.totalEnergy)],
-        ['Avg Transit Index', _fmt(csA.avgTransit), _fmt(csB.avgTransit)],
-        ['Avg Diversity Index', _fmt(csA.avgDiversity), _fmt(csB.avgDiversity)],
-        ['Avg Buildings', _fmt(csA.avgBuildings), _fmt(csB.avgBuildings)],
-        ['Avg Units', _fmt(csA.avgUnits), _fmt(csB.avgUnits)],
-        ['Avg Levels', _fmt(csA.avgLevels), _fmt(csB.avgLevels)]
-      ];
-      html += htmlTable(['Metric', labelA, labelB], compMetrics, new Set([1, 2]));
+      // Category breakdown
+      const catBreakdown = {};
+      matching.forEach(d => {
+        catBreakdown[d.category] = (catBreakdown[d.category] || 0) + 1;
+      });
+      html += '<h4 style="font-size:12px;font-weight:600;margin:10px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">By Category</h4>';
+      const catRows = Object.entries(catBreakdown)
+        .sort((a, b) => b[1] - a[1])
+        .map(([cat, cnt]) => [
+          catDot(cat) + (CAT_LABELS[cat] || cat),
+          cnt,
+          (cnt / matching.length * 100).toFixed(1) + '%'
+        ]);
+      html += htmlTable(['Category', 'Count', 'Share'], catRows, new Set([1, 2]));
 
-      // Radar chart
-      const normalize = (val, max) => max > 0 ? Math.min(val / max, 1) : 0;
-      const maxGFA = Math.max(csA.avgGFA, csB.avgGFA, 1);
-      const maxEnergy = Math.max(csA.avgEnergy, csB.avgEnergy, 1);
-      const maxBuildings = Math.max(csA.avgBuildings, csB.avgBuildings, 1);
-      const maxUnits = Math.max(csA.avgUnits, csB.avgUnits, 1);
+      // Matching parcels, sorted by the first referenced metric
+      const sorted = [...matching].sort((a, b) => (b[sortDef.key] || 0) - (a[sortDef.key] || 0));
+      const shown = sorted.slice(0, 50);
+      html += `<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Matching Parcels by ${sortDef.label}</h4>`;
+      const headers = ['#', 'Parcel', 'Category', ...metricKeys.map(m => METRICS[m].label)];
+      const rows = shown.map((d, i) => [
+        i + 1,
+        `<code>${d.id}</code>`,
+        catDot(d.category) + (CAT_LABELS[d.category] || d.category),
+        ...metricKeys.map(m => _fmt(d[METRICS[m].key]))
+      ]);
+      html += htmlTable(headers, rows, new Set([0, ...metricKeys.map((_, i) => i + 3)]));
+      if (sorted.length > shown.length) {
+        html += `<div style="font-size:10px;color:#7f8c8d;margin-top:4px">... and ${sorted.length - shown.length} more</div>`;
+      }
 
+      // Doughnut chart for category breakdown
+      const chartCats = Object.keys(catBreakdown);
       const chartConfig = {
-        type: 'radar',
+        type: 'doughnut',
         data: {
-          labels: ['Transit', 'Diversity', 'GFA', 'Energy', 'Buildings', 'Units'],
-          datasets: [
-            {
-              label: labelA,
-              data: [
-                csA.avgTransit,
-                csA.avgDiversity,
-                normalize(csA.avgGFA, maxGFA),
-                normalize(csA.avgEnergy, maxEnergy),
-                normalize(csA.avgBuildings, maxBuildings),
-                normalize(csA.avgUnits, maxUnits)
-              ],
-              borderColor: CAT_COLORS[catA],
-              backgroundColor: CAT_COLORS[catA] + '33',
-              borderWidth: 2,
-              pointRadius: 3
-            },
-            {
-              label: labelB,
-              data: [
-                csB.avgTransit,
-                csB.avgDiversity,
-                normalize(csB.avgGFA, maxGFA),
-                normalize(csB.avgEnergy, maxEnergy),
-                normalize(csB.avgBuildings, maxBuildings),
-                normalize(csB.avgUnits, maxUnits)
-              ],
-              borderColor: CAT_COLORS[catB],
-              backgroundColor: CAT_COLORS[catB] + '33',
-              borderWidth: 2,
-              pointRadius: 3
-            }
-          ]
+          labels: chartCats.map(c => CAT_LABELS[c] || c),
+          datasets: [{
+            data: chartCats.map(c => catBreakdown[c]),
+            backgroundColor: chartCats.map(c => CAT_COLORS[c] || '#999'),
+            borderWidth: 1
+          }]
         },
         options: {
-          scales: {
-            r: { beginAtZero: true, max: 1, ticks: { stepSize: 0.25, font: { size: 10 } } }
-          },
           plugins: {
-            title: { display: true, text: `${labelA} vs ${labelB}`, font: { size: 12 } },
-            legend: { labels: { font: { size: 11 } } }
+            title: { display: true, text: 'Matching Parcels by Category', font: { size: 12 } },
+            legend: { position: 'right', labels: { font: { size: 10 } } }
           }
         }
       };
 
-      const allIds = [
-        ...(this.byCategory[catA] || []).map(d => d.id),
-        ...(this.byCategory[catB] || []).map(d => d.id)
+      const tables = [
+        this._parcelTable('Matching Parcels', sorted, metricKeys.map(metricColumn)),
+        dataTable('By Category', ['Category', 'Count', 'Share'],
+          Object.entries(catBreakdown).sort((a, b) => b[1] - a[1]).map(([cat, cnt]) => [cat, cnt, cnt / matching.length]))
       ];
 
       return {
-        title: `${labelA} vs ${labelB}`,
-        type: 'comparison',
+        title: `Filtered Parcels (${matching.length})`,
+        type: 'filter',
         html,
         chartConfig,
-        mapHighlights: allIds
+        tables,
+        mapHighlights: sorted.map(d => d.id),
+        intent: { intent: 'filter', filter }
       };
     }
 
-    /** Explain classification methodology */
-    _methodology() {
-      let html = `<div class="q-insight">Parcels are classified into <strong>6 categories</strong>
-        based on transit accessibility, diversity, and density metrics.
-        Rules are evaluated in order; the <em>first matching</em> rule determines the category.</div>`;
+    /** Relationships / connections for a specific parcel */
+    _relationships(id) {
+      const node = this.nodeMap[id];
+      if (!node) {
+        return this._error(`Parcel <strong>${esc(id)}</strong> was not found.`);
+      }
 
-      html += '<h4 style="font-size:12px;font-weight:600;margin:12px 0 8px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Classification Rules (in priority order)</h4>';
+      const nodeIdx = this.nodes.indexOf(node);
+      const connections = this.adj[nodeIdx] || [];
+      this._traceNote({ notes: [`${_fmt(connections.length)} edges read from the adjacency list of ${id}`] });
 
-      const ruleRows = CATEGORY_RULES.map((r, i) => [
-        i + 1,
-        catDot(r.key) + CAT_LABELS[r.key],
-        r.desc,
-        _fmt((this.byCategory[r.key] || []).length)
-      ]);
-      html += htmlTable(['Priority', 'Category', 'Condition', 'Count'], ruleRows, new Set([0, 3]));
+      if (!connections.length) {
+        return {
+          title: `Connections: ${id}`,
+          type: 'relationship',
+          html: `<div class="q-insight">Parcel <strong>${esc(id)}</strong> has no connections in the graph.</div>`
+        };
+      }
 
-      html += `<h4 style="font-size:12px;font-weight:600;margin:14px 0 8px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Key Metrics Used</h4>
-        <ul style="margin-left:18px;font-size:12px;line-height:1.8">
-          <li><strong>Transit Index (ti)</strong>: 0-1, combining bus and MRT proximity. Higher = better transit access.</li>
-          <li><strong>Diversity Index (div)</strong>: 0-1, based on facility type variety. Higher = more diverse amenities.</li>
-          <li><strong>Gross Floor Area (gfa)</strong>: Total built-up area in m\u00b2. Proxy for density.</li>
-        </ul>`;
+      // Group by edge type
+      const connByType = {};
+      connections.forEach(([nIdx, eType]) => {
+        if (!connByType[eType]) connByType[eType] = [];
+        connByType[eType].push(this.nodes[nIdx]);
+      });
 
-      html += `<h4 style="font-size:12px;font-weight:600;margin:14px 0 8px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Edge Types</h4>
-        <p style="font-size:12px;margin-bottom:8px">Parcels are connected when they share nearest amenities or have similar lifestyle profiles:</p>`;
-      const edgeRows = Object.entries(EDGE_LABELS).map(([key, label]) => [
-        label,
-        key,
-        _fmt(this.edgeTypeCounts[key] || 0)
-      ]);
-      html += htmlTable(['Relationship', 'Code', 'Count'], edgeRows, new Set([2]));
+      let html = `<div class="q-insight">Parcel <strong>${esc(id)}</strong>
+        (${CAT_LABELS[node.category]}) has <strong>${connections.length}</strong>
+        connections across <strong>${Object.keys(connByType).length}</strong> relationship types.</div>`;
 
-      // Distribution chart
-      const cats = Object.keys(CAT_LABELS);
+      // Table per type
+      const allNeighborIds = [];
+      for (const [eType, neighbors] of Object.entries(connByType)) {
+        const label = EDGE_LABELS[eType] || eType;
+        html += `<h4 style="font-size:12px;font-weight:600;margin:12px 0 6px;color:#2471a3">${label} (${neighbors.length})</h4>`;
+
+        const shown = neighbors.slice(0, 15);
+        const nRows = shown.map(n => [
+          `<code>${n.id}</code>`,
+          catDot(n.category) + (CAT_LABELS[n.category] || n.category),
+          _fmt(n.gfa) + ' m\u00b2',
+          _fmt(n.ti)
+        ]);
+        html += htmlTable(['Parcel', 'Category', 'GFA', 'Transit'], nRows, new Set([2, 3]));
+        if (neighbors.length > 15) {
+          html += `<div style="font-size:10px;color:#7f8c8d;margin-top:4px">... and ${neighbors.length - 15} more</div>`;
+        }
+
+        neighbors.forEach(n => allNeighborIds.push(n.id));
+      }
+
+      // Category distribution of neighbors
+      const neighborCats = {};
+      connections.forEach(([nIdx]) => {
+        const c = this.nodes[nIdx].category;
+        neighborCats[c] = (neighborCats[c] || 0) + 1;
+      });
+
+      const chartCats = Object.keys(neighborCats);
       const chartConfig = {
-        type: 'pie',
+        type: 'doughnut',
         data: {
-          labels: cats.map(c => CAT_LABELS[c]),
+          labels: chartCats.map(c => CAT_LABELS[c]),
           datasets: [{
-            data: cats.map(c => (this.byCategory[c] || []).length),
-            backgroundColor: cats.map(c => CAT_COLORS[c]),
+            data: chartCats.map(c => neighborCats[c]),
+            backgroundColor: chartCats.map(c => CAT_COLORS[c] || '#999'),
             borderWidth: 1
           }]
         },
         options: {
           plugins: {
-            title: { display: true, text: 'Category Distribution', font: { size: 12 } },
+            title: { display: true, text: `Neighbors of ${id} by Category`, font: { size: 12 } },
             legend: { position: 'right', labels: { font: { size: 10 } } }
           }
         }
       };
 
+      const tables = [dataTable('Connections', ['Neighbour', 'Relationship', 'Category', 'GFA', 'Transit Index'],
+        connections.map(([nIdx, eType]) => {
+          const n = this.nodes[nIdx];
+          return [n.id, eType, n.category, n.gfa != null ? n.gfa : null, n.ti != null ? n.ti : null];
+        }))];
+
       return {
-        title: 'Classification Methodology',
-        type: 'methodology',
+        title: `Connections of ${id}`,
+        type: 'relationship',
         html,
-        chartConfig
+        chartConfig,
+        tables,
+        mapHighlights: [id, ...allNeighborIds],
+        intent: { intent: 'relationships', parcelId: id }
       };
     }
 
-    /** Dataset overview */
-    _overview() {
-      const s = this.stats;
+    /**
+     * Shortest path between two parcels (fewest hops, or shortest distance).
+     * `params` may carry pre-parsed { edgeTypes, byDistance } overriding the text.
+     */
+    _shortestPath(idA, idB, lower, params) {
+      params = params || {};
+      const a = this.nodeMap[idA];
+      const b = this.nodeMap[idB];
+      if (!a || !b) {
+        return this._error(`Parcel <strong>${esc(!a ? idA : idB)}</strong> was not found in the dataset.`);
+      }
 
-      let html = '<div class="stat-grid">';
-      const statCards = [
-        [_fmt(s.count), 'Parcels'],
-        [_fmt(s.edgeCount), 'Edges'],
-        [_fmt(s.totalGFA), 'Total GFA (m\u00b2)'],
-        [_fmt(s.totalEnergy), 'Total Energy (kWh/yr)'],
-        [_fmt(s.totalBuildings), 'Buildings'],
-        [_fmt(s.totalUnits), 'Est. Units']
-      ];
-      statCards.forEach(([val, label]) => {
-        html += `<div class="stat-card"><div class="stat-value">${val}</div><div class="stat-label">${label}</div></div>`;
+      const unknown = params.edgeTypes ? null : this._unknownEdgePhrase(lower);
+      if (unknown) return this._unknownEdgeError(unknown);
+      const types = params.edgeTypes || this._matchEdgeTypes(lower);
+      const viaText = types ? ` using <strong>${types.map(t => EDGE_LABELS[t] || t).join(' / ')}</strong> edges only` : '';
+      const byDistance = params.byDistance != null
+        ? params.byDistance
+        : /\b(?:distance|geographic|metres|meters|km|kilometres|kilometers)\b/.test(lower);
+      const src = this.nodes.indexOf(a);
+      const dst = this.nodes.indexOf(b);
+
+      const prev = byDistance
+        ? this._dijkstra(src, dst, types)
+        : this._bfs(src, types, Infinity, dst).prev;
+      this._traceNote({
+        considered: this.nodes.length,
+        formulas: byDistance ? [FORMULAS.dijkstra, FORMULAS.haversine] : [FORMULAS.bfs, FORMULAS.haversine],
+        notes: [`${_fmt(prev.size)} parcels reached before the search stopped`,
+          types ? `Only ${types.join(', ')} edges are followed` : 'All edge types are followed']
       });
-      html += '</div>';
 
-      // Category breakdown table
-      html += '<h4 style="font-size:12px;font-weight:600;margin:14px 0 8px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Category Breakdown</h4>';
-      const cats = Object.keys(CAT_LABELS).filter(c => (this.byCategory[c] || []).length > 0);
-      const catRows = cats.map(c => {
-        const cs = this.catStats[c];
-        return [
-          catDot(c) + CAT_LABELS[c],
-          cs.count,
-          (cs.count / s.count * 100).toFixed(1) + '%',
-          _fmt(cs.avgGFA),
-          _fmt(cs.avgTransit),
-          _fmt(cs.avgDiversity)
-        ];
-      });
-      html += htmlTable(['Category', 'Count', 'Share', 'Avg GFA', 'Avg Transit', 'Avg Diversity'], catRows, new Set([1, 2, 3, 4, 5]));
+      if (src !== dst && !prev.has(dst)) {
+        return {
+          title: `Path: ${idA} → ${idB}`,
+          type: 'path',
+          html: `<div class="q-insight">No path connects <strong>${esc(idA)}</strong> and <strong>${esc(idB)}</strong>${viaText}.</div>`,
+          mapHighlights: [idA, idB]
+        };
+      }
 
-      // Edge type breakdown
-      html += '<h4 style="font-size:12px;font-weight:600;margin:14px 0 8px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Edge Types</h4>';
-      const edgeRows = Object.entries(this.edgeTypeCounts)
-        .sort((a, b) => b[1] - a[1])
-        .map(([t, cnt]) => [EDGE_LABELS[t] || t, _fmt(cnt), (cnt / s.edgeCount * 100).toFixed(1) + '%']);
-      html += htmlTable(['Type', 'Count', 'Share'], edgeRows, new Set([1, 2]));
+      // Walk predecessors back from the target
+      const hops = [];
+      for (let cur = dst; cur !== src;) {
+        const [p, eType] = prev.get(cur);
+        hops.unshift({ from: this.nodes[p], to: this.nodes[cur], type: eType });
+        cur = p;
+      }
+      const segDist = hops.map(h => haversine(h.from.lat, h.from.lng, h.to.lat, h.to.lng));
+      const totalDist = segDist.reduce((s, v) => s + v, 0);
 
-      // Facility types
-      html += '<h4 style="font-size:12px;font-weight:600;margin:14px 0 8px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Facility Types (' + this.allFacilityTypes.size + ')</h4>';
-      html += '<div class="facility-tags" style="margin-bottom:12px">';
-      [...this.allFacilityTypes].sort().forEach(f => {
-        html += `<span class="facility-tag ft-${f}">${f}</span>`;
-      });
-      html += '</div>';
+      let html = `<div class="q-insight"><strong>${esc(idA)}</strong> reaches <strong>${esc(idB)}</strong> in
+        <strong>${hops.length}</strong> hop${hops.length === 1 ? '' : 's'}
+        (${(totalDist / 1000).toFixed(2)} km along the path)${viaText}.
+        ${byDistance ? 'Path minimises total distance between parcel centroids.' : 'Path minimises the number of hops.'}</div>`;
 
-      // Pie chart
-      const chartConfig = {
-        type: 'pie',
+      const rows = hops.map((h, i) => [
+        i + 1,
+        `<code>${h.from.id}</code>`,
+        `<span style="color:${EDGE_COLORS[h.type] || '#7f8c8d'};font-weight:600">${EDGE_LABELS[h.type] || h.type}</span>`,
+        `<code>${h.to.id}</code>`,
+        catDot(h.to.category) + (CAT_LABELS[h.to.category] || h.to.category),
+        _fmt(Math.round(segDist[i])) + ' m'
+      ]);
+      html += htmlTable(['Hop', 'From', 'Relationship', 'To', 'To Category', 'Distance'], rows, new Set([0, 5]));
+
+      const pathIds = [a.id, ...hops.map(h => h.to.id)];
+      const tables = [dataTable('Path', ['Hop', 'From', 'Relationship', 'To', 'To Category', 'Distance (m)'],
+        hops.map((h, i) => [i + 1, h.from.id, h.type, h.to.id, h.to.category, segDist[i]]))];
+      return {
+        title: `Path: ${idA} → ${idB}`,
+        type: 'path',
+        html,
+        tables,
+        mapHighlights: pathIds,
+        mapPath: pathIds,
+        intent: { intent: 'path', parcelId: idA, targetId: idB, edgeTypes: types, byDistance }
+      };
+    }
+
+    /** All parcels reachable within k hops of a parcel; `edgeTypes` overrides the text */
+    _kHop(id, k, lower, edgeTypes) {
+      const node = this.nodeMap[id];
+      if (!node) {
+        return this._error(`Parcel <strong>${esc(id)}</strong> was not found in the dataset.`);
+      }
+      const asked = k;
+      k = Math.min(MAX_HOPS, Math.max(1, k));
+      const clampText = k !== asked
+        ? ` ${_fmt(asked)} hop${asked === 1 ? ' was' : 's were'} asked for; searches go 1 to ${MAX_HOPS} hops deep.` : '';
+
+      const unknown = edgeTypes ? null : this._unknownEdgePhrase(lower);
+      if (unknown) return this._unknownEdgeError(unknown);
+      const types = edgeTypes || this._matchEdgeTypes(lower);
+      const viaText = types ? ` via <strong>${types.map(t => EDGE_LABELS[t] || t).join(' / ')}</strong> edges` : '';
+      const src = this.nodes.indexOf(node);
+      const { dist, prev } = this._bfs(src, types, k);
+
+      const reached = [...dist.entries()]
+        .filter(([idx]) => idx !== src)
+        .map(([idx, hops]) => ({ node: this.nodes[idx], hops, via: prev.get(idx)[1] }))
+        .sort((x, y) => x.hops - y.hops || (y.node.gfa || 0) - (x.node.gfa || 0));
+
+      if (!reached.length) {
+        return {
+          title: `${k}-Hop Neighbourhood: ${id}`,
+          type: 'k-hop',
+          html: `<div class="q-insight">Parcel <strong>${esc(id)}</strong> has no neighbours${viaText}.${clampText}</div>`,
+          mapHighlights: [id]
+        };
+      }
+
+      this._traceNote({
+        considered: this.nodes.length,
+        kept: reached.length,
+        formulas: [`${FORMULAS.bfs}; stop at depth ${k}`],
+        notes: [types ? `Only ${types.join(', ')} edges are followed` : 'All edge types are followed']
+      });
+      const perHop = new Array(k).fill(0);
+      reached.forEach(r => { perHop[r.hops - 1]++; });
+
+      let html = `<div class="q-insight"><strong>${reached.length}</strong> parcels lie within
+        <strong>${k}</strong> hop${k === 1 ? '' : 's'} of <strong>${esc(id)}</strong>${viaText}
+        (${(reached.length / this.stats.count * 100).toFixed(1)}% of all parcels).${clampText}</div>`;
+
+      let cumulative = 0;
+      const hopRows = perHop.map((cnt, i) => {
+        cumulative += cnt;
+        return [i + 1, _fmt(cnt), _fmt(cumulative)];
+      });
+      html += htmlTable(['Hops', 'Parcels', 'Cumulative'], hopRows, new Set([0, 1, 2]));
+
+      const shown = reached.slice(0, 50);
+      html += '<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Reached Parcels</h4>';
+      const rows = shown.map((r, i) => [
+        i + 1,
+        `<code>${r.node.id}</code>`,
+        r.hops,
+        EDGE_LABELS[r.via] || r.via,
+        catDot(r.node.category) + (CAT_LABELS[r.node.category] || r.node.category)
+      ]);
+      html += htmlTable(['#', 'Parcel', 'Hops', 'Reached Via', 'Category'], rows, new Set([0, 2]));
+      if (reached.length > shown.length) {
+        html += `<div style="font-size:10px;color:#7f8c8d;margin-top:4px">... and ${reached.length - shown.length} more</div>`;
+      }
+
+      const chartConfig = {
+        type: 'bar',
         data: {
-          labels: cats.map(c => CAT_LABELS[c]),
+          labels: perHop.map((_, i) => `${i + 1} hop${i ? 's' : ''}`),
           datasets: [{
-            data: cats.map(c => (this.byCategory[c] || []).length),
-            backgroundColor: cats.map(c => CAT_COLORS[c]),
-            borderWidth: 1
+            label: 'Parcels',
+            data: perHop,
+            backgroundColor: '#2471a3',
+            borderWidth: 0,
+            borderRadius: 3
           }]
         },
         options: {
           plugins: {
-            title: { display: true, text: 'Parcel Distribution by Category', font: { size: 12 } },
-            legend: { position: 'right', labels: { font: { size: 10 } } }
+            title: { display: true, text: `Parcels Reached per Hop from ${id}`, font: { size: 12 } },
+            legend: { display: false }
+          },
+          scales: {
+            x: { ticks: { font: { size: 10 } } },
+            y: { title: { display: true, text: 'Parcels', font: { size: 10 } }, ticks: { font: { size: 10 } } }
           }
         }
       };
 
+      const tables = [this._parcelTable('Reached Parcels', reached.map(r => r.node), [
+        ['Hops', (d, i) => reached[i].hops],
+        ['Reached Via', (d, i) => reached[i].via]
+      ])];
+
       return {
-        title: 'Dataset Overview',
-        type: 'overview',
+        title: `${k}-Hop Neighbourhood: ${id}`,
+        type: 'k-hop',
         html,
-        chartConfig
+        chartConfig,
+        tables,
+        mapHighlights: [id, ...reached.map(r => r.node.id)],
+        intent: { intent: 'k-hop', parcelId: id, hops: k, edgeTypes: types }
       };
     }
 
-    /** List available facility types */
-    _facilityTypes() {
-      const ftCounts = {};
-      this.nodes.forEach(d => {
-        if (!d.ft) return;
-        d.ft.split(',').forEach(f => {
-          const t = f.trim();
-          if (t) ftCounts[t] = (ftCounts[t] || 0) + 1;
-        });
+    /**
+     * Radius, nearest-neighbour or bounding-box query, optionally combined
+     * with a filter condition tree.
+     * @param {Object} spec - { mode:'radius'|'nearest'|'bbox', lat, lng, parcelId?, radius?, count?, bounds? }
+     * @param {Object} [filter] - Condition tree the hits must also satisfy
+     */
+    _spatialQuery(spec, filter) {
+      let { lat, lng } = spec;
+      const centre = spec.parcelId ? this.nodeMap[spec.parcelId] : null;
+      if (spec.parcelId && !centre) {
+        return this._error(`Parcel <strong>${esc(spec.parcelId)}</strong> was not found in the dataset.`);
+      }
+      if (centre) { lat = centre.lat; lng = centre.lng; }
+
+      // Count what the grid index hands over, for explanation traces
+      let scanned = 0, rejected = 0;
+      const accept = d => {
+        if (d === centre) return false;
+        scanned++;
+        if (filter && !this._evalFilter(d, filter)) {
+          rejected++;
+          return false;
+        }
+        return true;
+      };
+      const filterText = filter ? ` matching <em>${esc(this._describeFilter(filter))}</em>` : '';
+      const where = centre
+        ? `<code>${centre.id}</code> (${CAT_LABELS[centre.category] || centre.category})`
+        : `${(+lat).toFixed(4)}, ${(+lng).toFixed(4)}`;
+      const whereTitle = centre ? centre.id : `${(+lat).toFixed(4)}, ${(+lng).toFixed(4)}`;
+
+      let hits, title, insight, mapCircle = null, mapBounds = null;
+      if (spec.mode === 'bbox') {
+        const [s, w, n, e] = spec.bounds;
+        const south = Math.min(s, n), north = Math.max(s, n);
+        const west = Math.min(w, e), east = Math.max(w, e);
+        const cLat = (south + north) / 2, cLng = (west + east) / 2;
+        hits = this.spatial.inBox(south, west, north, east, accept)
+          .map(d => [haversine(cLat, cLng, d.lat, d.lng), d])
+          .sort((a, b) => a[0] - b[0]);
+        mapBounds = [[south, west], [north, east]];
+        title = `Parcels in Box (${hits.length})`;
+        insight = `<strong>${hits.length}</strong> parcels${filterText} lie inside the box
+          ${south.toFixed(4)}, ${west.toFixed(4)} &ndash; ${north.toFixed(4)}, ${east.toFixed(4)}
+          (${fmtDistance(haversine(south, west, south, east))} &times; ${fmtDistance(haversine(south, west, north, west))}).
+          Distances are from the box centre.`;
+      } else if (spec.mode === 'nearest') {
+        let k = parseInt(spec.count, 10) || 10;
+        if (k > 50) k = 50;
+        if (k < 1) k = 1;
+        hits = this.spatial.nearest(lat, lng, k, accept);
+        const reach = hits.length ? hits[hits.length - 1][0] : 0;
+        mapCircle = { lat, lng, radius: reach };
+        title = `${hits.length} Nearest Parcels to ${whereTitle}`;
+        insight = `The <strong>${hits.length}</strong> parcels${filterText} nearest to ${where}
+          lie within <strong>${fmtDistance(reach)}</strong>.`;
+      } else {
+        const radius = Math.min(Math.max(+spec.radius || 0, 1), 50000);
+        hits = this.spatial.within(lat, lng, radius, accept);
+        mapCircle = { lat, lng, radius };
+        title = `Parcels within ${fmtDistance(radius)} of ${whereTitle}`;
+        insight = `<strong>${hits.length}</strong> parcels${filterText} lie within
+          <strong>${fmtDistance(radius)}</strong> of ${where}.`;
+      }
+
+      const intent = {
+        intent: spec.mode, parcelId: centre ? centre.id : null, lat, lng,
+        radius: spec.radius, count: spec.count, bounds: spec.bounds, filter: filter || null
+      };
+      this._traceNote({
+        considered: scanned,
+        kept: hits.length,
+        formulas: [FORMULAS.haversine, spec.mode === 'bbox' ? 'keep south ≤ lat ≤ north and west ≤ lng ≤ east'
+          : spec.mode === 'nearest' ? 'keep the k smallest d' : 'keep d ≤ radius'],
+        notes: [`Candidates come from the grid cells overlapping the search area`,
+          ...(filter ? [`${_fmt(rejected)} candidates fail the filter`] : [])]
       });
 
-      const sorted = Object.entries(ftCounts).sort((a, b) => b[1] - a[1]);
-      let html = `<div class="q-insight">There are <strong>${sorted.length}</strong> facility types
-        across the dataset. A parcel "has access to" a facility if it falls within the parcel boundary or nearest service area.</div>`;
+      if (!hits.length) {
+        return {
+          title,
+          type: 'spatial',
+          html: `<div class="q-insight">${insight}</div>`,
+          mapHighlights: centre ? [centre.id] : [],
+          mapCircle,
+          mapBounds,
+          intent
+        };
+      }
 
-      const rows = sorted.map(([ft, cnt], i) => [
+      let html = `<div class="q-insight">${insight}</div>`;
+
+      // Hits nearest first, with every metric the filter references
+      const metricKeys = filter ? this._filterMetrics(filter) : [];
+      if (!metricKeys.length) metricKeys.push('gfa', 'transit');
+      const shown = hits.slice(0, 50);
+      const headers = ['#', 'Parcel', 'Category', 'Distance', ...metricKeys.map(m => METRICS[m].label)];
+      const rows = shown.map(([dist, d], i) => [
         i + 1,
-        `<span class="facility-tag ft-${ft}">${ft}</span>`,
-        cnt,
-        (cnt / this.stats.count * 100).toFixed(1) + '%'
+        `<code>${d.id}</code>`,
+        catDot(d.category) + (CAT_LABELS[d.category] || d.category),
+        fmtDistance(dist),
+        ...metricKeys.map(m => _fmt(d[METRICS[m].key]))
       ]);
-      html += htmlTable(['#', 'Facility Type', 'Parcels', '% Coverage'], rows, new Set([0, 2, 3]));
+      html += htmlTable(headers, rows, new Set([0, 3, ...metricKeys.map((_, i) => i + 4)]));
+      if (hits.length > shown.length) {
+        html += `<div style="font-size:10px;color:#7f8c8d;margin-top:4px">... and ${hits.length - shown.length} more</div>`;
+      }
+
+      // Nearest: distance per parcel; radius / box: category mix
+      let chartConfig;
+      if (spec.mode === 'nearest') {
+        chartConfig = {
+          type: 'bar',
+          data: {
+            labels: hits.map(([, d]) => d.id.replace('kml_', '')),
+            datasets: [{
+              label: 'Distance (m)',
+              data: hits.map(([dist]) => Math.round(dist)),
+              backgroundColor: hits.map(([, d]) => CAT_COLORS[d.category] || '#2980b9'),
+              borderWidth: 0,
+              borderRadius: 3
+            }]
+          },
+          options: {
+            plugins: { legend: { display: false } },
+            scales: { y: { beginAtZero: true, title: { display: true, text: 'Distance (m)' } } }
+          }
+        };
+      } else {
+        const catBreakdown = {};
+        hits.forEach(([, d]) => { catBreakdown[d.category] = (catBreakdown[d.category] || 0) + 1; });
+        const chartCats = Object.keys(catBreakdown);
+        chartConfig = {
+          type: 'doughnut',
+          data: {
+            labels: chartCats.map(c => CAT_LABELS[c] || c),
+            datasets: [{
+              data: chartCats.map(c => catBreakdown[c]),
+              backgroundColor: chartCats.map(c => CAT_COLORS[c] || '#999'),
+              borderWidth: 1
+            }]
+          },
+          options: {
+            plugins: {
+              title: { display: true, text: 'Parcels by Category', font: { size: 12 } },
+              legend: { position: 'right', labels: { font: { size: 10 } } }
+            }
+          }
+        };
+      }
+
+      const tables = [this._parcelTable('Parcels', hits.map(([, d]) => d), [
+        ['Distance (m)', (d, i) => hits[i][0]],
+        ...metricKeys.map(metricColumn)
+      ])];
+
+      return {
+        title,
+        type: 'spatial',
+        html,
+        chartConfig,
+        tables,
+        mapHighlights: [...(centre ? [centre.id] : []), ...hits.map(([, d]) => d.id)],
+        mapCircle,
+        mapBounds,
+        intent
+      };
+    }
+
+    /**
+     * Parcels whose nearest MRT station / bus stop is the given one.
+     * @param {string} kind   - 'mrt' or 'bus'
+     * @param {string} key    - Normalised station key (see stationKey)
+     * @param {Object} [filter] - Condition tree the parcels must also satisfy
+     */
+    _stationCatchment(kind, key, filter) {
+      const def = STATION_KINDS[kind];
+      const st = this.stations[kind].get(key);
+      if (!st) {
+        return this._error(`No parcels list <strong>${esc(key)}</strong> as their nearest ${def.label}.`);
+      }
+      const all = st.nodes;
+      const group = filter ? all.filter(d => this._evalFilter(d, filter)) : all;
+      const filterText = filter ? ` matching <em>${esc(this._describeFilter(filter))}</em>` : '';
+      const intent = { intent: 'station', stationType: kind, station: st.name, filter: filter || null };
+
+      if (!group.length) {
+        return {
+          title: `${st.name} Catchment`,
+          type: 'station',
+          html: `<div class="q-insight">None of the ${all.length} parcels served by <strong>${esc(st.name)}</strong>${filterText}.</div>`,
+          intent
+        };
+      }
+
+      this._traceNote({
+        considered: this.stats.count,
+        kept: group.length,
+        formulas: [`catchment = parcels whose nearest ${def.label} is ${st.name}`, `mean walking distance: ${FORMULAS.mean}`],
+        notes: [`${_fmt(all.length)} parcels in the catchment`, ...(filter ? [`${_fmt(all.length - group.length)} of them fail the filter`] : []),
+          'Distances of 0 (missing) are left out of the mean']
+      });
+      const agg = this._stationAggregate(group, def);
+      let html = `<div class="q-insight"><strong>${group.length}</strong> parcels${filterText} have
+        <strong>${esc(st.name)}</strong> as their nearest ${def.label}
+        (${(group.length / this.stats.count * 100).toFixed(1)}% of all parcels), with a mean walking distance of
+        <strong>${_fmt(agg.meanDist)} m</strong>.</div>`;
+
+      html += htmlTable(['Statistic', 'Value'], [
+        ['Parcels', _fmt(group.length)],
+        ['Total Est. Units', _fmt(agg.units)],
+        ['Total GFA', _fmt(agg.gfa) + ' m²'],
+        ['Total Energy', _fmt(agg.energy) + ' kWh/yr'],
+        [`Mean Distance to ${def.label}`, _fmt(agg.meanDist) + ' m'],
+        [`Median Distance to ${def.label}`, _fmt(agg.medianDist) + ' m'],
+        ['Mean Transit Index', _fmt(agg.transit)]
+      ], new Set([1]));
+
+      // Parcels in the catchment, closest first
+      const sorted = [...group].sort((a, b) => (a[def.dist] || 0) - (b[def.dist] || 0));
+      const shown = sorted.slice(0, 50);
+      html += `<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Parcels by Distance</h4>`;
+      html += htmlTable(['#', 'Parcel', 'Category', 'Distance', 'GFA', 'Units'], shown.map((d, i) => [
+        i + 1,
+        `<code>${d.id}</code>`,
+        catDot(d.category) + (CAT_LABELS[d.category] || d.category),
+        _fmt(d[def.dist]) + ' m',
+        _fmt(d.gfa),
+        _fmt(d.u)
+      ]), new Set([0, 3, 4, 5]));
+      if (sorted.length > shown.length) {
+        html += `<div style="font-size:10px;color:#7f8c8d;margin-top:4px">... and ${sorted.length - shown.length} more</div>`;
+      }
+
+      const tables = [this._parcelTable('Catchment Parcels', sorted, [
+        [`Distance to ${def.label} (m)`, d => (d[def.dist] != null ? d[def.dist] : null)],
+        metricColumn('gfa'),
+        metricColumn('units')
+      ])];
+
+      return {
+        title: `${st.name} Catchment (${group.length})`,
+        type: 'station',
+        html,
+        chartConfig: this._categoryChart(group, 'Catchment Parcels by Category'),
+        tables,
+        mapHighlights: sorted.map(d => d.id),
+        intent
+      };
+    }
+
+    /**
+     * Rank stations by what their catchments hold: parcel count, GFA,
+     * units, energy, buildings or mean walking distance.
+     * @param {string} kind  - 'mrt' or 'bus'
+     * @param {string} lower - Lower-cased query text
+     * @param {Object} [params] - Pre-parsed { metric, direction, count } overriding the text
+     */
+    _stationRanking(kind, lower, params) {
+      params = params || {};
+      const def = STATION_KINDS[kind];
+      const metric = params.metric || this._stationMetric(lower);
+      const isBottom = params.direction
+        ? params.direction === 'bottom'
+        : /\b(?:least|fewest|lowest|smallest|bottom|worst|shortest|closest)\b/.test(lower);
+      const countMatch = lower.match(/\b(\d+)\b/);
+      let count = params.count || (countMatch ? parseInt(countMatch[1], 10) : 10);
+      if (count > 50) count = 50;
+      if (count < 1) count = 10;
+
+      const m = STATION_METRICS[metric];
+      const ranked = [...this.stations[kind].values()]
+        .map(st => ({ st, agg: this._stationAggregate(st.nodes, def) }))
+        .sort((a, b) => isBottom ? a.agg[metric] - b.agg[metric] : b.agg[metric] - a.agg[metric]);
+      if (!ranked.length) {
+        return this._error(`The dataset has no nearest-${def.label} names to rank.`);
+      }
+      const top = ranked.slice(0, count);
+      const lead = top[0];
+      this._traceNote({
+        considered: this.stats.count,
+        formulas: [`group parcels by nearest ${def.label}`, `${m.label} per ${def.label} = ${metric === 'meanDist' ? 'mean of the walking distances above 0'
+            : metric === 'parcels' ? 'parcels in the catchment' : 'Σ over the catchment'}`,
+          `order = sort ${def.plural} ${isBottom ? 'ascending' : 'descending'}; keep the first ${count}`],
+        notes: [`${_fmt(ranked.length)} ${def.plural} ranked`]
+      });
+      const value = r => _fmt(r.agg[metric]) + (m.unit ? ' ' + m.unit : '');
+      const claim = metric === 'meanDist'
+        ? `has the ${isBottom ? 'shortest' : 'longest'} mean <strong>walking distance</strong>`
+        : `serves the ${isBottom ? 'least' : 'most'} <strong>${m.phrase}</strong>`;
+
+      let html = `<div class="q-insight"><strong>${esc(lead.st.name)}</strong> ${claim}
+        of the ${_fmt(ranked.length)} ${def.plural}: ${value(lead)} across ${lead.agg.parcels} parcels.</div>`;
+      const extraCol = metric === 'meanDist' ? 'parcels' : 'meanDist';
+      html += htmlTable(['Rank', def.title, m.label, extraCol === 'parcels' ? 'Parcels' : 'Mean Distance'],
+        top.map((r, i) => [
+          i + 1,
+          esc(r.st.name),
+          value(r),
+          extraCol === 'parcels' ? r.agg.parcels : _fmt(r.agg.meanDist) + ' m'
+        ]), new Set([0, 2, 3]));
 
       const chartConfig = {
         type: 'bar',
         data: {
-          labels: sorted.map(([ft]) => ft),
+          labels: top.map(r => r.st.name),
           datasets: [{
-            label: 'Parcel Count',
-            data: sorted.map(([, cnt]) => cnt),
+            label: m.label,
+            data: top.map(r => r.agg[metric]),
             backgroundColor: '#2471a3',
             borderWidth: 0,
             borderRadius: 3
@@ -1170,50 +4435,67 @@
         },
         options: {
           indexAxis: 'y',
-          plugins: {
-            title: { display: true, text: 'Facility Type Coverage', font: { size: 12 } },
-            legend: { display: false }
-          },
-          scales: {
-            x: { title: { display: true, text: 'Number of Parcels', font: { size: 10 } }, ticks: { font: { size: 10 } } },
-            y: { ticks: { font: { size: 10 } } }
-          }
+          plugins: { legend: { display: false } },
+          scales: { x: { beginAtZero: true } }
         }
       };
 
       return {
-        title: 'Facility Types',
-        type: 'facility-types',
+        title: `${def.title}s by ${m.label}`,
+        type: 'station-ranking',
         html,
-        chartConfig
+        chartConfig,
+        tables: [this._stationTable(def, top, true)],
+        mapHighlights: lead.st.nodes.map(d => d.id),
+        intent: { intent: 'station-ranking', stationType: kind, metric, direction: isBottom ? 'bottom' : 'top', count }
       };
     }
 
-    /** Edge types overview */
-    _edgeTypes() {
-      let html = `<div class="q-insight">The knowledge graph has <strong>${_fmt(this.stats.edgeCount)}</strong> edges
-        across <strong>${Object.keys(this.edgeTypeCounts).length}</strong> relationship types.</div>`;
+    /** Per-station aggregate table for every MRT station or bus stop */
+    _stationSummary(kind) {
+      const def = STATION_KINDS[kind];
+      const rows = [...this.stations[kind].values()]
+        .map(st => ({ st, agg: this._stationAggregate(st.nodes, def) }))
+        .sort((a, b) => b.agg.parcels - a.agg.parcels);
+      if (!rows.length) {
+        return this._error(`The dataset has no nearest-${def.label} names to summarise.`);
+      }
+      this._traceNote({
+        considered: this.stats.count,
+        kept: rows.reduce((s, r) => s + r.agg.parcels, 0),
+        formulas: [`group parcels by nearest ${def.label}`, `mean walking distance: ${FORMULAS.mean}`],
+        notes: [`${_fmt(rows.length)} ${def.plural}; parcels without a nearest-${def.label} name are left out`]
+      });
 
-      const sorted = Object.entries(this.edgeTypeCounts).sort((a, b) => b[1] - a[1]);
-      const rows = sorted.map(([t, cnt]) => [
-        EDGE_LABELS[t] || t,
-        `<code>${t}</code>`,
-        _fmt(cnt),
-        (cnt / this.stats.edgeCount * 100).toFixed(1) + '%'
-      ]);
-      html += htmlTable(['Relationship', 'Code', 'Count', 'Share'], rows, new Set([2, 3]));
+      const covered = rows.reduce((s, r) => s + r.agg.parcels, 0);
+      let html = `<div class="q-insight"><strong>${_fmt(rows.length)}</strong> ${def.plural} serve
+        ${_fmt(covered)} parcels, a mean of <strong>${_fmt(covered / rows.length)}</strong> parcels per catchment.</div>`;
+
+      const shown = rows.slice(0, 50);
+      html += htmlTable(
+        [def.title, 'Parcels', 'Total Units', 'Total GFA', 'Total Energy', 'Mean Distance', 'Main Category'],
+        shown.map(r => [
+          esc(r.st.name),
+          r.agg.parcels,
+          _fmt(r.agg.units),
+          _fmt(r.agg.gfa),
+          _fmt(r.agg.energy),
+          _fmt(r.agg.meanDist) + ' m',
+          catDot(r.agg.mainCategory) + (CAT_LABELS[r.agg.mainCategory] || r.agg.mainCategory)
+        ]), new Set([1, 2, 3, 4, 5]));
+      if (rows.length > shown.length) {
+        html += `<div style="font-size:10px;color:#7f8c8d;margin-top:4px">... and ${rows.length - shown.length} more</div>`;
+      }
 
+      const chartRows = rows.slice(0, 15);
       const chartConfig = {
         type: 'bar',
         data: {
-          labels: sorted.map(([t]) => EDGE_LABELS[t] || t),
+          labels: chartRows.map(r => r.st.name),
           datasets: [{
-            label: 'Edge Count',
-            data: sorted.map(([, cnt]) => cnt),
-            backgroundColor: sorted.map((_, i) => {
-              const colors = ['#c0392b', '#e67e22', '#27ae60', '#8e44ad', '#2980b9', '#7f8c8d', '#1abc9c', '#d4ac0d'];
-              return colors[i % colors.length];
-            }),
+            label: 'Parcels',
+            data: chartRows.map(r => r.agg.parcels),
+            backgroundColor: chartRows.map(r => CAT_COLORS[r.agg.mainCategory] || '#2471a3'),
             borderWidth: 0,
             borderRadius: 3
           }]
@@ -1221,163 +4503,3553 @@
         options: {
           indexAxis: 'y',
           plugins: {
-            title: { display: true, text: 'Edge Type Distribution', font: { size: 12 } },
-            legend: { display: false }
+            legend: { display: false },
+            title: { display: true, text: `Largest ${def.label} Catchments (bar colour = main category)`, font: { size: 12 } }
           },
-          scales: {
-            x: { title: { display: true, text: 'Count', font: { size: 10 } }, ticks: { font: { size: 10 } } },
-            y: { ticks: { font: { size: 10 } } }
-          }
+          scales: { x: { beginAtZero: true } }
         }
       };
 
       return {
-        title: 'Edge / Relationship Types',
-        type: 'edge-types',
+        title: `${def.title} Catchments`,
+        type: 'station-summary',
         html,
-        chartConfig
+        chartConfig,
+        tables: [this._stationTable(def, rows, false)],
+        intent: { intent: 'stations', stationType: kind }
       };
     }
 
-    // --------------------------------------------------------
-    // Fallback and error
-    // --------------------------------------------------------
+    /**
+     * Rank every parcel by similarity to one parcel. Each metric is scaled to
+     * [0, 1] over the dataset; the metric part of the score is one minus the
+     * weighted RMS difference, the facility part is the Jaccard overlap of
+     * `ft`, and the two are blended by their total weights.
+     * @param {string} id - Reference parcel
+     * @param {Object} [options] - { weights: { metric: weight }, facilityWeight, count }
+     * @param {Object} [filter]  - Condition tree candidate parcels must satisfy
+     */
+    _similarity(id, options, filter) {
+      const node = this.nodeMap[id];
+      if (!node) {
+        return this._error(`Parcel <strong>${esc(id)}</strong> was not found in the dataset.`);
+      }
+      options = options || {};
+      const weights = options.weights || Object.fromEntries(BUILT_IN_METRICS.map(m => [m, 1]));
+      const metrics = Object.keys(weights).filter(m => METRICS[m] && weights[m] > 0);
+      const facW = options.facilityWeight != null ? options.facilityWeight : 1;
+      if (!Number.isFinite(facW) || facW < 0) {
+        return this._error(`The facility overlap weight must be zero or more, not ${esc(String(facW))}.`);
+      }
+      const metricW = metrics.reduce((s, m) => s + weights[m], 0);
+      if (!metricW && !facW) {
+        return this._error('Similarity needs at least one metric or the facility overlap with a weight above zero.');
+      }
+      let count = parseInt(options.count, 10) || 10;
+      if (count > 50) count = 50;
+      if (count < 1) count = 1;
 
-    _fallback(q) {
-      let html = `<div class="q-insight">I could not understand the query: "<em>${esc(q)}</em>".</div>`;
-      html += '<p style="font-size:12px;margin-bottom:10px">Here are some things you can ask:</p>';
-      html += '<ul style="margin-left:18px;font-size:12px;line-height:1.8">';
-      this.getExampleQuestions().forEach(ex => {
-        html += `<li>${esc(ex)}</li>`;
+      const vec = d => metrics.map(m => this._normMetric(m, d[METRICS[m].key]));
+      const facSet = d => new Set((d.ft || '').split(',').map(f => f.trim()).filter(Boolean));
+      const refVec = vec(node);
+      const refFac = facSet(node);
+
+      const nodeIdx = this.nodes.indexOf(node);
+      const simNeighbours = new Set((this.adj[nodeIdx] || [])
+        .filter(([, type]) => type === 'sim')
+        .map(([nIdx]) => this.nodes[nIdx].id));
+
+      const scored = this.nodes
+        .filter(d => d !== node && (!filter || this._evalFilter(d, filter)))
+        .map(d => {
+          const v = vec(d);
+          const sq = metrics.reduce((s, m, k) => s + weights[m] * (v[k] - refVec[k]) ** 2, 0);
+          const metricSim = metricW ? 1 - Math.sqrt(sq / metricW) : 0;
+          const fac = facSet(d);
+          const shared = [...fac].filter(f => refFac.has(f));
+          const union = new Set([...fac, ...refFac]).size;
+          const facSim = union ? shared.length / union : 1;
+          const score = (metricW * metricSim + facW * facSim) / (metricW + facW);
+          return { d, score, metricSim, facSim, shared };
+        })
+        .sort((a, b) => b.score - a.score);
+
+      const top = scored.slice(0, count);
+      this._traceNote({
+        considered: this.nodes.length - 1,
+        kept: scored.length,
+        formulas: [FORMULAS.minmax, FORMULAS.metricSim, FORMULAS.jaccard, FORMULAS.similarity,
+          `order = sort by score, descending; keep the first ${count}`],
+        notes: [`W = ${_fmt(metricW)}, f = ${_fmt(facW)}`]
       });
-      html += '</ul>';
+      const weightText = metrics.map(m => `${METRICS[m].label.replace(/\s*\(.*\)$/, '')}${weights[m] !== 1 ? ' &times;' + _fmt(weights[m]) : ''}`).join(', ');
+      const facText = facW ? `facility overlap${facW !== 1 ? ' &times;' + _fmt(facW) : ''}` : 'facilities ignored';
+      const filterText = filter ? ` among parcels matching <em>${esc(this._describeFilter(filter))}</em>` : '';
+      const intent = { intent: 'similar', parcelId: id, weights, facilityWeight: facW, count, filter: filter || null };
 
-      return {
-        title: 'Query Not Understood',
-        type: 'error',
-        html
-      };
-    }
+      if (!top.length) {
+        return {
+          title: `Parcels Most Like ${id}`,
+          type: 'similarity',
+          html: `<div class="q-insight">No parcels to compare with <strong>${esc(id)}</strong>${filterText}.</div>`,
+          mapHighlights: [id],
+          intent
+        };
+      }
+
+      let html = `<div class="q-insight">The <strong>${top.length}</strong> parcels most like
+        <strong>${esc(id)}</strong> (${CAT_LABELS[node.category] || node.category})${filterText}.
+        Best match <code>${top[0].d.id}</code> scores <strong>${(top[0].score * 100).toFixed(1)}%</strong>.</div>`;
+      html += `<div style="font-size:11px;color:#7f8c8d;margin-bottom:8px">Features: ${metrics.length ? weightText : 'no metrics'}; ${facText}.
+        Metrics are min&ndash;max scaled over all ${_fmt(this.stats.count)} parcels.</div>`;
+
+      const headers = ['Rank', 'Parcel', 'Category', 'Similarity', 'Metric Match', 'Facility Overlap', 'Shared Facilities', 'Sim Edge'];
+      const rows = top.map((r, i) => [
+        i + 1,
+        `<code>${r.d.id}</code>`,
+        catDot(r.d.category) + (CAT_LABELS[r.d.category] || r.d.category),
+        (r.score * 100).toFixed(1) + '%',
+        metricW ? (r.metricSim * 100).toFixed(1) + '%' : '-',
+        (r.facSim * 100).toFixed(0) + '%',
+        r.shared.length ? r.shared.join(', ') : '-',
+        simNeighbours.has(r.d.id) ? '&#10003;' : ''
+      ]);
+      html += htmlTable(headers, rows, new Set([0, 3, 4, 5]));
+
+      // Radar: the reference parcel against its three closest matches on the weighted metrics
+      let chartConfig = null;
+      if (metrics.length >= 3) {
+        const palette = ['#e67e22', '#27ae60', '#8e44ad'];
+        chartConfig = {
+          type: 'radar',
+          data: {
+            labels: metrics.map(m => METRICS[m].label.replace(/\s*\(.*\)$/, '')),
+            datasets: [
+              {
+                label: id,
+                data: refVec,
+                borderColor: CAT_COLORS[node.category] || '#2980b9',
+                backgroundColor: (CAT_COLORS[node.category] || '#2980b9') + '33',
+                borderWidth: 2,
+                pointRadius: 3
+              },
+              ...top.slice(0, 3).map((r, k) => ({
+                label: `${r.d.id} (${(r.score * 100).toFixed(0)}%)`,
+                data: vec(r.d),
+                borderColor: palette[k],
+                backgroundColor: 'transparent',
+                borderWidth: 1.5,
+                borderDash: [4, 4],
+                pointRadius: 2
+              }))
+            ]
+          },
+          options: {
+            scales: {
+              r: { beginAtZero: true, max: 1, ticks: { stepSize: 0.25, font: { size: 10 } } }
+            },
+            plugins: { legend: { labels: { font: { size: 11 } } } }
+          }
+        };
+      } else {
+        chartConfig = {
+          type: 'bar',
+          data: {
+            labels: top.map(r => r.d.id.replace('kml_', '')),
+            datasets: [{
+              label: 'Similarity (%)',
+              data: top.map(r => +(r.score * 100).toFixed(1)),
+              backgroundColor: top.map(r => CAT_COLORS[r.d.category] || '#2980b9'),
+              borderWidth: 0,
+              borderRadius: 3
+            }]
+          },
+          options: {
+            plugins: { legend: { display: false } },
+            scales: { y: { beginAtZero: true, max: 100 } }
+          }
+        };
+      }
+
+      const tables = [this._parcelTable('Similar Parcels', top.map(r => r.d), [
+        ['Similarity', (d, i) => top[i].score],
+        ['Metric Match', (d, i) => (metricW ? top[i].metricSim : null)],
+        ['Facility Overlap', (d, i) => top[i].facSim],
+        ['Shared Facilities', (d, i) => top[i].shared.join(', ')],
+        ['Sim Edge', d => simNeighbours.has(d.id)]
+      ], true)];
 
-    _error(message) {
       return {
-        title: 'Error',
-        type: 'error',
-        html: `<div class="q-insight" style="border-left-color:#922b21">${message}</div>`
+        title: `Parcels Most Like ${id}`,
+        type: 'similarity',
+        html,
+        chartConfig,
+        tables,
+        mapHighlights: [id, ...top.map(r => r.d.id)],
+        intent
       };
     }
 
-    // --------------------------------------------------------
-    // Example questions
-    // --------------------------------------------------------
+    /**
+     * Louvain communities of the parcel graph: which community a parcel is
+     * in, a profile of one community, or all communities set against the
+     * rule-based categories.
+     * @param {Object} spec - { mode: 'of' | 'summary' | 'overview', parcelId, cluster, edgeTypes }
+     */
+    _clusterQuery(spec) {
+      const gm = this._graphMetrics();
+      if (!gm) return this._error('Community detection needs graph-metrics.js, which is not loaded.');
+      const types = spec.edgeTypes && spec.edgeTypes.length ? spec.edgeTypes : null;
+      const part = gm.communities(types);
+      this._traceNote({
+        considered: this.stats.count,
+        formulas: [FORMULAS.modularity],
+        notes: [`Graph over ${this._edgeTypesText(types)}; modularity ${part.modularity.toFixed(3)}`]
+      });
 
-    getExampleQuestions() {
-      return [
-        'Show me an overview of the dataset',
-        'Top 10 parcels by energy consumption',
-        'Tell me about kml_10042',
-        'How are parcels categorized?',
-        'Which parcels have a Cafe?',
-        'Compare Transit-Oriented Dense vs Peripheral',
-        'Average transit index by category',
-        'Neighbors of kml_10042',
-        'How many parcels are High Density?',
-        'Bottom 5 parcels by diversity index'
-      ];
+      if (spec.mode === 'overview') return this._clusterOverview(part, types);
+      if (spec.mode === 'of') {
+        const node = this.nodeMap[spec.parcelId];
+        if (!node) {
+          return this._error(`Parcel <strong>${esc(spec.parcelId)}</strong> was not found in the dataset.`);
+        }
+        return this._clusterSummary(part, part.labels[this.nodeIndex.get(node)], types, node);
+      }
+      if (!(spec.cluster >= 1 && spec.cluster <= part.count)) {
+        return this._error(`There is no cluster ${esc(String(spec.cluster))}; communities are numbered 1 to ${_fmt(part.count)},
+          largest first. Ask for <em>communities</em> to list them.`);
+      }
+      return this._clusterSummary(part, spec.cluster, types, null);
     }
 
-    // --------------------------------------------------------
-    // Matching helpers
-    // --------------------------------------------------------
-
-    /** Match a category name from freeform text */
-    _matchCategory(text) {
-      const t = text.toLowerCase().replace(/[^a-z0-9\s]/g, '');
-
-      // Direct key match
-      for (const key of Object.keys(CAT_LABELS)) {
-        if (t.includes(key.toLowerCase())) return key;
+    /** Every community: size, make-up and agreement with the category rules */
+    _clusterOverview(part, types) {
+      const { labels, sizes } = part;
+      const groups = sizes.map(() => []);
+      this.nodes.forEach((d, i) => groups[labels[i] - 1].push(d));
+      const agree = this._partitionAgreement(labels);
+      const multi = sizes.filter(s => s > 1).length;
+      this._traceNote({ formulas: [FORMULAS.nmi, 'purity = Σ_c (parcels in the main category of c) / n'] });
+      const singletons = part.count - multi;
+      const top = sizes.slice(0, 10).reduce((s, x) => s + x, 0);
+      const cats = Object.keys(CAT_LABELS).filter(c => this.catStats[c].count);
+
+      let html = `<div class="q-insight">Louvain community detection over <strong>${this._edgeTypesText(types)}</strong>
+        finds <strong>${_fmt(multi)}</strong> communities${singletons ? ` plus ${_fmt(singletons)} unconnected parcels` : ''}
+        (modularity <strong>${part.modularity.toFixed(3)}</strong>). The ten largest hold
+        ${(top / this.stats.count * 100).toFixed(1)}% of parcels.</div>`;
+      html += `<div class="q-insight">Against the rule-based categories: purity <strong>${(agree.purity * 100).toFixed(1)}%</strong>
+        (share of parcels in their community's main category), normalised mutual information
+        <strong>${agree.nmi.toFixed(3)}</strong> (0 = unrelated, 1 = identical). ${agree.nmi < 0.2
+          ? 'The graph groups parcels largely independently of the metric thresholds.'
+          : agree.nmi < 0.5 ? 'Communities partly follow the categories.' : 'Communities largely reproduce the categories.'}</div>`;
+
+      const shown = groups.slice(0, 20);
+      html += '<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Communities vs Categories</h4>';
+      html += htmlTable(
+        ['Cluster', 'Parcels', 'Main Category', 'Purity', ...cats.map(c => catDot(c) + (CAT_LABELS[c] || c)), 'Avg Transit'],
+        shown.map((g, k) => {
+          const counts = {};
+          g.forEach(d => { counts[d.category] = (counts[d.category] || 0) + 1; });
+          const main = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+          return [
+            colorDot(GraphMetrics.clusterColor(k + 1)) + (k + 1),
+            g.length,
+            catDot(main[0]) + (CAT_LABELS[main[0]] || main[0]),
+            (main[1] / g.length * 100).toFixed(0) + '%',
+            ...cats.map(c => counts[c] || ''),
+            mean(g.map(d => d.ti || 0)).toFixed(3)
+          ];
+        }), new Set([0, 1, 3, ...cats.map((_, i) => i + 4), cats.length + 4]));
+      if (part.count > shown.length) {
+        html += `<div style="font-size:10px;color:#7f8c8d;margin-top:4px">... and ${part.count - shown.length} smaller communities</div>`;
       }
 
-      // Label match (fuzzy)
-      const labelMap = {
-        'transit oriented dense': 'TransitOrientedDense',
-        'transit-oriented dense': 'TransitOrientedDense',
-        'tod':                    'TransitOrientedDense',
-        'transit oriented':       'TransitOriented',
-        'transit-oriented':       'TransitOriented',
-        'lifestyle hub':          'LifestyleHub',
-        'lifestyle':              'LifestyleHub',
-        'high density':           'HighDensity',
-        'highdensity':            'HighDensity',
-        'dense':                  'HighDensity',
-        'standard residential':   'StandardResidential',
-        'standard':               'StandardResidential',
-        'residential':            'StandardResidential',
-        'peripheral':             'Peripheral'
+      // Stacked bars: category make-up of the largest communities
+      const chartGroups = groups.slice(0, 12);
+      const chartConfig = {
+        type: 'bar',
+        data: {
+          labels: chartGroups.map((_, k) => `Cluster ${k + 1}`),
+          datasets: cats.map(c => ({
+            label: CAT_LABELS[c] || c,
+            data: chartGroups.map(g => g.filter(d => d.category === c).length),
+            backgroundColor: CAT_COLORS[c] || '#999',
+            borderWidth: 0
+          }))
+        },
+        options: {
+          plugins: {
+            title: { display: true, text: 'Category Make-up of the Largest Communities', font: { size: 12 } },
+            legend: { labels: { font: { size: 10 } } }
+          },
+          scales: { x: { stacked: true }, y: { stacked: true, beginAtZero: true } }
+        }
       };
 
-      // Sort by key length descending to match most specific first
-      const sorted = Object.entries(labelMap).sort((a, b) => b[0].length - a[0].length);
-      for (const [pattern, cat] of sorted) {
-        if (t.includes(pattern.replace(/-/g, ''))) return cat;
+      const mapColors = {};
+      this.nodes.forEach((d, i) => { if (sizes[labels[i] - 1] > 1) mapColors[d.id] = GraphMetrics.clusterColor(labels[i]); });
+
+      const tables = [
+        dataTable('Communities', ['Cluster', 'Parcels', ...cats, 'Avg Transit Index'],
+          groups.map((g, k) => [k + 1, g.length, ...cats.map(c => g.filter(d => d.category === c).length),
+            mean(g.map(d => d.ti || 0))])),
+        this._parcelTable('Parcels', this.nodes, [['Cluster', (d, i) => labels[i]]])
+      ];
+
+      return {
+        title: `Graph Communities (${_fmt(multi)})`,
+        type: 'communities',
+        html,
+        chartConfig,
+        tables,
+        mapColors,
+        intent: { intent: 'clusters', edgeTypes: types }
+      };
+    }
+
+    /** Profile of one community; `focus` is the parcel the question asked about, if any */
+    _clusterSummary(part, c, types, focus) {
+      const gm = this._graphMetrics();
+      const members = this.nodes.filter((d, i) => part.labels[i] === c);
+      const share = members.length / this.stats.count * 100;
+      this._traceNote({ kept: members.length, formulas: [FORMULAS.share] });
+      const dot = colorDot(GraphMetrics.clusterColor(c));
+      const intent = { intent: 'cluster', cluster: c, edgeTypes: types };
+      if (focus) intent.parcelId = focus.id;
+
+      let html = '';
+      if (focus) {
+        html += `<div class="q-insight"><strong>${esc(focus.id)}</strong> (${CAT_LABELS[focus.category] || focus.category})
+          is in ${dot}<strong>cluster ${c}</strong> of ${_fmt(part.count)}.</div>`;
+      }
+      if (members.length === 1) {
+        html += `<div class="q-insight">Cluster ${c} is a single parcel with no ${types ? 'relationships of the chosen types' : 'relationships'}
+          to any other parcel.</div>`;
+        return { title: `Cluster ${c}`, type: 'community', html, mapHighlights: [members[0].id], intent };
+      }
+
+      const counts = {};
+      members.forEach(d => { counts[d.category] = (counts[d.category] || 0) + 1; });
+      const catRows = Object.entries(counts).sort((a, b) => b[1] - a[1]);
+      const [mainCat, mainCount] = catRows[0];
+      html += `<div class="q-insight">${dot}<strong>Cluster ${c}</strong> holds <strong>${_fmt(members.length)}</strong> parcels
+        (${share.toFixed(1)}% of all), found by Louvain community detection over ${this._edgeTypesText(types)}.
+        Most are <strong>${CAT_LABELS[mainCat] || mainCat}</strong> (${(mainCount / members.length * 100).toFixed(0)}%).</div>`;
+
+      // Metric profile against the whole dataset
+      const profile = ['transit', 'diversity', 'gfa', 'energy', 'units', 'levels', 'mrt'];
+      html += '<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Profile vs All Parcels</h4>';
+      html += htmlTable(['Metric', `Cluster ${c} Mean`, 'All Parcels Mean', 'Difference'],
+        profile.map(m => {
+          const key = METRICS[m].key;
+          const valid = d => !['lvl', 'md', 'bd'].includes(key) || d[key] > 0;
+          const cm = mean(members.filter(valid).map(d => d[key] || 0));
+          const am = mean(this.nodes.filter(valid).map(d => d[key] || 0));
+          const diff = am ? (cm - am) / am * 100 : 0;
+          return [METRICS[m].label, _fmt(cm), _fmt(am),
+            `<span style="color:${diff >= 0 ? '#27ae60' : '#c0392b'}">${diff >= 0 ? '+' : ''}${diff.toFixed(1)}%</span>`];
+        }), new Set([1, 2, 3]));
+
+      html += '<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Rule-based Categories</h4>';
+      html += htmlTable(['Category', 'Parcels', 'Share of Cluster', 'Share of Category'],
+        catRows.map(([cat, cnt]) => [
+          catDot(cat) + (CAT_LABELS[cat] || cat),
+          cnt,
+          (cnt / members.length * 100).toFixed(1) + '%',
+          (cnt / this.catStats[cat].count * 100).toFixed(1) + '%'
+        ]), new Set([1, 2, 3]));
+
+      // Facilities over-represented in the cluster
+      const facShare = group => {
+        const out = {};
+        group.forEach(d => new Set((d.ft || '').split(',').map(f => f.trim()).filter(Boolean))
+          .forEach(f => { out[f] = (out[f] || 0) + 1; }));
+        return out;
+      };
+      const inCluster = facShare(members);
+      const overall = facShare(this.nodes);
+      const facRows = Object.entries(inCluster)
+        .map(([f, cnt]) => ({ f, here: cnt / members.length, all: overall[f] / this.stats.count }))
+        .sort((a, b) => b.here / b.all - a.here / a.all || b.here - a.here)
+        .slice(0, 8);
+      if (facRows.length) {
+        html += '<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Distinctive Facilities</h4>';
+        html += htmlTable(['Facility', 'In Cluster', 'All Parcels', 'Lift'],
+          facRows.map(r => [esc(r.f), (r.here * 100).toFixed(0) + '%', (r.all * 100).toFixed(0) + '%',
+            (r.here / r.all).toFixed(2) + '&times;']), new Set([1, 2, 3]));
+      }
+
+      // Best-connected members
+      const wdeg = gm.values('wdegree', types);
+      const hubs = members
+        .map(d => ({ d, v: wdeg[this.nodeIndex.get(d)] }))
+        .sort((a, b) => b.v - a.v)
+        .slice(0, 10);
+      html += '<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Best-connected Members</h4>';
+      html += htmlTable(['Parcel', 'Category', 'Weighted Degree', 'Transit', 'GFA'],
+        hubs.map(({ d, v }) => [
+          `<code>${d.id}</code>`,
+          catDot(d.category) + (CAT_LABELS[d.category] || d.category),
+          _fmt(v),
+          (d.ti || 0).toFixed(3),
+          _fmt(d.gfa)
+        ]), new Set([2, 3, 4]));
+
+      const ids = members.map(d => d.id);
+      if (focus) ids.unshift(...ids.splice(ids.indexOf(focus.id), 1));
+      const tables = [this._parcelTable(`Cluster ${c}`, members, [
+        ['Weighted Degree', d => wdeg[this.nodeIndex.get(d)]],
+        ...profile.map(metricColumn)
+      ])];
+
+      return {
+        title: `Cluster ${c}${focus ? ` (${focus.id})` : ''}`,
+        type: 'community',
+        html,
+        chartConfig: this._categoryChart(members, `Cluster ${c} by Category`),
+        tables,
+        mapHighlights: ids,
+        intent
+      };
+    }
+
+    /**
+     * How well a partition matches the rule-based categories: purity and
+     * normalised mutual information (arithmetic-mean normalisation).
+     */
+    _partitionAgreement(labels) {
+      const n = this.nodes.length;
+      const joint = new Map(), byCluster = new Map(), byCat = new Map();
+      const bump = (m, k) => m.set(k, (m.get(k) || 0) + 1);
+      this.nodes.forEach((d, i) => {
+        bump(joint, labels[i] + '|' + d.category);
+        bump(byCluster, labels[i]);
+        bump(byCat, d.category);
+      });
+      const entropy = m => [...m.values()].reduce((s, x) => s - x / n * Math.log(x / n), 0);
+      let mi = 0;
+      const best = new Map();
+      joint.forEach((x, key) => {
+        const [c, cat] = key.split('|');
+        mi += x / n * Math.log(x * n / (byCluster.get(+c) * byCat.get(cat)));
+        best.set(c, Math.max(best.get(c) || 0, x));
+      });
+      const h = entropy(byCluster) + entropy(byCat);
+      return {
+        purity: [...best.values()].reduce((s, x) => s + x, 0) / n,
+        nmi: h ? 2 * mi / h : 1
+      };
+    }
+
+    /** Side-by-side comparison of two categories */
+    _comparison(nameA, nameB) {
+      const catA = this._matchCategory(nameA);
+      const catB = this._matchCategory(nameB);
+
+      if (!catA || !catB) {
+        const missing = !catA ? nameA : nameB;
+        return this._error(
+          `Could not match "<strong>${esc(missing)}</strong>" to a category. Available: ` +
+          Object.values(CAT_LABELS).join(', ')
+        );
+      }
+
+      const csA = this.catStats[catA];
+      const csB = this.catStats[catB];
+      const labelA = CAT_LABELS[catA];
+      const labelB = CAT_LABELS[catB];
+      this._traceNote({
+        considered: this.stats.count,
+        kept: csA.count + (catA === catB ? 0 : csB.count),
+        formulas: [FORMULAS.mean, 'total = Σx', ...(catA === catB ? [] : [FORMULAS.welch, FORMULAS.mannWhitney, FORMULAS.cohenD])]
+      });
+
+      let html = `<div class="q-insight">Comparing ${catDot(catA)}<strong>${labelA}</strong>
+        (${csA.count} parcels) vs ${catDot(catB)}<strong>${labelB}</strong> (${csB.count} parcels).</div>`;
+
+      const compMetrics = [
+        ['Count', csA.count, csB.count],
+        ['Avg GFA (m\u00b2)', _fmt(csA.avgGFA), _fmt(csB.avgGFA)],
+        ['Total GFA (m\u00b2)', _fmt(csA.totalGFA), _fmt(csB.totalGFA)],
+        ['Avg Energy (kWh/yr)', _fmt(csA.avgEnergy), _fmt(csB.avgEnergy)],
+        ['Total Energy (kWh/yr)', _fmt(csA.totalEnergy), _fmt(csB.totalEnergy)],
+        ['Avg Transit Index', _fmt(csA.avgTransit), _fmt(csB.avgTransit)],
+        ['Avg Diversity Index', _fmt(csA.avgDiversity), _fmt(csB.avgDiversity)],
+        ['Avg Buildings', _fmt(csA.avgBuildings), _fmt(csB.avgBuildings)],
+        ['Avg Units', _fmt(csA.avgUnits), _fmt(csB.avgUnits)],
+        ['Avg Levels', _fmt(csA.avgLevels), _fmt(csB.avgLevels)]
+      ];
+      html += htmlTable(['Metric', labelA, labelB], compMetrics, new Set([1, 2]));
+
+      // Which differences are more than noise
+      const groups = catA === catB ? [] : this._significanceGroups(this.nodes, [catA, catB]);
+      const significance = groups.length ? this._significanceSummary(groups[0], groups[1], TESTED_METRICS) : null;
+      if (significance) {
+        html += '<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Significance</h4>';
+        html += `<div style="font-size:11px;color:#7f8c8d;margin-bottom:6px">${significance.lead} Parcels with no recorded energy count as missing.</div>`;
+        html += significance.html;
+      }
+
+      // Radar chart
+      const normalize = (val, max) => max > 0 ? Math.min(val / max, 1) : 0;
+      const maxGFA = Math.max(csA.avgGFA, csB.avgGFA, 1);
+      const maxEnergy = Math.max(csA.avgEnergy, csB.avgEnergy, 1);
+      const maxBuildings = Math.max(csA.avgBuildings, csB.avgBuildings, 1);
+      const maxUnits = Math.max(csA.avgUnits, csB.avgUnits, 1);
+
+      const chartConfig = {
+        type: 'radar',
+        data: {
+          labels: ['Transit', 'Diversity', 'GFA', 'Energy', 'Buildings', 'Units'],
+          datasets: [
+            {
+              label: labelA,
+              data: [
+                csA.avgTransit,
+                csA.avgDiversity,
+                normalize(csA.avgGFA, maxGFA),
+                normalize(csA.avgEnergy, maxEnergy),
+                normalize(csA.avgBuildings, maxBuildings),
+                normalize(csA.avgUnits, maxUnits)
+              ],
+              borderColor: CAT_COLORS[catA],
+              backgroundColor: CAT_COLORS[catA] + '33',
+              borderWidth: 2,
+              pointRadius: 3
+            },
+            {
+              label: labelB,
+              data: [
+                csB.avgTransit,
+                csB.avgDiversity,
+                normalize(csB.avgGFA, maxGFA),
+                normalize(csB.avgEnergy, maxEnergy),
+                normalize(csB.avgBuildings, maxBuildings),
+                normalize(csB.avgUnits, maxUnits)
+              ],
+              borderColor: CAT_COLORS[catB],
+              backgroundColor: CAT_COLORS[catB] + '33',
+              borderWidth: 2,
+              pointRadius: 3
+            }
+          ]
+        },
+        options: {
+          scales: {
+            r: { beginAtZero: true, max: 1, ticks: { stepSize: 0.25, font: { size: 10 } } }
+          },
+          plugins: {
+            title: { display: true, text: `${labelA} vs ${labelB}`, font: { size: 12 } },
+            legend: { labels: { font: { size: 11 } } }
+          }
+        }
+      };
+
+      const allIds = [
+        ...(this.byCategory[catA] || []).map(d => d.id),
+        ...(this.byCategory[catB] || []).map(d => d.id)
+      ];
+
+      const compKeys = [['Count', 'count'], ['Avg GFA (m\u00b2)', 'avgGFA'], ['Total GFA (m\u00b2)', 'totalGFA'],
+        ['Avg Energy (kWh/yr)', 'avgEnergy'], ['Total Energy (kWh/yr)', 'totalEnergy'], ['Avg Transit Index', 'avgTransit'],
+        ['Avg Diversity Index', 'avgDiversity'], ['Avg Buildings', 'avgBuildings'], ['Avg Units', 'avgUnits'], ['Avg Levels', 'avgLevels']];
+      const tables = [dataTable('Comparison', ['Metric', labelA, labelB], compKeys.map(([lbl, k]) => [lbl, csA[k], csB[k]]))];
+      if (significance) tables.push(significance.table);
+
+      return {
+        title: `${labelA} vs ${labelB}`,
+        type: 'comparison',
+        html,
+        chartConfig,
+        tables,
+        mapHighlights: allIds,
+        intent: { intent: 'comparison', categoryA: catA, categoryB: catB }
+      };
+    }
+
+    /**
+     * Whether a metric differs between groups of parcels. Two groups (two
+     * categories, or one category and the rest) get Welch's t-test and the
+     * Mann–Whitney U test with effect sizes; every category (or three and
+     * more named) a one-way ANOVA and a Kruskal–Wallis test, then Welch and
+     * Mann–Whitney tests between each pair with Holm-adjusted p-values.
+     * Without a metric, each of TESTED_METRICS is tested and summarised.
+     * @param {Object} spec - { metric, categories: [cat] (none = every category, one = it against the rest), filter }
+     */
+    _significance(spec) {
+      const filter = spec.filter || null;
+      const named = (spec.categories || []).filter(c => CAT_LABELS[c]);
+      const twice = named.find((c, i) => named.indexOf(c) !== i);
+      if (twice) {
+        const label = esc(CAT_LABELS[twice]);
+        return this._error(`<strong>${label}</strong> is named twice, so there is nothing to test it against. ` +
+          `Name two different categories, or ask whether ${label} differs from the rest.`);
+      }
+      const cats = [...new Set(named)];
+      const metric = spec.metric && METRICS[spec.metric] ? spec.metric : null;
+      const scoped = filter ? this.nodes.filter(d => this._evalFilter(d, filter)) : this.nodes;
+      const scopeText = filter ? ` matching <em>${esc(this._describeFilter(filter))}</em>` : '';
+      const groups = this._significanceGroups(scoped, cats);
+      const intent = { intent: 'significance', metric, categories: cats, filter };
+      const h4 = text => `<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">${text}</h4>`;
+      const pair = groups.length === 2;
+      const names = pair ? `${esc(groups[0].label)} and ${esc(groups[1].label)}` : 'categories';
+      const formulas = [
+        ...(filter ? [`keep parcels where ${this._describeFilter(filter)}`] : []),
+        ...(pair ? [FORMULAS.welch, FORMULAS.mannWhitney, FORMULAS.cohenD] : [FORMULAS.anova, FORMULAS.kruskal, FORMULAS.welch, FORMULAS.holm]),
+        FORMULAS.meanCi
+      ];
+      const notes = !metric || metric === 'energy' ? ['Parcels with no recorded energy (0 kWh/yr) count as missing'] : [];
+      const noteHtml = notes.length ? `<div style="font-size:11px;color:#7f8c8d;margin-bottom:8px">${notes.map(esc).join('. ')}.</div>` : '';
+      const title = `${metric ? METRICS[metric].label : 'Metrics'}: ${pair ? `${groups[0].label} vs ${groups[1].label}` : 'Across Categories'}`;
+      const mapHighlights = [].concat(...groups.map(g => g.rows.map(d => d.id)));
+
+      // No metric: every tested metric in one table
+      if (!metric) {
+        this._traceNote({ considered: scoped.length, kept: mapHighlights.length, formulas, notes });
+        const summary = pair
+          ? this._significanceSummary(groups[0], groups[1], TESTED_METRICS)
+          : this._anovaSummary(groups, TESTED_METRICS);
+        if (!summary) return this._error(`Too few parcels${scopeText} to test ${names}.`);
+        return {
+          title,
+          type: 'significance',
+          html: `<div class="q-insight">${summary.lead}${scopeText ? ` Parcels${scopeText} only.` : ''}</div>${noteHtml}${summary.html}`,
+          tables: [summary.table],
+          mapHighlights,
+          intent
+        };
+      }
+
+      const def = METRICS[metric];
+      const samples = groups.map(g => Object.assign({}, g, {
+        vals: g.rows.filter(d => hasValue(d, metric)).map(d => +d[def.key])
+      })).filter(g => g.vals.length >= 2);
+      this._traceNote({ considered: scoped.length, kept: samples.reduce((s, g) => s + g.vals.length, 0), formulas, notes });
+      if (samples.length < 2) {
+        return this._error(`Too few parcels${scopeText} have ${esc(def.label)} values to compare ${names}; each group needs at least two.`);
+      }
+      samples.forEach(g => { g.stats = describeSample(g.vals); });
+
+      const groupHtml = htmlTable(['Group', 'Parcels', 'Mean', '95% CI of Mean', 'SD', 'Median'],
+        samples.map(g => [colorDot(g.color) + esc(g.label), _fmt(g.stats.n), fmtMeasure(g.stats.mean),
+          `${fmtSigned(g.stats.ci[0])} to ${fmtSigned(g.stats.ci[1])}`, fmtMeasure(g.stats.sd), fmtMeasure(g.stats.median)]),
+        new Set([1, 2, 3, 4, 5]));
+      const groupTable = dataTable('Groups', ['Group', 'Parcels', 'Mean', 'CI Low', 'CI High', 'SD', 'Median'],
+        samples.map(g => [g.label, g.stats.n, g.stats.mean, g.stats.ci[0], g.stats.ci[1], g.stats.sd, g.stats.median]));
+      const chartConfig = this._meansChart(samples, def);
+      const verdict = (p, pU) => (p < ALPHA && pU < ALPHA ? 'both tests find the difference significant at the 5% level'
+        : p < ALPHA ? 'only Welch\'s t-test finds the difference significant at the 5% level: the means differ, but the rank test does not confirm it'
+        : pU < ALPHA ? 'only the Mann–Whitney test finds the difference significant at the 5% level: the typical values differ, but the means are too variable to tell apart'
+        : 'neither test finds a significant difference at the 5% level');
+
+      if (pair) {
+        const [A, B] = samples;
+        const w = welchTest(A.vals, B.vals);
+        const u = mannWhitney(A.vals, B.vals);
+        let html = `<div class="q-insight">${colorDot(A.color)}<strong>${esc(A.label)}</strong> parcels${scopeText} have a mean
+          ${esc(def.label)} of <strong>${fmtMeasure(w.m1)}</strong>, against <strong>${fmtMeasure(w.m2)}</strong> for
+          ${colorDot(B.color)}<strong>${esc(B.label)}</strong>: a difference of ${fmtSigned(w.diff)}
+          (95% CI ${fmtSigned(w.ci[0])} to ${fmtSigned(w.ci[1])}). Welch's t-test gives p ${w.p < 0.001 ? '' : '= '}${fmtP(w.p)} and the
+          Mann–Whitney U test p ${u.p < 0.001 ? '' : '= '}${fmtP(u.p)}, so ${verdict(w.p, u.p)}.
+          The effect is ${effectWord(w.d, 'd')} (Cohen's d = ${fmtSigned(w.d)}).</div>${noteHtml}`;
+        html += h4('Groups') + groupHtml;
+        const tests = [
+          ["Welch's t-test", `t = ${fmtSigned(w.t)}`, w.df.toFixed(1), w.p],
+          ['Mann–Whitney U', `U = ${_fmt(u.u)}, z = ${fmtSigned(u.z)}`, '-', u.p]
+        ];
+        html += h4('Tests') + htmlTable(['Test', 'Statistic', 'df', 'p-value'], tests.map(([n, st, df, p]) => [n, st, df, fmtP(p)]), new Set([2, 3]));
+        const effects = [
+          [`Mean difference (${A.label} − ${B.label})`, w.diff, w.ci],
+          ["Cohen's d", w.d, w.dCi],
+          ["Hedges' g", w.g, null],
+          ['Rank-biserial r', u.r, null],
+          [`P(${A.label} > ${B.label})`, u.superiority, null]
+        ];
+        html += h4('Effect Sizes') + htmlTable(['Measure', 'Estimate', '95% CI', 'Size'],
+          effects.map(([n, v, ci], i) => [esc(n), fmtSigned(v), ci ? `${fmtSigned(ci[0])} to ${fmtSigned(ci[1])}` : '-',
+            i === 1 || i === 2 ? effectWord(v, 'd') : i === 3 ? effectWord(v, 'r') : '']),
+          new Set([1, 2]));
+        return {
+          title,
+          type: 'significance',
+          html,
+          chartConfig,
+          tables: [
+            dataTable('Tests', ['Test', 'Statistic', 'Value', 'df', 'p-value'], [
+              ["Welch's t-test", 't', w.t, w.df, w.p],
+              ['Mann–Whitney U', 'U', u.u, null, u.p]
+            ]),
+            dataTable('Effect Sizes', ['Measure', 'Estimate', 'CI Low', 'CI High'],
+              effects.map(([n, v, ci]) => [n, v, ci ? ci[0] : null, ci ? ci[1] : null])),
+            groupTable
+          ],
+          mapHighlights,
+          intent
+        };
+      }
+
+      // Three or more groups: omnibus tests, then every pair
+      const a = anova(samples.map(g => g.vals));
+      const kw = kruskalWallis(samples.map(g => g.vals));
+      const pairs = [];
+      samples.forEach((A, i) => samples.slice(i + 1).forEach(B => {
+        pairs.push({ A, B, w: welchTest(A.vals, B.vals), u: mannWhitney(A.vals, B.vals) });
+      }));
+      const adjW = holm(pairs.map(pr => pr.w.p));
+      const adjU = holm(pairs.map(pr => pr.u.p));
+      pairs.forEach((pr, i) => { pr.pW = adjW[i]; pr.pU = adjU[i]; });
+      const differing = pairs.filter(pr => pr.pW < ALPHA && pr.pU < ALPHA);
+
+      let html = `<div class="q-insight">Does <strong>${esc(def.label)}</strong> differ between ${samples.length} categories${scopeText}?
+        One-way ANOVA: F(${a.df1}, ${a.df2}) = ${fmtMeasure(a.F)}, p ${a.p < 0.001 ? '' : '= '}${fmtP(a.p)}, η² = ${fmtMeasure(a.eta2)}
+        (${effectWord(a.eta2, 'eta')}). Kruskal–Wallis: H = ${fmtMeasure(kw.H)}, p ${kw.p < 0.001 ? '' : '= '}${fmtP(kw.p)}.
+        ${a.p < ALPHA || kw.p < ALPHA
+          ? `Of ${pairs.length} pairs of categories, <strong>${differing.length}</strong> differ significantly by both pairwise tests after Holm adjustment.`
+          : 'Neither test finds a significant difference between the categories at the 5% level.'}</div>${noteHtml}`;
+      if (samples.length < groups.length) {
+        html += `<div style="font-size:11px;color:#7f8c8d;margin-bottom:8px">Left out, with fewer than two values: ${
+          groups.filter(g => !samples.some(s => s.key === g.key)).map(g => esc(g.label)).join(', ')}.</div>`;
+      }
+      html += h4('Groups') + groupHtml;
+      html += h4('Tests') + htmlTable(['Test', 'Statistic', 'df', 'p-value', 'Effect Size'], [
+        ['One-way ANOVA', `F = ${fmtMeasure(a.F)}`, `${a.df1}, ${a.df2}`, fmtP(a.p), `η² = ${fmtMeasure(a.eta2)}, ω² = ${fmtMeasure(a.omega2)} (${effectWord(a.eta2, 'eta')})`],
+        ['Kruskal–Wallis H', `H = ${fmtMeasure(kw.H)}`, String(kw.df), fmtP(kw.p), `ε² = ${fmtMeasure(kw.eps2)} (${effectWord(kw.eps2, 'eta')})`]
+      ], new Set([2, 3]));
+      const sortedPairs = [...pairs].sort((x, y) => x.pW - y.pW);
+      html += h4('Pairwise (Holm-adjusted)') + htmlTable(['Pair', 'Mean Difference', '95% CI', 'Welch p', 'Mann–Whitney p', "Cohen's d"],
+        sortedPairs.map(pr => [`${colorDot(pr.A.color)}${esc(pr.A.label)} − ${colorDot(pr.B.color)}${esc(pr.B.label)}`,
+          fmtSigned(pr.w.diff), `${fmtSigned(pr.w.ci[0])} to ${fmtSigned(pr.w.ci[1])}`, fmtP(pr.pW), fmtP(pr.pU), fmtSigned(pr.w.d)]),
+        new Set([1, 2, 3, 4, 5]));
+
+      return {
+        title,
+        type: 'significance',
+        html,
+        chartConfig,
+        tables: [
+          dataTable('Tests', ['Test', 'Statistic', 'Value', 'df1', 'df2', 'p-value', 'Effect Size', 'Effect'], [
+            ['One-way ANOVA', 'F', a.F, a.df1, a.df2, a.p, 'eta squared', a.eta2],
+            ['Kruskal–Wallis H', 'H', kw.H, kw.df, null, kw.p, 'epsilon squared', kw.eps2]
+          ]),
+          dataTable('Pairwise', ['Group A', 'Group B', 'Mean Difference', 'CI Low', 'CI High', 'Welch p (Holm)', 'Mann–Whitney p (Holm)', "Cohen's d"],
+            sortedPairs.map(pr => [pr.A.label, pr.B.label, pr.w.diff, pr.w.ci[0], pr.w.ci[1], pr.pW, pr.pU, pr.w.d])),
+          groupTable
+        ],
+        mapHighlights,
+        intent
+      };
+    }
+
+    /**
+     * The groups a significance test compares: one category against the
+     * other parcels, or each of the named categories (every category when
+     * none is named). Each is { key, label, color, rows }.
+     */
+    _significanceGroups(rows, cats) {
+      const ofCategory = c => ({ key: c, label: CAT_LABELS[c], color: CAT_COLORS[c], rows: rows.filter(d => d.category === c) });
+      if (cats.length === 1) {
+        return [ofCategory(cats[0]), { key: 'rest', label: 'Other categories', color: '#95a5a6', rows: rows.filter(d => d.category !== cats[0]) }];
+      }
+      return (cats.length ? cats : Object.keys(CAT_LABELS)).map(ofCategory);
+    }
+
+    /**
+     * Welch and Mann–Whitney tests of each metric between two groups of
+     * parcels, for the significance section of comparisons and category
+     * profiles: { lead, html, table }, or null if no metric could be tested.
+     */
+    _significanceSummary(A, B, metrics) {
+      const results = metrics.map(m => {
+        const vals = rows => rows.filter(d => hasValue(d, m)).map(d => +d[METRICS[m].key]);
+        const w = welchTest(vals(A.rows), vals(B.rows));
+        return w ? { m, w, u: mannWhitney(vals(A.rows), vals(B.rows)) } : null;
+      }).filter(Boolean);
+      if (!results.length) return null;
+      const verdict = r => (r.w.p < ALPHA && r.u.p < ALPHA ? '<strong>Yes</strong>'
+        : r.w.p < ALPHA || r.u.p < ALPHA ? 'Tests disagree' : 'No');
+      const significant = results.filter(r => r.w.p < ALPHA && r.u.p < ALPHA).map(r => esc(METRICS[r.m].label));
+      const lead = significant.length
+        ? `${esc(A.label)} and ${esc(B.label)} differ significantly (Welch and Mann–Whitney, 5% level) in ${significant.join(', ')}.`
+        : `No metric differs significantly between ${esc(A.label)} and ${esc(B.label)} by both Welch's t-test and the Mann–Whitney test.`;
+      const html = htmlTable(['Metric', `Difference (${esc(A.label)} − ${esc(B.label)})`, '95% CI', 'Welch p', 'Mann–Whitney p', "Cohen's d", 'Significant?'],
+        results.map(r => [esc(METRICS[r.m].label), fmtSigned(r.w.diff), `${fmtSigned(r.w.ci[0])} to ${fmtSigned(r.w.ci[1])}`,
+          fmtP(r.w.p), fmtP(r.u.p), `${fmtSigned(r.w.d)} <span style="color:#7f8c8d">${effectWord(r.w.d, 'd')}</span>`, verdict(r)]),
+        new Set([1, 2, 3, 4, 5]));
+      const table = dataTable('Significance', ['Metric', 'Difference', 'CI Low', 'CI High', 'Welch p', 'Mann–Whitney p', "Cohen's d"],
+        results.map(r => [r.m, r.w.diff, r.w.ci[0], r.w.ci[1], r.w.p, r.u.p, r.w.d]));
+      return { lead, html, table };
+    }
+
+    /** ANOVA and Kruskal–Wallis of each metric across groups, in the shape of _significanceSummary() */
+    _anovaSummary(groups, metrics) {
+      const results = metrics.map(m => {
+        const samples = groups.map(g => g.rows.filter(d => hasValue(d, m)).map(d => +d[METRICS[m].key])).filter(xs => xs.length >= 2);
+        return samples.length >= 2 ? { m, k: samples.length, a: anova(samples), kw: kruskalWallis(samples) } : null;
+      }).filter(Boolean);
+      if (!results.length) return null;
+      const significant = results.filter(r => r.a.p < ALPHA && r.kw.p < ALPHA).map(r => esc(METRICS[r.m].label));
+      const lead = significant.length
+        ? `The categories differ significantly (ANOVA and Kruskal–Wallis, 5% level) in ${significant.join(', ')}. Name a metric for pairwise tests.`
+        : 'No metric differs significantly between the categories by both ANOVA and Kruskal–Wallis.';
+      const html = htmlTable(['Metric', 'Groups', 'ANOVA F', 'ANOVA p', 'η²', 'Kruskal–Wallis H', 'Kruskal–Wallis p', 'Significant?'],
+        results.map(r => [esc(METRICS[r.m].label), r.k, fmtMeasure(r.a.F), fmtP(r.a.p),
+          `${fmtMeasure(r.a.eta2)} <span style="color:#7f8c8d">${effectWord(r.a.eta2, 'eta')}</span>`, fmtMeasure(r.kw.H), fmtP(r.kw.p),
+          r.a.p < ALPHA && r.kw.p < ALPHA ? '<strong>Yes</strong>' : r.a.p < ALPHA || r.kw.p < ALPHA ? 'Tests disagree' : 'No']),
+        new Set([1, 2, 3, 4, 5, 6]));
+      const table = dataTable('Significance', ['Metric', 'Groups', 'ANOVA F', 'ANOVA p', 'eta squared', 'Kruskal-Wallis H', 'Kruskal-Wallis p'],
+        results.map(r => [r.m, r.k, r.a.F, r.a.p, r.a.eta2, r.kw.H, r.kw.p]));
+      return { lead, html, table };
+    }
+
+    /** Chart.js config: each group's 95% interval of the mean as a floating bar, with its mean and median */
+    _meansChart(samples, def) {
+      return {
+        type: 'bar',
+        data: {
+          labels: samples.map(g => g.label),
+          datasets: [
+            {
+              label: '95% CI of mean',
+              data: samples.map(g => g.stats.ci),
+              backgroundColor: samples.map(g => g.color + '55'),
+              borderColor: samples.map(g => g.color),
+              borderWidth: 1,
+              borderSkipped: false,
+              barPercentage: 0.5
+            },
+            {
+              type: 'line',
+              label: 'Mean',
+              data: samples.map(g => g.stats.mean),
+              showLine: false,
+              pointStyle: 'rectRot',
+              pointRadius: 6,
+              borderColor: '#2c3e50',
+              backgroundColor: '#2c3e50'
+            },
+            {
+              type: 'line',
+              label: 'Median',
+              data: samples.map(g => g.stats.median),
+              showLine: false,
+              pointRadius: 4,
+              borderColor: '#c0392b',
+              backgroundColor: '#fff'
+            }
+          ]
+        },
+        options: {
+          plugins: {
+            title: { display: true, text: `${def.label}: mean with 95% confidence interval`, font: { size: 12 } },
+            legend: { labels: { font: { size: 10 } } }
+          },
+          scales: {
+            x: { ticks: { font: { size: 9 }, maxRotation: 35 } },
+            y: { title: { display: true, text: def.label, font: { size: 10 } }, ticks: { font: { size: 10 } } }
+          }
+        }
+      };
+    }
+
+    /**
+     * How evenly an amenity is spread over parcels, or over the residents or
+     * floor area they hold (equity-metrics.js): the Gini coefficient, the
+     * Theil index, the shares of the least- and best-served, the Lorenz curve
+     * and the concentration index against a ranking variable. Grouped by
+     * category or station catchment, each group gets its own measures and
+     * the Theil index is split into inequality within and between groups.
+     * Without an amenity, the facility count and the diversity and transit
+     * indices are measured side by side.
+     * @param {Object} spec - { outcome, weight: 'parcels' | 'units' | 'gfa', rankBy: 'gfa' | 'units' | 'levels',
+     *                          groupBy: 'category' | 'station', stationType, filter }
+     */
+    _equity(spec) {
+      if (!EquityMetrics) return this._error('Equity measures need equity-metrics.js, which is not loaded.');
+      const filter = spec.filter || null;
+      const weight = EquityMetrics.WEIGHTS[spec.weight] ? spec.weight : 'parcels';
+      const rankBy = EquityMetrics.RANKINGS[spec.rankBy] ? spec.rankBy : 'gfa';
+      const groupBy = spec.groupBy === 'category' || spec.groupBy === 'station' ? spec.groupBy : null;
+      const kind = STATION_KINDS[spec.stationType] ? spec.stationType : 'mrt';
+      const outcome = this._equityOutcome(spec.outcome);
+      const outcomes = outcome ? [outcome] : Object.keys(EquityMetrics.OUTCOMES).map(k => this._equityOutcome(k));
+      const W = EquityMetrics.WEIGHTS[weight];
+      const R = EquityMetrics.RANKINGS[rankBy];
+      const opts = o => ({ value: o.value, weight: W.value, rank: R.value });
+      const scoped = filter ? this.nodes.filter(d => this._evalFilter(d, filter)) : this.nodes;
+      const scopeText = filter ? ` matching <em>${esc(this._describeFilter(filter))}</em>` : '';
+      const whose = weight === 'parcels' ? 'parcels' : weight === 'units' ? 'residential units' : 'floor area';
+      const weighted = weight === 'parcels' ? '' : ` weighted by ${W.label}`;
+      const intent = { intent: 'equity', metric: outcome ? outcome.key : null, weight, rankBy, groupBy, filter };
+      if (groupBy === 'station') intent.stationType = kind;
+      const h4 = text => `<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">${text}</h4>`;
+      const formulas = [
+        ...(filter ? [`keep parcels where ${this._describeFilter(filter)}`] : []),
+        ...(weight === 'parcels' ? [] : [`weight wᵢ = ${W.label}`]),
+        FORMULAS.lorenz, FORMULAS.gini, FORMULAS.theil, FORMULAS.concentrationIndex
+      ];
+      const notes = outcomes.some(o => o.key === 'energy') ? ['Parcels with no recorded energy (0 kWh/yr) count as missing'] : [];
+      const noteHtml = notes.length ? `<div style="font-size:11px;color:#7f8c8d;margin-bottom:8px">${notes.map(esc).join('. ')}.</div>` : '';
+      const each = weight === 'parcels' ? 'parcel' : weight === 'units' ? 'residential unit' : 'square metre of floor area';
+      const reading = `The Gini coefficient runs from 0 (every ${each} has the same) to 1 (one parcel has it all).
+        A positive concentration index means the amenity is concentrated among parcels with more ${esc(R.label)}, a negative one among those with less.`;
+      const readingHtml = `<div style="font-size:11px;color:#7f8c8d;margin-bottom:8px">${reading}</div>`;
+      const index = v => (isNaN(v) ? '-' : (v < 0 ? '−' : v > 0 ? '+' : '') + Math.abs(v).toFixed(3));
+      const ciText = m => (m.concentration ? index(m.concentration.index) : '-');
+      const titleOf = what => `Equity: ${what}${groupBy ? ` by ${groupBy === 'category' ? 'Category' : STATION_KINDS[kind].title}` : ''}`;
+
+      if (!groupBy) {
+        const results = outcomes.map(o => Object.assign({ o }, EquityMetrics.measure(scoped, opts(o)))).filter(r => !isNaN(r.gini));
+        this._traceNote({ considered: scoped.length, kept: results.length ? results[0].n : 0, formulas, notes });
+        if (!results.length) return this._error(`No parcels${scopeText} have a positive ${esc(outcomes[0].label)} to measure.`);
+        const mapHighlights = scoped.filter(d => outcomes.some(o => o.value(d) != null && W.value(d) > 0)).map(d => d.id);
+
+        if (outcome) {
+          const m = results[0];
+          const ci = m.concentration ? m.concentration.index : NaN;
+          let html = `<div class="q-insight"><strong>${esc(outcome.label)}</strong> is spread over ${_fmt(m.n)} parcels${scopeText}${weighted}
+            with a Gini coefficient of <strong>${m.gini.toFixed(3)}</strong> (${inequalityWord(m.gini)} inequality) and a Theil index of ${m.theil.toFixed(3)}.
+            The bottom 40% of ${whose} hold <strong>${fmtShare(m.bottom)}</strong> of the total and the top 20% hold <strong>${fmtShare(m.top)}</strong>.
+            ${isNaN(ci) ? '' : Math.abs(ci) < 0.05
+              ? `Its concentration index by ${esc(R.label)} is ${index(ci)}: it is spread about evenly between parcels with less and more ${esc(R.label)}.`
+              : `Its concentration index by ${esc(R.label)} is ${index(ci)}: it is concentrated among parcels with ${ci > 0 ? 'more' : 'less'} ${esc(R.label)}.`}</div>${noteHtml}${readingHtml}`;
+          const measures = [
+            ['Parcels', _fmt(m.n)],
+            ...(weight === 'parcels' ? [] : [[`Total ${W.label}`, _fmt(m.weight)]]),
+            [`Mean${weighted}`, fmtMeasure(m.mean)],
+            ['Gini coefficient', m.gini.toFixed(3)],
+            ['Theil index', m.theil.toFixed(3)],
+            [`Share held by the bottom 40% of ${whose}`, fmtShare(m.bottom)],
+            [`Share held by the top 20% of ${whose}`, fmtShare(m.top)],
+            [`Concentration index by ${R.label}`, ciText(m)]
+          ];
+          html += h4('Equity Measures') + htmlTable(['Measure', 'Value'], measures.map(([k, v]) => [esc(k), v]), new Set([1]));
+          const lorenz = EquityMetrics.sample(m.lorenz, 100);
+          const conc = m.concentration ? m.concentration.curve : null;
+          return {
+            title: titleOf(outcome.label),
+            type: 'equity',
+            html,
+            chartConfig: this._lorenzChart([
+              { label: `Lorenz curve (Gini ${m.gini.toFixed(3)})`, curve: m.lorenz, color: '#2471a3' },
+              ...(conc ? [{ label: `Concentration curve by ${R.label} (${index(m.concentration.index)})`, curve: conc, color: '#c0392b', dash: true }] : [])
+            ], whose),
+            tables: [
+              dataTable('Equity Measures', ['Measure', 'Value'], [
+                ['Parcels', m.n], ['Total weight', m.weight], ['Mean', m.mean], ['Gini', m.gini], ['Theil', m.theil],
+                ['Bottom 40% share', m.bottom], ['Top 20% share', m.top], [`Concentration index by ${R.label}`, m.concentration ? m.concentration.index : null]
+              ]),
+              dataTable('Lorenz Curve', ['Population Share', 'Lorenz Share', `Concentration Share by ${R.label}`],
+                lorenz.map(pt => [pt.p, pt.c, conc ? EquityMetrics.curveAt(conc, pt.p) : null]))
+            ],
+            mapHighlights,
+            intent
+          };
+        }
+
+        // Every amenity side by side
+        const lead = [...results].sort((a, b) => b.gini - a.gini)[0];
+        let html = `<div class="q-insight">Across ${_fmt(results[0].n)} parcels${scopeText}${weighted}, <strong>${esc(lead.o.label)}</strong> is the most
+          unequally spread (Gini ${lead.gini.toFixed(3)}, ${inequalityWord(lead.gini)}). Name one amenity for its Lorenz and concentration curves,
+          or add "by category" or "by station" for a breakdown.</div>${noteHtml}${readingHtml}`;
+        html += htmlTable(['Amenity', `Mean${weighted}`, 'Gini', 'Theil', 'Bottom 40%', 'Top 20%', `Concentration Index by ${esc(R.label)}`],
+          results.map(r => [esc(r.o.label), fmtMeasure(r.mean), `${r.gini.toFixed(3)} <span style="color:#7f8c8d">${inequalityWord(r.gini)}</span>`,
+            r.theil.toFixed(3), fmtShare(r.bottom), fmtShare(r.top), ciText(r)]),
+          new Set([1, 2, 3, 4, 5, 6]));
+        return {
+          title: titleOf('Facility Count, Diversity and Transit'),
+          type: 'equity',
+          html,
+          chartConfig: this._lorenzChart(results.map((r, i) => ({
+            label: `${r.o.label} (Gini ${r.gini.toFixed(3)})`, curve: r.lorenz, color: SERIES_COLORS[i]
+          })), whose),
+          tables: [dataTable('Equity Measures', ['Amenity', 'Mean', 'Gini', 'Theil', 'Bottom 40% Share', 'Top 20% Share', `Concentration Index by ${R.label}`],
+            results.map(r => [r.o.label, r.mean, r.gini, r.theil, r.bottom, r.top, r.concentration ? r.concentration.index : null]))],
+          mapHighlights,
+          intent
+        };
+      }
+
+      // Breakdown by category or station catchment
+      const field = STATION_KINDS[kind].field;
+      const groupOf = groupBy === 'category' ? d => d.category || null : d => d[field] || null;
+      const labelOf = key => (groupBy === 'category' ? CAT_LABELS[key] || key : key);
+      const order = Object.keys(CAT_LABELS);
+      const splits = outcomes.map(o => Object.assign({ o }, EquityMetrics.breakdown(scoped, groupOf, opts(o))))
+        .filter(b => !isNaN(b.overall.gini));
+      this._traceNote({ considered: scoped.length, kept: splits.length ? splits[0].overall.n : 0, formulas, notes });
+      if (!splits.length) return this._error(`No parcels${scopeText} have a positive ${esc(outcomes[0].label)} to measure.`);
+      const sizeOk = g => g.n >= EQUITY_MIN_GROUP && !isNaN(g.gini);
+      const sortGroups = list => (groupBy === 'category'
+        ? list.sort((a, b) => order.indexOf(a.key) - order.indexOf(b.key))
+        : list.sort((a, b) => b.gini - a.gini || b.n - a.n));
+      const betweenShare = b => (b.within + b.between > 0 ? b.between / (b.within + b.between) : NaN);
+      const groupWord = groupBy === 'category' ? 'categories' : STATION_KINDS[kind].label + ' catchments';
+      const smallNote = count => (count ? `<div style="font-size:11px;color:#7f8c8d;margin-bottom:8px">${count} ${
+        groupBy === 'category' ? 'categories' : STATION_KINDS[kind].plural} with fewer than ${EQUITY_MIN_GROUP} parcels are not listed, but count towards the totals.</div>` : '');
+      const mapHighlights = scoped.filter(d => groupOf(d) != null).map(d => d.id);
+
+      if (outcome) {
+        const b = splits[0];
+        const shown = sortGroups(b.groups.filter(sizeOk));
+        const ranked = [...shown].sort((x, y) => y.gini - x.gini);
+        let html = `<div class="q-insight"><strong>${esc(outcome.label)}</strong> over ${_fmt(b.overall.n)} parcels${scopeText}${weighted}
+          has a Gini coefficient of <strong>${b.overall.gini.toFixed(3)}</strong> and a Theil index of ${b.overall.theil.toFixed(3)}.
+          <strong>${fmtShare(betweenShare(b))}</strong> of the Theil index lies between ${groupWord} (their means differ) and
+          ${fmtShare(1 - betweenShare(b))} within them.
+          ${ranked.length > 1 ? `Inequality is highest within ${esc(labelOf(ranked[0].key))} (Gini ${ranked[0].gini.toFixed(3)})
+          and lowest within ${esc(labelOf(ranked[ranked.length - 1].key))} (${ranked[ranked.length - 1].gini.toFixed(3)}).` : ''}</div>${noteHtml}${readingHtml}`;
+        html += smallNote(b.groups.length - shown.length);
+        const dot = key => (groupBy === 'category' ? catDot(key) : '');
+        html += htmlTable([groupBy === 'category' ? 'Category' : STATION_KINDS[kind].title, 'Parcels', `Mean${weighted}`, 'Gini', 'Theil',
+          'Bottom 40%', 'Top 20%', `Concentration Index by ${esc(R.label)}`, 'Share of Total'],
+          shown.map(g => [dot(g.key) + esc(labelOf(g.key)), _fmt(g.n), fmtMeasure(g.mean), g.gini.toFixed(3), g.theil.toFixed(3),
+            fmtShare(g.bottom), fmtShare(g.top), ciText(g), fmtShare(g.share)]),
+          new Set([1, 2, 3, 4, 5, 6, 7, 8]));
+
+        let chartConfig;
+        let mapColors;
+        if (groupBy === 'category') {
+          chartConfig = this._lorenzChart([
+            { label: `All (Gini ${b.overall.gini.toFixed(3)})`, curve: b.overall.lorenz, color: '#2c3e50', dash: true },
+            ...shown.map(g => ({ label: `${CAT_LABELS[g.key] || g.key} (${g.gini.toFixed(3)})`, curve: g.lorenz, color: CAT_COLORS[g.key] || '#95a5a6' }))
+          ], whose);
+        } else {
+          // Catchments coloured by how far their Gini sits from the overall one
+          const top = ranked.slice(0, 20);
+          chartConfig = {
+            type: 'bar',
+            data: {
+              labels: top.map(g => g.key),
+              datasets: [{
+                label: 'Gini coefficient',
+                data: top.map(g => g.gini),
+                backgroundColor: top.map(g => divergingColor((g.gini - b.overall.gini) / 0.2)),
+                borderWidth: 0
+              }]
+            },
+            options: {
+              indexAxis: 'y',
+              plugins: {
+                title: { display: true, text: `${outcome.label}: most unequal ${STATION_KINDS[kind].label} catchments (overall ${b.overall.gini.toFixed(3)})`, font: { size: 12 } },
+                legend: { display: false }
+              },
+              scales: {
+                x: { beginAtZero: true, max: 1, title: { display: true, text: 'Gini', font: { size: 10 } }, ticks: { font: { size: 10 } } },
+                y: { ticks: { font: { size: 9 } } }
+              }
+            }
+          };
+          const giniOf = new Map(shown.map(g => [g.key, g.gini]));
+          mapColors = {};
+          scoped.forEach(d => {
+            const g = giniOf.get(groupOf(d));
+            if (g != null) mapColors[d.id] = divergingColor((g - b.overall.gini) / 0.2);
+          });
+        }
+        return {
+          title: titleOf(outcome.label),
+          type: 'equity',
+          html,
+          chartConfig,
+          tables: [dataTable('Equity by Group', [groupBy === 'category' ? 'Category' : STATION_KINDS[kind].title, 'Parcels', 'Weight', 'Mean', 'Gini', 'Theil',
+            'Bottom 40% Share', 'Top 20% Share', `Concentration Index by ${R.label}`, 'Share of Total'],
+            sortGroups([...b.groups]).map(g => [labelOf(g.key), g.n, g.weight, g.mean, g.gini, g.theil, g.bottom, g.top,
+              g.concentration ? g.concentration.index : null, g.share])),
+          dataTable('Theil Decomposition', ['Part', 'Value', 'Share'], [
+            ['Within groups', b.within, 1 - betweenShare(b)], ['Between groups', b.between, betweenShare(b)], ['Total', b.overall.theil, 1]
+          ])],
+          mapHighlights,
+          mapColors,
+          intent
+        };
+      }
+
+      // Every amenity's Gini in each group
+      const keys = sortGroups([...splits[0].groups].filter(sizeOk)).map(g => g.key);
+      const ginis = splits.map(b => new Map(b.groups.map(g => [g.key, g])));
+      const cell = (i, key) => { const g = ginis[i].get(key); return g && !isNaN(g.gini) ? g.gini : NaN; };
+      let html = `<div class="q-insight">Gini coefficients of each amenity within ${groupWord}${scopeText}${weighted}.
+        The share of the Theil index that lies between ${groupWord}: ${splits.map(b => `${esc(b.o.label)} ${fmtShare(betweenShare(b))}`).join(', ')}.
+        Name one amenity for the full breakdown.</div>${noteHtml}`;
+      html += smallNote(splits[0].groups.length - keys.length);
+      html += htmlTable([groupBy === 'category' ? 'Category' : STATION_KINDS[kind].title, 'Parcels', ...splits.map(b => `Gini: ${esc(b.o.label)}`)],
+        [...keys.map(key => [(groupBy === 'category' ? catDot(key) : '') + esc(labelOf(key)), _fmt(ginis[0].get(key).n),
+          ...splits.map((b, i) => { const v = cell(i, key); return isNaN(v) ? '-' : v.toFixed(3); })]),
+        ['<strong>All</strong>', _fmt(splits[0].overall.n), ...splits.map(b => `<strong>${b.overall.gini.toFixed(3)}</strong>`)]],
+        new Set(splits.map((_, i) => i + 1).concat([splits.length + 1])));
+      const shownKeys = groupBy === 'category' ? keys : keys.slice(0, 20);
+      return {
+        title: titleOf('Facility Count, Diversity and Transit'),
+        type: 'equity',
+        html,
+        chartConfig: {
+          type: 'bar',
+          data: {
+            labels: shownKeys.map(labelOf),
+            datasets: splits.map((b, i) => ({
+              label: b.o.label,
+              data: shownKeys.map(key => { const v = cell(i, key); return isNaN(v) ? null : v; }),
+              backgroundColor: SERIES_COLORS[i],
+              borderWidth: 0
+            }))
+          },
+          options: {
+            plugins: {
+              title: { display: true, text: `Gini coefficient within ${groupWord}`, font: { size: 12 } },
+              legend: { labels: { font: { size: 10 } } }
+            },
+            scales: {
+              x: { ticks: { font: { size: 9 }, maxRotation: 35 } },
+              y: { beginAtZero: true, title: { display: true, text: 'Gini', font: { size: 10 } }, ticks: { font: { size: 10 } } }
+            }
+          }
+        },
+        tables: [dataTable('Gini by Group', [groupBy === 'category' ? 'Category' : STATION_KINDS[kind].title, 'Parcels', ...splits.map(b => b.o.label)],
+          sortGroups([...splits[0].groups]).map(g => [labelOf(g.key), g.n, ...splits.map((b, i) => { const v = cell(i, g.key); return isNaN(v) ? null : v; })]))],
+        mapHighlights,
+        intent
+      };
+    }
+
+    /** An amenity equity measures can take: the facility count, or any metric; { key, label, value } or null */
+    _equityOutcome(key) {
+      if (EquityMetrics && EquityMetrics.OUTCOMES[key]) {
+        const o = EquityMetrics.OUTCOMES[key];
+        return { key, label: o.label, value: o.value };
+      }
+      if (!METRICS[key]) return null;
+      const def = METRICS[key];
+      return { key, label: def.label, value: d => (hasValue(d, key) ? +d[def.key] : null) };
+    }
+
+    /** Chart.js config: Lorenz or concentration curves against the line of equality */
+    _lorenzChart(curves, whose) {
+      const datasets = curves.map(c => ({
+        label: c.label,
+        data: EquityMetrics.sample(c.curve, 100).map(pt => ({ x: pt.p, y: pt.c })),
+        borderColor: c.color,
+        backgroundColor: c.color,
+        borderWidth: 2,
+        borderDash: c.dash ? [6, 4] : undefined,
+        pointRadius: 0,
+        showLine: true,
+        fill: false
+      }));
+      datasets.push({
+        label: 'Equality',
+        data: [{ x: 0, y: 0 }, { x: 1, y: 1 }],
+        borderColor: '#95a5a6',
+        borderWidth: 1,
+        borderDash: [2, 3],
+        pointRadius: 0,
+        showLine: true,
+        fill: false
+      });
+      return {
+        type: 'scatter',
+        data: { datasets },
+        options: {
+          plugins: { legend: { position: 'bottom', labels: { font: { size: 10 }, boxWidth: 10 } } },
+          scales: {
+            x: { min: 0, max: 1, title: { display: true, text: `Cumulative share of ${whose}`, font: { size: 11 } }, ticks: { font: { size: 10 } } },
+            y: { min: 0, max: 1, title: { display: true, text: 'Cumulative share of the amenity', font: { size: 11 } }, ticks: { font: { size: 10 } } }
+          }
+        }
+      };
+    }
+
+    /**
+     * Side-by-side comparison of two or more parcels, or of one parcel with
+     * the average parcel of its category or of its graph neighbourhood:
+     * metric table, facility-set diff, neighbours per edge type and a
+     * radar chart over the min–max scaled core metrics.
+     * @param {Object} spec - { parcels: [id], baseline: null | 'category' | 'neighbours', category, edgeTypes }
+     */
+    _parcelComparison(spec) {
+      const missing = spec.parcels.find(id => !this.nodeMap[id]);
+      if (missing) return this._error(`Parcel <strong>${esc(missing)}</strong> was not found in the dataset.`);
+      // A parcel named twice is compared once
+      const listed = [...new Set(spec.parcels)];
+      if (spec.parcels.length > 1 && listed.length < 2) {
+        const id = esc(listed[0]);
+        return this._error(`<strong>${id}</strong> was named more than once. Name two or more different parcels, ` +
+          `or compare it with its peers, e.g. "Compare ${id} with its category" or "Compare ${id} with its neighbourhood".`);
+      }
+      if (listed.length > SERIES_COLORS.length) {
+        return this._error(`Compare up to ${SERIES_COLORS.length} parcels at a time.`);
+      }
+      const parcels = listed.map(id => this.nodeMap[id]);
+      const ids = parcels.map(d => d.id);
+      const index = parcels.map(d => this.nodes.indexOf(d));
+      const baseline = listed.length === 1 ? (spec.baseline || 'category') : null;
+      const typeText = types => types.map(t => EDGE_LABELS[t] || t).join(', ');
+
+      // Neighbour indices per edge type, and over all types ('*')
+      const neighbours = i => {
+        const byType = { '*': new Set() };
+        (this.adj[i] || []).forEach(([j, type]) => {
+          (byType[type] = byType[type] || new Set()).add(j);
+          byType['*'].add(j);
+        });
+        return byType;
+      };
+      const nbrs = index.map(neighbours);
+
+      // The group a lone parcel is measured against
+      let group = null, groupName = null, cat = null;
+      if (baseline === 'neighbours') {
+        const types = spec.edgeTypes;
+        const set = new Set();
+        (this.adj[index[0]] || []).forEach(([j, type]) => { if (!types || types.includes(type)) set.add(j); });
+        group = [...set].map(j => this.nodes[j]);
+        groupName = types ? `neighbours via ${typeText(types)}` : 'graph neighbours';
+        if (!group.length) {
+          return this._error(`<strong>${esc(ids[0])}</strong> has no ${groupName} to compare with.`);
+        }
+      } else if (baseline === 'category') {
+        cat = spec.category || parcels[0].category;
+        group = this.byCategory[cat] || [];
+        groupName = `${CAT_LABELS[cat] || cat} parcels`;
+      }
+      const groupAvg = m => {
+        const vals = group.filter(d => hasValue(d, m)).map(d => d[METRICS[m].key]);
+        return vals.length ? mean(vals) : null;
+      };
+      const valueOf = (d, m) => (hasValue(d, m) ? d[METRICS[m].key] : null);
+      const colorOf = i => SERIES_COLORS[i];
+      this._traceNote({
+        considered: this.stats.count,
+        kept: parcels.length + (group ? group.length : 0),
+        formulas: group ? [FORMULAS.mean, FORMULAS.difference, FORMULAS.minmax] : [FORMULAS.minmax],
+        notes: group ? [`Averaged over ${group.length} ${groupName}`] : []
+      });
+
+      // Metric table
+      const metrics = Object.keys(METRICS);
+      const avgs = group ? Object.fromEntries(metrics.map(m => [m, groupAvg(m)])) : null;
+      const diffOf = m => {
+        const v = valueOf(parcels[0], m);
+        return v == null || !avgs[m] ? null : (v - avgs[m]) / Math.abs(avgs[m]) * 100;
+      };
+      const cell = v => (v == null ? '&ndash;' : _fmt(v));
+      const pct = v => (v == null ? '&ndash;' : `${v > 0 ? '+' : v < 0 ? '\u2212' : ''}${Math.abs(v).toFixed(1)}%`);
+      const heads = ['Metric', ...ids.map((id, i) => colorDot(colorOf(i)) + esc(id))];
+      const rows = [['Category', ...parcels.map(d => catDot(d.category) + (CAT_LABELS[d.category] || d.category))]];
+      if (group) {
+        heads.push(`${colorDot('#7f8c8d')}Average of ${group.length} ${esc(groupName)}`, 'Difference');
+        rows[0].push('', '');
+      }
+      metrics.forEach(m => {
+        const row = [METRICS[m].label, ...parcels.map(d => cell(valueOf(d, m)))];
+        if (group) row.push(cell(avgs[m]), pct(diffOf(m)));
+        rows.push(row);
+      });
+
+      // Facility-set diff
+      const facs = parcels.map(facilitySet);
+      let facSets;
+      let share = null;
+      if (group) {
+        share = {};
+        group.forEach(d => facilitySet(d).forEach(f => { share[f] = (share[f] || 0) + 1 / group.length; }));
+        const typical = new Set(Object.keys(share).filter(f => share[f] >= 0.5));
+        facSets = [
+          ['Shared', [...facs[0]].filter(f => typical.has(f))],
+          [`Only ${ids[0]}`, [...facs[0]].filter(f => !typical.has(f))],
+          [`Only the ${groupName}`, [...typical].filter(f => !facs[0].has(f))]
+        ];
+      } else {
+        const all = [...new Set(facs.flatMap(s => [...s]))];
+        const holders = f => facs.filter(s => s.has(f)).length;
+        facSets = [[ids.length === 2 ? 'Shared' : 'Shared by all', all.filter(f => holders(f) === ids.length)]];
+        ids.forEach((id, i) => facSets.push([`Only ${id}`, all.filter(f => facs[i].has(f) && holders(f) === 1)]));
+        if (ids.length > 2) facSets.push(['Some but not all', all.filter(f => holders(f) > 1 && holders(f) < ids.length)]);
+      }
+      const facName = f => (share ? `${f} (${Math.round((share[f] || 0) * 100)}%)` : f);
+
+      // Neighbours per edge type
+      const types = Object.keys(EDGE_LABELS).filter(t => nbrs.some(n => n[t]));
+      let nbrHeads, nbrRows;
+      if (group) {
+        const groupNbrs = group.map(d => neighbours(this.nodes.indexOf(d)));
+        const inGroup = new Set(group.map(d => this.nodes.indexOf(d)));
+        nbrHeads = ['Edge Type', ids[0], `Avg per ${baseline === 'category' ? 'category parcel' : 'neighbour'}`];
+        if (baseline === 'category') nbrHeads.push('In the category');
+        nbrRows = [...types, '*'].map(t => {
+          const own = nbrs[0][t] || new Set();
+          const row = [t === '*' ? 'All edge types' : EDGE_LABELS[t], own.size, mean(groupNbrs.map(n => (n[t] ? n[t].size : 0)))];
+          if (baseline === 'category') row.push([...own].filter(j => inGroup.has(j)).length);
+          return row;
+        });
+      } else {
+        const compared = new Set(index);
+        nbrHeads = ['Edge Type', ...ids.map(id => `${id} neighbours`), ids.length === 2 ? 'Shared' : 'Shared by all'];
+        if (ids.length > 2) nbrHeads.push('Shared by 2+');
+        nbrHeads.push('Direct links');
+        nbrRows = [...types, '*'].map(t => {
+          const sets = nbrs.map(n => n[t] || new Set());
+          const counts = new Map();
+          sets.forEach(set => set.forEach(j => { if (!compared.has(j)) counts.set(j, (counts.get(j) || 0) + 1); }));
+          const shared = [...counts.values()];
+          let links = 0;
+          index.forEach((a, x) => index.forEach((b, y) => { if (x < y && sets[x].has(b)) links++; }));
+          const row = [t === '*' ? 'All edge types' : EDGE_LABELS[t], ...sets.map(set => set.size), shared.filter(c => c === ids.length).length];
+          if (ids.length > 2) row.push(shared.filter(c => c >= 2).length);
+          row.push(links);
+          return row;
+        });
+      }
+
+      // Insight
+      let html;
+      if (group) {
+        const d = parcels[0];
+        const notable = RADAR_METRICS.map(m => [m, diffOf(m)])
+          .filter(([, v]) => v != null && Math.abs(v) >= 10)
+          .sort((a, b) => Math.abs(b[1]) - Math.abs(a[1]))
+          .slice(0, 3)
+          .map(([m, v]) => `${METRICS[m].label.replace(/\s*\(.*\)$/, '')} ${Math.abs(v).toFixed(1)}% ${v > 0 ? 'above' : 'below'}`);
+        const own = baseline === 'neighbours' || cat === d.category;
+        html = `<div class="q-insight">${catDot(d.category)}<strong>${esc(d.id)}</strong> (${CAT_LABELS[d.category] || d.category})
+          compared with the average of ${own ? 'its' : 'the'} ${_fmt(group.length)} ${esc(groupName)}` +
+          `. ${notable.length ? `Largest differences: ${notable.join('; ')} average.` : 'It is within 10% of the average on every core metric.'}</div>`;
+      } else {
+        const sharedAll = nbrRows[nbrRows.length - 1][ids.length + 1];
+        const links = nbrRows[nbrRows.length - 1][nbrRows[0].length - 1];
+        html = `<div class="q-insight">Comparing ${parcels.map((d, i) =>
+          `${colorDot(colorOf(i))}<strong>${esc(d.id)}</strong> (${CAT_LABELS[d.category] || d.category})`).join(', ')}.
+          ${ids.length === 2 ? 'They' : 'All of them'} share ${facSets[0][1].length} facility type${facSets[0][1].length === 1 ? '' : 's'}
+          and ${_fmt(sharedAll)} graph neighbour${sharedAll === 1 ? '' : 's'}` +
+          (links ? `, and are directly linked by ${links} edge${links === 1 ? '' : 's'}` : '') + '.</div>';
+      }
+      html += htmlTable(heads, rows, new Set(heads.map((h, i) => i).filter(i => i > 0)));
+
+      const h4 = text => `<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">${text}</h4>`;
+      html += h4('Facilities');
+      facSets.forEach(([name, list]) => {
+        html += `<div style="margin-bottom:6px"><span style="font-size:11px;font-weight:600">${esc(name)}</span>
+          <span style="font-size:10px;color:#7f8c8d">(${list.length})</span>: ` +
+          (list.length
+            ? `<span class="facility-tags">${list.map(f => `<span class="facility-tag ft-${esc(f)}">${esc(facName(f))}</span>`).join('')}</span>`
+            : '<em style="font-size:10px;color:#7f8c8d">none</em>') + '</div>';
+      });
+      if (share) html += '<div style="font-size:10px;color:#7f8c8d">Percentages: share of the group with the facility; the group\u2019s set is the facilities at least half of it has.</div>';
+      html += h4(group ? 'Neighbours by Edge Type' : 'Shared Neighbours by Edge Type');
+      html += htmlTable(nbrHeads.map(esc), nbrRows.map(row => row.map((v, i) => (i === 0 ? v : _fmt(v)))),
+        new Set(nbrHeads.map((h, i) => i).filter(i => i > 0)));
+
+      // Radar chart
+      const radarLabel = m => METRICS[m].label.replace(/\s*\(.*\)$/, '');
+      const norm = (m, v) => (v == null ? 0 : this._normMetric(m, v));
+      const datasets = parcels.map((d, i) => ({
+        label: d.id,
+        data: RADAR_METRICS.map(m => norm(m, valueOf(d, m))),
+        borderColor: colorOf(i),
+        backgroundColor: colorOf(i) + '22',
+        borderWidth: 2,
+        pointRadius: 3
+      }));
+      if (group) {
+        datasets.push({
+          label: `Average of ${groupName}`,
+          data: RADAR_METRICS.map(m => norm(m, avgs[m])),
+          borderColor: '#7f8c8d',
+          backgroundColor: '#7f8c8d22',
+          borderDash: [4, 4],
+          borderWidth: 2,
+          pointRadius: 2
+        });
+      }
+      const title = group ? `${ids[0]} vs ${groupName.replace(/^graph /, '')}` : ids.join(' vs ');
+      const chartConfig = {
+        type: 'radar',
+        data: { labels: RADAR_METRICS.map(radarLabel), datasets },
+        options: {
+          scales: {
+            r: { beginAtZero: true, max: 1, ticks: { stepSize: 0.25, font: { size: 10 } } }
+          },
+          plugins: {
+            title: { display: true, text: `${title} (min\u2013max scaled over all parcels)`, font: { size: 12 } },
+            legend: { labels: { font: { size: 11 } } }
+          }
+        }
+      };
+
+      const tableCols = ['Metric', ...ids];
+      if (group) tableCols.push(`Average of ${groupName}`, 'Difference (%)');
+      const tables = [
+        dataTable('Comparison', tableCols, metrics.map(m => {
+          const row = [METRICS[m].label, ...parcels.map(d => valueOf(d, m))];
+          if (group) row.push(avgs[m], diffOf(m));
+          return row;
+        })),
+        dataTable('Facilities', ['Set', 'Count', 'Facility Types'],
+          facSets.map(([name, list]) => [name, list.length, list.map(facName).join(', ')])),
+        dataTable(group ? 'Neighbours' : 'Shared Neighbours', nbrHeads, nbrRows)
+      ];
+
+      // Compared parcels are highlighted; a neighbourhood is shaded grey around them
+      const mapColors = {};
+      if (baseline === 'neighbours') group.forEach(d => { mapColors[d.id] = '#95a5a6'; });
+
+      return {
+        title: group ? `${ids[0]} vs ${baseline === 'category' ? CAT_LABELS[cat] || cat : 'Neighbourhood'} Average` : `Parcel Comparison: ${ids.join(' vs ')}`,
+        type: 'comparison',
+        html,
+        chartConfig,
+        tables,
+        mapHighlights: ids,
+        mapColors: baseline === 'neighbours' ? mapColors : undefined,
+        intent: {
+          intent: 'comparison',
+          parcels: ids,
+          parcelId: group ? ids[0] : undefined,
+          baseline,
+          category: cat,
+          edgeTypes: spec.edgeTypes || null
+        }
+      };
+    }
+
+    /** Explain classification methodology */
+    _methodology() {
+      let html = `<div class="q-insight">Parcels are classified into <strong>${CATEGORY_RULES.length} categories</strong>
+        based on transit accessibility, diversity, and density metrics.
+        Rules are evaluated in order; the <em>first matching</em> rule determines the category.</div>`;
+      if (this.categoryRules && this.categoryRules.isCustom()) {
+        const moved = this.categoryRules.transitions(this.nodes).changed;
+        html += `<div class="q-insight">These are <strong>edited rules</strong>, not the pipeline's:
+          ${_fmt(moved)} of ${_fmt(this.stats.count)} parcels are in a different category than the pipeline gave them.</div>`;
+        this._traceNote({ notes: [`Custom classification scheme; ${moved} parcels reclassified`] });
+      }
+
+      html += '<h4 style="font-size:12px;font-weight:600;margin:12px 0 8px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Classification Rules (in priority order)</h4>';
+
+      const ruleRows = CATEGORY_RULES.map((r, i) => [
+        i + 1,
+        catDot(r.key) + CAT_LABELS[r.key],
+        esc(r.desc),
+        _fmt((this.byCategory[r.key] || []).length)
+      ]);
+      html += htmlTable(['Priority', 'Category', 'Condition', 'Count'], ruleRows, new Set([0, 3]));
+
+      html += `<h4 style="font-size:12px;font-weight:600;margin:14px 0 8px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Key Metrics Used</h4>
+        <ul style="margin-left:18px;font-size:12px;line-height:1.8">
+          <li><strong>Transit Index (ti)</strong>: 0-1, combining bus and MRT proximity. Higher = better transit access.</li>
+          <li><strong>Diversity Index (div)</strong>: 0-1, based on facility type variety. Higher = more diverse amenities.</li>
+          <li><strong>Gross Floor Area (gfa)</strong>: Total built-up area in m\u00b2. Proxy for density.</li>
+        </ul>`;
+
+      html += `<h4 style="font-size:12px;font-weight:600;margin:14px 0 8px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Edge Types</h4>
+        <p style="font-size:12px;margin-bottom:8px">Parcels are connected when they share nearest amenities or have similar lifestyle profiles:</p>`;
+      const edgeRows = Object.entries(EDGE_LABELS).map(([key, label]) => [
+        label,
+        key,
+        _fmt(this.edgeTypeCounts[key] || 0)
+      ]);
+      html += htmlTable(['Relationship', 'Code', 'Count'], edgeRows, new Set([2]));
+
+      // Distribution chart
+      const cats = Object.keys(CAT_LABELS);
+      const chartConfig = {
+        type: 'pie',
+        data: {
+          labels: cats.map(c => CAT_LABELS[c]),
+          datasets: [{
+            data: cats.map(c => (this.byCategory[c] || []).length),
+            backgroundColor: cats.map(c => CAT_COLORS[c]),
+            borderWidth: 1
+          }]
+        },
+        options: {
+          plugins: {
+            title: { display: true, text: 'Category Distribution', font: { size: 12 } },
+            legend: { position: 'right', labels: { font: { size: 10 } } }
+          }
+        }
+      };
+
+      const tables = [
+        dataTable('Classification Rules', ['Priority', 'Category', 'Condition', 'Count'],
+          CATEGORY_RULES.map((r, i) => [i + 1, r.key, r.desc, (this.byCategory[r.key] || []).length])),
+        dataTable('Edge Types', ['Relationship', 'Code', 'Count'],
+          Object.entries(EDGE_LABELS).map(([key, label]) => [label, key, this.edgeTypeCounts[key] || 0]))
+      ];
+
+      return {
+        title: 'Classification Methodology',
+        type: 'methodology',
+        html,
+        chartConfig,
+        tables
+      };
+    }
+
+    /**
+     * Why one parcel has its category: every rule in priority order with the
+     * parcel's values against the thresholds, then the smallest change in
+     * transit index, diversity or GFA that would put it in each other category
+     * (one field where that is enough, otherwise two).
+     * @param {{ parcelId:string, target?:string }} spec - target: a category the question asked about
+     */
+    _classificationWhy(spec) {
+      const d = this.nodeMap[spec.parcelId];
+      if (!d) return this._error(`Parcel <strong>${esc(spec.parcelId)}</strong> was not found in the dataset.`);
+      const fields = Object.keys(COUNTERFACTUAL_FIELDS);
+      this._traceNote({ params: { parcel: d.id, target: spec.target ? CAT_LABELS[spec.target] || spec.target : null } });
+
+      const metricOf = key => Object.keys(METRICS).find(m => METRICS[m].key === key);
+      const fieldLabel = key => (metricOf(key) ? METRICS[metricOf(key)].label.replace(/\s*\(.*\)$/, '') : key);
+      const num = v => (v == null || isNaN(v) ? '\u2014' : Number.isInteger(+v) ? _fmt(+v) : String(+(+v).toFixed(4)));
+      const opText = op => ({ '>=': '\u2265', '<=': '\u2264' }[op] || op);
+      const clauseText = c => `${fieldLabel(c.key)} ${opText(c.op)} ${num(c.value)}`;
+      const catName = key => CAT_LABELS[key] || key;
+
+      // Walk the rules in priority order
+      const current = classifyParcel(d);
+      const matchedAt = CATEGORY_RULES.findIndex(r => r.key === current);
+      const walk = CATEGORY_RULES.map((r, i) => {
+        const alts = r.test.map(clauses => clauses.map(c => ({ c, pass: clausePasses(c, d) })));
+        const pass = !alts.length || alts.some(alt => alt.every(x => x.pass));
+        // The alternative closest to passing explains a miss
+        const closest = alts.length ? alts.reduce((a, b) => (b.filter(x => !x.pass).length < a.filter(x => !x.pass).length ? b : a)) : [];
+        return { r, i, alts, pass, closest };
+      });
+
+      const walkRows = [];
+      const walkData = [];
+      walk.forEach(w => {
+        const outcome = w.i < matchedAt ? 'Missed' : w.i === matchedAt ? 'Matched' : 'Not reached';
+        const outcomeHtml = w.i === matchedAt ? `<strong style="color:#1e8449">Matched</strong>`
+          : w.i < matchedAt ? '<span style="color:#922b21">Missed</span>' : '<span style="color:#7f8c8d">Not reached</span>';
+        const head = [w.i + 1, catDot(w.r.key) + esc(catName(w.r.key))];
+        if (!w.alts.length) {
+          walkRows.push([...head, '<em>Default (none of the above)</em>', '', '', '\u2713', outcomeHtml]);
+          walkData.push([w.i + 1, catName(w.r.key), 'Default', null, null, 'Pass', outcome]);
+          return;
+        }
+        w.alts.forEach((alt, a) => alt.forEach((x, j) => {
+          const first = a === 0 && j === 0;
+          const result = x.pass ? '<span style="color:#1e8449">\u2713 Pass</span>' : '<span style="color:#922b21">\u2717 Fail</span>';
+          walkRows.push([
+            first ? head[0] : '', first ? head[1] : '',
+            (a > 0 && j === 0 ? '<em>or</em> ' : '') + esc(clauseText(x.c)),
+            num(d[x.c.key]), esc(`${opText(x.c.op)} ${num(x.c.value)}`), result, first ? outcomeHtml : ''
+          ]);
+          walkData.push([w.i + 1, catName(w.r.key), clauseText(x.c), d[x.c.key] == null ? null : +d[x.c.key],
+            x.c.value, x.pass ? 'Pass' : 'Fail', outcome]);
+        }));
+      });
+
+      // Smallest change into each other category: try every value just either side of
+      // a threshold on one field, then on two fields together; keep the change that is
+      // smallest relative to each field's range over all parcels
+      const classifyWith = changes => classifyParcel(Object.assign({}, d, changes));
+      const candidates = {};
+      fields.forEach(m => {
+        const { step, min, max } = COUNTERFACTUAL_FIELDS[m];
+        const key = METRICS[m].key;
+        const vals = new Set();
+        CATEGORY_RULES.forEach(r => r.test.forEach(alt => alt.forEach(c => {
+          if (c.key !== key) return;
+          [c.value - step, c.value, c.value + step].forEach(v => {
+            if (v >= min && v <= max) vals.add(+v.toFixed(6));
+          });
+        })));
+        candidates[m] = [...vals].filter(v => v !== +d[key]);
+      });
+      const span = m => {
+        const r = this.metricRanges[m];
+        return r && r.max > r.min ? r.max - r.min : 1;
+      };
+      const cost = changes => Object.entries(changes).reduce((s, [m, v]) => s + Math.abs(v - (+d[METRICS[m].key] || 0)) / span(m), 0);
+      const asKeys = changes => {
+        const out = {};
+        Object.entries(changes).forEach(([m, v]) => { out[METRICS[m].key] = v; });
+        return out;
+      };
+      const moves = {};
+      CATEGORY_RULES.forEach(r => {
+        if (r.key === current) return;
+        const single = {};
+        fields.forEach(m => {
+          candidates[m].forEach(v => {
+            if (classifyWith(asKeys({ [m]: v })) !== r.key) return;
+            if (!single[m] || cost({ [m]: v }) < cost({ [m]: single[m] })) single[m] = v;
+          });
+        });
+        let best = null;
+        Object.entries(single).forEach(([m, v]) => {
+          if (!best || cost({ [m]: v }) < cost(best)) best = { [m]: v };
+        });
+        if (!best) {
+          fields.forEach((m1, a) => fields.slice(a + 1).forEach(m2 => {
+            candidates[m1].forEach(v1 => candidates[m2].forEach(v2 => {
+              const changes = { [m1]: v1, [m2]: v2 };
+              if (classifyWith(asKeys(changes)) === r.key && (!best || cost(changes) < cost(best))) best = changes;
+            }));
+          }));
+        }
+        moves[r.key] = { single, best };
+      });
+
+      const fieldName = m => METRICS[m].label.replace(/\s*\(.*\)$/, '');
+      const signed = (m, v) => {
+        const delta = v - (+d[METRICS[m].key] || 0);
+        const dp = COUNTERFACTUAL_FIELDS[m].step < 1 ? 2 : 0;
+        const abs = dp ? Math.abs(delta).toFixed(dp) : _fmt(Math.round(Math.abs(delta)));
+        return `${dp ? v.toFixed(dp) : _fmt(Math.round(v))} (${delta >= 0 ? '+' : '\u2212'}${abs})`;
+      };
+      const changeText = changes => (changes
+        ? Object.entries(changes).map(([m, v]) => `${fieldName(m)} to ${signed(m, v)}`).join(' and ')
+        : 'Not reachable by changing these alone');
+
+      // Insight
+      const recorded = d.category;
+      let html = `<div class="q-insight">${catDot(current)}<strong>${esc(d.id)}</strong> is
+        <strong>${esc(catName(current))}</strong>`;
+      const misses = walk.filter(w => w.i < matchedAt).map(w => {
+        const failed = w.closest.filter(x => !x.pass).map(x => esc(`${fieldLabel(x.c.key).toLowerCase()} ${num(d[x.c.key])}, needs ${opText(x.c.op)} ${num(x.c.value)}`));
+        return `rule ${w.i + 1} (${failed.join('; ')})`;
+      });
+      if (matchedAt >= 0 && CATEGORY_RULES[matchedAt].test.length) {
+        const hit = walk[matchedAt].alts.find(alt => alt.every(x => x.pass));
+        html += `: rule ${matchedAt + 1} is the first it meets, with ${hit.map(x => `${fieldLabel(x.c.key).toLowerCase()} ${num(d[x.c.key])}`).join(' and ')}.`;
+      } else {
+        html += ': it meets none of the earlier rules, so it falls to the default.';
+      }
+      if (misses.length) html += ` It misses ${misses.join(', ')}.`;
+      if (recorded !== current) {
+        html += ` <br><em>Its recorded category is ${esc(catName(recorded))}; the rules as written give ${esc(catName(current))}.</em>`;
+      }
+      if (spec.target && spec.target !== current) {
+        const move = moves[spec.target];
+        html += `<br>To become <strong>${esc(catName(spec.target))}</strong>: ${move && move.best ? esc(changeText(move.best)) : 'no change in transit index, diversity or GFA alone would do it'}.`;
+      } else if (spec.target) {
+        html += '<br>That is the category it already has.';
+      }
+      html += '</div>';
+
+      const h4 = text => `<h4 style="font-size:12px;font-weight:600;margin:14px 0 6px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">${text}</h4>`;
+      const walkHeads = ['Priority', 'Category', 'Condition', 'Parcel Value', 'Threshold', 'Result', 'Outcome'];
+      html += h4('Rules in Priority Order');
+      html += htmlTable(walkHeads, walkRows, new Set([0, 3, 4]));
+
+      const others = CATEGORY_RULES.filter(r => r.key !== current);
+      const moveHeads = ['Category', ...fields.map(m => METRICS[m].label), 'Smallest Change'];
+      const moveRows = others.map(r => {
+        const mv = moves[r.key];
+        const cells = fields.map(m => (mv.single[m] != null ? signed(m, mv.single[m]) : '\u2014'));
+        const label = catDot(r.key) + esc(catName(r.key));
+        return [r.key === spec.target ? `<strong>${label}</strong>` : label, ...cells, esc(changeText(mv.best))];
+      });
+      html += h4('Smallest Change to Reach Each Category');
+      html += htmlTable(moveHeads, moveRows, new Set(fields.map((m, i) => i + 1)));
+      html += `<div style="font-size:10px;color:#7f8c8d">One field at a time, other values unchanged; two together only where one is not enough.
+        Steps of 0.01 for the indices and 1 m\u00b2 for GFA. "Smallest" is relative to each field's range over all parcels.</div>`;
+      this._traceNote({ notes: ['Counterfactuals try values just either side of each rule threshold'] });
+
+      // How far each category is, as a share of the field ranges
+      const reachable = others.filter(r => moves[r.key].best);
+      const chartConfig = reachable.length ? {
+        type: 'bar',
+        data: {
+          labels: reachable.map(r => catName(r.key)),
+          datasets: [{
+            label: 'Smallest change (% of range)',
+            data: reachable.map(r => +(cost(moves[r.key].best) * 100).toFixed(2)),
+            backgroundColor: reachable.map(r => CAT_COLORS[r.key] || '#999'),
+            borderWidth: 0,
+            borderRadius: 2
+          }]
+        },
+        options: {
+          indexAxis: 'y',
+          plugins: {
+            title: { display: true, text: `How far ${d.id} is from each category`, font: { size: 12 } },
+            legend: { display: false }
+          },
+          scales: {
+            x: { beginAtZero: true, title: { display: true, text: '% of the field\u2019s range', font: { size: 10 } }, ticks: { font: { size: 10 } } },
+            y: { ticks: { font: { size: 10 } } }
+          }
+        }
+      } : undefined;
+
+      const moveData = others.map(r => {
+        const mv = moves[r.key];
+        const row = [catName(r.key)];
+        fields.forEach(m => {
+          const v = mv.single[m];
+          row.push(v == null ? null : v, v == null ? null : +(v - (+d[METRICS[m].key] || 0)).toFixed(6));
+        });
+        row.push(mv.best ? changeText(mv.best) : null);
+        return row;
+      });
+
+      return {
+        title: `Why ${d.id} is ${catName(current)}`,
+        type: 'classification',
+        html,
+        chartConfig,
+        tables: [
+          dataTable('Rules', walkHeads, walkData),
+          dataTable('Smallest Changes', ['Category',
+            ...fields.flatMap(m => [`${fieldName(m)} To`, `${fieldName(m)} Change`]), 'Smallest Change'], moveData)
+        ],
+        mapHighlights: [d.id],
+        intent: { intent: 'classification', parcelId: d.id, category: spec.target || null }
+      };
+    }
+
+    /** Dataset overview */
+    _overview() {
+      const s = this.stats;
+
+      let html = '<div class="stat-grid">';
+      const statCards = [
+        [_fmt(s.count), 'Parcels'],
+        [_fmt(s.edgeCount), 'Edges'],
+        [_fmt(s.totalGFA), 'Total GFA (m\u00b2)'],
+        [_fmt(s.totalEnergy), 'Total Energy (kWh/yr)'],
+        [_fmt(s.totalBuildings), 'Buildings'],
+        [_fmt(s.totalUnits), 'Est. Units']
+      ];
+      statCards.forEach(([val, label]) => {
+        html += `<div class="stat-card"><div class="stat-value">${val}</div><div class="stat-label">${label}</div></div>`;
+      });
+      html += '</div>';
+
+      // Category breakdown table
+      html += '<h4 style="font-size:12px;font-weight:600;margin:14px 0 8px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Category Breakdown</h4>';
+      const cats = Object.keys(CAT_LABELS).filter(c => (this.byCategory[c] || []).length > 0);
+      const catRows = cats.map(c => {
+        const cs = this.catStats[c];
+        return [
+          catDot(c) + CAT_LABELS[c],
+          cs.count,
+          (cs.count / s.count * 100).toFixed(1) + '%',
+          _fmt(cs.avgGFA),
+          _fmt(cs.avgTransit),
+          _fmt(cs.avgDiversity)
+        ];
+      });
+      html += htmlTable(['Category', 'Count', 'Share', 'Avg GFA', 'Avg Transit', 'Avg Diversity'], catRows, new Set([1, 2, 3, 4, 5]));
+
+      // Edge type breakdown
+      html += '<h4 style="font-size:12px;font-weight:600;margin:14px 0 8px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Edge Types</h4>';
+      const edgeRows = Object.entries(this.edgeTypeCounts)
+        .sort((a, b) => b[1] - a[1])
+        .map(([t, cnt]) => [EDGE_LABELS[t] || t, _fmt(cnt), (cnt / s.edgeCount * 100).toFixed(1) + '%']);
+      html += htmlTable(['Type', 'Count', 'Share'], edgeRows, new Set([1, 2]));
+
+      // Facility types
+      html += '<h4 style="font-size:12px;font-weight:600;margin:14px 0 8px;color:#2471a3;text-transform:uppercase;letter-spacing:0.5px">Facility Types (' + this.allFacilityTypes.size + ')</h4>';
+      html += '<div class="facility-tags" style="margin-bottom:12px">';
+      [...this.allFacilityTypes].sort().forEach(f => {
+        html += `<span class="facility-tag ft-${f}">${f}</span>`;
+      });
+      html += '</div>';
+
+      // Pie chart
+      const chartConfig = {
+        type: 'pie',
+        data: {
+          labels: cats.map(c => CAT_LABELS[c]),
+          datasets: [{
+            data: cats.map(c => (this.byCategory[c] || []).length),
+            backgroundColor: cats.map(c => CAT_COLORS[c]),
+            borderWidth: 1
+          }]
+        },
+        options: {
+          plugins: {
+            title: { display: true, text: 'Parcel Distribution by Category', font: { size: 12 } },
+            legend: { position: 'right', labels: { font: { size: 10 } } }
+          }
+        }
+      };
+
+      const tables = [
+        dataTable('Totals', ['Statistic', 'Value'], [
+          ['Parcels', s.count], ['Edges', s.edgeCount], ['Total GFA (m\u00b2)', s.totalGFA],
+          ['Total Energy (kWh/yr)', s.totalEnergy], ['Buildings', s.totalBuildings], ['Est. Units', s.totalUnits]
+        ]),
+        dataTable('Categories', ['Category', 'Count', 'Share', 'Avg GFA', 'Avg Transit', 'Avg Diversity'],
+          cats.map(c => {
+            const cs = this.catStats[c];
+            return [c, cs.count, cs.count / s.count, cs.avgGFA, cs.avgTransit, cs.avgDiversity];
+          })),
+        dataTable('Edge Types', ['Type', 'Count', 'Share'],
+          Object.entries(this.edgeTypeCounts).sort((a, b) => b[1] - a[1]).map(([t, cnt]) => [t, cnt, cnt / s.edgeCount]))
+      ];
+
+      return {
+        title: 'Dataset Overview',
+        type: 'overview',
+        html,
+        chartConfig,
+        tables
+      };
+    }
+
+    /** List available facility types */
+    _facilityTypes() {
+      const ftCounts = {};
+      this.nodes.forEach(d => {
+        if (!d.ft) return;
+        d.ft.split(',').forEach(f => {
+          const t = f.trim();
+          if (t) ftCounts[t] = (ftCounts[t] || 0) + 1;
+        });
+      });
+
+      const sorted = Object.entries(ftCounts).sort((a, b) => b[1] - a[1]);
+      let html = `<div class="q-insight">There are <strong>${sorted.length}</strong> facility types
+        across the dataset. A parcel "has access to" a facility if it falls within the parcel boundary or nearest service area.</div>`;
+
+      const rows = sorted.map(([ft, cnt], i) => [
+        i + 1,
+        `<span class="facility-tag ft-${ft}">${ft}</span>`,
+        cnt,
+        (cnt / this.stats.count * 100).toFixed(1) + '%'
+      ]);
+      html += htmlTable(['#', 'Facility Type', 'Parcels', '% Coverage'], rows, new Set([0, 2, 3]));
+
+      const chartConfig = {
+        type: 'bar',
+        data: {
+          labels: sorted.map(([ft]) => ft),
+          datasets: [{
+            label: 'Parcel Count',
+            data: sorted.map(([, cnt]) => cnt),
+            backgroundColor: '#2471a3',
+            borderWidth: 0,
+            borderRadius: 3
+          }]
+        },
+        options: {
+          indexAxis: 'y',
+          plugins: {
+            title: { display: true, text: 'Facility Type Coverage', font: { size: 12 } },
+            legend: { display: false }
+          },
+          scales: {
+            x: { title: { display: true, text: 'Number of Parcels', font: { size: 10 } }, ticks: { font: { size: 10 } } },
+            y: { ticks: { font: { size: 10 } } }
+          }
+        }
+      };
+
+      return {
+        title: 'Facility Types',
+        type: 'facility-types',
+        html,
+        chartConfig,
+        tables: [dataTable('Facility Types', ['Facility Type', 'Parcels', 'Coverage'],
+          sorted.map(([ft, cnt]) => [ft, cnt, cnt / this.stats.count]))]
+      };
+    }
+
+    /** Edge types overview */
+    _edgeTypes() {
+      let html = `<div class="q-insight">The knowledge graph has <strong>${_fmt(this.stats.edgeCount)}</strong> edges
+        across <strong>${Object.keys(this.edgeTypeCounts).length}</strong> relationship types.</div>`;
+
+      const sorted = Object.entries(this.edgeTypeCounts).sort((a, b) => b[1] - a[1]);
+      const rows = sorted.map(([t, cnt]) => [
+        EDGE_LABELS[t] || t,
+        `<code>${t}</code>`,
+        _fmt(cnt),
+        (cnt / this.stats.edgeCount * 100).toFixed(1) + '%'
+      ]);
+      html += htmlTable(['Relationship', 'Code', 'Count', 'Share'], rows, new Set([2, 3]));
+
+      const chartConfig = {
+        type: 'bar',
+        data: {
+          labels: sorted.map(([t]) => EDGE_LABELS[t] || t),
+          datasets: [{
+            label: 'Edge Count',
+            data: sorted.map(([, cnt]) => cnt),
+            backgroundColor: sorted.map((_, i) => {
+              const colors = ['#c0392b', '#e67e22', '#27ae60', '#8e44ad', '#2980b9', '#7f8c8d', '#1abc9c', '#d4ac0d'];
+              return colors[i % colors.length];
+            }),
+            borderWidth: 0,
+            borderRadius: 3
+          }]
+        },
+        options: {
+          indexAxis: 'y',
+          plugins: {
+            title: { display: true, text: 'Edge Type Distribution', font: { size: 12 } },
+            legend: { display: false }
+          },
+          scales: {
+            x: { title: { display: true, text: 'Count', font: { size: 10 } }, ticks: { font: { size: 10 } } },
+            y: { ticks: { font: { size: 10 } } }
+          }
+        }
+      };
+
+      return {
+        title: 'Edge / Relationship Types',
+        type: 'edge-types',
+        html,
+        chartConfig,
+        tables: [dataTable('Edge Types', ['Relationship', 'Code', 'Count', 'Share'],
+          sorted.map(([t, cnt]) => [EDGE_LABELS[t] || t, t, cnt, cnt / this.stats.edgeCount]))]
+      };
+    }
+
+    // --------------------------------------------------------
+    // Fallback and error
+    // --------------------------------------------------------
+
+    _fallback(q) {
+      let html = `<div class="q-insight">I could not understand the query: "<em>${esc(q)}</em>".</div>`;
+      const { suggestions, corrections } = this._spellingHelp(q);
+      if (suggestions.length) {
+        html += suggestionList(suggestions);
+      } else {
+        if (corrections.length) html += correctionList(corrections);
+        html += '<p style="font-size:12px;margin-bottom:10px">Here are some things you can ask:</p>';
+        html += '<div class="example-chips">';
+        this.getExampleQuestions().forEach(ex => {
+          html += `<span class="example-chip q-suggestion" data-query="${escAttr(ex)}">${esc(ex)}</span>`;
+        });
+        html += '</div>';
+      }
+
+      return {
+        title: 'Query Not Understood',
+        type: 'error',
+        html,
+        suggestions,
+        corrections
+      };
+    }
+
+    _error(message) {
+      return {
+        title: 'Error',
+        type: 'error',
+        html: `<div class="q-insight" style="border-left-color:#922b21">${message}</div>`
+      };
+    }
+
+    // --------------------------------------------------------
+    // Example questions
+    // --------------------------------------------------------
+
+    getExampleQuestions() {
+      return [
+        'Show me an overview of the dataset',
+        'Top 10 parcels by energy consumption',
+        'Tell me about kml_10042',
+        'How are parcels categorized?',
+        'Why is kml_10042 Peripheral?',
+        'Which parcels have a Cafe?',
+        'Parcels with a Cafe and a Library but no Garden',
+        'Facility gaps in Peripheral parcels',
+        'Compare Transit-Oriented Dense vs Peripheral',
+        'Compare kml_10042 and kml_11169',
+        'Compare kml_10042 with its neighbourhood',
+        'Average transit index by category',
+        'Neighbors of kml_10042',
+        'How many parcels are High Density?',
+        'Bottom 5 parcels by diversity index',
+        'Energy outliers',
+        'Unusual parcels in High Density',
+        'Parcels with high GFA but low energy',
+        'Correlation between transit index and energy',
+        'Regress energy on GFA and levels with category dummies',
+        'Is energy significantly different between Peripheral and High Density?',
+        'Does transit index differ across categories?',
+        'Gini coefficient of facility count weighted by units',
+        'Theil index of transit access by category',
+        'Top 5 Peripheral parcels by energy',
+        'Total GFA of parcels near Tampines MRT that have a Cafe',
+        'Parcels with transit index above 0.7 and GFA under 100,000 m\u00b2 that have a Cafe',
+        'Path from kml_10042 to kml_33232',
+        'Parcels within 3 hops of kml_10042 via Similar Lifestyle edges',
+        'Parcels within 500 m of kml_10042',
+        '10 parcels nearest to 1.30, 103.85 that have a Cafe',
+        'Which MRT station serves the most GFA?',
+        'MRT station catchments',
+        'Parcels most like kml_10042 using transit, gfa and energy',
+        'Top 10 hub parcels by weighted degree via Shares Nearest Cafe edges',
+        'Which cluster is kml_10042 in?',
+        'Graph communities via Similar Lifestyle edges'
+      ];
+    }
+
+    // --------------------------------------------------------
+    // Matching helpers
+    // --------------------------------------------------------
+
+    /** Match a category name from freeform text */
+    _matchCategory(text) {
+      const t = text.toLowerCase().replace(/[^a-z0-9\s]/g, '');
+
+      // Keys and current names (an edited scheme may add or rename categories), longest
+      // first, so "transit-oriented dense" is not read as Transit-Oriented
+      const named = Object.keys(CAT_LABELS)
+        .flatMap(key => {
+          const label = CAT_LABELS[key].toLowerCase();
+          return [key.toLowerCase(), label, label.replace(/-/g, ' ')].map(v => [v.replace(/[^a-z0-9\s]/g, ''), key]);
+        })
+        .sort((a, b) => b[0].length - a[0].length);
+      for (const [name, cat] of named) {
+        if (name && t.includes(name)) return cat;
+      }
+
+      // Label match (fuzzy)
+      // Sort by key length descending to match most specific first
+      const sorted = Object.entries(CATEGORY_ALIASES).sort((a, b) => b[0].length - a[0].length);
+      for (const [pattern, cat] of sorted) {
+        if (CAT_LABELS[cat] && t.includes(pattern.replace(/-/g, ''))) return cat;
+      }
+
+      return null;
+    }
+
+    /** Min / max of a metric over every parcel that has a value */
+    _metricRange(def) {
+      const vals = this.nodes.map(d => d[def.key]).filter(v => v != null && !isNaN(v));
+      return vals.length
+        ? { min: Math.min(...vals), max: Math.max(...vals) }
+        : { min: 0, max: 0 };
+    }
+
+    /** Match a metric keyword from query text */
+    _matchMetric(text) {
+      const t = text.toLowerCase();
+
+      // Derived metrics first: their names often contain a built-in one ("energy intensity")
+      const derived = Object.entries(METRICS)
+        .filter(([, def]) => def.derived)
+        .flatMap(([name, def]) => def.aliases.map(a => [name, a]))
+        .sort((a, b) => b[1].length - a[1].length)
+        .find(([, a]) => new RegExp(`\\b${escRe(a)}\\b`).test(t));
+      if (derived) return derived[0];
+
+      if (/\benergy\b|consumption|kwh/i.test(t)) return 'energy';
+      if (/\bgfa\b|floor area|gross floor/i.test(t)) return 'gfa';
+      if (/\btransit\b|accessibility/i.test(t)) return 'transit';
+      if (/\bdiversit/i.test(t)) return 'diversity';
+      if (/\bbuilding/i.test(t)) return 'buildings';
+      if (/\bunits?\b|residential/i.test(t)) return 'units';
+      if (/\blevels?\b|stor(?:ey|ies)|floors?\b/i.test(t)) return 'levels';
+      if (/\bbus\b|bus dist/i.test(t)) return 'bus';
+      if (/\bmrt\b|mrt dist|metro/i.test(t)) return 'mrt';
+
+      return null;
+    }
+
+    /** Match a graph centrality measure from freeform text */
+    _matchCentrality(text) {
+      const t = text.toLowerCase();
+
+      if (/page\s*rank/.test(t)) return 'pagerank';
+      if (/betweenness|brokers?\b|bridg(?:e|es|ing)\b/.test(t)) return 'betweenness';
+      if (/clustering|clustered|triangles?/.test(t)) return 'clustering';
+      if (/weighted degree|\bstrength\b|\bhubs?\b|shar\w* (?:the )?most (?:facilit|provider)/.test(t)) return 'wdegree';
+      if (/\bdegree\b|most connected|least connected|number of (?:connections|neighbou?rs)/.test(t)) return 'degree';
+      if (/\bcentral(?:ity)?\b/.test(t)) return 'pagerank';
+
+      return null;
+    }
+
+    /** Shared GraphMetrics instance, or null if graph-metrics.js is not loaded */
+    _graphMetrics() {
+      if (!GraphMetrics) return null;
+      return GraphMetrics.shared(this.nodes, this.adj);
+    }
+
+    /** Match a facility type from query text */
+    _matchFacilityType(text) {
+      const t = text.toLowerCase();
+
+      // Direct match against known types
+      const known = [
+        'Bar', 'Cafe', 'Restaurant', 'Hawker', 'Garden',
+        'Library', 'Sport', 'Museum', 'ChildCare', 'SocialService',
+        'CommunityUseSite'
+      ];
+
+      for (const ft of known) {
+        if (t.includes(ft.toLowerCase())) return ft;
+      }
+
+      // Fuzzy aliases
+      if (/child\s*care|childcare|daycare|kindergarten/i.test(t)) return 'ChildCare';
+      if (/social\s*service/i.test(t)) return 'SocialService';
+      if (/community.*site|community.*use/i.test(t)) return 'CommunityUseSite';
+      if (/hawk[ea]r/i.test(t)) return 'Hawker';
+      if (/park|green/i.test(t)) return 'Garden';
+      if (/gym|fitness|swim/i.test(t)) return 'Sport';
+
+      // Try matching against actual facility types in the dataset
+      for (const ft of this.allFacilityTypes) {
+        if (t.includes(ft.toLowerCase())) return ft;
+      }
+
+      return null;
+    }
+
+    // --------------------------------------------------------
+    // Graph traversal
+    // --------------------------------------------------------
+
+    /**
+     * Breadth-first search from a node index over `adj`.
+     * @param {number}      src      - Start node index
+     * @param {string[]}    types    - Allowed edge types, or null for all
+     * @param {number}      maxDepth - Stop expanding beyond this many hops
+     * @param {number}      [target] - Stop as soon as this node index is reached
+     * @returns {{ dist: Map<number,number>, prev: Map<number,[number,string]> }}
+     */
+    _bfs(src, types, maxDepth, target) {
+      const allow = types ? new Set(types) : null;
+      const dist = new Map([[src, 0]]);
+      const prev = new Map();
+      let frontier = [src];
+      while (frontier.length && dist.get(frontier[0]) < maxDepth) {
+        const next = [];
+        for (const u of frontier) {
+          const du = dist.get(u);
+          for (const [v, eType] of this.adj[u] || []) {
+            if (dist.has(v) || (allow && !allow.has(eType))) continue;
+            dist.set(v, du + 1);
+            prev.set(v, [u, eType]);
+            if (v === target) return { dist, prev };
+            next.push(v);
+          }
+        }
+        frontier = next;
+      }
+      return { dist, prev };
+    }
+
+    /**
+     * Dijkstra search weighted by great-circle distance between parcel centroids.
+     * @returns {Map<number,[number,string]>} predecessor map
+     */
+    _dijkstra(src, dst, types) {
+      const allow = types ? new Set(types) : null;
+      const dist = new Map([[src, 0]]);
+      const prev = new Map();
+      const done = new Set();
+      const heap = new MinHeap();
+      heap.push(0, src);
+      while (heap.size) {
+        const [du, u] = heap.pop();
+        if (done.has(u)) continue;
+        done.add(u);
+        if (u === dst) break;
+        const a = this.nodes[u];
+        for (const [v, eType] of this.adj[u] || []) {
+          if (done.has(v) || (allow && !allow.has(eType))) continue;
+          const b = this.nodes[v];
+          const alt = du + haversine(a.lat, a.lng, b.lat, b.lng);
+          if (!dist.has(v) || alt < dist.get(v)) {
+            dist.set(v, alt);
+            prev.set(v, [u, eType]);
+            heap.push(alt, v);
+          }
+        }
+      }
+      return prev;
+    }
+
+    /**
+     * The edge-type phrase of a query when it names no known type ("via foo
+     * edges"), else null. Only "via …" and "using / through / over / along
+     * … edges" count: "by" and "using" also introduce metrics.
+     */
+    _unknownEdgePhrase(text) {
+      const lower = text.toLowerCase();
+      const m = lower.match(/\bvia\s+(.+)$/) ||
+        lower.match(/\b(?:using|through|over|along)\s+((?:(?!\b(?:using|through|over|along)\b).)+?\s+(?:edges?|links?|relationships?))\b/);
+      // "via the shortest route" picks the path measure, not an edge type
+      if (!m || this._matchEdgeTypes(m[0]) || /\b(?:shortest|fewest|route|distance|hops?|metres|meters|km)\b/.test(m[1])) return null;
+      return m[1].replace(/[?.!]+$/, '').trim();
+    }
+
+    /** Error for an edge-type phrase that matches no type, listing the known ones */
+    _unknownEdgeError(phrase) {
+      return this._error(`No relationship type matches "<em>${esc(phrase)}</em>". ` +
+        `Known edge types: ${Object.values(EDGE_LABELS).join(', ')}.`);
+    }
+
+    /** Edge types named after "via/using/through/over/along" in the query, or null for all */
+    _matchEdgeTypes(text) {
+      const m = text.toLowerCase().match(/\b(?:via|using|through|over|along|by)\s+(.+)$/);
+      if (!m) return null;
+      const t = m[1].replace(/[^a-z\s]/g, ' ');
+      const found = [];
+      for (const [code, label] of Object.entries(EDGE_LABELS)) {
+        const shortName = code.replace(/^sn_/, '').toLowerCase();
+        const phrases = [label.toLowerCase(), code.toLowerCase(), shortName];
+        if (code === 'sim') phrases.push('similar', 'lifestyle');
+        if (code === 'sn_SocialService') phrases.push('social service', 'social');
+        if (code === 'sn_UseSite') phrases.push('community site', 'use site', 'community');
+        if (code === 'sn_ChildCare') phrases.push('child care');
+        if (phrases.some(p => new RegExp(`\\b${escRe(p)}\\b`).test(t))) found.push(code);
+      }
+      return found.length ? found : null;
+    }
+
+    // --------------------------------------------------------
+    // Similarity parsing
+    // --------------------------------------------------------
+
+    /** A metric value scaled to [0, 1] by the dataset min / max */
+    _normMetric(metric, v) {
+      const r = this.metricRanges[metric];
+      if (v == null || isNaN(v) || r.max === r.min) return 0;
+      return Math.min(1, Math.max(0, (v - r.min) / (r.max - r.min)));
+    }
+
+    /**
+     * Recognise "parcels most like kml_X" / "similar to kml_X". Returns
+     * { parcelId, options, rest } with the similarity wording and its
+     * feature options removed from `rest`, or null.
+     */
+    _parseSimilarity(q) {
+      const m = q.match(/\b(?:(?:the\s+)?(?:top\s+)?(\d+)\s+)?(?:parcels?\s+)?(?:(?:that\s+are|most|closest|very)\s+)?(?:like|similar\s+to|resembl(?:e|es|ing)|comparable\s+to|lookalikes?\s+(?:of|for)|closest\s+matche?s?\s+(?:to|for))\s+(kml_\d+)/i);
+      if (!m) return null;
+      const options = this._similarityOptions(q.replace(m[0], ' '));
+      if (m[1]) options.count = parseInt(m[1], 10);
+      return { parcelId: m[2].toLowerCase(), options, rest: options.rest };
+    }
+
+    /**
+     * Feature choice and weights: "using transit, gfa and energy",
+     * "transit x2", "weight gfa 3", "ignoring facilities", "facilities only".
+     * @param {string} text
+     * @param {Object} [base] - Previous { weights, facilityWeight } to adjust
+     * @returns {{ weights:Object, facilityWeight:number, rest:string, changed:boolean }}
+     */
+    _similarityOptions(text, base) {
+      const metricAlt = Object.values(METRICS)
+        .flatMap(m => m.aliases)
+        .sort((a, b) => b.length - a.length)
+        .map(escRe).join('|');
+      const num = '(\\d+(?:\\.\\d+)?)';
+      const facAlt = 'facilit(?:y|ies)|amenit(?:y|ies)|ft';
+      let t = ' ' + text.toLowerCase() + ' ';
+      let changed = false;
+
+      const weights = base ? { ...base.weights } : null;
+      let facilityWeight = base ? base.facilityWeight : 1;
+      const explicit = {};
+      let facExplicit = null;
+
+      // Weights: "transit x2", "transit weighted 2", "weight transit 2", "2x transit"
+      const take = re => {
+        t = t.replace(re, (all, a, b) => {
+          const [alias, w] = /^\d/.test(a) ? [b, a] : [a, b];
+          if (new RegExp(`^(?:${facAlt})$`).test(alias)) facExplicit = parseFloat(w);
+          else explicit[this._metricForAlias(alias)] = parseFloat(w);
+          changed = true;
+          return ' ';
+        });
+      };
+      const target = `(${metricAlt}|${facAlt})`;
+      take(new RegExp(`\\b${target}\\s*(?:x|\\u00d7|\\*|:|=|weighted(?:\\s+(?:at|by))?|weight(?:\\s+of)?)\\s*${num}(?![\\d.])`, 'g'));
+      take(new RegExp(`\\bweight\\s+${target}\\s+(?:at|to|of|=|by)?\\s*${num}(?![\\d.])`, 'g'));
+      take(new RegExp(`\\b${num}\\s*(?:x|\\u00d7)\\s*${target}\\b`, 'g'));
+
+      // Facility overlap on / off
+      t = t.replace(new RegExp(`\\b(?:ignor(?:e|ing)|without|excluding|no)\\s+(?:the\\s+)?(?:${facAlt})(?:\\s+overlap)?\\b`, 'g'), () => {
+        facExplicit = 0; changed = true; return ' ';
+      });
+      let facOnly = false;
+      t = t.replace(new RegExp(`\\b(?:(?:${facAlt})\\s+only|only\\s+(?:the\\s+)?(?:${facAlt}))\\b`, 'g'), () => {
+        facOnly = true; changed = true; return ' ';
+      });
+
+      // Feature list: "using / on / based on / in terms of / considering transit, gfa and energy"
+      let listed = null;
+      t = t.replace(new RegExp(`\\b(?:using|on|by|based on|in terms of|considering|across)\\s+((?:(?:${metricAlt})(?:\\s*,\\s*|\\s+and\\s+|\\s+))+)`, 'g'), (all, list) => {
+        listed = [...new Set((list.match(new RegExp(`\\b(?:${metricAlt})\\b`, 'g')) || []).map(a => this._metricForAlias(a)))];
+        changed = true;
+        return ' ';
+      });
+
+      let out;
+      if (facOnly) {
+        out = {};
+      } else if (listed) {
+        out = Object.fromEntries(listed.map(m => [m, 1]));
+      } else {
+        out = weights || Object.fromEntries(BUILT_IN_METRICS.map(m => [m, 1]));
+      }
+      Object.assign(out, explicit);
+      if (facOnly) facilityWeight = facExplicit != null && facExplicit > 0 ? facExplicit : 1;
+      else if (facExplicit != null) facilityWeight = facExplicit;
+
+      return { weights: out, facilityWeight, rest: t, changed };
+    }
+
+    // --------------------------------------------------------
+    // Spatial parsing
+    // --------------------------------------------------------
+
+    /**
+     * Find a radius, nearest-neighbour or bounding-box clause in a query.
+     * Centres are a parcel ID or a "lat, lng" pair. Returns
+     * { spec, rest } with the clause removed from `rest`, or null.
+     */
+    _parseSpatial(q) {
+      const lat = '(-?\\d{1,2}\\.\\d+)';
+      const lng = '(-?\\d{1,3}\\.\\d+)';
+      const target = `(kml_\\d+|\\(?\\s*(?:lat(?:itude)?\\s*)?${lat}\\s*,\\s*(?:lo?ng(?:itude)?\\s*)?${lng}\\s*\\)?)`;
+      const unit = '(km|kilomet(?:re|er)s?|m|met(?:re|er)s?)(?![a-z\\u00b2])';
+      const toTarget = (id, la, ln) => (id && /^kml_/i.test(id)
+        ? { parcelId: id.toLowerCase() }
+        : { lat: parseFloat(la), lng: parseFloat(ln) });
+
+      let m = q.match(new RegExp(`(?:\\b(?:within|inside|in)\\s+(?:an?\\s+|the\\s+)?(?:radius\\s+of\\s+)?)?(\\d+(?:\\.\\d+)?)\\s*${unit}(?:\\s+radius)?\\s+(?:of|from|around|near)\\s+${target}`, 'i'));
+      if (m) {
+        const radius = parseFloat(m[1]) * (/^k/i.test(m[2]) ? 1000 : 1);
+        return { spec: { mode: 'radius', radius, ...toTarget(m[3], m[4], m[5]) }, rest: q.replace(m[0], ' ') };
+      }
+
+      m = q.match(new RegExp(`(?:\\bthe\\s+)?(?:(\\d+)\\s+)?(?:parcels?\\s+)?\\b(?:nearest|closest)(?:\\s+(\\d+))?(?:\\s+(?:parcels?|neighbou?rs?))?\\s+(?:to|from|of)\\s+${target}`, 'i'));
+      if (m) {
+        const count = parseInt(m[1] || m[2], 10) || 10;
+        return { spec: { mode: 'nearest', count, ...toTarget(m[3], m[4], m[5]) }, rest: q.replace(m[0], ' ') };
+      }
+
+      m = q.match(new RegExp(`(?:\\b(?:in(?:side)?|within)\\s+(?:the\\s+|a\\s+)?)?\\b(?:bounding\\s+box|bbox|box|rectangle)\\s+(?:from\\s+|between\\s+)?\\(?${lat}\\s*,\\s*${lng}\\)?\\s*(?:to|and|-|,|;)\\s*\\(?${lat}\\s*,\\s*${lng}\\)?`, 'i'));
+      if (m) {
+        const bounds = [m[1], m[2], m[3], m[4]].map(parseFloat);
+        return { spec: { mode: 'bbox', bounds }, rest: q.replace(m[0], ' ') };
+      }
+      return null;
+    }
+
+    // --------------------------------------------------------
+    // Station catchments
+    // --------------------------------------------------------
+
+    /**
+     * Recognise a station catchment question. Returns
+     * { mode:'catchment', kind, key, rest } when a station is named,
+     * { mode:'ranking'|'summary', kind } for questions across stations, or null.
+     */
+    _parseStation(q) {
+      const lower = q.toLowerCase();
+      if (!/\b(?:served by|serves?|serving|catchments?|stations?|stops?|stn)\b/.test(lower)) return null;
+      const kind = /\bbus\b/.test(lower) && !/\b(?:mrt|lrt|train)\b/.test(lower) ? 'bus' : 'mrt';
+
+      const hit = this._matchStation(lower, kind);
+      if (hit) {
+        // Drop the station phrase ("served by Tampines MRT station") so the rest can be read as a filter
+        const rest = q.replace(this._stationPhrase(hit), ' ')
+          .replace(/\b(?:catchments?|served|serving|serves?|mrt|lrt|stations?|bus stops?)\b/gi, ' ');
+        return { mode: 'catchment', kind: hit.kind, key: hit.key, rest };
+      }
+      if (/\b(?:which|what)\b.*\b(?:stations?|stops?)\b.*\b(?:most|least|fewest|highest|lowest|largest|smallest|biggest)\b|\b(?:top|bottom|busiest|largest|biggest)\b.*\b(?:stations?|stops?)\b|\b(?:stations?|stops?)\b.*\b(?:ranked|by (?:gfa|units|energy|parcels|distance))\b/.test(lower)) {
+        return { mode: 'ranking', kind };
+      }
+      if (/catchments?|per (?:mrt |bus )?(?:station|stop)|(?:by|each|every|all) (?:mrt |bus )?(?:stations?|stops?)|station (?:summary|aggregates?|stats|statistics)|(?:list|show)(?: all)? (?:the )?(?:mrt |bus )?(?:stations|stops)/.test(lower)) {
+        return { mode: 'summary', kind };
+      }
+      return null;
+    }
+
+    /**
+     * Find a station named in the text, MRT first, bus stops only when the
+     * question mentions buses. Longest name wins.
+     */
+    _matchStation(text, kind) {
+      const t = ' ' + stationKey(text) + ' ';
+      const kinds = kind === 'bus' ? ['bus'] : (/\bbus\b/.test(text) ? ['mrt', 'bus'] : ['mrt']);
+      for (const k of kinds) {
+        const keys = [...this.stations[k].keys()].sort((a, b) => b.length - a.length);
+        const key = keys.find(key => t.includes(' ' + key + ' '));
+        if (key) {
+          return { kind: k, key, pattern: key.split(' ').map(escRe).join('[^a-z0-9]+') };
+        }
+      }
+      return null;
+    }
+
+    /** The words naming a station in a question: "served by the Tampines MRT station" */
+    _stationPhrase(hit) {
+      return new RegExp(
+        `(?:\\b(?:served by|serviced by|near(?:est)?(?: to)?|around|at|in|of|for|within the catchment of)\\s+)?(?:the\\s+)?` +
+        `${hit.pattern}(?:\\s+(?:mrt|lrt|bus|station|stn|interchange|stop|catchment))*`, 'i');
+    }
+
+    /** Filter condition for parcels whose nearest station is the one matched */
+    _stationCondition(hit) {
+      return { op: 'station', kind: hit.kind, key: hit.key, name: this.stations[hit.kind].get(hit.key).name };
+    }
+
+    /** Which catchment aggregate a station ranking question is about */
+    _stationMetric(text) {
+      if (/walk|distance|far|close/.test(text)) return 'meanDist';
+      if (/\benergy\b|consumption|kwh/.test(text)) return 'energy';
+      if (/\bgfa\b|floor area|floor space/.test(text)) return 'gfa';
+      if (/\bunits?\b|homes|dwellings|households|residents|population/.test(text)) return 'units';
+      if (/\bbuildings?\b/.test(text)) return 'buildings';
+      return 'parcels';
+    }
+
+    /** Totals and walking-distance summary for a group of parcels */
+    _stationAggregate(group, def) {
+      const dists = group.map(d => d[def.dist]).filter(v => v > 0);
+      const cats = {};
+      group.forEach(d => { cats[d.category] = (cats[d.category] || 0) + 1; });
+      return {
+        parcels: group.length,
+        units: group.reduce((s, d) => s + (d.u || 0), 0),
+        gfa: group.reduce((s, d) => s + (d.gfa || 0), 0),
+        energy: group.reduce((s, d) => s + (d.e || 0), 0),
+        buildings: group.reduce((s, d) => s + (d.b || 0), 0),
+        transit: mean(group.map(d => d.ti || 0)),
+        meanDist: mean(dists),
+        medianDist: median(dists),
+        mainCategory: Object.entries(cats).sort((a, b) => b[1] - a[1])[0][0]
+      };
+    }
+
+    /** Doughnut of how a set of parcels splits across categories */
+    _categoryChart(group, title) {
+      const counts = {};
+      group.forEach(d => { counts[d.category] = (counts[d.category] || 0) + 1; });
+      const cats = Object.keys(counts);
+      return {
+        type: 'doughnut',
+        data: {
+          labels: cats.map(c => CAT_LABELS[c] || c),
+          datasets: [{
+            data: cats.map(c => counts[c]),
+            backgroundColor: cats.map(c => CAT_COLORS[c] || '#999'),
+            borderWidth: 1
+          }]
+        },
+        options: {
+          plugins: {
+            title: { display: true, text: title, font: { size: 12 } },
+            legend: { position: 'right', labels: { font: { size: 10 } } }
+          }
+        }
+      };
+    }
+
+    /** Export table of station aggregates, optionally with a rank column */
+    _stationTable(def, rows, ranked) {
+      const cols = ['Parcels', 'Total Units', 'Total GFA', 'Total Energy', 'Total Buildings', 'Mean Distance (m)', 'Main Category'];
+      return dataTable(def.plural.replace(/^./, ch => ch.toUpperCase()),
+        [...(ranked ? ['Rank'] : []), def.title, ...cols],
+        rows.map((r, i) => [
+          ...(ranked ? [i + 1] : []), r.st.name,
+          r.agg.parcels, r.agg.units, r.agg.gfa, r.agg.energy, r.agg.buildings, r.agg.meanDist, r.agg.mainCategory
+        ]));
+    }
+
+    // --------------------------------------------------------
+    // Comparison parsing
+    // --------------------------------------------------------
+
+    /**
+     * Recognise a comparison that names parcels: "compare kml_A and kml_B",
+     * "kml_A vs kml_B vs kml_C", "compare kml_A with its category" (or with
+     * a named category), "how does kml_A differ from its neighbours via Cafe
+     * edges". A lone parcel is compared with its own category unless the
+     * neighbourhood is asked for. Returns
+     * { parcels, baseline: null | 'category' | 'neighbours', category, edgeTypes } or null.
+     */
+    _parseComparison(q) {
+      const lower = q.toLowerCase();
+      if (!COMPARE_RE.test(lower)) return null;
+      // Repeats are kept: _parcelComparison() says so when fewer than two distinct parcels remain
+      const parcels = (q.match(/kml_\d+/gi) || []).map(id => id.toLowerCase());
+      if (!parcels.length) return null;
+      if (parcels.length > 1) return { parcels, baseline: null, category: null, edgeTypes: null };
+
+      const rest = lower.replace(/kml_\d+/g, ' ');
+      if (/\bneighbou?r(?:s|hood|ing parcels)?\b|\bneighbors?\b|\badjacent\b|\bconnected parcels\b/.test(rest)) {
+        return { parcels, baseline: 'neighbours', category: null, edgeTypes: this._matchEdgeTypes(rest) };
+      }
+      // A category other than "its category" is named: "compare kml_A with Peripheral parcels"
+      const named = this._matchCategory(rest.replace(/\b(?:its|their|own|the|average|mean|typical)\b|\bcategor(?:y|ies)\b/g, ' '));
+      return { parcels, baseline: 'category', category: named, edgeTypes: null };
+    }
+
+    // --------------------------------------------------------
+    // Classification parsing
+    // --------------------------------------------------------
+
+    /**
+     * Recognise a question about why one parcel has its category: "why is
+     * kml_A Peripheral?", "explain the classification of kml_A", "which rule
+     * puts kml_A in Lifestyle Hub", "what would it take for kml_A to become
+     * Transit-Oriented". Returns { parcelId, target } (target: a category
+     * named in the question, or null) or null.
+     */
+    _parseClassification(q) {
+      const ids = [...new Set((q.match(/kml_\d+/gi) || []).map(id => id.toLowerCase()))];
+      if (ids.length !== 1) return null;
+      const rest = q.toLowerCase().replace(/kml_\d+/g, ' ');
+      const target = this._matchCategory(rest.replace(/\bcategor(?:y|ies|ised|ized)\b/g, ' '));
+      const classWords = /\bcategor|\bclassif/.test(rest);
+      const asks = (/\bwhy\b/.test(rest) && (target || classWords)) ||
+        (/\b(?:explain|which rule|what rule|reason)\b/.test(rest) && (target || classWords)) ||
+        /\bhow (?:is|was|were|did)\b.*\b(?:classif|categori)/.test(rest) ||
+        (!!target && /\b(?:take|become|turn into|move (?:in)?to|change to|be (?:re)?classified as|reclassif\w*)\b/.test(rest));
+      return asks ? { parcelId: ids[0], target } : null;
+    }
+
+    // --------------------------------------------------------
+    // Facility gap parsing
+    // --------------------------------------------------------
+
+    /**
+     * Recognise a facility gap question: "facility gaps", "library deserts in
+     * Peripheral", "underserved parcels via Similar Lifestyle edges", "parcels
+     * lacking a Garden that most of their neighbours have". Returns the spec
+     * for _facilityGaps(), or null when the question is not one.
+     */
+    _parseGaps(q) {
+      const lower = q.toLowerCase();
+      if (/kml_\d+/.test(lower)) return null;
+      const asks = /\b(?:deserts?|under[\s-]?served|under[\s-]?provided)\b/.test(lower) ||
+        (/\bgaps?\b/.test(lower) && (/\b(?:facilit|amenit|services?\b|provision|access)/.test(lower) ||
+          !!this._matchFacilityType(lower))) ||
+        /\b(?:lack|lacks|lacking|missing|miss|without)\b.*\b(?:that|which|whose|where)\b.*\bneighbou?rs?\b.*\b(?:have|has|do)\b/.test(lower) ||
+        /\b(?:lack|lacks|lacking|missing|miss|without)\b.*\bmost (?:of )?(?:their|its) neighbou?rs\b/.test(lower);
+      return asks ? this._gapOptions(lower, {}).spec : null;
+    }
+
+    /**
+     * Gap search settings read from text, on top of `base` (a previous gap
+     * intent for follow-ups): facility type, edge types ("via Cafe edges",
+     * "among similar parcels"), share of neighbours ("at least 75%"), fewest
+     * neighbours ("at least 5 neighbours") and category.
+     * @returns {{ spec:Object, changed:boolean }}
+     */
+    _gapOptions(text, base) {
+      const spec = {
+        facilityType: base.facilityType || null,
+        edgeTypes: base.edgeTypes || null,
+        threshold: base.threshold,
+        inclusive: base.inclusive,
+        minNeighbours: base.minNeighbours,
+        category: base.category || null
+      };
+      let changed = false;
+
+      // Edge types: "via ..." names them; "similar" / "lifestyle" alone means Similar Lifestyle edges
+      const via = this._matchEdgeTypes(text);
+      const plain = text.replace(/\b(?:via|using|through|over|along)\b.*$/, ' ');
+      const types = via || (/\bsimilar\b|\blifestyle[\s-]similar/.test(plain) ? ['sim'] : null);
+      if (types) {
+        spec.edgeTypes = types;
+        changed = true;
+      }
+      const rest = plain.replace(/\bsimilar(?:[\s-]lifestyle)?\b/g, ' ');
+
+      const ft = this._matchFacilityType(rest);
+      if (ft) {
+        spec.facilityType = ft;
+        changed = true;
+      } else if (/\b(?:all|any|every) (?:facilit|amenit|types?\b)/.test(rest)) {
+        spec.facilityType = null;
+        changed = true;
+      }
+
+      const minMatch = rest.match(/\b(?:at least|min(?:imum)?(?: of)?)\s+(\d+)\s+neighbou?rs?\b/);
+      if (minMatch) {
+        spec.minNeighbours = parseInt(minMatch[1], 10);
+        changed = true;
+      }
+      const share = rest.match(/(\d+(?:\.\d+)?)\s*(?:%|percent|per cent)/);
+      if (share) {
+        spec.threshold = parseFloat(share[1]) / 100;
+        spec.inclusive = /\b(?:at least|no less than|or more)\b/.test(rest);
+        changed = true;
+      } else if (/\b(?:all|every one) of (?:their|its) neighbou?rs\b/.test(rest)) {
+        spec.threshold = 1;
+        spec.inclusive = true;
+        changed = true;
+      } else if (/\bat least half\b/.test(rest)) {
+        spec.threshold = 0.5;
+        spec.inclusive = true;
+        changed = true;
+      }
+
+      const category = this._matchCategory(rest);
+      if (category) {
+        spec.category = category;
+        changed = true;
+      } else if (/\ball (?:categories|parcels)\b/.test(rest)) {
+        spec.category = null;
+        changed = true;
+      }
+      return { spec, changed };
+    }
+
+    // --------------------------------------------------------
+    // Significance parsing
+    // --------------------------------------------------------
+
+    /**
+     * Read a significance question: "is energy different between Peripheral
+     * and High Density", "does transit differ across categories", "is
+     * Peripheral significantly different from the rest", "t-test of GFA for
+     * Lifestyle Hub vs Standard Residential parcels with a Cafe". Returns the
+     * spec for _significance(), or null when the question is not one.
+     */
+    _parseSignificance(q) {
+      const lower = q.toLowerCase();
+      if (/kml_\d+/.test(lower) || CORRELATION_RE.test(lower) || REGRESSION_RE.test(lower) || OUTLIER_RE.test(lower)) return null;
+      const { categories, mentions, rest } = this._categoryMentions(lower);
+      // "Different categories of parcels" is not a question about a difference
+      const acrossCategories = /\b(?:across|between|among|by)\s+(?:the\s+|all\s+|each\s+|every\s+)?categor|\bcategor\w*\s+(?:differ|different)\b/;
+      const differs = DIFFER_RE.test(lower) && (categories.length > 0 || acrossCategories.test(lower));
+      if (!SIGNIFICANCE_RE.test(lower) && !differs) return null;
+      const words = rest
+        .replace(new RegExp(SIGNIFICANCE_RE.source, 'g'), ' ')
+        .replace(new RegExp(DIFFER_RE.source, 'g'), ' ')
+        .replace(/\b(?:the\s+rest|(?:all\s+)?other\s+(?:categories|parcels)|(?:all|each|every)\s+(?:of\s+the\s+)?categor(?:y|ies)|categor(?:y|ies))\b/g, ' ');
+      const { metrics, scope } = this._metricMentions(words);
+      // Every mention, so _significance() can refuse a category named twice
+      return { metric: metrics[0] || null, categories: mentions, filter: scope };
+    }
+
+    /**
+     * Every category a question names, by key, current name or one of the
+     * CATEGORY_ALIASES, in order of mention, and the text with those names
+     * blanked out, so that "transit" in "Transit-Oriented" is not read as a
+     * metric. "Residential units" is the metric, not a category. `mentions`
+     * keeps repeats ("Peripheral and Peripheral"), `categories` does not.
+     * @returns {{ categories:string[], mentions:string[], rest:string }}
+     */
+    _categoryMentions(text) {
+      let rest = text.toLowerCase();
+      const names = Object.keys(CAT_LABELS)
+        .flatMap(key => {
+          const label = CAT_LABELS[key].toLowerCase();
+          return [key.toLowerCase(), label, label.replace(/-/g, ' ')].map(v => [v, key]);
+        })
+        .concat(Object.entries(CATEGORY_ALIASES).filter(([, key]) => CAT_LABELS[key]))
+        .sort((a, b) => b[0].length - a[0].length);
+      const found = [];
+      for (const [name, cat] of names) {
+        const escaped = name.replace(/[^a-z0-9\s]/g, '\\$&');
+        rest = rest.replace(new RegExp(`\\b${escaped}\\b(?![\\s-]*units?\\b)`, 'g'), (m, at) => {
+          found.push([at, cat]);
+          return ' '.repeat(m.length);
+        });
       }
+      const mentions = found.sort((a, b) => a[0] - b[0]).map(([, cat]) => cat);
+      return { categories: [...new Set(mentions)], mentions, rest };
+    }
 
-      return null;
+    // --------------------------------------------------------
+    // Equity parsing
+    // --------------------------------------------------------
+
+    /**
+     * Read an equity question: "Gini of facility count", "how equitably is
+     * transit access distributed across residents", "Lorenz curve of diversity
+     * weighted by GFA", "concentration index of transit by units", "Theil
+     * index of facilities by MRT station for Peripheral parcels". Returns the
+     * spec for _equity(), or null when the question is not one.
+     */
+    _parseEquity(q) {
+      let t = q.toLowerCase();
+      if (/kml_\d+/.test(t) || !EQUITY_RE.test(t)) return null;
+      const spec = { outcome: null, weight: 'parcels', rankBy: 'gfa', groupBy: null, stationType: 'mrt', filter: null };
+      const cut = m => { t = t.replace(m[0], ' '); };
+      const gfaWord = w => /^(?:gfa|gross|floor|size)/.test(w);
+
+      const weight = t.match(EQUITY_WEIGHT_RE);
+      if (weight) {
+        spec.weight = gfaWord(weight[1] || weight[2] || weight[3]) ? 'gfa' : 'units';
+        cut(weight);
+      }
+      const rank = t.match(EQUITY_RANK_RE);
+      if (rank) {
+        spec.rankBy = gfaWord(rank[1]) ? 'gfa' : /units|dwellings/.test(rank[1]) ? 'units' : 'levels';
+        t = t.replace(rank[0], rank[0].replace(/\s+by\s+.*$/, ' '));
+      }
+      const group = t.match(EQUITY_GROUP_RE);
+      if (group) {
+        spec.groupBy = group[1] ? 'category' : 'station';
+        if (!group[1] && (group[2] === 'bus' || /^stops?$/.test(group[3]))) spec.stationType = 'bus';
+        cut(group);
+      }
+      const facilities = t.match(EQUITY_FACILITY_RE);
+      if (facilities) {
+        spec.outcome = 'facilities';
+        cut(facilities);
+      }
+
+      const words = t.replace(new RegExp(EQUITY_RE.source, 'g'), ' ')
+        .replace(/\b(?:coefficients?|index|indices|curves?|distributed|distribution|spread|shared)\b/g, ' ');
+      const { metrics, scope } = this._metricMentions(words);
+      if (!spec.outcome && metrics.length) spec.outcome = metrics[0];
+      spec.filter = scope;
+      return spec;
     }
 
-    /** Match a metric keyword from query text */
-    _matchMetric(text) {
-      const t = text.toLowerCase();
+    // --------------------------------------------------------
+    // Correlation and regression parsing
+    // --------------------------------------------------------
 
-      if (/\benergy\b|consumption|kwh/i.test(t)) return 'energy';
-      if (/\bgfa\b|floor area|gross floor/i.test(t)) return 'gfa';
-      if (/\btransit\b|accessibility/i.test(t)) return 'transit';
-      if (/\bdiversit/i.test(t)) return 'diversity';
-      if (/\bbuilding/i.test(t)) return 'buildings';
-      if (/\bunits?\b|residential/i.test(t)) return 'units';
-      if (/\blevels?\b|stor(?:ey|ies)|floors?\b/i.test(t)) return 'levels';
-      if (/\bbus\b|bus dist/i.test(t)) return 'bus';
-      if (/\bmrt\b|mrt dist|metro/i.test(t)) return 'mrt';
+    /**
+     * Read a correlation or regression question: "correlation between transit
+     * index and energy", "correlation matrix for Peripheral parcels", "Spearman
+     * correlation of GFA with everything", "regress energy on gfa and levels
+     * with category dummies". The first metric named is the regression's
+     * response and the rest its predictors. Returns the spec for
+     * _correlation() or _regression(), or null when the question is not one.
+     */
+    _parseCorrelation(q) {
+      const lower = q.toLowerCase();
+      if (/kml_\d+/.test(lower)) return null;
+      const regression = REGRESSION_RE.test(lower);
+      if (!regression && !CORRELATION_RE.test(lower)) return null;
+      const { metrics, scope } = this._metricMentions(lower.replace(DUMMIES_RE, ' '));
+      if (regression) {
+        const response = metrics[0] || 'energy';
+        // "regress energy on energy": keep the repeat so _regression() can refuse it
+        const on = lower.match(/\bon\b(.*)$/);
+        const repeated = !!on && metrics.length && this._metricMentions(on[1]).metrics.includes(response);
+        const named = repeated ? [response, ...metrics.slice(1)] : metrics.slice(1);
+        return {
+          mode: 'regression',
+          response,
+          predictors: named.length ? named : OUTLIER_PREDICTORS[response] || [],
+          dummies: DUMMIES_RE.test(lower),
+          filter: scope
+        };
+      }
+      const method = /\bspearman\b|\brank\b/.test(lower) ? 'spearman' : /\bpearson\b/.test(lower) ? 'pearson' : 'both';
+      return { mode: 'correlation', metrics, method, filter: scope };
+    }
+
+    /**
+     * Every metric a question names on its own, in order, and the parcels it
+     * covers (categories, facilities, ranges and a station catchment), as in
+     * _parseScope(): "energy and gfa of Peripheral parcels with transit above 0.5"
+     * -> [energy, gfa], Peripheral AND Transit Index > 0.5.
+     * @returns {{ metrics:string[], scope:Object|null }}
+     */
+    _metricMentions(text) {
+      let t = text.toLowerCase();
+
+      let station = null;
+      if (/\b(?:mrt|lrt|stations?|stn|stops?|served by|serviced by|catchments?)\b/.test(t)) {
+        const hit = this._matchStation(t, /\bbus\b/.test(t) && !/\b(?:mrt|lrt|train)\b/.test(t) ? 'bus' : 'mrt');
+        if (hit) {
+          station = this._stationCondition(hit);
+          t = t.replace(this._stationPhrase(hit), ' ');
+        }
+      }
+
+      // Metrics outside range conditions, blanked out of what is left for the scope
+      const blank = m => ' '.repeat(m.length);
+      const bare = t.replace(/(\d),(?=\d{3}\b)/g, '$1 ')
+        .replace(BETWEEN_RE, blank).replace(METRIC_CMP_RE, blank).replace(CMP_METRIC_RE, blank);
+      const metrics = [];
+      let rest = t;
+      for (const m of bare.matchAll(new RegExp(`\\b(${METRIC_ALT})\\b(?![\\s-]*oriented)`, 'g'))) {
+        const metric = this._metricForAlias(m[1]);
+        if (!metrics.includes(metric)) metrics.push(metric);
+        rest = rest.slice(0, m.index) + blank(m[0]) + rest.slice(m.index + m[0].length);
+      }
+
+      let scope = this._parseFilter(rest);
+      if (station) scope = this._andFilter(scope, station);
+      return { metrics, scope };
+    }
+
+    // --------------------------------------------------------
+    // Outliers
+    // --------------------------------------------------------
+
+    /**
+     * Read an outlier question: "energy outliers", "unusual parcels in High
+     * Density", "parcels with high GFA but low energy", "GFA outliers by IQR
+     * within each category", "units unusually high for their floor area".
+     * Returns the spec for _outliers(), or null when the question is not one.
+     */
+    _parseOutliers(q) {
+      let t = ` ${q.toLowerCase().replace(/[?.!]+$/, '').replace(/(\d),(?=\d{3}\b)/g, '$1')} `;
+      const isHigh = w => /^(?:high|large|big)$/.test(w);
+      const contrast = t.match(CONTRAST_RE);
+      const contrasting = contrast && isHigh(contrast[1]) !== isHigh(contrast[3]);
+      if (!contrasting && !OUTLIER_RE.test(t)) return null;
+
+      const spec = { metric: null, method: this._outlierMethod(t), predictors: null, direction: 'both',
+        byCategory: OUTLIER_BY_CATEGORY_RE.test(t), threshold: undefined, count: undefined, filter: null };
+      const cut = re => { t = t.replace(re, ' '); };
+
+      // "high GFA but low energy": energy, predicted from GFA, lower than expected
+      if (contrasting) {
+        spec.metric = this._metricForAlias(contrast[4]);
+        spec.predictors = [this._metricForAlias(contrast[2])];
+        spec.direction = isHigh(contrast[3]) ? 'high' : 'low';
+        cut(contrast[0]);
+      }
+      cut(OUTLIER_BY_CATEGORY_RE);
+
+      // "beyond 2.5 standard deviations", "threshold 2", "|z| > 2"
+      const thr = t.match(/\b(?:threshold|cut-?off)\s*(?:of|=|at)?\s*(\d+(?:\.\d+)?)\b|\b(\d+(?:\.\d+)?)\s*(?:sds?|standard deviations?|sigma|(?:x|×)?\s*iqrs?)\b|\|z\|\s*>\s*(\d+(?:\.\d+)?)/);
+      if (thr) {
+        spec.threshold = parseFloat(thr[1] || thr[2] || thr[3]);
+        cut(thr[0]);
+      }
+      cut(/\b(?:using|with|by|via)?\s*(?:(?:robust\s+)?(?:regression\s+)?residuals?|(?:robust\s+)?regression|z[\s-]?scores?|standard deviations?|sigma|iqr|interquartile(?:\s+range)?|tukey(?:\s+fences)?|box[\s-]?plot|fences?)\b/g);
+
+      // "top 10 energy outliers", "5 most unusual parcels"
+      const countMatch = t.match(/\b(?:top|first)\s+(\d+)\b|\b(\d+)\s+(?:most\s+)?(?:unusual|anomalous|extreme|outliers?|outlying|parcels)\b/);
+      if (countMatch) {
+        spec.count = parseInt(countMatch[1] || countMatch[2], 10) || undefined;
+        cut(new RegExp(`\\b(?:top|first)?\\s*${countMatch[1] || countMatch[2]}\\b`));
+      }
+
+      // "unusually high energy", "lower than expected"
+      if (!contrasting) {
+        const dir = t.match(/\b(?:unusually|implausibly|suspiciously|too)?\s*(high|higher|large|larger|low|lower|small|smaller)\b(?![\s-]*dens)(?:\s+than\s+(?:expected|predicted|normal))?|\b(above|below)\s+(?:the\s+)?(?:expected|predicted|normal)\b/);
+        if (dir) {
+          spec.direction = /^(?:high|large|above)/.test(dir[1] || dir[2]) ? 'high' : 'low';
+          cut(dir[0]);
+        }
+      }
+
+      // "for their floor area", "relative to gfa and levels", "vs buildings"
+      const predRe = new RegExp(`\\b(?:for\\s+(?:its|their|the)|given(?:\\s+(?:its|their))?|relative\\s+to(?:\\s+(?:its|their))?|compared\\s+(?:to|with)(?:\\s+(?:its|their))?|predicted\\s+from|vs\\.?|versus|against)\\s+((?:${METRIC_ALT})(?:\\s*(?:,|and|&)\\s*(?:${METRIC_ALT}))*)\\b`);
+      const pred = t.match(predRe);
+      if (pred && !contrasting) {
+        spec.predictors = [...pred[1].matchAll(new RegExp(`\\b(?:${METRIC_ALT})\\b`, 'g'))].map(m => this._metricForAlias(m[0]));
+        cut(pred[0]);
+      }
+
+      // The metric tested: the first named outside a range condition (energy if none)
+      if (!spec.metric) {
+        const blank = m => ' '.repeat(m.length);
+        const bare = t.replace(BETWEEN_RE, blank).replace(METRIC_CMP_RE, blank).replace(CMP_METRIC_RE, blank);
+        const mention = bare.match(new RegExp(`\\b(${METRIC_ALT})\\b(?![\\s-]*oriented)`));
+        if (mention) {
+          spec.metric = this._metricForAlias(mention[1]);
+          t = t.slice(0, mention.index) + ' ' + t.slice(mention.index + mention[0].length);
+        }
+      }
+
+      // What is left narrows the parcels: "in High Density", "near Tampines MRT", "with a Cafe"
+      cut(OUTLIER_RE);
+      spec.filter = this._parseScope(t).scope;
+      return spec;
+    }
 
+    /** Outlier test named in a question: 'zscore', 'iqr', 'residual' or null */
+    _outlierMethod(text) {
+      if (/\bz[\s-]?scores?\b|\bstandard deviations? from the mean\b|\bsigma\b/.test(text)) return 'zscore';
+      if (/\biqr\b|\binterquartile\b|\btukey\b|\bbox[\s-]?plot\b|\bfences?\b/.test(text)) return 'iqr';
+      if (/\bresiduals?\b|\bregression\b|\bexpected\b|\bpredicted\b/.test(text)) return 'residual';
       return null;
     }
 
-    /** Match a facility type from query text */
-    _matchFacilityType(text) {
-      const t = text.toLowerCase();
+    /**
+     * Deviation scores for one group of parcels, or null when the group is
+     * too small (or, for a regression, its predictors are collinear).
+     * @returns {{ scores:Array<{ d:Object, actual:number, expected:number, score:number }>, model:Object }|null}
+     */
+    _outlierScores(group, metric, method, predictors) {
+      const key = METRICS[metric].key;
+      const y = group.map(d => d[key]);
+      const n = group.length;
+      if (method === 'residual') {
+        if (n < predictors.length + 5) return null;
+        const fit = robustFit(group.map(d => predictors.map(p => d[METRICS[p].key])), y);
+        if (!fit || !(fit.scale > 0)) return null;
+        return {
+          scores: group.map((d, i) => ({ d, actual: y[i], expected: fit.fitted[i], score: fit.residuals[i] / fit.scale })),
+          model: { n, coef: fit.coef, scale: fit.scale, r2: fit.r2 }
+        };
+      }
+      if (n < 4) return null;
+      if (method === 'iqr') {
+        const sorted = [...y].sort((a, b) => a - b);
+        const q1 = quantile(sorted, 0.25);
+        const med = quantile(sorted, 0.5);
+        const q3 = quantile(sorted, 0.75);
+        const iqr = q3 - q1;
+        if (!(iqr > 0)) return null;
+        return {
+          scores: group.map((d, i) => ({
+            d, actual: y[i], expected: med,
+            score: y[i] > q3 ? (y[i] - q3) / iqr : y[i] < q1 ? (y[i] - q1) / iqr : 0
+          })),
+          model: { n, q1, median: med, q3, iqr }
+        };
+      }
+      const m = mean(y);
+      const sd = stddev(y);
+      if (!(sd > 0)) return null;
+      return {
+        scores: group.map((d, i) => ({ d, actual: y[i], expected: m, score: (y[i] - m) / sd })),
+        model: { n, mean: m, sd }
+      };
+    }
 
-      // Direct match against known types
-      const known = [
-        'Bar', 'Cafe', 'Restaurant', 'Hawker', 'Garden',
-        'Library', 'Sport', 'Museum', 'ChildCare', 'SocialService',
-        'CommunityUseSite'
-      ];
+    // --------------------------------------------------------
+    // Exports
+    // --------------------------------------------------------
 
-      for (const ft of known) {
-        if (t.includes(ft.toLowerCase())) return ft;
+    /**
+     * One of a result's tables as CSV (RFC 4180 quoting, header row first).
+     * @param {Object} result - A result object from query()
+     * @param {number} [index] - Which of result.tables; defaults to the first
+     * @returns {string|null} null when the result has no such table
+     */
+    exportCSV(result, index) {
+      const table = (result.tables || [])[index || 0];
+      if (!table) return null;
+      const cell = v => {
+        if (v == null || (typeof v === 'number' && isNaN(v))) return '';
+        const str = String(v);
+        return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+      };
+      return [table.columns, ...table.rows].map(row => row.map(cell).join(',')).join('\r\n') + '\r\n';
+    }
+
+    /**
+     * The parcels a result highlights (in result order), or every coloured
+     * parcel when it only colours the map, as a GeoJSON FeatureCollection.
+     * Geometry comes from `geojson` (falling back to the centroid as a
+     * Point); properties are the parcel's node attributes.
+     * @param {Object} result  - A result object from query()
+     * @param {Object} [geojson] - Parcel boundaries, e.g. VIZ_DATA.geojson
+     */
+    exportGeoJSON(result, geojson) {
+      const shapes = new Map(((geojson && geojson.features) || []).map(f => [f.properties.id, f]));
+      const ids = result.mapHighlights && result.mapHighlights.length
+        ? result.mapHighlights
+        : Object.keys(result.mapColors || {});
+      const seen = new Set();
+      const features = [];
+      ids.forEach(id => {
+        const d = this.nodeMap[id];
+        if (!d || seen.has(id)) return;
+        seen.add(id);
+        const shape = shapes.get(id);
+        features.push({
+          type: 'Feature',
+          geometry: shape ? shape.geometry : { type: 'Point', coordinates: [d.lng, d.lat] },
+          properties: Object.assign({}, shape ? shape.properties : {}, d)
+        });
+      });
+      return JSON.stringify({ type: 'FeatureCollection', features }, null, 2);
+    }
+
+    /** The structured parts of a result (everything but the HTML) as JSON */
+    exportJSON(result) {
+      const out = {};
+      for (const key of ['title', 'type', 'source', 'intent', 'trace', 'tables', 'mapHighlights', 'mapPath',
+        'mapCircle', 'mapBounds', 'mapColors', 'chartConfig']) {
+        if (result[key] != null) out[key] = result[key];
       }
+      // Follow-up filters hold parcel IDs in a Set
+      return JSON.stringify(out, (k, v) => (v instanceof Set ? [...v] : v), 2);
+    }
 
-      // Fuzzy aliases
-      if (/child\s*care|childcare|daycare|kindergarten/i.test(t)) return 'ChildCare';
-      if (/social\s*service/i.test(t)) return 'SocialService';
-      if (/community.*site|community.*use/i.test(t)) return 'CommunityUseSite';
-      if (/hawk[ea]r/i.test(t)) return 'Hawker';
-      if (/park|green/i.test(t)) return 'Garden';
-      if (/gym|fitness|swim/i.test(t)) return 'Sport';
+    /**
+     * Export table of parcels: parcel ID, category, then one column per
+     * [name, getter(node, index)]. `ranked` prepends a 1-based rank.
+     */
+    _parcelTable(title, list, columns, ranked) {
+      return dataTable(title,
+        [...(ranked ? ['Rank'] : []), 'Parcel', 'Category', ...columns.map(c => c[0])],
+        list.map((d, i) => [...(ranked ? [i + 1] : []), d.id, d.category, ...columns.map(c => c[1](d, i))]));
+    }
 
-      // Try matching against actual facility types in the dataset
-      for (const ft of this.allFacilityTypes) {
-        if (t.includes(ft.toLowerCase())) return ft;
+    // --------------------------------------------------------
+    // Explanation traces
+    // --------------------------------------------------------
+
+    /** Start a trace for the question about to be answered, when explain mode is on */
+    _beginTrace(question, source) {
+      this._trace = this.explain ? {
+        question, source, step: null, rule: null,
+        considered: null, kept: null, formulas: [], notes: [], started: Date.now()
+      } : null;
+    }
+
+    /** Record which dispatcher rule (1-based step, or null) picked the handler; the first one wins */
+    _traceRule(step, rule) {
+      if (this._trace && !this._trace.rule) Object.assign(this._trace, { step, rule });
+    }
+
+    /**
+     * Add handler details to the trace: `considered` / `kept` parcel
+     * counts, `formulas` and `notes` (both appended), or any other field.
+     */
+    _traceNote(fields) {
+      const t = this._trace;
+      if (!t) return;
+      for (const [k, v] of Object.entries(fields)) {
+        if (k === 'formulas' || k === 'notes') v.forEach(x => { if (!t[k].includes(x)) t[k].push(x); });
+        else t[k] = v;
+      }
+    }
+
+    /** Run fn without recording into the current trace (e.g. trial answers for suggestions) */
+    _untraced(fn) {
+      const saved = this._trace;
+      this._trace = null;
+      try {
+        return fn();
+      } finally {
+        this._trace = saved;
       }
+    }
+
+    /**
+     * Attach the finished trace to a result:
+     * { question, source:'rules'|'intent', resolved?, step, rule, params, considered,
+     *   kept, filteredOut, formulas:string[], notes:string[], ms }
+     */
+    _finishTrace(result) {
+      const t = this._trace;
+      this._trace = null;
+      if (!t) return result;
+      const { started, ...trace } = t;
+      trace.params = this._traceParams(result.intent);
+      trace.filteredOut = trace.considered != null && trace.kept != null ? trace.considered - trace.kept : null;
+      if (result.suggestions && result.suggestions.length) {
+        trace.notes.push(`${result.suggestions.length} corrected question${result.suggestions.length === 1 ? '' : 's'} suggested`);
+      } else if (result.corrections && result.corrections.length) {
+        trace.notes.push(`${result.corrections.length} spelling correction${result.corrections.length === 1 ? '' : 's'} suggested`);
+      }
+      trace.ms = Date.now() - started;
+      return Object.assign({}, result, { trace });
+    }
+
+    /** An intent's parameters as display text, e.g. { metric: 'energy', filter: 'transit > 0.7' } */
+    _traceParams(intent) {
+      const params = {};
+      Object.entries(intent || {}).forEach(([k, v]) => {
+        if (k === 'intent' || v == null || v === '' || (Array.isArray(v) && !v.length)) return;
+        if (k === 'filter') v = this._describeFilter(v);
+        else if (Array.isArray(v)) v = v.join(', ');
+        else if (typeof v === 'object') v = Object.entries(v).map(([m, w]) => `${m} × ${_fmt(w)}`).join(', ');
+        params[k] = v;
+      });
+      return params;
+    }
+
+    // --------------------------------------------------------
+    // Spelling suggestions
+    // --------------------------------------------------------
+
+    /** Add "did you mean" suggestions to an error result, when there are any */
+    _withSuggestions(q, result) {
+      const { suggestions, corrections } = this._spellingHelp(q);
+      if (suggestions.length) {
+        return Object.assign({}, result, { html: result.html + suggestionList(suggestions), suggestions });
+      }
+      if (corrections.length) {
+        return Object.assign({}, result, { html: result.html + correctionList(corrections), corrections });
+      }
+      return result;
+    }
+
+    /**
+     * Corrected questions the engine can answer or, when none can, the
+     * misspelt words on their own ("restaraunt" -> "Restaurant"), so the
+     * writer can fix them and rephrase.
+     * @returns {{ suggestions:Array<{ query:string, confidence:number, title:string }>,
+     *   corrections:Array<{ word:string, to:string, confidence:number }> }}
+     */
+    _spellingHelp(q) {
+      const fixes = this._typoFixes(q);
+      const suggestions = this._suggestions(q, fixes);
+      const corrections = suggestions.length ? [] : fixes.map(({ tok, options }) => ({
+        word: tok.word, to: options[0].to, confidence: options[0].score
+      }));
+      return { suggestions, corrections };
+    }
+
+    /**
+     * Corrected versions of a question that the engine can answer, ranked
+     * by confidence. Misspelt words are matched by edit distance against
+     * metric, category, facility, edge-type, station and query vocabulary;
+     * unknown parcel IDs against the IDs in the dataset.
+     * @returns {Array<{ query:string, confidence:number, title:string }>}
+     */
+    _suggestions(q, fixes = this._typoFixes(q)) {
+      if (!fixes.length) return [];
+
+      // The best fix everywhere, then each runner-up on its own
+      const combos = [fixes.map(() => 0)];
+      fixes.forEach((f, i) => {
+        for (let k = 1; k < f.options.length; k++) combos.push(fixes.map((_, j) => (j === i ? k : 0)));
+      });
+
+      const seen = new Set([q.toLowerCase()]);
+      const out = [];
+      for (const combo of combos) {
+        let text = q;
+        let confidence = 1;
+        // Replace right to left so earlier offsets stay valid
+        for (let i = fixes.length - 1; i >= 0; i--) {
+          const { tok, options } = fixes[i];
+          const opt = options[combo[i]];
+          text = text.slice(0, tok.offset) + opt.to + text.slice(tok.offset + tok.word.length);
+          confidence *= opt.score;
+        }
+        if (seen.has(text.toLowerCase())) continue;
+        seen.add(text.toLowerCase());
+
+        const answer = this._untraced(() => this._dispatch(this._resolveReferences(text)));
+        if (answer.type === 'error') continue;
+        out.push({ query: text, confidence, title: answer.title });
+      }
+      return out.sort((a, b) => b.confidence - a.confidence).slice(0, 5);
+    }
+
+    /** Unrecognised words and parcel IDs of a question, each with up to three replacements, best first */
+    _typoFixes(q) {
+      const tokens = [];
+      q.replace(/kml_\d+|[A-Za-z][A-Za-z'-]*/gi, (word, offset) => { tokens.push({ word, offset }); return word; });
+
+      const fixes = [];
+      tokens.forEach(tok => {
+        const options = /^kml_\d+$/i.test(tok.word)
+          ? (this.nodeMap[tok.word] ? [] : this._similarParcelIds(tok.word))
+          : this._similarWords(tok.word);
+        if (options.length) fixes.push({ tok, options });
+      });
+      return fixes;
+    }
+
+    /** Vocabulary words a misspelt word could be, as [{ to, score }] */
+    _similarWords(word) {
+      const lower = word.toLowerCase();
+      const vocab = this._vocabulary();
+      if (lower.length < 4 || vocab.has(lower) || COMMON_WORDS.has(lower)) return [];
+      const budget = typoBudget(lower.length);
+      const hits = [];
+      vocab.forEach((canonical, w) => {
+        const d = editDistance(lower, w, budget);
+        if (d > budget) return;
+        let to = canonical;
+        // Keep the writer's capitalisation for ordinary words
+        if (canonical === w && word[0] !== lower[0]) to = w[0].toUpperCase() + w.slice(1);
+        hits.push({ to, d, score: 1 - d / Math.max(lower.length, w.length) });
+      });
+      return hits.sort((a, b) => a.d - b.d || b.score - a.score).slice(0, 3);
+    }
+
+    /** Parcel IDs within two edits of an unknown one, as [{ to, score }] */
+    _similarParcelIds(id) {
+      const typed = id.toLowerCase();
+      const num = parseInt(typed.slice(4), 10);
+      const hits = [];
+      this.nodes.forEach(d => {
+        const dist = editDistance(typed, d.id.toLowerCase(), 2);
+        if (dist <= 2) hits.push({ to: d.id, d: dist, prefix: d.id.startsWith(typed), gap: Math.abs(parseInt(d.id.slice(4), 10) - num) });
+      });
+      return hits
+        .sort((a, b) => a.d - b.d || b.prefix - a.prefix || a.gap - b.gap)
+        .slice(0, 3)
+        .map(h => ({ to: h.to, score: 1 - 2 * h.d / typed.length }));
+    }
+
+    /** Lower-case word -> spelling to suggest, built once */
+    _vocabulary() {
+      if (this._vocab) return this._vocab;
+      const vocab = new Map();
+      const add = (text, canonical) => {
+        String(text).toLowerCase().split(/[^a-z]+/).forEach(w => {
+          if (w.length >= 3 && !vocab.has(w)) vocab.set(w, canonical || w);
+        });
+      };
+      QUERY_WORDS.forEach(w => add(w));
+      Object.entries(METRICS).forEach(([name, def]) => { add(name); def.aliases.forEach(a => add(a)); });
+      Object.values(CAT_LABELS).forEach(l => add(l));
+      Object.values(EDGE_LABELS).forEach(l => add(l));
+      if (GraphMetrics) Object.values(GraphMetrics.MEASURES).forEach(m => add(m.label));
+      // Facility types and station names keep their own capitalisation
+      [...this.allFacilityTypes].forEach(ft => {
+        if (/^[a-z]+$/i.test(ft)) vocab.set(ft.toLowerCase(), ft);
+      });
+      this.stations.mrt.forEach(st => {
+        st.name.split(/\s+/).forEach(w => {
+          if (/^[a-z]{3,}$/i.test(w) && !vocab.has(w.toLowerCase())) vocab.set(w.toLowerCase(), w);
+        });
+      });
+      this._vocab = vocab;
+      return vocab;
+    }
+
+    // --------------------------------------------------------
+    // Communities
+    // --------------------------------------------------------
+
+    /**
+     * Recognise a community question. Returns { mode, parcelId, cluster,
+     * edgeTypes } or null. "Community" followed by a facility word
+     * ("community site", "community club") is not a cluster question.
+     */
+    _parseCluster(q) {
+      const head = q.replace(/\b(?:via|using|through|over|along)\b.*$/i, '');
+      const word = /\bclusters?\b|\bcommunit(?:y|ies)\b(?!\s+(?:sites?|clubs?|cent(?:re|er)s?|halls?|gardens?|services?|use))/i;
+      if (!word.test(head)) return null;
+      const edgeTypes = this._matchEdgeTypes(q);
+      const id = head.match(/kml_\d+/i);
+      if (id) return { mode: 'of', parcelId: id[0], edgeTypes };
+      const num = head.match(/\b(?:cluster|community)\s*(?:#|no\.?|number)?\s*(\d+)\b|#(\d+)/i);
+      if (num) return { mode: 'summary', cluster: parseInt(num[1] || num[2], 10), edgeTypes };
+      return { mode: 'overview', edgeTypes };
+    }
+
+    _edgeTypesText(types) {
+      return types ? types.map(t => EDGE_LABELS[t] || t).join(', ') + ' edges' : 'all relationship types';
+    }
+
+    // --------------------------------------------------------
+    // Filter expressions
+    // --------------------------------------------------------
+
+    /**
+     * Parse a filter expression into a condition tree.
+     * Metric comparisons ("gfa under 100,000", "transit between 0.5 and 0.8")
+     * and facility groups ("any social facility") are lifted out first, then the
+     * remaining text is split on and/or/not connectives and each chunk is matched
+     * to categories and facility types. Parentheses group sub-expressions, and
+     * "but" binds loosest: "Cafe or Bar but no Hawker" is (Cafe OR Bar) AND NOT
+     * Hawker. Returns null if no condition is found.
+     *
+     * Node shapes: { op:'cmp', metric, cmp, value } | { op:'between', metric, lo, hi }
+     *   | { op:'cat', cat } | { op:'fac', ft } | { op:'and'|'or', items } | { op:'not', item }
+     *   | { op:'in', ids:Set, label } (follow-ups only: restricts to a previous result set)
+     */
+    _parseFilter(text) {
+      const conds = [];
+      let t = ' ' + text.toLowerCase()
+        .replace(/(\d),(?=\d{3}\b)/g, '$1')
+        .replace(/n['\u2019]t\b/g, ' not')
+        .replace(/\s*(?:m²|m2|sq\.?\s?m|sqm|square met(?:re|er)s?|kwh\/yr|kwh per year)(?![a-z])/g, ' ')
+        .replace(/\s+/g, ' ') + ' ';
+
+      const placeholder = cond => {
+        conds.push(cond);
+        return ` §${conds.length - 1}§ `;
+      };
+
+      // "<metric> between X and Y" — lifted first so its "and" is not a connective
+      t = t.replace(BETWEEN_RE,
+        (m, alias, lo, loSuf, hi, hiSuf) => {
+          const metric = this._metricForAlias(alias);
+          return placeholder({
+            op: 'between', metric,
+            lo: this._filterNumber(lo, loSuf, metric),
+            hi: this._filterNumber(hi, hiSuf, metric)
+          });
+        });
+
+      // "<metric> <comparator> <number>"
+      t = t.replace(METRIC_CMP_RE,
+        (m, alias, cmpWord, n, suf) => {
+          const metric = this._metricForAlias(alias);
+          return placeholder({ op: 'cmp', metric, cmp: this._comparatorFor(cmpWord), value: this._filterNumber(n, suf, metric) });
+        });
+
+      // "<comparator> <number> <metric>" — e.g. "more than 5 buildings"
+      t = t.replace(CMP_METRIC_RE,
+        (m, cmpWord, n, suf, alias) => {
+          const metric = this._metricForAlias(alias);
+          return placeholder({ op: 'cmp', metric, cmp: this._comparatorFor(cmpWord), value: this._filterNumber(n, suf, metric) });
+        });
+
+      // "any social facility" (one of the group will do), "all food and drink outlets" (every one)
+      t = t.replace(FACILITY_GROUP_RE, (m, quantifier, word) => {
+        const group = Object.values(FACILITY_GROUPS).find(g => g.words.includes(word));
+        return placeholder({
+          op: /^(?:all|every|each)$/.test(quantifier || '') ? 'and' : 'or',
+          items: group.types.map(ft => ({ op: 'fac', ft }))
+        });
+      });
+
+      // Tokenise what is left into connectives, parentheses and text chunks
+      const tokens = [];
+      const re = /(§\d+§|\(|\)|&&|\|\||&|,|;|!|\b(?:and|but|also|that|which|where|who|whose|with|having|have|has|while|or|either|not|no|without|except|excluding|lacking|missing|nor)\b)/;
+      t.split(re).forEach(part => {
+        if (part == null) return;
+        const p = part.trim();
+        if (!p) return;
+        const ph = p.match(/^§(\d+)§$/);
+        if (ph) tokens.push({ t: 'COND', cond: conds[+ph[1]] });
+        else if (p === '(' || p === ')') tokens.push({ t: p });
+        else if (/^(?:or|either|\|\|)$/.test(p)) tokens.push({ t: 'OR' });
+        else if (/^(?:not|no|without|except|excluding|lacking|missing|nor|!)$/.test(p)) tokens.push({ t: 'NOT' });
+        else if (p === 'but') tokens.push({ t: 'BUT' });
+        else if (re.test(p) && !/^§/.test(p)) tokens.push({ t: 'AND' });
+        else {
+          const chunk = this._filterChunk(p);
+          if (chunk) tokens.push({ t: 'COND', cond: chunk });
+        }
+      });
+
+      // Recursive descent: but -> or -> and -> not -> primary
+      let pos = 0;
+      const peek = () => tokens[pos] && tokens[pos].t;
+      const skipAnd = () => { while (peek() === 'AND') pos++; };
+      const parsePrimary = () => {
+        skipAnd();
+        if (peek() === 'NOT') {
+          pos++;
+          const item = parsePrimary();
+          return item ? { op: 'not', item } : null;
+        }
+        if (peek() === '(') {
+          pos++;
+          const inner = parseBut();
+          if (peek() === ')') pos++;
+          return inner;
+        }
+        if (peek() === 'COND') return tokens[pos++].cond;
+        return null;
+      };
+      const parseAnd = () => {
+        const items = [];
+        for (;;) {
+          const item = parsePrimary();
+          if (item) items.push(item);
+          skipAnd();
+          const next = peek();
+          if (!next || next === 'OR' || next === 'BUT' || next === ')') break;
+        }
+        if (!items.length) return null;
+        return items.length === 1 ? items[0] : { op: 'and', items };
+      };
+      const parseOr = () => {
+        const items = [];
+        for (;;) {
+          const item = parseAnd();
+          if (item) items.push(item);
+          if (peek() !== 'OR') break;
+          pos++;
+        }
+        if (!items.length) return null;
+        return items.length === 1 ? items[0] : { op: 'or', items };
+      };
+      const parseBut = () => {
+        let both = null;
+        for (;;) {
+          const part = parseOr();
+          if (part) both = this._andFilter(both, part);
+          if (peek() !== 'BUT') break;
+          pos++;
+        }
+        return both;
+      };
+
+      let expr = null;
+      while (pos < tokens.length) {
+        const part = parseBut();
+        if (part) expr = expr ? { op: 'and', items: [expr, part] } : part;
+        else pos++;
+      }
+      return expr;
+    }
+
+    /** Conditions implied by a free-text chunk (categories and facility types) */
+    _filterChunk(chunk) {
+      const items = [];
+      const cat = this._matchCategory(chunk);
+      if (cat) items.push({ op: 'cat', cat });
+      const ft = this._matchFacilityType(chunk);
+      if (ft) items.push({ op: 'fac', ft });
+      if (!items.length) return null;
+      return items.length === 1 ? items[0] : { op: 'and', items };
+    }
+
+    /** A filter is worth running on its own if it compares a metric, negates or combines conditions */
+    _isFilterQuery(expr) {
+      let leaves = 0, hasCmp = false, hasNot = false;
+      const walk = e => {
+        if (e.op === 'and' || e.op === 'or') e.items.forEach(walk);
+        else if (e.op === 'not') {
+          hasNot = true;
+          walk(e.item);
+        } else {
+          leaves++;
+          if (e.op === 'cmp' || e.op === 'between') hasCmp = true;
+        }
+      };
+      walk(expr);
+      return hasCmp || hasNot || leaves > 1;
+    }
+
+    /**
+     * Split a ranking or statistics question into the metric it is about and
+     * the parcels it covers: "top 5 Peripheral parcels by energy with a Cafe
+     * near Tampines MRT" -> energy, Peripheral AND has Cafe AND nearest MRT = Tampines.
+     * The metric is the one after "by", else the first named outside a range
+     * condition ("with transit above 0.7" only narrows the scope).
+     * @returns {{ metric:string|null, named:boolean, scope:Object|null }} `named` is
+     *          false when the metric only appears inside a condition
+     */
+    _parseScope(text) {
+      let t = text.toLowerCase();
+
+      // The station phrase first, so "Tampines MRT" is not read as MRT distance
+      let station = null;
+      if (/\b(?:mrt|lrt|stations?|stn|stops?|served by|serviced by|catchments?)\b/.test(t)) {
+        const hit = this._matchStation(t, /\bbus\b/.test(t) && !/\b(?:mrt|lrt|train)\b/.test(t) ? 'bus' : 'mrt');
+        if (hit) {
+          station = this._stationCondition(hit);
+          t = t.replace(this._stationPhrase(hit), ' ');
+        }
+      }
+
+      // Blank out range conditions (keeping offsets), then look for a metric named on its own
+      const blank = m => ' '.repeat(m.length);
+      const bare = t.replace(/(\d),(?=\d{3}\b)/g, '$1 ')
+        .replace(BETWEEN_RE, blank).replace(METRIC_CMP_RE, blank).replace(CMP_METRIC_RE, blank);
+      const mentions = [...bare.matchAll(new RegExp(`\\b(?:(by|of|in|for)\\s+(?:the\\s+)?)?(${METRIC_ALT})\\b(?![\\s-]*oriented)`, 'g'))];
+      const pick = mentions.find(m => m[1] === 'by') || mentions[0];
+
+      let metric, rest;
+      if (pick) {
+        metric = this._metricForAlias(pick[2]);
+        rest = t.slice(0, pick.index) + ' ' + t.slice(pick.index + pick[0].length);
+      } else {
+        metric = this._matchMetric(t);
+        rest = t;
+      }
+
+      let scope = this._parseFilter(rest);
+      if (station) scope = this._andFilter(scope, station);
+      return { metric, named: !!pick, scope };
+    }
+
+    /** Short scope text for titles: "Peripheral, with Cafe, near Tampines MRT" */
+    _scopeLabel(e) {
+      switch (e.op) {
+        case 'and': return e.items.map(x => this._scopeLabel(x)).join(', ');
+        case 'cat': return CAT_LABELS[e.cat] || e.cat;
+        case 'fac': return `with ${e.ft}`;
+        case 'station': return `near ${e.name}`;
+        default: return this._describeFilter(e);
+      }
+    }
+
+    /** Evaluate a condition tree against one node */
+    _evalFilter(d, e) {
+      switch (e.op) {
+        case 'and': return e.items.every(x => this._evalFilter(d, x));
+        case 'or':  return e.items.some(x => this._evalFilter(d, x));
+        case 'not': return !this._evalFilter(d, e.item);
+        case 'cat': return d.category === e.cat;
+        case 'fac': return this._hasFacility(d, e.ft);
+        case 'in':  return e.ids.has(d.id);
+        case 'station': return stationKey(d[STATION_KINDS[e.kind].field]) === e.key;
+        case 'between': {
+          const v = d[METRICS[e.metric].key];
+          return v != null && !isNaN(v) && v >= e.lo && v <= e.hi;
+        }
+        case 'cmp': {
+          const v = d[METRICS[e.metric].key];
+          if (v == null || isNaN(v)) return false;
+          switch (e.cmp) {
+            case '>':  return v > e.value;
+            case '>=': return v >= e.value;
+            case '<':  return v < e.value;
+            case '<=': return v <= e.value;
+            case '!=': return v !== e.value;
+            default:   return v === e.value;
+          }
+        }
+        default: return false;
+      }
+    }
+
+    /** Human-readable rendering of a condition tree */
+    _describeFilter(e, nested) {
+      switch (e.op) {
+        case 'and':
+        case 'or': {
+          const s = e.items.map(x => this._describeFilter(x, true)).join(e.op === 'and' ? ' AND ' : ' OR ');
+          return nested ? `(${s})` : s;
+        }
+        case 'not': return 'NOT ' + this._describeFilter(e.item, true);
+        case 'cat': return `category = ${CAT_LABELS[e.cat] || e.cat}`;
+        case 'fac': return `has ${e.ft}`;
+        case 'in':  return e.label;
+        case 'station': return `nearest ${STATION_KINDS[e.kind].label} = ${e.name}`;
+        case 'between': return `${METRICS[e.metric].label} between ${_fmt(e.lo)} and ${_fmt(e.hi)}`;
+        case 'cmp': return `${METRICS[e.metric].label} ${e.cmp} ${_fmt(e.value)}`;
+        default: return '';
+      }
+    }
+
+    /** Metric names referenced by a condition tree, in order of appearance */
+    _filterMetrics(e, out) {
+      out = out || [];
+      if (e.op === 'and' || e.op === 'or') e.items.forEach(x => this._filterMetrics(x, out));
+      else if (e.op === 'not') this._filterMetrics(e.item, out);
+      else if ((e.op === 'cmp' || e.op === 'between') && !out.includes(e.metric)) out.push(e.metric);
+      return out;
+    }
 
+    /** Map an alias phrase back to its METRICS name */
+    _metricForAlias(alias) {
+      for (const [name, def] of Object.entries(METRICS)) {
+        if (def.aliases.includes(alias)) return name;
+      }
       return null;
     }
+
+    /** Map a comparator phrase to its operator */
+    _comparatorFor(word) {
+      for (const [op, words] of Object.entries(COMPARATORS)) {
+        if (words.includes(word)) return op;
+      }
+      return '=';
+    }
+
+    /** Parse a number with an optional magnitude suffix ("100k", "1.5 million", "2 km") */
+    _filterNumber(n, suffix, metric) {
+      const v = parseFloat(n);
+      const isDistance = metric && METRICS[metric].unit === 'm';
+      switch (suffix) {
+        case 'k':
+        case 'thousand': return v * 1e3;
+        case 'km': return isDistance ? v * 1e3 : v;
+        case 'million':
+        case 'mn': return v * 1e6;
+        case 'm': return isDistance ? v : v * 1e6;
+        default: return v;
+      }
+    }
+
+    /** Whether a node's facility list contains a facility type */
+    _hasFacility(d, ft) {
+      if (!d.ft) return false;
+      return d.ft.split(',').map(s => s.trim().toLowerCase()).includes(ft.toLowerCase());
+    }
   }
 
   // ----------------------------------------------------------
   // Export
   // ----------------------------------------------------------
-  window.QueryEngine = QueryEngine;
+  return QueryEngine;
 
-})();
+});
@@ -0,0 +1,367 @@
+/* ============================================================
+   Singapore Urban Knowledge Graph Explorer — Spatial Statistics
+   Whether a metric's high and low values cluster in space:
+   global Moran's I, local Moran (LISA) clusters and outliers,
+   and Getis-Ord Gi* hot and cold spots. Neighbours come from a
+   distance band over the parcel centroids or from the graph's
+   edges of chosen types. Used by the Q maps, through runAsync()
+   so tens of thousands of parcels do not freeze the page.
+
+   Exports: window.SpatialStats in the browser; module.exports
+   under CommonJS (Node), where numerics.js is required alongside
+   ============================================================ */
+(function(root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory(require('./numerics.js'));
+  else root.SpatialStats = factory(root.Numerics);
+})(typeof self !== 'undefined' ? self : this, (Numerics) => {
+  'use strict';
+
+  // mulberry32 seeds the permutations, so p-values are stable between runs
+  const { mulberry32, normalP, haversine, EARTH_RADIUS } = Numerics;
+
+  // Distance bands offered as neighbourhoods, in metres
+  const DISTANCE_BANDS = [400, 800, 1600];
+
+  // Permutations behind the pseudo p-values, and the significance level of a LISA class
+  const PERMUTATIONS = 199;
+  const ALPHA = 0.05;
+
+  // runAsync() works for about this long before handing the page back, pausing
+  // every STEP_NODES parcels (or after each global permutation)
+  const SLICE_MS = 30;
+  const STEP_NODES = 256;
+
+  // Gi* classes by confidence, hottest first; "none" has no value or no neighbour
+  const HOTSPOT_CLASSES = {
+    hot99:  { label: 'Hot spot, 99% confidence',  color: '#b2182b' },
+    hot95:  { label: 'Hot spot, 95% confidence',  color: '#ef8a62' },
+    hot90:  { label: 'Hot spot, 90% confidence',  color: '#fddbc7' },
+    ns:     { label: 'Not significant',           color: '#f4f6f6' },
+    cold90: { label: 'Cold spot, 90% confidence', color: '#d1e5f0' },
+    cold95: { label: 'Cold spot, 95% confidence', color: '#67a9cf' },
+    cold99: { label: 'Cold spot, 99% confidence', color: '#2166ac' },
+    none:   { label: 'No value or no neighbour',  color: '#d5d8dc' }
+  };
+
+  // Local Moran classes: the parcel's value against its neighbours' average
+  const LISA_CLASSES = {
+    HH:   { label: 'High among high (cluster)',   color: '#d7191c' },
+    LL:   { label: 'Low among low (cluster)',     color: '#2c7bb6' },
+    HL:   { label: 'High among low (outlier)',    color: '#fdae61' },
+    LH:   { label: 'Low among high (outlier)',    color: '#abd9e9' },
+    ns:   { label: 'Not significant',             color: '#f4f6f6' },
+    none: { label: 'No value or no neighbour',    color: '#d5d8dc' }
+  };
+
+  /** One-sided pseudo p-value from the count of permuted statistics at least as large as the observed one */
+  function pseudoP(larger, permutations) {
+    return (Math.min(larger, permutations - larger) + 1) / (permutations + 1);
+  }
+
+  // ----------------------------------------------------------
+  // Neighbours: nbrs[i] lists the indices of node i's neighbours
+  // (symmetric, no duplicates, never i itself)
+  // ----------------------------------------------------------
+
+  /**
+   * Parcels whose centroids lie within `metres` of each other.
+   * @param {Array} nodes - Parcel nodes with lat/lng
+   * @param {number} metres - Band radius
+   * @returns {Array<number[]>}
+   */
+  function* distanceBand(nodes, metres) {
+    // Cells one band wide in latitude, measured with haversine's radius, so a
+    // neighbour is never more than one row away
+    const cell = metres / (EARTH_RADIUS * Math.PI / 180);
+    const cells = new Map();
+    nodes.forEach((n, i) => {
+      if (n.lat == null || n.lng == null || isNaN(n.lat) || isNaN(n.lng)) return;
+      const key = Math.floor(n.lat / cell) + ':' + Math.floor(n.lng / cell);
+      if (!cells.has(key)) cells.set(key, []);
+      cells.get(key).push(i);
+    });
+    const nbrs = [];
+    for (let i = 0; i < nodes.length; i++) {
+      if (i && i % STEP_NODES === 0) yield;
+      const n = nodes[i], out = [];
+      nbrs.push(out);
+      if (n.lat == null || n.lng == null || isNaN(n.lat) || isNaN(n.lng)) continue;
+      const ci = Math.floor(n.lat / cell), cj = Math.floor(n.lng / cell);
+      // A degree of longitude is shorter than one of latitude away from the equator
+      const reach = Math.ceil(1 / Math.max(0.01, Math.cos(n.lat * Math.PI / 180)));
+      for (let a = ci - 1; a <= ci + 1; a++) {
+        for (let b = cj - reach; b <= cj + reach; b++) {
+          (cells.get(a + ':' + b) || []).forEach(j => {
+            if (j !== i && haversine(n.lat, n.lng, nodes[j].lat, nodes[j].lng) <= metres) out.push(j);
+          });
+        }
+      }
+    }
+    return nbrs;
+  }
+
+  /**
+   * Parcels joined by at least one edge of the given types.
+   * @param {Array} adj - Adjacency list: adj[i] = [[neighborIdx, edgeType], ...]
+   * @param {string[]} [types] - Edge types to include; null or empty for all
+   * @returns {Array<number[]>}
+   */
+  function graphNeighbours(adj, types) {
+    const keep = types && types.length ? new Set(types) : null;
+    return adj.map((list, i) => {
+      const seen = new Set();
+      list.forEach(([j, t]) => { if (j !== i && (!keep || keep.has(t))) seen.add(j); });
+      return [...seen];
+    });
+  }
+
+  /**
+   * The parcels a statistic can use: those with a value and at least one
+   * neighbour with a value. Returns { used, nbrs, x } where nbrs[i] keeps
+   * only neighbours with a value and x[i] is NaN outside `used`.
+   */
+  function prepare(values, nbrs) {
+    const has = values.map(v => v != null && isFinite(v));
+    const x = new Float64Array(values.length).fill(NaN);
+    const kept = nbrs.map((list, i) => has[i] ? list.filter(j => has[j]) : []);
+    const used = [];
+    kept.forEach((list, i) => { if (list.length) { used.push(i); x[i] = values[i]; } });
+    return { used, nbrs: kept, x };
+  }
+
+  /** Values of the used parcels as deviations from their mean, with m2 = Σz²/n and m4 = Σz⁴/n */
+  function deviations(x, used) {
+    let mean = 0;
+    used.forEach(i => { mean += x[i]; });
+    mean /= used.length;
+    const z = new Float64Array(x.length);
+    let m2 = 0, m4 = 0;
+    used.forEach(i => { z[i] = x[i] - mean; m2 += z[i] * z[i]; m4 += z[i] ** 4; });
+    return { z, mean, m2: m2 / used.length, m4: m4 / used.length };
+  }
+
+  /**
+   * Global Moran's I with row-standardised weights:
+   * I = (n / S0) Σᵢ Σⱼ wᵢⱼ zᵢ zⱼ / Σᵢ zᵢ², E[I] = −1 / (n − 1). The z-score
+   * uses the variance under randomisation; the pseudo p-value comes from
+   * random permutations of the values over the parcels.
+   * @param {number[]} values - One value per node (null or NaN for none)
+   * @param {Array<number[]>} nbrs - Neighbour lists
+   * @param {Object} [opts] - { permutations, seed }
+   * @returns {{ n, I, expected, variance, z, p, pseudoP, permutations }} n is the number of parcels used
+   */
+  function* moran(values, nbrs, opts) {
+    opts = opts || {};
+    const permutations = opts.permutations == null ? PERMUTATIONS : opts.permutations;
+    const prep = prepare(values, nbrs);
+    const used = prep.used, n = used.length;
+    const empty = { n, I: NaN, expected: NaN, variance: NaN, z: NaN, p: NaN, pseudoP: NaN, permutations };
+    if (n < 3) return empty;
+    const { z, m2, m4 } = deviations(prep.x, used);
+    if (!(m2 > 0)) return empty;
+
+    const statistic = zs => {
+      let num = 0;
+      used.forEach(i => {
+        const list = prep.nbrs[i];
+        let lag = 0;
+        list.forEach(j => { lag += zs[j]; });
+        num += zs[i] * lag / list.length;
+      });
+      return num / (n * m2);   // S0 = n, so n / S0 = 1
+    };
+    const I = statistic(z);
+
+    // S1 = ½ Σ (wᵢⱼ + wⱼᵢ)², S2 = Σ (wᵢ. + w.ᵢ)², with wᵢⱼ = 1 / kᵢ
+    let s1 = 0, s2 = 0;
+    const colSum = new Float64Array(z.length);
+    used.forEach(i => {
+      const ki = prep.nbrs[i].length;
+      prep.nbrs[i].forEach(j => {
+        s1 += (1 / ki + 1 / prep.nbrs[j].length) ** 2;
+        colSum[j] += 1 / ki;
+      });
+    });
+    s1 /= 2;
+    used.forEach(i => { s2 += (1 + colSum[i]) ** 2; });
+    const s0 = n;
+    const expected = -1 / (n - 1);
+    const k = m4 / (m2 * m2);
+    const variance = n > 3
+      ? (n * ((n * n - 3 * n + 3) * s1 - n * s2 + 3 * s0 * s0) - k * ((n * n - n) * s1 - 2 * n * s2 + 6 * s0 * s0))
+        / ((n - 1) * (n - 2) * (n - 3) * s0 * s0) - expected * expected
+      : NaN;
+    const zScore = variance > 0 ? (I - expected) / Math.sqrt(variance) : NaN;
+
+    let larger = 0;
+    if (permutations > 0) {
+      const rand = mulberry32(opts.seed || 1);
+      const pool = used.map(i => z[i]);
+      const zs = new Float64Array(z.length);
+      for (let r = 0; r < permutations; r++) {
+        for (let a = pool.length - 1; a > 0; a--) {
+          const b = Math.floor(rand() * (a + 1));
+          const t = pool[a]; pool[a] = pool[b]; pool[b] = t;
+        }
+        used.forEach((i, a) => { zs[i] = pool[a]; });
+        if (statistic(zs) >= I) larger++;
+        yield;
+      }
+    }
+
+    return {
+      n, I, expected, variance, z: zScore, p: normalP(zScore),
+      pseudoP: permutations > 0 ? pseudoP(larger, permutations) : NaN,
+      permutations
+    };
+  }
+
+  /**
+   * Local Moran's Iᵢ = (zᵢ / m2) Σⱼ wᵢⱼ zⱼ (row-standardised), with a pseudo
+   * p-value from conditional permutations: parcel i keeps its value and its
+   * neighbours are drawn at random from the other parcels.
+   * @param {number[]} values - One value per node (null or NaN for none)
+   * @param {Array<number[]>} nbrs - Neighbour lists
+   * @param {Object} [opts] - { permutations, seed, alpha }
+   * @returns {{ n, I: Float64Array, lag: Float64Array, p: Float64Array, classes: string[], counts }}
+   *   lag is the neighbours' average deviation from the mean; classes are keys of LISA_CLASSES
+   */
+  function* lisa(values, nbrs, opts) {
+    opts = opts || {};
+    const permutations = opts.permutations == null ? PERMUTATIONS : opts.permutations;
+    const alpha = opts.alpha || ALPHA;
+    const prep = prepare(values, nbrs);
+    const used = prep.used, n = used.length, len = values.length;
+    const I = new Float64Array(len).fill(NaN);
+    const lag = new Float64Array(len).fill(NaN);
+    const p = new Float64Array(len).fill(NaN);
+    const classes = new Array(len).fill('none');
+    const counts = {};
+    Object.keys(LISA_CLASSES).forEach(c => { counts[c] = 0; });
+    const { z, m2 } = n >= 3 ? deviations(prep.x, used) : { z: null, m2: 0 };
+
+    if (m2 > 0) {
+      const rand = mulberry32(opts.seed || 1);
+      const pool = used.slice();
+      for (let u = 0; u < n; u++) {
+        if (u && u % STEP_NODES === 0) yield;
+        const i = used[u], list = prep.nbrs[i], k = list.length;
+        let s = 0;
+        list.forEach(j => { s += z[j]; });
+        lag[i] = s / k;
+        I[i] = z[i] * lag[i] / m2;
+        let larger = 0;
+        const draws = Math.min(k + 1, pool.length);
+        for (let r = 0; r < permutations; r++) {
+          // Partial shuffle: the first k + 1 of the pool, skipping i itself
+          let sum = 0, taken = 0;
+          for (let a = 0; a < draws && taken < k; a++) {
+            const b = a + Math.floor(rand() * (pool.length - a));
+            const t = pool[a]; pool[a] = pool[b]; pool[b] = t;
+            if (pool[a] !== i) { sum += z[pool[a]]; taken++; }
+          }
+          if (z[i] * (sum / taken) / m2 >= I[i]) larger++;
+        }
+        p[i] = permutations > 0 ? pseudoP(larger, permutations) : NaN;
+        classes[i] = !(p[i] <= alpha) ? 'ns'
+          : (z[i] > 0 ? 'H' : 'L') + (lag[i] > 0 ? 'H' : 'L');
+      }
+    }
+    classes.forEach(c => { counts[c]++; });
+    return { n, I, lag, p, classes, counts };
+  }
+
+  /**
+   * Getis-Ord Gi* z-scores with binary weights that include the parcel itself:
+   * Gᵢ* = (Σⱼ wᵢⱼ xⱼ − x̄ Σⱼ wᵢⱼ) / (S √((n Σⱼ wᵢⱼ² − (Σⱼ wᵢⱼ)²) / (n − 1))).
+   * Positive z marks a hot spot (high values around the parcel), negative a cold spot.
+   * @param {number[]} values - One value per node (null or NaN for none)
+   * @param {Array<number[]>} nbrs - Neighbour lists
+   * @returns {{ n, z: Float64Array, p: Float64Array, classes: string[], counts }} classes are keys of HOTSPOT_CLASSES
+   */
+  function* getisOrd(values, nbrs) {
+    const prep = prepare(values, nbrs);
+    const used = prep.used, n = used.length, len = values.length;
+    const z = new Float64Array(len).fill(NaN);
+    const p = new Float64Array(len).fill(NaN);
+    const classes = new Array(len).fill('none');
+    const counts = {};
+    Object.keys(HOTSPOT_CLASSES).forEach(c => { counts[c] = 0; });
+    if (n >= 3) {
+      let mean = 0, sq = 0;
+      used.forEach(i => { mean += prep.x[i]; sq += prep.x[i] * prep.x[i]; });
+      mean /= n;
+      const S = Math.sqrt(Math.max(0, sq / n - mean * mean));
+      for (let u = 0; u < n; u++) {
+        if (u && u % STEP_NODES === 0) yield;
+        const i = used[u], w = prep.nbrs[i].length + 1;
+        let sum = prep.x[i];
+        prep.nbrs[i].forEach(j => { sum += prep.x[j]; });
+        const denom = S * Math.sqrt((n * w - w * w) / (n - 1));
+        z[i] = denom > 0 ? (sum - mean * w) / denom : NaN;
+        p[i] = normalP(z[i]);
+        classes[i] = isNaN(z[i]) ? 'none'
+          : p[i] < 0.01 ? (z[i] > 0 ? 'hot99' : 'cold99')
+          : p[i] < 0.05 ? (z[i] > 0 ? 'hot95' : 'cold95')
+          : p[i] < 0.10 ? (z[i] > 0 ? 'hot90' : 'cold90')
+          : 'ns';
+      }
+    }
+    classes.forEach(c => { counts[c]++; });
+    return { n, z, p, classes, counts };
+  }
+
+  // ----------------------------------------------------------
+  // Running the statistics
+  // distanceBand, moran, lisa and getisOrd are generators that pause
+  // between chunks of work; run them at once or in slices.
+  // ----------------------------------------------------------
+  const STEPPED = { distanceBand, moran, lisa, getisOrd };
+
+  /** Run a stepped statistic to the end and return its result */
+  function run(name, ...args) {
+    const steps = STEPPED[name](...args);
+    let r;
+    do { r = steps.next(); } while (!r.done);
+    return r.value;
+  }
+
+  /**
+   * Run a stepped statistic in slices of about SLICE_MS, handing the page back between them.
+   * @param {string} name - 'distanceBand', 'moran', 'lisa' or 'getisOrd'
+   * @param {Array} args - Its arguments
+   * @returns {Promise} its result
+   */
+  function runAsync(name, args) {
+    const steps = STEPPED[name](...args);
+    return new Promise((resolve, reject) => {
+      const slice = () => {
+        const end = Date.now() + SLICE_MS;
+        try {
+          let r;
+          do {
+            r = steps.next();
+            if (r.done) return resolve(r.value);
+          } while (Date.now() < end);
+        } catch (err) {
+          return reject(err);
+        }
+        setTimeout(slice, 0);
+      };
+      setTimeout(slice, 0);
+    });
+  }
+
+  // ----------------------------------------------------------
+  // Export
+  // ----------------------------------------------------------
+  return {
+    DISTANCE_BANDS, PERMUTATIONS, ALPHA, HOTSPOT_CLASSES, LISA_CLASSES,
+    graphNeighbours, run, runAsync,
+    distanceBand: (nodes, metres) => run('distanceBand', nodes, metres),
+    moran: (values, nbrs, opts) => run('moran', values, nbrs, opts),
+    lisa: (values, nbrs, opts) => run('lisa', values, nbrs, opts),
+    getisOrd: (values, nbrs) => run('getisOrd', values, nbrs)
+  };
+
+});
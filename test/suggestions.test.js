@@ -0,0 +1,45 @@
+/* Spelling help of the query engine. Run with: node --test test/ */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const QueryEngine = require('../query-engine.js');
+
+// A few parcels are enough: facility names and metrics come from the nodes and the engine
+function engine() {
+  const parcel = (id, lat, lng, category, ft, extra) => Object.assign({
+    id, lat, lng, category, ft, gfa: 120000, e: 5000000, ti: 0.6, div: 0.5, b: 6, u: 900, lvl: 12,
+    bd: 200, md: 600, nb: 'Blk 1', nm: 'Bishan MRT'
+  }, extra);
+  const nodes = [
+    parcel('kml_1', 1.3500, 103.8480, 'HighDensity', 'Cafe,Restaurant,Hawker', { div: 0.8 }),
+    parcel('kml_2', 1.3510, 103.8490, 'TransitOriented', 'Restaurant,Library', { ti: 0.9 }),
+    parcel('kml_3', 1.3520, 103.8500, 'Peripheral', 'Garden', { div: 0.2, gfa: 40000 }),
+    parcel('kml_4', 1.3530, 103.8510, 'LifestyleHub', 'Cafe,Bar,Museum', { div: 0.6 })
+  ];
+  return QueryEngine.fromData({ network: { nodes, edges: [[0, 1, 'sim'], [1, 2, 'sim'], [2, 3, 'sim']] } });
+}
+
+test('a misspelt word is corrected when no corrected question can be answered', () => {
+  const result = engine().query('restaraunt parcels');
+  assert.equal(result.type, 'error');
+  assert.deepEqual(result.corrections.map(c => [c.word, c.to]), [['restaraunt', 'Restaurant']]);
+  assert.match(result.html, /restaraunt<\/em> &rarr; <strong>Restaurant<\/strong>/);
+});
+
+test('only the misspelt words of a question are corrected', () => {
+  const result = engine().query('diversty ranking');
+  assert.equal(result.type, 'error');
+  assert.deepEqual(result.corrections.map(c => [c.word, c.to]), [['diversty', 'diversity']]);
+});
+
+test('a corrected question that can be answered is suggested instead of word corrections', () => {
+  const result = engine().query('parcels with restaraunt');
+  assert.equal(result.suggestions[0].query, 'parcels with Restaurant');
+  assert.equal(result.corrections, undefined);
+});
+
+test('words with no close match get no corrections', () => {
+  const result = engine().query('xyzzy plugh');
+  assert.equal(result.type, 'error');
+  assert.deepEqual(result.corrections, []);
+});